@@ -1,9 +1,13 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { AppProvider } from './context/AppContext';
+import { PresenceProvider } from './context/PresenceContext';
 import { Layout } from './components/layout';
 import {
   LoginPage,
+  AcceptInvitePage,
+  ResetPasswordPage,
+  SsoCallbackPage,
   DashboardPage,
   ProjectsPage,
   ProjectPage,
@@ -21,23 +25,29 @@ function App() {
     <BrowserRouter>
       <AuthProvider>
         <AppProvider>
-          <Routes>
-            <Route path="/login" element={<LoginPage />} />
-            <Route path="/" element={<Layout />}>
-              <Route index element={<DashboardPage />} />
-              <Route path="projects" element={<ProjectsPage />} />
-              <Route path="projects/:projectId" element={<ProjectPage />} />
-              <Route path="projects/:projectId/files" element={<FilesPage />} />
-              <Route path="calendar" element={<CalendarPage />} />
-              <Route path="chat" element={<ChatPage />} />
-              <Route path="files" element={<FilesPage />} />
-              <Route path="documents" element={<DocumentsPage />} />
-              <Route path="documents/new" element={<DocumentEditor />} />
-              <Route path="documents/:documentId" element={<DocumentEditor />} />
-              <Route path="settings" element={<SettingsPage />} />
-            </Route>
-            <Route path="*" element={<Navigate to="/" replace />} />
-          </Routes>
+          <PresenceProvider>
+            <Routes>
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/invite/:token" element={<AcceptInvitePage />} />
+              <Route path="/forgot-password" element={<ResetPasswordPage />} />
+              <Route path="/reset-password" element={<ResetPasswordPage />} />
+              <Route path="/sso/callback" element={<SsoCallbackPage />} />
+              <Route path="/" element={<Layout />}>
+                <Route index element={<DashboardPage />} />
+                <Route path="projects" element={<ProjectsPage />} />
+                <Route path="projects/:projectId" element={<ProjectPage />} />
+                <Route path="projects/:projectId/files" element={<FilesPage />} />
+                <Route path="calendar" element={<CalendarPage />} />
+                <Route path="chat" element={<ChatPage />} />
+                <Route path="files" element={<FilesPage />} />
+                <Route path="documents" element={<DocumentsPage />} />
+                <Route path="documents/new" element={<DocumentEditor />} />
+                <Route path="documents/:documentId" element={<DocumentEditor />} />
+                <Route path="settings" element={<SettingsPage />} />
+              </Route>
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </PresenceProvider>
         </AppProvider>
       </AuthProvider>
     </BrowserRouter>
@@ -0,0 +1,84 @@
+import { Award, Lock } from 'lucide-react';
+import type { AchievementProgress, ActivityDay } from '../../types';
+import './Achievements.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shift a 'YYYY-MM-DD' day by a number of days
+const addDays = (day: string, days: number) =>
+    new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+interface AchievementBadgesProps {
+    achievements: AchievementProgress[];
+    compact?: boolean;
+}
+
+// Unlocked achievements first, then the ones still in progress
+export function AchievementBadges({ achievements, compact = false }: AchievementBadgesProps) {
+    const sorted = [...achievements].sort((a, b) => Number(!!b.unlockedAt) - Number(!!a.unlockedAt));
+
+    return (
+        <div className={`achievement-badges ${compact ? 'compact' : ''}`}>
+            {sorted.map(achievement => (
+                <div
+                    key={achievement.key}
+                    className={`achievement-badge ${achievement.unlockedAt ? 'unlocked' : 'locked'}`}
+                    title={achievement.description}
+                >
+                    <div className="achievement-icon">
+                        {achievement.unlockedAt ? <Award size={20} /> : <Lock size={16} />}
+                    </div>
+                    <div className="achievement-info">
+                        <span className="achievement-title">{achievement.title}</span>
+                        {achievement.unlockedAt ? (
+                            <span className="achievement-meta">
+                                Unlocked {new Date(achievement.unlockedAt).toLocaleDateString()}
+                            </span>
+                        ) : (
+                            <>
+                                <div className="achievement-progress">
+                                    <div
+                                        className="achievement-progress-bar"
+                                        style={{ width: `${(achievement.progress / achievement.target) * 100}%` }}
+                                    />
+                                </div>
+                                <span className="achievement-meta">
+                                    {achievement.progress} / {achievement.target}
+                                </span>
+                            </>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+interface ActivityHistoryProps {
+    history: ActivityDay[];
+    today: string;
+    days?: number;
+}
+
+// One square per day, oldest on the left; filled on days the user signed in or finished tasks
+export function ActivityHistory({ history, today, days = 30 }: ActivityHistoryProps) {
+    const byDate = new Map(history.map(day => [day.date, day]));
+
+    const cells = Array.from({ length: days }, (_, i) => {
+        const date = addDays(today, i - (days - 1));
+        return { date, activity: byDate.get(date) };
+    });
+
+    return (
+        <div className="activity-history">
+            {cells.map(({ date, activity }) => {
+                const level = !activity ? 0 : activity.tasksCompleted > 0 ? 2 : 1;
+                const label = activity
+                    ? `${date}: ${activity.logins} sign-in(s), ${activity.tasksCompleted} task(s) completed`
+                    : `${date}: no activity`;
+
+                return <div key={date} className={`activity-day level-${level}`} title={label} />;
+            })}
+        </div>
+    );
+}
@@ -0,0 +1 @@
+export { AchievementBadges, ActivityHistory } from './Achievements';
@@ -0,0 +1,125 @@
+import React, { useCallback, useState } from 'react';
+import { AlertCircle, ShieldCheck } from 'lucide-react';
+import type { AuthSession, MfaChallenge } from '../../types';
+import { authAPI } from '../../services/api';
+import { TwoFactorSetup } from './TwoFactorSetup';
+
+interface TwoFactorLoginProps {
+    challenge: MfaChallenge;
+    onComplete: (session: AuthSession) => void;
+    onCancel: () => void;
+}
+
+// Second login step, rendered inside the login card (uses LoginPage.css classes).
+// Either asks for a code, or walks admins through mandatory setup.
+export function TwoFactorLogin({ challenge, onComplete, onCancel }: TwoFactorLoginProps) {
+    const { mfaToken } = challenge;
+    const [session, setSession] = useState<AuthSession | null>(null);
+
+    const loadSetup = useCallback(
+        () => authAPI.setupLogin2fa(mfaToken).then(response => response.data),
+        [mfaToken]
+    );
+
+    const handleEnable = useCallback(async (code: string) => {
+        const response = await authAPI.enableLogin2fa({ mfaToken, code });
+        const { recoveryCodes, ...newSession } = response.data;
+        // Hold on to the session until the recovery codes have been acknowledged
+        setSession(newSession);
+        return recoveryCodes;
+    }, [mfaToken]);
+
+    if (challenge.mfaSetupRequired) {
+        return (
+            <div className="login-form">
+                <p className="mfa-intro">
+                    Administrators must use two-factor authentication. Set it up now to continue.
+                </p>
+                <TwoFactorSetup
+                    loadSetup={loadSetup}
+                    onVerify={handleEnable}
+                    onDone={() => session && onComplete(session)}
+                    onCancel={onCancel}
+                />
+            </div>
+        );
+    }
+
+    return <TwoFactorVerify mfaToken={mfaToken} onComplete={onComplete} onCancel={onCancel} />;
+}
+
+function TwoFactorVerify({ mfaToken, onComplete, onCancel }: { mfaToken: string } & Omit<TwoFactorLoginProps, 'challenge'>) {
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+
+        if (!code.trim()) {
+            setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter your verification code');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await authAPI.verifyLogin2fa(
+                useRecoveryCode ? { mfaToken, recoveryCode: code.trim() } : { mfaToken, code: code.trim() }
+            );
+            onComplete(response.data);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Invalid verification code');
+            setIsLoading(false);
+        }
+    };
+
+    const toggleMode = () => {
+        setUseRecoveryCode(!useRecoveryCode);
+        setCode('');
+        setError('');
+    };
+
+    return (
+        <form className="login-form" onSubmit={handleSubmit}>
+            {error && (
+                <div className="error-message">
+                    <AlertCircle size={16} />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            <div className="form-group">
+                <div className="label-row">
+                    <label className="form-label" htmlFor="mfa-code">
+                        {useRecoveryCode ? 'Recovery Code' : 'Authenticator Code'}
+                    </label>
+                    <button type="button" className="forgot-link link-button" onClick={toggleMode}>
+                        {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                    </button>
+                </div>
+                <input
+                    type="text"
+                    id="mfa-code"
+                    className="form-input"
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    autoFocus
+                />
+            </div>
+
+            <button type="submit" className="btn btn-primary login-btn" disabled={isLoading}>
+                <ShieldCheck size={18} />
+                {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <button type="button" className="btn btn-secondary login-btn" onClick={onCancel}>
+                Back to sign in
+            </button>
+        </form>
+    );
+}
@@ -0,0 +1,162 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, Copy, Download, ShieldCheck } from 'lucide-react';
+import type { TwoFactorSetup as TwoFactorSetupData } from '../../types';
+import './TwoFactorSetup.css';
+
+interface TwoFactorSetupProps {
+    // Creates a new secret on the server
+    loadSetup: () => Promise<TwoFactorSetupData>;
+    // Confirms the first code and resolves with the recovery codes
+    onVerify: (code: string) => Promise<string[]>;
+    // Called once the user has acknowledged their recovery codes
+    onDone: () => void;
+    onCancel?: () => void;
+}
+
+// Authenticator enrolment: scan QR code, confirm a code, save recovery codes
+export function TwoFactorSetup({ loadSetup, onVerify, onDone, onCancel }: TwoFactorSetupProps) {
+    const [setup, setSetup] = useState<TwoFactorSetupData | null>(null);
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    // Each call generates a new secret, so only ever load once
+    const hasLoaded = useRef(false);
+
+    useEffect(() => {
+        if (hasLoaded.current) return;
+        hasLoaded.current = true;
+
+        loadSetup()
+            .then(setSetup)
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to start two-factor setup'));
+    }, [loadSetup]);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+
+        if (!/^\d{6}$/.test(code.trim())) {
+            setError('Enter the 6-digit code from your authenticator app');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            setRecoveryCodes(await onVerify(code.trim()));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Invalid verification code');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    if (recoveryCodes) {
+        return (
+            <div className="two-factor-setup">
+                <RecoveryCodesList codes={recoveryCodes} />
+                <button type="button" className="btn btn-primary" onClick={onDone}>
+                    <ShieldCheck size={18} />
+                    I've saved my recovery codes
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <form className="two-factor-setup" onSubmit={handleSubmit}>
+            {error && (
+                <div className="two-factor-error">
+                    <AlertCircle size={16} />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            <ol className="two-factor-steps">
+                <li>Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy…).</li>
+                <li>Enter the 6-digit code it shows to confirm.</li>
+            </ol>
+
+            <div className="two-factor-qr">
+                {setup ? <img src={setup.qrCode} alt="Authenticator QR code" /> : <span>Generating…</span>}
+            </div>
+
+            {setup && (
+                <p className="two-factor-secret">
+                    Can't scan it? Enter this key manually: <code>{setup.secret}</code>
+                </p>
+            )}
+
+            <div className="form-group">
+                <label className="form-label" htmlFor="totp-code">Verification Code</label>
+                <input
+                    type="text"
+                    id="totp-code"
+                    className="form-input"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    placeholder="123456"
+                    maxLength={6}
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                />
+            </div>
+
+            <div className="two-factor-actions">
+                {onCancel && (
+                    <button type="button" className="btn btn-secondary" onClick={onCancel}>
+                        Cancel
+                    </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={isLoading || !setup}>
+                    <ShieldCheck size={18} />
+                    {isLoading ? 'Verifying...' : 'Enable two-factor'}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+// One-time recovery codes with copy/download helpers
+export function RecoveryCodesList({ codes }: { codes: string[] }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        await navigator.clipboard.writeText(codes.join('\n'));
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    const handleDownload = () => {
+        const blob = new Blob([codes.join('\n') + '\n'], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'rentbasket-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="recovery-codes">
+            <p>
+                Save these recovery codes somewhere safe. Each one can be used once to sign in
+                if you lose access to your authenticator app. They won't be shown again.
+            </p>
+            <ul className="recovery-codes-list">
+                {codes.map(code => <li key={code}><code>{code}</code></li>)}
+            </ul>
+            <div className="two-factor-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+                    <Copy size={16} />
+                    {copied ? 'Copied!' : 'Copy'}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={handleDownload}>
+                    <Download size={16} />
+                    Download
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,2 @@
+export { TwoFactorSetup, RecoveryCodesList } from './TwoFactorSetup';
+export { TwoFactorLogin } from './TwoFactorLogin';
@@ -7,7 +7,35 @@ export { Sidebar } from './layout/Sidebar';
 export { LoadingSpinner } from './ui/LoadingSpinner';
 export { EmptyState } from './ui/EmptyState';
 export { Modal } from './ui/Modal';
+export { Avatar } from './ui/Avatar';
+export { CategoryBadge } from './ui/CategoryBadge';
 
 // Project components
 export { ProjectCard } from './projects/ProjectCard';
 export { TaskItem } from './projects/TaskItem';
+export { ProjectCardMenu } from './projects/ProjectCardMenu';
+export { MilestoneList, MilestoneFormModal } from './projects/Milestones';
+
+// Auth components
+export { TwoFactorSetup, RecoveryCodesList } from './auth/TwoFactorSetup';
+export { TwoFactorLogin } from './auth/TwoFactorLogin';
+
+// Achievement components
+export { AchievementBadges, ActivityHistory } from './achievements/Achievements';
+
+// Presence components
+export { PresenceDot, StatusPicker } from './presence/Presence';
+
+// Settings components
+export { ApiTokenSettings } from './settings/ApiTokenSettings';
+export { AuditLogSettings } from './settings/AuditLogSettings';
+export { InviteUserModal } from './settings/InviteUserModal';
+export { LoginHistoryModal } from './settings/LoginHistoryModal';
+export { OffboardUserModal } from './settings/OffboardUserModal';
+export { ProfileSettings } from './settings/ProfileSettings';
+export { ProjectCategorySettings } from './settings/ProjectCategorySettings';
+export { ProjectTemplateSettings } from './settings/ProjectTemplateSettings';
+export { SecuritySettings } from './settings/SecuritySettings';
+export { ActiveSessions, SessionsModal } from './settings/Sessions';
+export { TwoFactorSettings } from './settings/TwoFactorSettings';
+export { UserManagement } from './settings/UserManagement';
@@ -1,6 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { Bell, Search, X, Check, CheckCheck } from 'lucide-react';
 import { useApp } from '../../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import { Avatar } from '../ui/Avatar';
 import { formatDistanceToNow } from 'date-fns';
 import './Header.css';
 
@@ -12,6 +15,7 @@ interface HeaderProps {
 
 export function Header({ title, subtitle, actions }: HeaderProps) {
     const { notifications, unreadCount, markNotificationRead, markAllNotificationsRead } = useApp();
+    const { user } = useAuth();
     const [showNotifications, setShowNotifications] = useState(false);
     const [searchQuery, setSearchQuery] = useState('');
     const dropdownRef = useRef<HTMLDivElement>(null);
@@ -117,6 +121,12 @@ export function Header({ title, subtitle, actions }: HeaderProps) {
                 </div>
 
                 {actions && <div className="header-actions">{actions}</div>}
+
+                {user && (
+                    <Link to="/settings" className="header-avatar-link" title={user.name}>
+                        <Avatar name={user.name} avatar={user.avatar} avatarSizes={user.avatarSizes} className="avatar avatar-sm" />
+                    </Link>
+                )}
             </div>
         </header>
     );
@@ -11,6 +11,8 @@ import {
     FileText
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { Avatar } from '../ui/Avatar';
+import { StatusPicker } from '../presence/Presence';
 import logo from '../../assets/RentBasket-Logo.png';
 import './Sidebar.css';
 
@@ -18,8 +20,8 @@ export function Sidebar() {
     const { user, logout, isAdmin } = useAuth();
     const navigate = useNavigate();
 
-    const handleLogout = () => {
-        logout();
+    const handleLogout = async () => {
+        await logout();
         navigate('/login');
     };
 
@@ -76,12 +78,11 @@ export function Sidebar() {
                 {user && (
                     <div className="user-section">
                         <div className="user-info">
-                            <div className="avatar">
-                                {user.name.charAt(0).toUpperCase()}
-                            </div>
+                            <Avatar name={user.name} avatar={user.avatar} avatarSizes={user.avatarSizes} size="medium" />
                             <div className="user-details">
                                 <span className="user-name">{user.name}</span>
                                 <span className="user-role">{user.role}</span>
+                                <StatusPicker userId={user.id} />
                             </div>
                         </div>
 
@@ -0,0 +1,157 @@
+import { useState, useRef, useEffect } from 'react';
+import { usePresence } from '../../context/usePresence';
+import type { PresenceStatus, UserPresence } from '../../types';
+import './Presence.css';
+
+const STATUS_LABELS: Record<PresenceStatus, string> = {
+    available: 'Available',
+    busy: 'Busy',
+    away: 'Away',
+    dnd: 'Do not disturb'
+};
+
+const STATUS_TEXT_MAX_LENGTH = 100;
+
+// Minutes until the status clears; 0 = never, -1 = end of today
+const CLEAR_AFTER_OPTIONS = [
+    { value: 0, label: "Don't clear" },
+    { value: 30, label: '30 minutes' },
+    { value: 60, label: '1 hour' },
+    { value: 240, label: '4 hours' },
+    { value: -1, label: 'Today' }
+];
+
+function getExpiry(clearAfter: number): string | null {
+    if (clearAfter === 0) return null;
+    if (clearAfter === -1) {
+        const endOfDay = new Date();
+        endOfDay.setHours(23, 59, 59, 999);
+        return endOfDay.toISOString();
+    }
+    return new Date(Date.now() + clearAfter * 60 * 1000).toISOString();
+}
+
+// Offline users get a hollow dot whatever their status
+export function PresenceDot({ presence }: { presence: UserPresence }) {
+    const label = presence.online ? STATUS_LABELS[presence.status] : 'Offline';
+
+    return (
+        <span
+            className={`presence-dot ${presence.online ? presence.status : 'offline'}`}
+            title={presence.statusText ? `${label}: ${presence.statusText}` : label}
+        />
+    );
+}
+
+// The current user's status, with a menu to change it
+export function StatusPicker({ userId }: { userId: string }) {
+    const { getPresence, setStatus } = usePresence();
+    const current = getPresence(userId);
+    const [isOpen, setIsOpen] = useState(false);
+    const [status, setStatusChoice] = useState<PresenceStatus>(current.status);
+    const [statusText, setStatusText] = useState(current.statusText || '');
+    const [clearAfter, setClearAfter] = useState(0);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const menuRef = useRef<HTMLDivElement>(null);
+
+    useEffect(() => {
+        function handleClickOutside(event: MouseEvent) {
+            if (menuRef.current && !menuRef.current.contains(event.target as Node)) {
+                setIsOpen(false);
+            }
+        }
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const open = () => {
+        setStatusChoice(current.status);
+        setStatusText(current.statusText || '');
+        setClearAfter(0);
+        setError('');
+        setIsOpen(!isOpen);
+    };
+
+    const save = async (data: { status: PresenceStatus; statusText: string | null; statusExpiresAt: string | null }) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await setStatus(data);
+            setIsOpen(false);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to update status');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="status-picker" ref={menuRef}>
+            <button className="status-button" onClick={open} title="Set status">
+                <PresenceDot presence={{ ...current, online: true }} />
+                <span>{current.statusText || STATUS_LABELS[current.status]}</span>
+            </button>
+
+            {isOpen && (
+                <div className="status-menu">
+                    <div className="status-options">
+                        {(Object.keys(STATUS_LABELS) as PresenceStatus[]).map(option => (
+                            <button
+                                key={option}
+                                className={`status-option ${status === option ? 'selected' : ''}`}
+                                onClick={() => setStatusChoice(option)}
+                            >
+                                <PresenceDot presence={{ ...current, online: true, status: option, statusText: null }} />
+                                {STATUS_LABELS[option]}
+                            </button>
+                        ))}
+                    </div>
+
+                    {status === 'dnd' && (
+                        <p className="status-hint">Notifications are not pushed to you while this is on.</p>
+                    )}
+
+                    <input
+                        type="text"
+                        className="form-input"
+                        placeholder="What's your status?"
+                        value={statusText}
+                        maxLength={STATUS_TEXT_MAX_LENGTH}
+                        onChange={(e) => setStatusText(e.target.value)}
+                    />
+
+                    <label className="form-label">Clear after</label>
+                    <select
+                        className="form-input"
+                        value={clearAfter}
+                        onChange={(e) => setClearAfter(Number(e.target.value))}
+                    >
+                        {CLEAR_AFTER_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <div className="status-actions">
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => save({ status: 'available', statusText: null, statusExpiresAt: null })}
+                            disabled={isSaving}
+                        >
+                            Clear
+                        </button>
+                        <button
+                            className="btn btn-primary"
+                            onClick={() => save({ status, statusText: statusText.trim() || null, statusExpiresAt: getExpiry(clearAfter) })}
+                            disabled={isSaving}
+                        >
+                            Save
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
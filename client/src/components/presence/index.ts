@@ -0,0 +1 @@
+export { PresenceDot, StatusPicker } from './Presence';
@@ -0,0 +1,186 @@
+import { createElement, useEffect, useState } from 'react';
+import { Activity, CheckCircle2, FileText, Flag, FolderKanban, MessageSquare, Users } from 'lucide-react';
+import type { LucideIcon } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { Avatar } from '../ui';
+import { useApp } from '../../context/AppContext';
+import { projectsAPI } from '../../services/api';
+import { socketService } from '../../services/socket';
+import type { ActivityType, ProjectActivity } from '../../types';
+import './ActivityFeed.css';
+
+const PAGE_SIZE = 30;
+
+// Filter buttons, each standing for a group of event types
+const FILTERS: { key: string; label: string; icon: LucideIcon; types: ActivityType[] }[] = [
+    {
+        key: 'tasks',
+        label: 'Tasks',
+        icon: CheckCircle2,
+        types: ['task_created', 'task_assigned', 'task_completed', 'task_updated', 'task_deleted']
+    },
+    { key: 'messages', label: 'Messages', icon: MessageSquare, types: ['message_posted'] },
+    { key: 'files', label: 'Files', icon: FileText, types: ['file_uploaded', 'file_deleted'] },
+    { key: 'members', label: 'Members', icon: Users, types: ['member_added', 'member_role_changed', 'member_removed'] },
+    {
+        key: 'milestones',
+        label: 'Milestones',
+        icon: Flag,
+        types: ['milestone_created', 'milestone_updated', 'milestone_completed', 'milestone_deleted']
+    },
+    {
+        key: 'project',
+        label: 'Project',
+        icon: FolderKanban,
+        types: ['project_created', 'project_updated', 'project_archived', 'project_restored']
+    }
+];
+
+const iconOf = (type: ActivityType) => FILTERS.find(f => f.types.includes(type))?.icon || Activity;
+const typesOf = (filterKey: string | null) => FILTERS.find(f => f.key === filterKey)?.types;
+
+interface ActivityFeedProps {
+    projectId: string;
+}
+
+// Everything that happened in a project, newest first, with new events arriving live
+export function ActivityFeed({ projectId }: ActivityFeedProps) {
+    const { users } = useApp();
+    const [events, setEvents] = useState<ProjectActivity[]>([]);
+    const [nextCursor, setNextCursor] = useState<string | null>(null);
+    const [filterKey, setFilterKey] = useState<string | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        // A slow response for a filter no longer selected is dropped
+        let current = true;
+        projectsAPI.getActivity(projectId, { types: typesOf(filterKey), limit: PAGE_SIZE })
+            .then(response => {
+                if (!current) return;
+                setEvents(response.data);
+                setNextCursor(response.nextCursor);
+                setError('');
+            })
+            .catch(err => current && setError(err instanceof Error ? err.message : 'Failed to load activity'))
+            .finally(() => current && setIsLoading(false));
+        return () => { current = false; };
+    }, [projectId, filterKey]);
+
+    useEffect(() => {
+        const types = typesOf(filterKey);
+        return socketService.on('project_activity', (event: ProjectActivity) => {
+            if (event.projectId !== projectId || (types && !types.includes(event.type))) return;
+            setEvents(prev => prev.some(e => e.id === event.id) ? prev : [event, ...prev]);
+        });
+    }, [projectId, filterKey]);
+
+    const changeFilter = (key: string | null) => {
+        if (key === filterKey) return;
+        setIsLoading(true);
+        setFilterKey(key);
+    };
+
+    const loadMore = () => {
+        if (!nextCursor) return;
+        setIsLoading(true);
+        projectsAPI.getActivity(projectId, { types: typesOf(filterKey), before: nextCursor, limit: PAGE_SIZE })
+            .then(response => {
+                setEvents(prev => [...prev, ...response.data.filter(e => !prev.some(p => p.id === e.id))]);
+                setNextCursor(response.nextCursor);
+            })
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load activity'))
+            .finally(() => setIsLoading(false));
+    };
+
+    const userName = (id?: string) => users.find(u => u.id === id)?.name || 'someone';
+
+    const describe = (event: ProjectActivity): string => {
+        const { subject } = event;
+        switch (event.type) {
+            case 'task_created': return `created the task "${subject.title}"`;
+            case 'task_assigned': return `assigned "${subject.title}" to ${subject.assignee?.name || 'someone'}`;
+            case 'task_completed': return `completed "${subject.title}"`;
+            case 'task_updated': return `updated "${subject.title}"`;
+            case 'task_deleted': return `deleted the task "${subject.title}"`;
+            case 'message_posted': return `posted in chat: "${subject.excerpt}"`;
+            case 'file_uploaded': return `uploaded ${subject.name}`;
+            case 'file_deleted': return `deleted ${subject.name}`;
+            case 'member_added': return `added ${userName(subject.userId)} as ${subject.role}`;
+            case 'member_role_changed':
+                return `changed ${userName(subject.userId)}'s role from ${subject.previousRole} to ${subject.role}`;
+            case 'member_removed':
+                return subject.userId === event.actor?.id ? 'left the project' : `removed ${userName(subject.userId)}`;
+            case 'milestone_created': return `created the milestone "${subject.title}"`;
+            case 'milestone_updated': return `updated the milestone "${subject.title}"`;
+            case 'milestone_completed': return `completed the milestone "${subject.title}"`;
+            case 'milestone_deleted': return `deleted the milestone "${subject.title}"`;
+            case 'project_created': return 'created the project';
+            case 'project_updated': return 'updated the project';
+            case 'project_archived': return 'archived the project';
+            case 'project_restored': return 'restored the project';
+        }
+    };
+
+    return (
+        <div className="activity-feed">
+            <div className="activity-filters">
+                <button
+                    className={`activity-filter ${filterKey === null ? 'active' : ''}`}
+                    onClick={() => changeFilter(null)}
+                >
+                    All
+                </button>
+                {FILTERS.map(filter => (
+                    <button
+                        key={filter.key}
+                        className={`activity-filter ${filterKey === filter.key ? 'active' : ''}`}
+                        onClick={() => changeFilter(filter.key)}
+                    >
+                        {filter.label}
+                    </button>
+                ))}
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {!isLoading && events.length === 0 ? (
+                <div className="activity-empty card">
+                    <Activity size={48} className="text-muted" />
+                    <h3>No activity yet</h3>
+                    <p>Changes to tasks, files, members and chat in this project will show up here.</p>
+                </div>
+            ) : (
+                <ul className="activity-list card">
+                    {events.map(event => (
+                        <li key={event.id} className="activity-item">
+                            <div className="activity-icon">
+                                {createElement(iconOf(event.type), { size: 16 })}
+                            </div>
+                            <Avatar
+                                name={event.actor?.name || 'System'}
+                                avatar={event.actor?.avatar}
+                                avatarSizes={event.actor?.avatarSizes}
+                                className="avatar avatar-sm"
+                            />
+                            <div className="activity-text">
+                                <span>
+                                    <strong>{event.actor?.name || 'System'}</strong> {describe(event)}
+                                </span>
+                                <span className="activity-time" title={new Date(event.createdAt).toLocaleString()}>
+                                    {formatDistanceToNow(new Date(event.createdAt), { addSuffix: true })}
+                                </span>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {nextCursor && (
+                <button className="btn btn-secondary activity-more" onClick={loadMore} disabled={isLoading}>
+                    {isLoading ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+        </div>
+    );
+}
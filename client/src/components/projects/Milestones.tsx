@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { AlertTriangle, CheckCircle2, Edit2, Flag, Trash2, X } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import type { CreateMilestoneForm, Milestone, MilestoneStatus } from '../../types';
+import './Milestones.css';
+
+const STATUS_LABELS: Record<MilestoneStatus, string> = {
+    planned: 'Planned',
+    in_progress: 'In Progress',
+    completed: 'Completed'
+};
+
+interface MilestoneListProps {
+    milestones: Milestone[];
+    canManage: boolean;
+    canDelete: (milestone: Milestone) => boolean;
+    onEdit: (milestone: Milestone) => void;
+    onDelete: (milestone: Milestone) => void;
+}
+
+// Milestones of a project with their progress, soonest first
+export function MilestoneList({ milestones, canManage, canDelete, onEdit, onDelete }: MilestoneListProps) {
+    if (milestones.length === 0) {
+        return (
+            <div className="milestones-empty card">
+                <Flag size={48} className="text-muted" />
+                <h3>No milestones yet</h3>
+                <p>Group tasks into deliverables with a target date to track their progress.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="milestone-list">
+            {milestones.map(milestone => (
+                <div key={milestone.id} className={`milestone-card card ${milestone.atRisk ? 'at-risk' : ''}`}>
+                    <div className="milestone-card-header">
+                        <div className="milestone-title">
+                            {milestone.status === 'completed'
+                                ? <CheckCircle2 size={18} className="milestone-icon completed" />
+                                : <Flag size={18} className="milestone-icon" />}
+                            <h4>{milestone.title}</h4>
+                            <span className={`milestone-status ${milestone.status}`}>{STATUS_LABELS[milestone.status]}</span>
+                            {milestone.atRisk && (
+                                <span className="milestone-risk" title={`${milestone.overdueCount} overdue`}>
+                                    <AlertTriangle size={14} />
+                                    At risk
+                                </span>
+                            )}
+                        </div>
+                        {canManage && (
+                            <div className="milestone-actions">
+                                <button className="action-btn" title="Edit" onClick={() => onEdit(milestone)}>
+                                    <Edit2 size={16} />
+                                </button>
+                                {canDelete(milestone) && (
+                                    <button className="action-btn danger" title="Delete" onClick={() => onDelete(milestone)}>
+                                        <Trash2 size={16} />
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {milestone.description && <p className="milestone-description">{milestone.description}</p>}
+
+                    <div className="milestone-progress">
+                        <div className="milestone-progress-bar" style={{ width: `${milestone.percentComplete}%` }} />
+                    </div>
+                    <div className="milestone-meta">
+                        <span>{milestone.percentComplete}% · {milestone.completedCount}/{milestone.taskCount} tasks done</span>
+                        <span>Target {format(parseISO(milestone.targetDate), 'MMM d, yyyy')}</span>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+interface MilestoneFormModalProps {
+    milestone: Milestone | null;
+    onClose: () => void;
+    onSave: (data: CreateMilestoneForm) => Promise<void>;
+}
+
+export function MilestoneFormModal({ milestone, onClose, onSave }: MilestoneFormModalProps) {
+    const [form, setForm] = useState<CreateMilestoneForm>({
+        title: milestone?.title || '',
+        description: milestone?.description || '',
+        targetDate: milestone?.targetDate || '',
+        status: milestone?.status || 'planned'
+    });
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        try {
+            await onSave(form);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to save milestone');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>{milestone ? 'Edit Milestone' : 'New Milestone'}</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="modal-form">
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <div className="form-group">
+                        <label className="form-label">Title *</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="e.g. Beta release"
+                            value={form.title}
+                            maxLength={200}
+                            onChange={e => setForm({ ...form, title: e.target.value })}
+                            required
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Description</label>
+                        <textarea
+                            className="form-input"
+                            value={form.description}
+                            onChange={e => setForm({ ...form, description: e.target.value })}
+                        />
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label className="form-label">Target Date *</label>
+                            <input
+                                type="date"
+                                className="form-input"
+                                value={form.targetDate}
+                                onChange={e => setForm({ ...form, targetDate: e.target.value })}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Status</label>
+                            <select
+                                className="form-input"
+                                value={form.status}
+                                onChange={e => setForm({ ...form, status: e.target.value as MilestoneStatus })}
+                            >
+                                {(Object.keys(STATUS_LABELS) as MilestoneStatus[]).map(status => (
+                                    <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                            {milestone ? 'Save Changes' : 'Create Milestone'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
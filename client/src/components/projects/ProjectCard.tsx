@@ -1,31 +1,39 @@
 import { Link } from 'react-router-dom';
 import type { Project } from '../../types';
+import { useApp } from '../../context/AppContext';
+import { CategoryBadge, categoryStyle } from '../ui';
+import { ProjectCardMenu } from './ProjectCardMenu';
 import './ProjectCard.css';
 
 interface ProjectCardProps {
     project: Project;
     showActions?: boolean;
     onEdit?: (project: Project) => void;
+    onDuplicate?: (project: Project) => void;
+    onArchive?: (project: Project) => void;
+    onRestore?: (project: Project) => void;
     onDelete?: (project: Project) => void;
 }
 
-const categoryBadgeClasses: Record<string, string> = {
-    tech: 'badge-tech',
-    marketing: 'badge-marketing',
-    ops: 'badge-ops',
-    personal: 'badge-personal'
-};
-
-export function ProjectCard({ project, showActions, onEdit, onDelete }: ProjectCardProps) {
-    const badgeClass = categoryBadgeClasses[project.category] || 'badge-tech';
+export function ProjectCard({ project, showActions, onEdit, onDuplicate, onArchive, onRestore, onDelete }: ProjectCardProps) {
+    const { getCategory } = useApp();
+    const category = getCategory(project.category);
 
     return (
-        <div className={`project-card card category-${project.category}`}>
+        <div className="project-card card" style={categoryStyle(category)}>
             <Link to={`/projects/${project.id}`} className="project-card-link">
                 <div className="project-card-header">
-                    <span className={`badge ${badgeClass}`}>
-                        {project.category}
-                    </span>
+                    <CategoryBadge category={category} />
+                    {showActions && (onEdit || onDuplicate || onArchive || onRestore || onDelete) && (
+                        <ProjectCardMenu
+                            project={project}
+                            onEdit={onEdit}
+                            onDuplicate={onDuplicate}
+                            onArchive={onArchive}
+                            onRestore={onRestore}
+                            onDelete={onDelete}
+                        />
+                    )}
                 </div>
                 <h3 className="project-name">{project.name}</h3>
                 <p className="project-description">{project.description}</p>
@@ -34,26 +42,6 @@ export function ProjectCard({ project, showActions, onEdit, onDelete }: ProjectC
                     <span>{project.memberCount || 0} members</span>
                 </div>
             </Link>
-            {showActions && (onEdit || onDelete) && (
-                <div className="project-card-actions">
-                    {onEdit && (
-                        <button
-                            className="btn btn-ghost btn-sm"
-                            onClick={(e) => { e.preventDefault(); onEdit(project); }}
-                        >
-                            Edit
-                        </button>
-                    )}
-                    {onDelete && (
-                        <button
-                            className="btn btn-ghost btn-sm text-danger"
-                            onClick={(e) => { e.preventDefault(); onDelete(project); }}
-                        >
-                            Delete
-                        </button>
-                    )}
-                </div>
-            )}
         </div>
     );
 }
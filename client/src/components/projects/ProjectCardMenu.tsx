@@ -0,0 +1,77 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { MoreVertical, Edit2, Copy, Archive, ArchiveRestore, Trash2 } from 'lucide-react';
+import type { Project } from '../../types';
+import './ProjectCardMenu.css';
+
+interface ProjectCardMenuProps {
+    project: Project;
+    onEdit?: (project: Project) => void;
+    onDuplicate?: (project: Project) => void;
+    onArchive?: (project: Project) => void;
+    onRestore?: (project: Project) => void;
+    onDelete?: (project: Project) => void;
+}
+
+// Actions for a project card; safe to render inside the card's link
+export function ProjectCardMenu({ project, onEdit, onDuplicate, onArchive, onRestore, onDelete }: ProjectCardMenuProps) {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef<HTMLDivElement>(null);
+
+    useEffect(() => {
+        function handleClickOutside(event: MouseEvent) {
+            if (menuRef.current && !menuRef.current.contains(event.target as Node)) {
+                setIsOpen(false);
+            }
+        }
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const choose = (e: React.MouseEvent, action?: (project: Project) => void) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setIsOpen(false);
+        action?.(project);
+    };
+
+    return (
+        <div className="project-card-menu" ref={menuRef}>
+            <button
+                className="project-card-menu-btn"
+                title="Project actions"
+                onClick={(e) => { e.preventDefault(); e.stopPropagation(); setIsOpen(!isOpen); }}
+            >
+                <MoreVertical size={14} />
+            </button>
+            {isOpen && (
+                <div className="action-menu">
+                    {onEdit && (
+                        <button onClick={(e) => choose(e, onEdit)}>
+                            <Edit2 size={14} /> Edit
+                        </button>
+                    )}
+                    {onDuplicate && (
+                        <button onClick={(e) => choose(e, onDuplicate)}>
+                            <Copy size={14} /> Duplicate
+                        </button>
+                    )}
+                    {onArchive && (
+                        <button onClick={(e) => choose(e, onArchive)}>
+                            <Archive size={14} /> Archive
+                        </button>
+                    )}
+                    {onRestore && (
+                        <button onClick={(e) => choose(e, onRestore)}>
+                            <ArchiveRestore size={14} /> Restore
+                        </button>
+                    )}
+                    {onDelete && (
+                        <button className="danger" onClick={(e) => choose(e, onDelete)}>
+                            <Trash2 size={14} /> Delete
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { Crown, LogOut, UserMinus, X } from 'lucide-react';
+import { Avatar } from '../ui';
+import type { ProjectMember, ProjectRole, User } from '../../types';
+import './ProjectMembers.css';
+
+const ROLE_LABELS: Record<ProjectRole, string> = {
+    owner: 'Owner',
+    member: 'Member',
+    guest: 'Guest'
+};
+
+interface MemberListProps {
+    members: ProjectMember[];
+    currentUserId?: string;
+    canManage: boolean;
+    onChangeRole: (member: ProjectMember, role: ProjectRole) => void;
+    onRemove: (member: ProjectMember) => void;
+    onLeave: () => void;
+}
+
+// Members of a project with their roles; owners change roles and remove people
+export function MemberList({ members, currentUserId, canManage, onChangeRole, onRemove, onLeave }: MemberListProps) {
+    // The last owner can't be demoted or removed; they transfer ownership first
+    const ownerCount = members.filter(m => m.role === 'owner').length;
+    const isLastOwner = (member: ProjectMember) => member.role === 'owner' && ownerCount <= 1;
+    // Guest accounts only ever have the guest role
+    const isGuestAccount = (member: ProjectMember) => member.user?.role === 'guest';
+
+    return (
+        <div className="member-list card">
+            {members.map(member => member.user && (
+                <div key={member.user.id} className="member-row">
+                    <div className="member-info">
+                        <Avatar
+                            name={member.user.name}
+                            avatar={member.user.avatar}
+                            avatarSizes={member.user.avatarSizes}
+                            className="avatar avatar-sm"
+                        />
+                        <div className="member-name">
+                            <span>
+                                {member.user.name}
+                                {member.user.id === currentUserId && <span className="text-muted"> (you)</span>}
+                            </span>
+                            <span className="member-email">{member.user.email}</span>
+                        </div>
+                    </div>
+
+                    <div className="member-actions">
+                        {canManage ? (
+                            <select
+                                className="form-input member-role-select"
+                                value={member.role}
+                                disabled={isLastOwner(member) || isGuestAccount(member)}
+                                title={isLastOwner(member)
+                                    ? 'A project needs at least one owner'
+                                    : isGuestAccount(member) ? 'Guest accounts can only be guests' : undefined}
+                                onChange={e => onChangeRole(member, e.target.value as ProjectRole)}
+                            >
+                                {(Object.keys(ROLE_LABELS) as ProjectRole[]).map(role => (
+                                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <span className={`member-role ${member.role}`}>
+                                {member.role === 'owner' && <Crown size={12} />}
+                                {ROLE_LABELS[member.role]}
+                            </span>
+                        )}
+
+                        {member.user.id === currentUserId ? (
+                            <button
+                                className="action-btn danger"
+                                title={isLastOwner(member) ? 'Transfer ownership before leaving' : 'Leave project'}
+                                disabled={isLastOwner(member)}
+                                onClick={onLeave}
+                            >
+                                <LogOut size={16} />
+                            </button>
+                        ) : canManage && (
+                            <button
+                                className="action-btn danger"
+                                title={isLastOwner(member) ? 'A project needs at least one owner' : 'Remove from project'}
+                                disabled={isLastOwner(member)}
+                                onClick={() => onRemove(member)}
+                            >
+                                <UserMinus size={16} />
+                            </button>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+interface TransferOwnershipModalProps {
+    members: ProjectMember[];
+    users: User[];
+    currentUserId?: string;
+    onClose: () => void;
+    onTransfer: (userId: string, keepOwnership: boolean) => Promise<void>;
+}
+
+export function TransferOwnershipModal({ members, users, currentUserId, onClose, onTransfer }: TransferOwnershipModalProps) {
+    const [userId, setUserId] = useState('');
+    const [keepOwnership, setKeepOwnership] = useState(false);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Viewers are read-only and guests stay guests, so neither can own projects;
+    // people outside the project are added to it
+    const roleOf = (id: string) => members.find(m => m.user?.id === id)?.role;
+    const candidates = users.filter(u =>
+        u.id !== currentUserId && u.role !== 'viewer' && u.role !== 'guest' && roleOf(u.id) !== 'owner'
+    );
+    const inProject = candidates.filter(u => roleOf(u.id));
+    const others = candidates.filter(u => !roleOf(u.id));
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!userId) return;
+
+        setIsSaving(true);
+        setError('');
+        try {
+            await onTransfer(userId, keepOwnership);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to transfer ownership');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Transfer Ownership</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="modal-form">
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <div className="form-group">
+                        <label className="form-label">New Owner *</label>
+                        <select
+                            className="form-input"
+                            value={userId}
+                            onChange={e => setUserId(e.target.value)}
+                            required
+                        >
+                            <option value="">Choose a person</option>
+                            {inProject.length > 0 && (
+                                <optgroup label="Project members">
+                                    {inProject.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                                </optgroup>
+                            )}
+                            {others.length > 0 && (
+                                <optgroup label="Not in this project yet">
+                                    {others.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                                </optgroup>
+                            )}
+                        </select>
+                    </div>
+
+                    <label className="checkbox-row">
+                        <input
+                            type="checkbox"
+                            checked={keepOwnership}
+                            onChange={e => setKeepOwnership(e.target.checked)}
+                        />
+                        Stay an owner as well
+                    </label>
+                    <span className="form-hint">
+                        {keepOwnership
+                            ? 'You will both be owners of this project.'
+                            : 'You will remain in the project as a member.'}
+                    </span>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={!userId || isSaving}>
+                            Transfer Ownership
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
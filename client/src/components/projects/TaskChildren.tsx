@@ -0,0 +1,248 @@
+import { useState } from 'react';
+import { ListChecks, Plus, Trash2, X } from 'lucide-react';
+import { format } from 'date-fns';
+import { useApp } from '../../context/AppContext';
+import type { Task, TaskChildrenChoice, TaskChildrenPending, TaskStatus, User } from '../../types';
+import './TaskChildren.css';
+
+// The API sends the assignee as a user; tasks created here may still hold just the ID
+const assigneeIdOf = (task: Task) =>
+    (typeof task.assignedTo === 'object' ? task.assignedTo?.id : task.assignedTo) || '';
+
+interface TaskChildrenProps {
+    task: Task;
+    users: User[];
+    readOnly: boolean;
+    canDelete: boolean;
+    onToggleStatus: (task: Task) => void;
+    getStatusIcon: (status: TaskStatus) => React.ReactNode;
+}
+
+// Subtasks and checklist of a task, edited in place in the task modal. Nothing
+// here is a <form>: it sits inside the modal's own form.
+export function TaskChildren({ task, users, readOnly, canDelete, onToggleStatus, getStatusIcon }: TaskChildrenProps) {
+    const {
+        tasks, addSubtask, updateTask, deleteTask,
+        addChecklistItem, updateChecklistItem, deleteChecklistItem, getTaskProgress
+    } = useApp();
+    const [subtaskTitle, setSubtaskTitle] = useState('');
+    const [itemText, setItemText] = useState('');
+    const [error, setError] = useState('');
+
+    const subtasks = tasks.filter(t => t.parentId === task.id);
+    const checklist = task.checklist || [];
+    const progress = getTaskProgress(task);
+
+    const run = (action: Promise<void>, fallback: string) => {
+        setError('');
+        action.catch(err => setError(err instanceof Error ? err.message : fallback));
+    };
+
+    const submitSubtask = () => {
+        const title = subtaskTitle.trim();
+        if (!title) return;
+        setSubtaskTitle('');
+        run(addSubtask(task.id, { title, description: '' }), 'Failed to add subtask');
+    };
+
+    const submitItem = () => {
+        const text = itemText.trim();
+        if (!text) return;
+        setItemText('');
+        run(addChecklistItem(task.id, text), 'Failed to add checklist item');
+    };
+
+    // Enter adds the item instead of submitting the task form around it
+    const onEnter = (submit: () => void) => (e: React.KeyboardEvent) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        submit();
+    };
+
+    return (
+        <div className="task-children">
+            <div className="task-children-header">
+                <h3>Subtasks and checklist</h3>
+                {progress.total > 0 && (
+                    <span className="task-children-progress">{progress.done}/{progress.total} done</span>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <ul className="subtask-list">
+                {subtasks.map(subtask => (
+                    <li key={subtask.id} className={`subtask-row ${subtask.status}`}>
+                        <button
+                            type="button"
+                            className="status-toggle"
+                            title="Change status"
+                            onClick={() => onToggleStatus(subtask)}
+                            disabled={readOnly}
+                        >
+                            {getStatusIcon(subtask.status)}
+                        </button>
+                        <span className="subtask-title">{subtask.title}</span>
+                        <select
+                            className="form-input subtask-assignee"
+                            value={assigneeIdOf(subtask)}
+                            onChange={e => run(updateTask(subtask.id, { assignedTo: e.target.value || null }), 'Failed to assign subtask')}
+                            disabled={readOnly}
+                        >
+                            <option value="">Unassigned</option>
+                            {users.map(u => (
+                                <option key={u.id} value={u.id}>{u.name}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="date"
+                            className="form-input subtask-due"
+                            value={subtask.dueDate ? format(new Date(subtask.dueDate), 'yyyy-MM-dd') : ''}
+                            onChange={e => run(updateTask(subtask.id, { dueDate: e.target.value }), 'Failed to change due date')}
+                            disabled={readOnly}
+                        />
+                        {canDelete && !readOnly && (
+                            <button
+                                type="button"
+                                className="action-btn danger"
+                                title="Delete subtask"
+                                onClick={() => run(deleteTask(subtask.id), 'Failed to delete subtask')}
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {!readOnly && (
+                <div className="task-children-add">
+                    <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Add a subtask"
+                        value={subtaskTitle}
+                        onChange={e => setSubtaskTitle(e.target.value)}
+                        onKeyDown={onEnter(submitSubtask)}
+                    />
+                    <button type="button" className="btn btn-secondary" onClick={submitSubtask} disabled={!subtaskTitle.trim()}>
+                        <Plus size={16} />
+                    </button>
+                </div>
+            )}
+
+            <ul className="checklist">
+                {checklist.map(item => (
+                    <li key={item.id} className={`checklist-item ${item.isDone ? 'done' : ''}`}>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={item.isDone}
+                                onChange={e => run(updateChecklistItem(task.id, item.id, { isDone: e.target.checked }), 'Failed to update checklist')}
+                                disabled={readOnly}
+                            />
+                            <span>{item.text}</span>
+                        </label>
+                        {!readOnly && (
+                            <button
+                                type="button"
+                                className="action-btn"
+                                title="Remove item"
+                                onClick={() => run(deleteChecklistItem(task.id, item.id), 'Failed to remove checklist item')}
+                            >
+                                <X size={14} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {!readOnly && (
+                <div className="task-children-add">
+                    <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Add a checklist item"
+                        value={itemText}
+                        maxLength={500}
+                        onChange={e => setItemText(e.target.value)}
+                        onKeyDown={onEnter(submitItem)}
+                    />
+                    <button type="button" className="btn btn-secondary" onClick={submitItem} disabled={!itemText.trim()}>
+                        <ListChecks size={16} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+interface TaskChildrenPromptProps {
+    task: Task;
+    pending: TaskChildrenPending;
+    onChoose: (children: TaskChildrenChoice) => Promise<void>;
+    onCancel: () => void;
+}
+
+// Asked when completing a task with open children, or reopening one with finished children
+export function TaskChildrenPrompt({ task, pending, onChoose, onCancel }: TaskChildrenPromptProps) {
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const completing = pending.action === 'complete';
+
+    const choose = async (children: TaskChildrenChoice) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await onChoose(children);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to update task');
+            setIsSaving(false);
+        }
+    };
+
+    const parts = [
+        pending.subtasks.length > 0 && `${pending.subtasks.length} ${completing ? 'open' : 'finished'} subtask${pending.subtasks.length === 1 ? '' : 's'}`,
+        pending.checklistItems > 0 && `${pending.checklistItems} ${completing ? 'unchecked' : 'checked'} checklist item${pending.checklistItems === 1 ? '' : 's'}`
+    ].filter(Boolean);
+
+    return (
+        <div className="modal-overlay" onClick={onCancel}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>{completing ? 'Complete Task' : 'Reopen Task'}</h2>
+                    <button className="modal-close" onClick={onCancel}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-form">
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <p>
+                        <strong>{task.title}</strong> has {parts.join(' and ')}.
+                        {completing ? ' Complete them as well?' : ' Reopen them as well?'}
+                    </p>
+
+                    {pending.subtasks.length > 0 && (
+                        <ul className="task-children-pending">
+                            {pending.subtasks.map(subtask => <li key={subtask.id}>{subtask.title}</li>)}
+                        </ul>
+                    )}
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={isSaving}>
+                            Cancel
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={() => choose('keep')} disabled={isSaving}>
+                            {completing ? 'Leave them open' : 'Leave them done'}
+                        </button>
+                        <button type="button" className="btn btn-primary" onClick={() => choose('cascade')} disabled={isSaving}>
+                            {completing ? 'Complete them too' : 'Reopen them too'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
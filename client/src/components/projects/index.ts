@@ -1,2 +1,7 @@
 export { ProjectCard } from './ProjectCard';
 export { TaskItem } from './TaskItem';
+export { ProjectCardMenu } from './ProjectCardMenu';
+export { MilestoneList, MilestoneFormModal } from './Milestones';
+export { MemberList, TransferOwnershipModal } from './ProjectMembers';
+export { ActivityFeed } from './ActivityFeed';
+export { TaskChildren, TaskChildrenPrompt } from './TaskChildren';
@@ -0,0 +1,284 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Check, Copy, Plus, Trash2, X } from 'lucide-react';
+import { apiTokensAPI } from '../../services/api';
+import type { ApiToken } from '../../types';
+
+// API Tokens Component
+export function ApiTokenSettings() {
+    const [{ tokens, scopes }, setTokenList] = useState<{ tokens: ApiToken[]; scopes: string[] }>({ tokens: [], scopes: [] });
+    const [showCreateModal, setShowCreateModal] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadTokens = useCallback(() => {
+        return apiTokensAPI.getAll()
+            .then(response => setTokenList({ tokens: response.data, scopes: response.scopes }))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load API tokens'));
+    }, []);
+
+    useEffect(() => {
+        loadTokens();
+    }, [loadTokens]);
+
+    const handleRevoke = async (token: ApiToken) => {
+        if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) return;
+        try {
+            await apiTokensAPI.revoke(token.id);
+            await loadTokens();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to revoke API token');
+        }
+    };
+
+    return (
+        <div className="user-management">
+            <div className="management-header">
+                <div>
+                    <h2>API Tokens</h2>
+                    <p className="section-description">
+                        Personal access tokens let scripts call the API as you. Send them as <code>Authorization: Bearer &lt;token&gt;</code>.
+                    </p>
+                </div>
+                <div className="management-actions">
+                    <button className="btn btn-primary" onClick={() => setShowCreateModal(true)}>
+                        <Plus size={18} />
+                        New Token
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">
+                    <AlertCircle size={16} />
+                    {error}
+                </div>
+            )}
+
+            {tokens.length === 0 ? (
+                <p className="section-description">You have no API tokens.</p>
+            ) : (
+                <div className="users-table-container">
+                    <table className="users-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Token</th>
+                                <th>Scopes</th>
+                                <th>Expires</th>
+                                <th>Last Used</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {tokens.map(token => (
+                                <tr key={token.id}>
+                                    <td className="user-name">{token.name}</td>
+                                    <td><code>{token.tokenPrefix}…</code></td>
+                                    <td>
+                                        <div className="scope-tags">
+                                            {token.scopes.map(scope => (
+                                                <span key={scope} className="scope-tag">{scope}</span>
+                                            ))}
+                                        </div>
+                                    </td>
+                                    <td className="text-muted">
+                                        {token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : 'Never'}
+                                    </td>
+                                    <td className="text-muted">
+                                        {token.lastUsedAt
+                                            ? `${new Date(token.lastUsedAt).toLocaleString()}${token.lastUsedIp ? ` · ${token.lastUsedIp}` : ''}`
+                                            : 'Never'}
+                                    </td>
+                                    <td>
+                                        <div className="table-actions">
+                                            <button
+                                                className="action-btn danger"
+                                                title="Revoke"
+                                                onClick={() => handleRevoke(token)}
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showCreateModal && (
+                <CreateApiTokenModal
+                    scopes={scopes}
+                    onClose={() => setShowCreateModal(false)}
+                    onCreated={loadTokens}
+                />
+            )}
+        </div>
+    );
+}
+
+interface CreateApiTokenModalProps {
+    scopes: string[];
+    onClose: () => void;
+    onCreated: () => void;
+}
+
+function CreateApiTokenModal({ scopes, onClose, onCreated }: CreateApiTokenModalProps) {
+    const [name, setName] = useState('');
+    const [selectedScopes, setSelectedScopes] = useState<string[]>([]);
+    const [expiresInDays, setExpiresInDays] = useState('90');
+    const [createdToken, setCreatedToken] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    // "tasks:read" / "tasks:write" → one row per resource
+    const resources = [...new Set(scopes.map(scope => scope.split(':')[0]))];
+
+    const toggleScope = (scope: string) => {
+        setSelectedScopes(prev =>
+            prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]
+        );
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+
+        if (!name.trim()) {
+            setError('Please give the token a name');
+            return;
+        }
+
+        if (selectedScopes.length === 0) {
+            setError('Select at least one scope');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await apiTokensAPI.create({
+                name: name.trim(),
+                scopes: selectedScopes,
+                expiresInDays: expiresInDays ? Number(expiresInDays) : null
+            });
+            setCreatedToken(response.data.token);
+            onCreated();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to create API token');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        await navigator.clipboard.writeText(createdToken);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>New API Token</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {createdToken ? (
+                    <>
+                        <div className="modal-body">
+                            <p className="section-description">
+                                Copy your token now. For your security it won't be shown again.
+                            </p>
+                            <div className="invite-link">
+                                <input type="text" className="form-input" value={createdToken} readOnly />
+                                <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+                                    {copied ? <Check size={16} /> : <Copy size={16} />}
+                                    {copied ? 'Copied' : 'Copy'}
+                                </button>
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-primary" onClick={onClose}>
+                                Done
+                            </button>
+                        </div>
+                    </>
+                ) : (
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            {error && (
+                                <div className="alert alert-error">
+                                    <AlertCircle size={16} />
+                                    {error}
+                                </div>
+                            )}
+
+                            <div className="form-group">
+                                <label className="form-label">Name</label>
+                                <input
+                                    type="text"
+                                    className="form-input"
+                                    value={name}
+                                    onChange={(e) => setName(e.target.value)}
+                                    placeholder="e.g. Ops task importer"
+                                    maxLength={100}
+                                    required
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Scopes</label>
+                                <div className="project-checklist scope-checklist">
+                                    {resources.map(resource => (
+                                        <div key={resource} className="scope-row">
+                                            <span className="scope-resource">{resource}</span>
+                                            {['read', 'write'].map(level => (
+                                                <label key={level} className="checkbox-row">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={selectedScopes.includes(`${resource}:${level}`)}
+                                                        onChange={() => toggleScope(`${resource}:${level}`)}
+                                                    />
+                                                    {level}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    ))}
+                                </div>
+                                <p className="form-hint">Write access includes read access.</p>
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Expiration</label>
+                                <select
+                                    className="form-input"
+                                    value={expiresInDays}
+                                    onChange={(e) => setExpiresInDays(e.target.value)}
+                                >
+                                    <option value="7">7 days</option>
+                                    <option value="30">30 days</option>
+                                    <option value="90">90 days</option>
+                                    <option value="365">1 year</option>
+                                    <option value="">Never</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isLoading}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                                {isLoading ? 'Creating...' : 'Create Token'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
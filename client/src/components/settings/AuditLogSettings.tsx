@@ -0,0 +1,278 @@
+import { useEffect, useState } from 'react';
+import { AlertCircle, ChevronLeft, ChevronRight, Eye, X } from 'lucide-react';
+import { auditAPI } from '../../services/api';
+import type { AuditEntry, AuditFilters } from '../../types';
+
+// Audit Log (admin)
+const AUDIT_ENTITY_LABELS: Record<string, string> = {
+    project: 'Project',
+    project_member: 'Project member',
+    task: 'Task',
+    message: 'Message',
+    file: 'File',
+    user: 'User',
+    notification: 'Notification',
+    session: 'Session',
+    project_template: 'Project template',
+    project_category: 'Project category',
+    milestone: 'Milestone',
+    checklist_item: 'Checklist item',
+    invitation: 'Invitation',
+    api_token: 'API token'
+};
+
+// Fields that change on every write and only add noise to a diff
+const AUDIT_IGNORED_FIELDS = ['updatedAt'];
+
+function getChangedFields(entry: AuditEntry): string[] {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...keys].filter(key =>
+        !AUDIT_IGNORED_FIELDS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+    );
+}
+
+function formatAuditValue(value: unknown): string {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value);
+}
+
+// Date inputs give local calendar days; the API filters on timestamps
+const startOfDay = (date: string) => (date ? new Date(`${date}T00:00:00`).toISOString() : undefined);
+const endOfDay = (date: string) => (date ? new Date(`${date}T23:59:59.999`).toISOString() : undefined);
+
+export function AuditLogSettings({ users }: { users: { id: string; name: string }[] }) {
+    const [filters, setFilters] = useState({ actorId: '', action: '', entityType: '', from: '', to: '' });
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState<{ entries: AuditEntry[]; total: number; pages: number }>({ entries: [], total: 0, pages: 0 });
+    const [selectedEntry, setSelectedEntry] = useState<AuditEntry | null>(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const query: AuditFilters = {
+            actorId: filters.actorId || undefined,
+            action: filters.action as AuditFilters['action'],
+            entityType: filters.entityType || undefined,
+            from: startOfDay(filters.from),
+            to: endOfDay(filters.to),
+            page
+        };
+
+        auditAPI.getEntries(query)
+            .then(response => {
+                setResult({ entries: response.data, total: response.total, pages: response.pages });
+                setError('');
+            })
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load the audit log'));
+    }, [filters, page]);
+
+    const updateFilter = (key: keyof typeof filters, value: string) => {
+        setFilters(current => ({ ...current, [key]: value }));
+        setPage(1);
+    };
+
+    return (
+        <div className="user-management">
+            <div className="management-header">
+                <div>
+                    <h2>Audit Log</h2>
+                    <p className="section-description">
+                        Every change made through the API: who made it, when, from where, and what changed.
+                    </p>
+                </div>
+            </div>
+
+            <div className="audit-filters">
+                <select
+                    className="form-input"
+                    value={filters.actorId}
+                    onChange={(e) => updateFilter('actorId', e.target.value)}
+                >
+                    <option value="">All users</option>
+                    {users.map(u => (
+                        <option key={u.id} value={u.id}>{u.name}</option>
+                    ))}
+                </select>
+                <select
+                    className="form-input"
+                    value={filters.entityType}
+                    onChange={(e) => updateFilter('entityType', e.target.value)}
+                >
+                    <option value="">All records</option>
+                    {Object.entries(AUDIT_ENTITY_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <select
+                    className="form-input"
+                    value={filters.action}
+                    onChange={(e) => updateFilter('action', e.target.value)}
+                >
+                    <option value="">All actions</option>
+                    <option value="create">Created</option>
+                    <option value="update">Updated</option>
+                    <option value="delete">Deleted</option>
+                </select>
+                <input
+                    type="date"
+                    className="form-input"
+                    title="From"
+                    value={filters.from}
+                    onChange={(e) => updateFilter('from', e.target.value)}
+                />
+                <input
+                    type="date"
+                    className="form-input"
+                    title="To"
+                    value={filters.to}
+                    onChange={(e) => updateFilter('to', e.target.value)}
+                />
+            </div>
+
+            {error && (
+                <div className="alert alert-error">
+                    <AlertCircle size={16} />
+                    {error}
+                </div>
+            )}
+
+            {result.entries.length === 0 ? (
+                <p className="section-description">No matching audit entries.</p>
+            ) : (
+                <div className="users-table-container">
+                    <table className="users-table">
+                        <thead>
+                            <tr>
+                                <th>When</th>
+                                <th>User</th>
+                                <th>Action</th>
+                                <th>Record</th>
+                                <th>Changed</th>
+                                <th>IP Address</th>
+                                <th>Details</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.entries.map(entry => {
+                                const changed = getChangedFields(entry);
+                                return (
+                                    <tr key={entry.id}>
+                                        <td className="text-muted">{new Date(entry.createdAt).toLocaleString()}</td>
+                                        <td>{entry.actor?.name || entry.actor?.email || 'System'}</td>
+                                        <td><span className={`audit-action ${entry.action}`}>{entry.action}</span></td>
+                                        <td>
+                                            {AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType}
+                                            {entry.entityId && <code className="audit-entity-id">{entry.entityId.slice(0, 8)}</code>}
+                                        </td>
+                                        <td className="text-muted audit-changed" title={changed.join(', ')}>
+                                            {entry.action === 'update' ? changed.join(', ') || '—' : '—'}
+                                        </td>
+                                        <td>{entry.ipAddress || '—'}</td>
+                                        <td>
+                                            <div className="table-actions">
+                                                <button
+                                                    className="action-btn"
+                                                    title="View changes"
+                                                    onClick={() => setSelectedEntry(entry)}
+                                                >
+                                                    <Eye size={16} />
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {result.pages > 1 && (
+                <div className="audit-pagination">
+                    <button
+                        className="btn btn-secondary"
+                        disabled={page <= 1}
+                        onClick={() => setPage(page - 1)}
+                    >
+                        <ChevronLeft size={16} />
+                        Newer
+                    </button>
+                    <span className="text-muted">
+                        Page {page} of {result.pages} · {result.total} entries
+                    </span>
+                    <button
+                        className="btn btn-secondary"
+                        disabled={page >= result.pages}
+                        onClick={() => setPage(page + 1)}
+                    >
+                        Older
+                        <ChevronRight size={16} />
+                    </button>
+                </div>
+            )}
+
+            {selectedEntry && (
+                <AuditEntryModal entry={selectedEntry} onClose={() => setSelectedEntry(null)} />
+            )}
+        </div>
+    );
+}
+
+function AuditEntryModal({ entry, onClose }: { entry: AuditEntry; onClose: () => void }) {
+    const fields = getChangedFields(entry);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal login-history-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>
+                        {AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType} {entry.action}d
+                    </h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <p className="section-description">
+                        {entry.actor?.name || entry.actor?.email || 'System'} · {new Date(entry.createdAt).toLocaleString()}
+                        {entry.ipAddress && ` · ${entry.ipAddress}`}
+                        {entry.entityId && <><br /><code>{entry.entityId}</code></>}
+                    </p>
+
+                    {fields.length === 0 ? (
+                        <p className="section-description">No field changes were recorded.</p>
+                    ) : (
+                        <table className="users-table audit-diff">
+                            <thead>
+                                <tr>
+                                    <th>Field</th>
+                                    <th>Before</th>
+                                    <th>After</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {fields.map(field => (
+                                    <tr key={field}>
+                                        <td className="user-name">{field}</td>
+                                        <td className="audit-before">{formatAuditValue(entry.before?.[field])}</td>
+                                        <td className="audit-after">{formatAuditValue(entry.after?.[field])}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button type="button" className="btn btn-primary" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
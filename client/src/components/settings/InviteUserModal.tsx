@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import { AlertCircle, Check, Copy, X } from 'lucide-react';
+import { useApp } from '../../context/AppContext';
+import { invitationsAPI } from '../../services/api';
+
+// Invite User Modal
+interface InviteUserModalProps {
+    onClose: () => void;
+    onInvited: () => Promise<void>;
+}
+
+export function InviteUserModal({ onClose, onInvited }: InviteUserModalProps) {
+    const { projects } = useApp();
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('editor');
+    const [projectIds, setProjectIds] = useState<string[]>([]);
+    const [inviteUrl, setInviteUrl] = useState('');
+    const [emailSent, setEmailSent] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const toggleProject = (projectId: string) => {
+        setProjectIds(prev => prev.includes(projectId)
+            ? prev.filter(id => id !== projectId)
+            : [...prev, projectId]
+        );
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await invitationsAPI.create({ email, role, projectIds });
+            setInviteUrl(response.data.inviteUrl);
+            setEmailSent(response.data.emailSent);
+            await onInvited();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to create invitation');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        await navigator.clipboard.writeText(inviteUrl);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Invite User</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {inviteUrl ? (
+                    <>
+                        <div className="modal-body">
+                            <p className="section-description">
+                                {emailSent
+                                    ? `An invitation email was sent to ${email}. You can also share this single-use link directly.`
+                                    : `We couldn't email ${email}. Share this single-use link with them directly.`}
+                            </p>
+                            <div className="invite-link">
+                                <input type="text" className="form-input" value={inviteUrl} readOnly />
+                                <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+                                    {copied ? <Check size={16} /> : <Copy size={16} />}
+                                    {copied ? 'Copied' : 'Copy'}
+                                </button>
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-primary" onClick={onClose}>
+                                Done
+                            </button>
+                        </div>
+                    </>
+                ) : (
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            {error && (
+                                <div className="alert alert-error">
+                                    <AlertCircle size={16} />
+                                    {error}
+                                </div>
+                            )}
+
+                            <div className="form-group">
+                                <label className="form-label">Email</label>
+                                <input
+                                    type="email"
+                                    className="form-input"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="colleague@rentbasket.com"
+                                    required
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Role</label>
+                                <select
+                                    className="form-input"
+                                    value={role}
+                                    onChange={(e) => setRole(e.target.value)}
+                                >
+                                    <option value="editor">Editor</option>
+                                    <option value="viewer">Viewer (read-only)</option>
+                                    <option value="guest">Guest (invited projects only)</option>
+                                    <option value="admin">Admin</option>
+                                </select>
+                                {role === 'guest' && (
+                                    <p className="form-hint">
+                                        Guests only see the projects they are added to, can't see internal
+                                        messages and can only edit tasks assigned to them.
+                                    </p>
+                                )}
+                            </div>
+
+                            {projects.length > 0 && (
+                                <div className="form-group">
+                                    <label className="form-label">Add to Projects</label>
+                                    <div className="project-checklist">
+                                        {projects.map(project => (
+                                            <label key={project.id} className="checkbox-row">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={projectIds.includes(project.id)}
+                                                    onChange={() => toggleProject(project.id)}
+                                                />
+                                                {project.name}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isLoading}>
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={isLoading || (role === 'guest' && projectIds.length === 0)}
+                            >
+                                {isLoading ? 'Sending...' : 'Create Invitation'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
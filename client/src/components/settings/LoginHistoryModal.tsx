@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import { usersAPI } from '../../services/api';
+import type { LoginAttempt } from '../../types';
+
+const FAILURE_REASONS: Record<string, string> = {
+    invalid_password: 'Wrong password',
+    invalid_mfa_code: 'Wrong 2FA code',
+    locked: 'Account locked',
+    deactivated: 'Account deactivated',
+    unknown_user: 'Unknown account'
+};
+
+// Sign-in History Modal (Admin Only)
+export function LoginHistoryModal({ user, onClose }: { user: { id: string; name: string }; onClose: () => void }) {
+    const [attempts, setAttempts] = useState<LoginAttempt[] | null>(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        usersAPI.getLoginAttempts(user.id)
+            .then(response => setAttempts(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load sign-in history'));
+    }, [user.id]);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal login-history-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Sign-in History: {user.name}</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {error && (
+                        <div className="alert alert-error">
+                            <AlertCircle size={16} />
+                            {error}
+                        </div>
+                    )}
+
+                    {attempts && attempts.length === 0 && (
+                        <p className="section-description">No sign-in attempts recorded.</p>
+                    )}
+
+                    {attempts && attempts.length > 0 && (
+                        <table className="users-table">
+                            <thead>
+                                <tr>
+                                    <th>When</th>
+                                    <th>Result</th>
+                                    <th>IP Address</th>
+                                    <th>Device</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {attempts.map(attempt => (
+                                    <tr key={attempt.id}>
+                                        <td className="text-muted">{new Date(attempt.createdAt).toLocaleString()}</td>
+                                        <td>
+                                            {attempt.success
+                                                ? <span className="attempt-result success">Success</span>
+                                                : <span className="attempt-result failed">
+                                                    {FAILURE_REASONS[attempt.failureReason || ''] || 'Failed'}
+                                                </span>}
+                                        </td>
+                                        <td>{attempt.ipAddress || '—'}</td>
+                                        <td className="text-muted attempt-device" title={attempt.userAgent || ''}>
+                                            {attempt.userAgent || '—'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button type="button" className="btn btn-primary" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
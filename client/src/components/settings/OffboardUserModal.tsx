@@ -0,0 +1,160 @@
+import { useEffect, useState } from 'react';
+import { AlertCircle, Trash2, X } from 'lucide-react';
+import { usersAPI } from '../../services/api';
+import type { OffboardingPreview } from '../../types';
+
+interface OffboardUserModalProps {
+    user: { id: string; name: string };
+    candidates: { id: string; name: string }[];
+    onClose: () => void;
+    onOffboarded: () => Promise<void>;
+}
+
+// Review what a user owns, pick who inherits it, then deactivate them in one step
+export function OffboardUserModal({ user, candidates, onClose, onOffboarded }: OffboardUserModalProps) {
+    const [preview, setPreview] = useState<OffboardingPreview | null>(null);
+    const [taskAssigneeId, setTaskAssigneeId] = useState('');
+    const [projectOwnerId, setProjectOwnerId] = useState('');
+    const [fileOwnerId, setFileOwnerId] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        usersAPI.getOffboarding(user.id)
+            .then(response => setPreview(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load what this user owns'));
+    }, [user.id]);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await usersAPI.offboard(user.id, {
+                taskAssigneeId: taskAssigneeId || null,
+                projectOwnerId: projectOwnerId || null,
+                fileOwnerId: fileOwnerId || null
+            });
+            await onOffboarded();
+            onClose();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to offboard user');
+            setIsSubmitting(false);
+        }
+    };
+
+    const candidateSelect = (value: string, onChange: (value: string) => void, emptyLabel: string) => (
+        <select className="form-input" value={value} onChange={(e) => onChange(e.target.value)}>
+            <option value="">{emptyLabel}</option>
+            {candidates.map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal login-history-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Offboard {user.name}</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        {error && (
+                            <div className="alert alert-error">
+                                <AlertCircle size={16} />
+                                {error}
+                            </div>
+                        )}
+
+                        {!preview ? (
+                            !error && <p className="section-description">Loading…</p>
+                        ) : (
+                            <>
+                                <p className="section-description">
+                                    {user.name} will be removed from {preview.membershipCount} project(s), deactivated and
+                                    signed out everywhere. Their work is handed over in the same step.
+                                </p>
+
+                                <div className="offboarding-section">
+                                    <h3>Open tasks ({preview.openTasks.length})</h3>
+                                    {preview.openTasks.length > 0 && (
+                                        <>
+                                            <ul className="offboarding-list">
+                                                {preview.openTasks.map(task => (
+                                                    <li key={task.id}>
+                                                        {task.title}
+                                                        <span className="text-muted"> · {task.project.name}</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            {candidateSelect(taskAssigneeId, setTaskAssigneeId, 'Leave unassigned')}
+                                        </>
+                                    )}
+                                </div>
+
+                                <div className="offboarding-section">
+                                    <h3>Owned projects ({preview.ownedProjects.length})</h3>
+                                    {preview.ownedProjects.length > 0 && (
+                                        <>
+                                            <ul className="offboarding-list">
+                                                {preview.ownedProjects.map(project => (
+                                                    <li key={project.id}>
+                                                        {project.name}
+                                                        {project.otherOwners > 0 && (
+                                                            <span className="text-muted"> · has other owners</span>
+                                                        )}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            {candidateSelect(
+                                                projectOwnerId,
+                                                setProjectOwnerId,
+                                                preview.needsNewOwner ? 'Choose a new owner…' : 'Keep the other owners'
+                                            )}
+                                        </>
+                                    )}
+                                </div>
+
+                                <div className="offboarding-section">
+                                    <h3>Uploaded files ({preview.files.length})</h3>
+                                    {preview.files.length > 0 && (
+                                        <>
+                                            <ul className="offboarding-list">
+                                                {preview.files.map(file => (
+                                                    <li key={file.id}>
+                                                        {file.originalName}
+                                                        {file.projectName && <span className="text-muted"> · {file.projectName}</span>}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            {candidateSelect(fileOwnerId, setFileOwnerId, 'Keep under this user')}
+                                        </>
+                                    )}
+                                </div>
+                            </>
+                        )}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            className="btn btn-danger"
+                            disabled={!preview || isSubmitting || (preview.needsNewOwner && !projectOwnerId)}
+                        >
+                            <Trash2 size={16} />
+                            {isSubmitting ? 'Offboarding...' : 'Reassign & Deactivate'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
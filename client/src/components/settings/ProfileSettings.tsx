@@ -0,0 +1,227 @@
+import { useEffect, useRef, useState } from 'react';
+import { Camera, Check, Flame, Mail, Save, Shield, Trash2 } from 'lucide-react';
+import { AchievementBadges, ActivityHistory } from '../achievements';
+import { Avatar } from '../ui';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import type { AchievementSummary, User, UserRole } from '../../types';
+import { ROLE_LABELS } from './roles';
+
+// Every IANA timezone the browser knows, for the profile timezone picker
+const TIME_ZONES = ['UTC', ...Intl.supportedValuesOf('timeZone').filter(tz => tz !== 'UTC')];
+
+// Profile Settings Component
+export function ProfileSettings({ user }: { user: User | null }) {
+    const [name, setName] = useState(user?.name || '');
+    const [email, setEmail] = useState(user?.email || '');
+    const [timezone, setTimezone] = useState<string>(user?.timezone || 'UTC');
+    const [isSaving, setIsSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [summary, setSummary] = useState<AchievementSummary | null>(null);
+    const [isUploading, setIsUploading] = useState(false);
+    const [avatarError, setAvatarError] = useState('');
+    const fileInputRef = useRef<HTMLInputElement>(null);
+    const { updateUser } = useAuth();
+
+    const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    useEffect(() => {
+        authAPI.getAchievements()
+            .then(response => setSummary(response.data))
+            .catch(err => console.error('Failed to load achievements:', err));
+    }, []);
+
+    const handleAvatarSelected = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setIsUploading(true);
+        setAvatarError('');
+        try {
+            const response = await authAPI.uploadAvatar(file);
+            updateUser(response.data);
+        } catch (err) {
+            setAvatarError(err instanceof Error ? err.message : 'Failed to upload photo');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleRemoveAvatar = async () => {
+        setIsUploading(true);
+        setAvatarError('');
+        try {
+            const response = await authAPI.removeAvatar();
+            updateUser(response.data);
+        } catch (err) {
+            setAvatarError(err instanceof Error ? err.message : 'Failed to remove photo');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            await authAPI.updateProfile({ name, email, timezone });
+            setSaved(true);
+            setTimeout(() => setSaved(false), 2000);
+        } catch (error) {
+            console.error('Failed to save profile:', error);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="profile-settings">
+            <h2>Profile Information</h2>
+            <p className="section-description">Update your personal information and how others see you.</p>
+
+            {/* Avatar Section */}
+            <div className="avatar-section">
+                <Avatar
+                    name={user?.name || 'U'}
+                    avatar={user?.avatar}
+                    avatarSizes={user?.avatarSizes}
+                    size="large"
+                    className="avatar-large"
+                />
+                <div className="avatar-actions">
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="image/jpeg,image/png,image/webp,image/gif"
+                        hidden
+                        onChange={handleAvatarSelected}
+                    />
+                    <div className="avatar-buttons">
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={isUploading}
+                        >
+                            <Camera size={16} />
+                            {isUploading ? 'Uploading...' : 'Change Photo'}
+                        </button>
+                        {user?.avatar && (
+                            <button className="btn btn-secondary" onClick={handleRemoveAvatar} disabled={isUploading}>
+                                <Trash2 size={16} />
+                                Remove
+                            </button>
+                        )}
+                    </div>
+                    <p className="avatar-hint">JPG, PNG, WebP or GIF. Max 2MB. Cropped to a square.</p>
+                    {avatarError && <p className="avatar-error">{avatarError}</p>}
+                </div>
+            </div>
+
+            {/* Profile Form */}
+            <div className="settings-form">
+                <div className="form-group">
+                    <label className="form-label">Full Name</label>
+                    <input
+                        type="text"
+                        className="form-input"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Your name"
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">Email Address</label>
+                    <div className="input-with-icon">
+                        <Mail size={18} className="input-icon" />
+                        <input
+                            type="email"
+                            className="form-input"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="you@example.com"
+                        />
+                    </div>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">Role</label>
+                    <div className="role-badge">
+                        <Shield size={16} />
+                        <span>{user?.role === 'admin' ? 'Administrator' : ROLE_LABELS[(user?.role || 'editor') as UserRole]}</span>
+                    </div>
+                    <p className="form-hint">Contact an administrator to change your role.</p>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">Timezone</label>
+                    <select
+                        className="form-input"
+                        value={timezone}
+                        onChange={(e) => setTimezone(e.target.value)}
+                    >
+                        {TIME_ZONES.map(tz => (
+                            <option key={tz} value={tz}>{tz}</option>
+                        ))}
+                    </select>
+                    <p className="form-hint">
+                        Your login streak counts calendar days in this timezone.
+                        {timezone !== browserTimeZone && (
+                            <>
+                                {' '}
+                                <button type="button" className="timezone-suggestion" onClick={() => setTimezone(browserTimeZone)}>
+                                    Use {browserTimeZone}
+                                </button>
+                            </>
+                        )}
+                    </p>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">Login Streak</label>
+                    <div className="streak-display">
+                        <Flame size={20} className="streak-icon" />
+                        <span className="streak-count">{summary?.loginStreak ?? user?.loginStreak ?? 0}</span>
+                        <span className="streak-label">day streak</span>
+                        {summary && (
+                            <span className="streak-label">· {summary.tasksCompleted} tasks completed</span>
+                        )}
+                    </div>
+                    {summary && (
+                        <div className="profile-activity">
+                            <ActivityHistory history={summary.history} today={summary.today} />
+                            <p className="form-hint">Last 30 days</p>
+                        </div>
+                    )}
+                </div>
+
+                {summary && (
+                    <div className="form-group">
+                        <label className="form-label">Achievements</label>
+                        <AchievementBadges achievements={summary.achievements} />
+                    </div>
+                )}
+            </div>
+
+            <div className="form-actions">
+                <button
+                    className="btn btn-primary"
+                    onClick={handleSave}
+                    disabled={isSaving}
+                >
+                    {saved ? (
+                        <>
+                            <Check size={18} />
+                            Saved!
+                        </>
+                    ) : (
+                        <>
+                            <Save size={18} />
+                            {isSaving ? 'Saving...' : 'Save Changes'}
+                        </>
+                    )}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,246 @@
+import { useState } from 'react';
+import { AlertCircle, ChevronDown, ChevronUp, Edit2, Plus, Trash2, X } from 'lucide-react';
+import { CategoryBadge, CATEGORY_ICONS } from '../ui';
+import { useApp } from '../../context/AppContext';
+import { categoriesAPI } from '../../services/api';
+import type { Category } from '../../types';
+
+export function ProjectCategorySettings() {
+    const { categories, projects, refreshCategories } = useApp();
+    const [editing, setEditing] = useState<Category | null>(null);
+    const [showCreateModal, setShowCreateModal] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSave = async (data: { name: string; color: string; icon: string }) => {
+        if (editing) {
+            await categoriesAPI.update(editing.id, data);
+        } else {
+            await categoriesAPI.create(data);
+        }
+        await refreshCategories();
+        setEditing(null);
+        setShowCreateModal(false);
+    };
+
+    // Swap with the neighbour above or below, then number every category by its new position
+    const handleMove = async (index: number, direction: -1 | 1) => {
+        const reordered = [...categories];
+        [reordered[index], reordered[index + direction]] = [reordered[index + direction], reordered[index]];
+
+        setError('');
+        try {
+            await Promise.all(reordered
+                .map((category, sortOrder) => ({ category, sortOrder }))
+                .filter(({ category, sortOrder }) => category.sortOrder !== sortOrder)
+                .map(({ category, sortOrder }) => categoriesAPI.update(category.id, { sortOrder })));
+            await refreshCategories();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to reorder categories');
+        }
+    };
+
+    const handleDelete = async (category: Category) => {
+        if (!confirm(`Delete the category "${category.name}"?`)) return;
+        setError('');
+        try {
+            await categoriesAPI.delete(category.id);
+            await refreshCategories();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to delete category');
+        }
+    };
+
+    return (
+        <div className="user-management">
+            <div className="management-header">
+                <div>
+                    <h2>Project Categories</h2>
+                    <p className="section-description">
+                        Categories group projects on the dashboard and the projects page. Only unused categories can be deleted.
+                    </p>
+                </div>
+                <div className="management-actions">
+                    <button className="btn btn-primary" onClick={() => setShowCreateModal(true)}>
+                        <Plus size={18} />
+                        New Category
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">
+                    <AlertCircle size={16} />
+                    {error}
+                </div>
+            )}
+
+            <div className="users-table-container">
+                <table className="users-table">
+                    <thead>
+                        <tr>
+                            <th>Category</th>
+                            <th>Slug</th>
+                            <th>Projects</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {categories.map((category, index) => (
+                            <tr key={category.id}>
+                                <td><CategoryBadge category={category} /></td>
+                                <td className="text-muted">{category.slug}</td>
+                                <td className="text-muted">{projects.filter(p => p.category === category.slug).length}</td>
+                                <td>
+                                    <div className="table-actions">
+                                        <button
+                                            className="action-btn"
+                                            title="Move up"
+                                            onClick={() => handleMove(index, -1)}
+                                            disabled={index === 0}
+                                        >
+                                            <ChevronUp size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn"
+                                            title="Move down"
+                                            onClick={() => handleMove(index, 1)}
+                                            disabled={index === categories.length - 1}
+                                        >
+                                            <ChevronDown size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn"
+                                            title="Edit"
+                                            onClick={() => setEditing(category)}
+                                        >
+                                            <Edit2 size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn danger"
+                                            title="Delete"
+                                            onClick={() => handleDelete(category)}
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {(showCreateModal || editing) && (
+                <CategoryFormModal
+                    category={editing}
+                    onClose={() => { setEditing(null); setShowCreateModal(false); }}
+                    onSave={handleSave}
+                />
+            )}
+        </div>
+    );
+}
+
+interface CategoryFormModalProps {
+    category: Category | null;
+    onClose: () => void;
+    onSave: (data: { name: string; color: string; icon: string }) => Promise<void>;
+}
+
+function CategoryFormModal({ category, onClose, onSave }: CategoryFormModalProps) {
+    const [name, setName] = useState(category?.name || '');
+    const [color, setColor] = useState(category?.color || '#6b7280');
+    const [icon, setIcon] = useState(category?.icon || 'folder');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+        setIsLoading(true);
+        try {
+            await onSave({ name: name.trim(), color, icon });
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to save category');
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>{category ? 'Edit Category' : 'New Category'}</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        {error && (
+                            <div className="alert alert-error">
+                                <AlertCircle size={16} />
+                                {error}
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label className="form-label">Name</label>
+                            <input
+                                type="text"
+                                className="form-input"
+                                value={name}
+                                maxLength={60}
+                                onChange={(e) => setName(e.target.value)}
+                                required
+                            />
+                            {category && (
+                                <span className="form-hint">Projects keep this category when it is renamed.</span>
+                            )}
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Color</label>
+                            <input
+                                type="color"
+                                className="form-input category-color-input"
+                                value={color}
+                                onChange={(e) => setColor(e.target.value)}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Icon</label>
+                            <select
+                                className="form-input"
+                                value={icon}
+                                onChange={(e) => setIcon(e.target.value)}
+                            >
+                                {Object.keys(CATEGORY_ICONS).map(iconName => (
+                                    <option key={iconName} value={iconName}>{iconName}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Preview</label>
+                            <div>
+                                <CategoryBadge category={{ id: '', slug: '', name: name || 'Category', color, icon, sortOrder: 0 }} />
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isLoading}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={isLoading || !name.trim()}>
+                            {isLoading ? 'Saving...' : (category ? 'Save Changes' : 'Create Category')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
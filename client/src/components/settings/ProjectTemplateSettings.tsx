@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Trash2 } from 'lucide-react';
+import { CategoryBadge } from '../ui';
+import { useApp } from '../../context/AppContext';
+import { templatesAPI } from '../../services/api';
+import type { ProjectTemplate } from '../../types';
+
+export function ProjectTemplateSettings() {
+    const { getCategory } = useApp();
+    const [templates, setTemplates] = useState<ProjectTemplate[]>([]);
+    const [error, setError] = useState('');
+
+    const loadTemplates = useCallback(() => {
+        return templatesAPI.getAll()
+            .then(response => setTemplates(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load templates'));
+    }, []);
+
+    useEffect(() => {
+        loadTemplates();
+    }, [loadTemplates]);
+
+    const handleDelete = async (template: ProjectTemplate) => {
+        if (!confirm(`Delete the template "${template.name}"? Projects created from it are not affected.`)) return;
+        try {
+            await templatesAPI.delete(template.id);
+            await loadTemplates();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to delete template');
+        }
+    };
+
+    return (
+        <div className="user-management">
+            <div className="management-header">
+                <div>
+                    <h2>Project Templates</h2>
+                    <p className="section-description">
+                        New projects can start from a template. Save one from any project with "Save as Template" on its page.
+                    </p>
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">
+                    <AlertCircle size={16} />
+                    {error}
+                </div>
+            )}
+
+            {templates.length === 0 ? (
+                <p className="section-description">There are no project templates yet.</p>
+            ) : (
+                <div className="users-table-container">
+                    <table className="users-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Category</th>
+                                <th>Tasks</th>
+                                <th>Folders</th>
+                                <th>Default Members</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {templates.map(template => (
+                                <tr key={template.id}>
+                                    <td>
+                                        <div className="user-name">{template.name}</div>
+                                        {template.description && <div className="text-muted">{template.description}</div>}
+                                    </td>
+                                    <td><CategoryBadge category={getCategory(template.category)} /></td>
+                                    <td className="text-muted">{template.tasks.length}</td>
+                                    <td className="text-muted">{template.folders.length}</td>
+                                    <td className="text-muted">{template.defaultMembers.length}</td>
+                                    <td>
+                                        <div className="table-actions">
+                                            <button
+                                                className="action-btn danger"
+                                                title="Delete"
+                                                onClick={() => handleDelete(template)}
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
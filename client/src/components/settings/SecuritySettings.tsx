@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Lock, LogOut, Trash2 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import { ActiveSessions } from './Sessions';
+import { TwoFactorSettings } from './TwoFactorSettings';
+
+// Security Settings Component
+export function SecuritySettings() {
+    const { logoutEverywhere } = useAuth();
+    const navigate = useNavigate();
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState(false);
+
+    const handleChangePassword = async () => {
+        setError('');
+
+        if (!currentPassword || !newPassword || !confirmPassword) {
+            setError('Please fill in all fields');
+            return;
+        }
+
+        if (newPassword !== confirmPassword) {
+            setError('New passwords do not match');
+            return;
+        }
+
+        if (newPassword.length < 6) {
+            setError('Password must be at least 6 characters');
+            return;
+        }
+
+        try {
+            await authAPI.changePassword({ currentPassword, newPassword });
+            setSuccess(true);
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirmPassword('');
+            setTimeout(() => setSuccess(false), 3000);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to change password');
+        }
+    };
+
+    const handleLogoutEverywhere = async () => {
+        if (!confirm('Sign out of every device, including this one?')) return;
+        try {
+            await logoutEverywhere();
+            navigate('/login');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to sign out of other sessions');
+        }
+    };
+
+    return (
+        <div className="security-settings">
+            <h2>Security Settings</h2>
+            <p className="section-description">Manage your password and account security.</p>
+
+            <div className="settings-form">
+                <h3>Change Password</h3>
+
+                {error && <div className="alert alert-error">{error}</div>}
+                {success && <div className="alert alert-success">Password updated successfully!</div>}
+
+                <div className="form-group">
+                    <label className="form-label">Current Password</label>
+                    <input
+                        type="password"
+                        className="form-input"
+                        value={currentPassword}
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        placeholder="Enter current password"
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">New Password</label>
+                    <input
+                        type="password"
+                        className="form-input"
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        placeholder="Enter new password"
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">Confirm New Password</label>
+                    <input
+                        type="password"
+                        className="form-input"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        placeholder="Confirm new password"
+                    />
+                </div>
+            </div>
+
+            <div className="form-actions">
+                <button className="btn btn-primary" onClick={handleChangePassword}>
+                    <Lock size={18} />
+                    Update Password
+                </button>
+            </div>
+
+            <TwoFactorSettings />
+
+            <ActiveSessions />
+
+            <div className="danger-zone">
+                <h3>Danger Zone</h3>
+                <div className="danger-card">
+                    <div className="danger-info">
+                        <h4>Log Out Everywhere</h4>
+                        <p>Revoke every active session on all of your devices. You will need to sign in again.</p>
+                    </div>
+                    <button className="btn btn-danger" onClick={handleLogoutEverywhere}>
+                        <LogOut size={16} />
+                        Log Out Everywhere
+                    </button>
+                </div>
+                <div className="danger-card">
+                    <div className="danger-info">
+                        <h4>Delete Account</h4>
+                        <p>Once you delete your account, there is no going back. Please be certain.</p>
+                    </div>
+                    <button className="btn btn-danger">
+                        <Trash2 size={16} />
+                        Delete Account
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
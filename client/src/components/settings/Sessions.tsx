@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, LogOut, X } from 'lucide-react';
+import { authAPI, usersAPI } from '../../services/api';
+import type { SessionInfo } from '../../types';
+
+// Signed-in devices, shared by the security tab and the admin sessions modal
+function SessionsTable({ sessions, onRevoke, disabled }: { sessions: SessionInfo[]; onRevoke: (session: SessionInfo) => void; disabled?: boolean }) {
+    return (
+        <table className="users-table">
+            <thead>
+                <tr>
+                    <th>Device</th>
+                    <th>IP Address</th>
+                    <th>Signed In</th>
+                    <th>Last Active</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                {sessions.map(session => (
+                    <tr key={session.id}>
+                        <td title={session.userAgent || ''}>
+                            <span className="user-name">{session.device}</span>
+                            {session.current && <span className="session-current">This device</span>}
+                        </td>
+                        <td className="text-muted">{session.lastIpAddress || '—'}</td>
+                        <td className="text-muted">{new Date(session.createdAt).toLocaleString()}</td>
+                        <td className="text-muted">
+                            {session.lastUsedAt ? new Date(session.lastUsedAt).toLocaleString() : '—'}
+                        </td>
+                        <td>
+                            {!session.current && (
+                                <div className="table-actions">
+                                    <button
+                                        className="action-btn danger"
+                                        title="Revoke"
+                                        onClick={() => onRevoke(session)}
+                                        disabled={disabled}
+                                    >
+                                        <LogOut size={16} />
+                                    </button>
+                                </div>
+                            )}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+// Active Sessions Component
+export function ActiveSessions() {
+    const [sessions, setSessions] = useState<SessionInfo[]>([]);
+    const [error, setError] = useState('');
+
+    const loadSessions = useCallback(() => {
+        return authAPI.getSessions()
+            .then(response => setSessions(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load sessions'));
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handleRevoke = async (session: SessionInfo) => {
+        if (!confirm(`Sign out ${session.device}?`)) return;
+        try {
+            await authAPI.revokeSession(session.id);
+            await loadSessions();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to revoke session');
+        }
+    };
+
+    return (
+        <div className="settings-form active-sessions">
+            <h3>Active Sessions</h3>
+            <p className="section-description">
+                Devices currently signed in to your account. Revoke any you don't recognise.
+            </p>
+
+            {error && (
+                <div className="alert alert-error">
+                    <AlertCircle size={16} />
+                    {error}
+                </div>
+            )}
+
+            <div className="users-table-container">
+                <SessionsTable sessions={sessions} onRevoke={handleRevoke} />
+            </div>
+        </div>
+    );
+}
+
+// Active Sessions Modal (Admin Only)
+export function SessionsModal({ user, onClose }: { user: { id: string; name: string }; onClose: () => void }) {
+    const [sessions, setSessions] = useState<SessionInfo[] | null>(null);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const loadSessions = useCallback(() => {
+        return usersAPI.getSessions(user.id)
+            .then(response => setSessions(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load sessions'));
+    }, [user.id]);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handleRevoke = async (session: SessionInfo) => {
+        if (!confirm(`Terminate ${user.name}'s session on ${session.device}?`)) return;
+        setIsLoading(true);
+        try {
+            await usersAPI.revokeSession(user.id, session.id);
+            await loadSessions();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to terminate session');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRevokeAll = async () => {
+        if (!confirm(`Sign ${user.name} out of every device?`)) return;
+        setIsLoading(true);
+        try {
+            await usersAPI.revokeAllSessions(user.id);
+            await loadSessions();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to terminate sessions');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal login-history-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Active Sessions: {user.name}</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {error && (
+                        <div className="alert alert-error">
+                            <AlertCircle size={16} />
+                            {error}
+                        </div>
+                    )}
+
+                    {sessions && sessions.length === 0 && (
+                        <p className="section-description">No active sessions.</p>
+                    )}
+
+                    {sessions && sessions.length > 0 && (
+                        <SessionsTable sessions={sessions} onRevoke={handleRevoke} disabled={isLoading} />
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    {sessions && sessions.length > 0 && (
+                        <button type="button" className="btn btn-danger" onClick={handleRevokeAll} disabled={isLoading}>
+                            <LogOut size={16} />
+                            Terminate All
+                        </button>
+                    )}
+                    <button type="button" className="btn btn-primary" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
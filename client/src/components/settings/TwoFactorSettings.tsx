@@ -0,0 +1,190 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Check, RefreshCw, ShieldCheck, ShieldOff } from 'lucide-react';
+import { TwoFactorSetup, RecoveryCodesList } from '../auth';
+import { authAPI } from '../../services/api';
+import type { TwoFactorStatus } from '../../types';
+
+// Two-Factor Authentication Component
+export function TwoFactorSettings() {
+    const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+    const [mode, setMode] = useState<'idle' | 'setup' | 'disable' | 'regenerate'>('idle');
+    const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const loadStatus = useCallback(async () => {
+        try {
+            const response = await authAPI.get2fa();
+            setStatus(response.data);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load two-factor status');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadStatus();
+    }, [loadStatus]);
+
+    const loadSetup = useCallback(() => authAPI.setup2fa().then(response => response.data), []);
+
+    const handleEnable = useCallback(async (verificationCode: string) => {
+        const response = await authAPI.enable2fa(verificationCode);
+        return response.data.recoveryCodes;
+    }, []);
+
+    const resetForm = () => {
+        setMode('idle');
+        setCode('');
+        setPassword('');
+        setError('');
+    };
+
+    const handleSetupDone = () => {
+        resetForm();
+        loadStatus();
+    };
+
+    const handleDisable = async () => {
+        setError('');
+        if (!password || !code) {
+            setError('Enter your password and a verification code');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            await authAPI.disable2fa({ password, code });
+            resetForm();
+            await loadStatus();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to disable two-factor authentication');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRegenerate = async () => {
+        setError('');
+        if (!code) {
+            setError('Enter a verification code from your authenticator app');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await authAPI.regenerateRecoveryCodes(code);
+            resetForm();
+            setRecoveryCodes(response.data.recoveryCodes);
+            await loadStatus();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to regenerate recovery codes');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="settings-form two-factor-settings">
+            <h3>Two-Factor Authentication</h3>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {!status ? null : mode === 'setup' ? (
+                <TwoFactorSetup
+                    loadSetup={loadSetup}
+                    onVerify={handleEnable}
+                    onDone={handleSetupDone}
+                    onCancel={resetForm}
+                />
+            ) : recoveryCodes ? (
+                <>
+                    <RecoveryCodesList codes={recoveryCodes} />
+                    <button className="btn btn-primary" onClick={() => setRecoveryCodes(null)}>
+                        <Check size={16} />
+                        Done
+                    </button>
+                </>
+            ) : !status.enabled ? (
+                <>
+                    <p className="section-description">
+                        Require a code from an authenticator app in addition to your password when signing in.
+                    </p>
+                    <button className="btn btn-primary" onClick={() => setMode('setup')}>
+                        <ShieldCheck size={16} />
+                        Enable Two-Factor
+                    </button>
+                </>
+            ) : (
+                <>
+                    <p className="section-description">
+                        <ShieldCheck size={16} className="two-factor-on" /> Enabled
+                        {' · '}{status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+                        {status.required && ' · Required for admins'}
+                    </p>
+
+                    {mode !== 'idle' && (
+                        <>
+                            {mode === 'disable' && (
+                                <div className="form-group">
+                                    <label className="form-label">Password</label>
+                                    <input
+                                        type="password"
+                                        className="form-input"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        placeholder="Enter your password"
+                                    />
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label className="form-label">Verification Code</label>
+                                <input
+                                    type="text"
+                                    className="form-input"
+                                    inputMode="numeric"
+                                    autoComplete="one-time-code"
+                                    maxLength={6}
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    placeholder="123456"
+                                />
+                            </div>
+                        </>
+                    )}
+
+                    <div className="management-actions">
+                        {mode === 'idle' ? (
+                            <>
+                                <button className="btn btn-secondary" onClick={() => setMode('regenerate')}>
+                                    <RefreshCw size={16} />
+                                    New Recovery Codes
+                                </button>
+                                {!status.required && (
+                                    <button className="btn btn-danger" onClick={() => setMode('disable')}>
+                                        <ShieldOff size={16} />
+                                        Disable
+                                    </button>
+                                )}
+                            </>
+                        ) : (
+                            <>
+                                <button className="btn btn-secondary" onClick={resetForm}>
+                                    Cancel
+                                </button>
+                                <button
+                                    className={mode === 'disable' ? 'btn btn-danger' : 'btn btn-primary'}
+                                    onClick={mode === 'disable' ? handleDisable : handleRegenerate}
+                                    disabled={isLoading}
+                                >
+                                    {mode === 'disable' ? 'Disable Two-Factor' : 'Generate Codes'}
+                                </button>
+                            </>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
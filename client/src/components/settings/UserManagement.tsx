@@ -0,0 +1,429 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Edit2, Flame, History, MonitorSmartphone, Send, Trash2, Unlock, UserPlus, X } from 'lucide-react';
+import { Avatar } from '../ui';
+import { invitationsAPI, usersAPI } from '../../services/api';
+import type { Invitation, UserRole } from '../../types';
+import { InviteUserModal } from './InviteUserModal';
+import { LoginHistoryModal } from './LoginHistoryModal';
+import { OffboardUserModal } from './OffboardUserModal';
+import { SessionsModal } from './Sessions';
+import { ROLE_LABELS } from './roles';
+
+// User Management Component (Admin Only)
+export function UserManagement({ users, refreshData }: { users: any[]; refreshData: () => Promise<void> }) {
+    const [showCreateModal, setShowCreateModal] = useState(false);
+    const [showInviteModal, setShowInviteModal] = useState(false);
+    const [editingUser, setEditingUser] = useState<any>(null);
+    const [historyUser, setHistoryUser] = useState<{ id: string; name: string } | null>(null);
+    const [sessionsUser, setSessionsUser] = useState<{ id: string; name: string } | null>(null);
+    const [offboardingUser, setOffboardingUser] = useState<{ id: string; name: string } | null>(null);
+    const [invitations, setInvitations] = useState<Invitation[]>([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadInvitations = useCallback(async () => {
+        try {
+            const response = await invitationsAPI.getPending();
+            setInvitations(response.data);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load invitations');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadInvitations();
+    }, [loadInvitations]);
+
+    const handleRevokeInvitation = async (invitation: Invitation) => {
+        if (!confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+        setIsLoading(true);
+        try {
+            await invitationsAPI.revoke(invitation.id);
+            await loadInvitations();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to revoke invitation');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCreateUser = async (data: any) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            await usersAPI.create(data);
+            setShowCreateModal(false);
+            await refreshData();
+        } catch (err: any) {
+            setError(err.message || 'Failed to create user');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleUpdateUser = async (data: any) => {
+        if (!editingUser) return;
+        setIsLoading(true);
+        setError('');
+        try {
+            await usersAPI.update(editingUser.id, data);
+            setEditingUser(null);
+            await refreshData();
+        } catch (err: any) {
+            setError(err.message || 'Failed to update user');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleUnlockUser = async (userId: string) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            await usersAPI.unlock(userId);
+            await refreshData();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to unlock user');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="user-management">
+            <div className="management-header">
+                <div>
+                    <h2>User Management</h2>
+                    <p className="section-description">Manage team members and their access levels.</p>
+                </div>
+                <div className="management-actions">
+                    <button className="btn btn-secondary" onClick={() => setShowCreateModal(true)} disabled={isLoading}>
+                        <UserPlus size={18} />
+                        Add User
+                    </button>
+                    <button className="btn btn-primary" onClick={() => setShowInviteModal(true)} disabled={isLoading}>
+                        <Send size={18} />
+                        Invite User
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error">
+                    <AlertCircle size={16} />
+                    {error}
+                </div>
+            )}
+
+            <div className="users-table-container">
+                <table className="users-table">
+                    <thead>
+                        <tr>
+                            <th>User</th>
+                            <th>Email</th>
+                            <th>Role</th>
+                            <th>Login Streak</th>
+                            <th>Last Login</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {users.map(user => (
+                            <tr key={user.id}>
+                                <td>
+                                    <div className="user-cell">
+                                        <Avatar
+                                            name={user.name}
+                                            avatar={user.avatar}
+                                            avatarSizes={user.avatarSizes}
+                                            className="user-avatar-small"
+                                        />
+                                        <span className="user-name">{user.name}</span>
+                                    </div>
+                                </td>
+                                <td>{user.email}</td>
+                                <td>
+                                    <span className={`role-tag ${user.role}`}>
+                                        {ROLE_LABELS[user.role as UserRole]}
+                                    </span>
+                                    {user.lockedUntil && (
+                                        <span
+                                            className="role-tag locked"
+                                            title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}`}
+                                        >
+                                            Locked
+                                        </span>
+                                    )}
+                                </td>
+                                <td>
+                                    <div className="streak-cell">
+                                        <Flame size={14} />
+                                        {user.loginStreak || 0}
+                                    </div>
+                                </td>
+                                <td className="text-muted">
+                                    {user.lastLogin
+                                        ? new Date(user.lastLogin).toLocaleDateString()
+                                        : 'Never'
+                                    }
+                                </td>
+                                <td>
+                                    <div className="table-actions">
+                                        {user.lockedUntil && (
+                                            <button
+                                                className="action-btn"
+                                                onClick={() => handleUnlockUser(user.id)}
+                                                title="Unlock"
+                                                disabled={isLoading}
+                                            >
+                                                <Unlock size={16} />
+                                            </button>
+                                        )}
+                                        <button
+                                            className="action-btn"
+                                            onClick={() => setHistoryUser(user)}
+                                            title="Sign-in history"
+                                            disabled={isLoading}
+                                        >
+                                            <History size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn"
+                                            onClick={() => setSessionsUser(user)}
+                                            title="Active sessions"
+                                            disabled={isLoading}
+                                        >
+                                            <MonitorSmartphone size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn"
+                                            onClick={() => setEditingUser(user)}
+                                            title="Edit"
+                                            disabled={isLoading}
+                                        >
+                                            <Edit2 size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn danger"
+                                            title="Offboard"
+                                            onClick={() => setOffboardingUser(user)}
+                                            disabled={isLoading}
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Pending Invitations */}
+            <div className="invitations-section">
+                <h3>Pending Invitations</h3>
+                {invitations.length === 0 ? (
+                    <p className="section-description">No pending invitations.</p>
+                ) : (
+                    <div className="users-table-container">
+                        <table className="users-table">
+                            <thead>
+                                <tr>
+                                    <th>Email</th>
+                                    <th>Role</th>
+                                    <th>Projects</th>
+                                    <th>Invited By</th>
+                                    <th>Expires</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {invitations.map(invitation => (
+                                    <tr key={invitation.id}>
+                                        <td>{invitation.email}</td>
+                                        <td>
+                                            <span className={`role-tag ${invitation.role}`}>
+                                                {ROLE_LABELS[invitation.role]}
+                                            </span>
+                                        </td>
+                                        <td className="text-muted">{invitation.projectIds.length}</td>
+                                        <td className="text-muted">{invitation.invitedBy?.name || '—'}</td>
+                                        <td className="text-muted">
+                                            {new Date(invitation.expiresAt).toLocaleDateString()}
+                                        </td>
+                                        <td>
+                                            <div className="table-actions">
+                                                <button
+                                                    className="action-btn danger"
+                                                    title="Revoke"
+                                                    onClick={() => handleRevokeInvitation(invitation)}
+                                                    disabled={isLoading}
+                                                >
+                                                    <X size={16} />
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Invite User Modal */}
+            {showInviteModal && (
+                <InviteUserModal
+                    onClose={() => setShowInviteModal(false)}
+                    onInvited={loadInvitations}
+                />
+            )}
+
+            {/* Create User Modal */}
+            {showCreateModal && (
+                <UserFormModal
+                    title="Add New User"
+                    onClose={() => setShowCreateModal(false)}
+                    onSave={handleCreateUser}
+                    isLoading={isLoading}
+                />
+            )}
+
+            {/* Edit User Modal */}
+            {editingUser && (
+                <UserFormModal
+                    title="Edit User"
+                    user={editingUser}
+                    onClose={() => setEditingUser(null)}
+                    onSave={handleUpdateUser}
+                    isLoading={isLoading}
+                />
+            )}
+
+            {/* Sign-in History Modal */}
+            {historyUser && (
+                <LoginHistoryModal
+                    user={historyUser}
+                    onClose={() => setHistoryUser(null)}
+                />
+            )}
+
+            {/* Sessions Modal */}
+            {sessionsUser && (
+                <SessionsModal
+                    user={sessionsUser}
+                    onClose={() => setSessionsUser(null)}
+                />
+            )}
+
+            {/* Offboarding Modal */}
+            {offboardingUser && (
+                <OffboardUserModal
+                    user={offboardingUser}
+                    candidates={users.filter(u => u.id !== offboardingUser.id && u.role !== 'viewer' && u.role !== 'guest')}
+                    onClose={() => setOffboardingUser(null)}
+                    onOffboarded={refreshData}
+                />
+            )}
+        </div>
+    );
+}
+
+// User Form Modal
+interface UserFormModalProps {
+    title: string;
+    user?: any;
+    onClose: () => void;
+    onSave: (data: any) => void;
+    isLoading?: boolean;
+}
+
+function UserFormModal({ title, user, onClose, onSave, isLoading }: UserFormModalProps) {
+    const [formData, setFormData] = useState({
+        name: user?.name || '',
+        email: user?.email || '',
+        role: user?.role || 'editor',
+        password: ''
+    });
+
+    const handleSubmit = (e: React.FormEvent) => {
+        e.preventDefault();
+        onSave(formData);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal user-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>{title}</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label className="form-label">Full Name</label>
+                            <input
+                                type="text"
+                                className="form-input"
+                                value={formData.name}
+                                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Email</label>
+                            <input
+                                type="email"
+                                className="form-input"
+                                value={formData.email}
+                                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Role</label>
+                            <select
+                                className="form-input"
+                                value={formData.role}
+                                onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                            >
+                                <option value="editor">Editor</option>
+                                <option value="viewer">Viewer (read-only)</option>
+                                <option value="guest">Guest (invited projects only)</option>
+                                <option value="admin">Admin</option>
+                            </select>
+                        </div>
+
+                        {!user && (
+                            <div className="form-group">
+                                <label className="form-label">Password</label>
+                                <input
+                                    type="password"
+                                    className="form-input"
+                                    value={formData.password}
+                                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                                    placeholder="Minimum 6 characters"
+                                    required
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isLoading}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                            {isLoading ? 'Saving...' : (user ? 'Save Changes' : 'Create User')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,13 @@
+export { ApiTokenSettings } from './ApiTokenSettings';
+export { AuditLogSettings } from './AuditLogSettings';
+export { InviteUserModal } from './InviteUserModal';
+export { LoginHistoryModal } from './LoginHistoryModal';
+export { OffboardUserModal } from './OffboardUserModal';
+export { ProfileSettings } from './ProfileSettings';
+export { ProjectCategorySettings } from './ProjectCategorySettings';
+export { ProjectTemplateSettings } from './ProjectTemplateSettings';
+export { SecuritySettings } from './SecuritySettings';
+export { ActiveSessions, SessionsModal } from './Sessions';
+export { TwoFactorSettings } from './TwoFactorSettings';
+export { UserManagement } from './UserManagement';
+export { ROLE_LABELS } from './roles';
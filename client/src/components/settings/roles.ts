@@ -0,0 +1,8 @@
+import type { UserRole } from '../../types';
+
+export const ROLE_LABELS: Record<UserRole, string> = {
+    admin: 'Admin',
+    editor: 'Editor',
+    viewer: 'Viewer (read-only)',
+    guest: 'Guest (invited projects only)'
+};
@@ -0,0 +1,26 @@
+import type { AvatarSizes } from '../../types';
+import './Avatar.css';
+
+interface AvatarProps {
+    name: string;
+    avatar?: string | null;
+    avatarSizes?: AvatarSizes | null;
+    // small for ≤32px circles, medium up to 64px, large beyond
+    size?: keyof AvatarSizes;
+    className?: string;
+}
+
+// Profile picture at the requested size, falling back to the name's initial
+export function Avatar({ name, avatar, avatarSizes, size = 'small', className = 'avatar' }: AvatarProps) {
+    const src = avatarSizes?.[size] || avatar;
+
+    return (
+        <div className={className}>
+            {src ? (
+                <img className="avatar-image" src={src} alt={name} loading="lazy" />
+            ) : (
+                name.charAt(0).toUpperCase()
+            )}
+        </div>
+    );
+}
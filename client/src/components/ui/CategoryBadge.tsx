@@ -0,0 +1,13 @@
+import { createElement } from 'react';
+import type { Category } from '../../types';
+import { categoryStyle, getCategoryIcon } from './categories';
+import './CategoryBadge.css';
+
+export function CategoryBadge({ category }: { category: Category }) {
+    return (
+        <span className="badge badge-category" style={categoryStyle(category)}>
+            {createElement(getCategoryIcon(category.icon), { size: 12 })}
+            {category.name}
+        </span>
+    );
+}
@@ -0,0 +1,43 @@
+import type { CSSProperties } from 'react';
+import {
+    BookOpen, Briefcase, Camera, ChartColumn, Code, DollarSign, Folder, Globe, GraduationCap,
+    Heart, House, Lightbulb, Megaphone, Palette, Rocket, Server, Settings, ShoppingCart,
+    Smartphone, Truck, User, Users, Wrench, type LucideIcon
+} from 'lucide-react';
+import type { Category } from '../../types';
+
+// Icons a category can use, by the name stored on the server
+export const CATEGORY_ICONS: Record<string, LucideIcon> = {
+    folder: Folder,
+    code: Code,
+    megaphone: Megaphone,
+    settings: Settings,
+    user: User,
+    users: Users,
+    briefcase: Briefcase,
+    palette: Palette,
+    'chart-column': ChartColumn,
+    'book-open': BookOpen,
+    'graduation-cap': GraduationCap,
+    lightbulb: Lightbulb,
+    rocket: Rocket,
+    globe: Globe,
+    server: Server,
+    smartphone: Smartphone,
+    'shopping-cart': ShoppingCart,
+    'dollar-sign': DollarSign,
+    truck: Truck,
+    wrench: Wrench,
+    camera: Camera,
+    heart: Heart,
+    house: House
+};
+
+export function getCategoryIcon(icon: string): LucideIcon {
+    return CATEGORY_ICONS[icon] || Folder;
+}
+
+// Sets --category-color for badges, filters and cards tinted with the category
+export function categoryStyle(category: Category): CSSProperties {
+    return { '--category-color': category.color } as CSSProperties;
+}
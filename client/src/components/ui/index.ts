@@ -1,3 +1,6 @@
 export { LoadingSpinner } from './LoadingSpinner';
 export { EmptyState } from './EmptyState';
 export { Modal } from './Modal';
+export { Avatar } from './Avatar';
+export { CategoryBadge } from './CategoryBadge';
+export { CATEGORY_ICONS, getCategoryIcon, categoryStyle } from './categories';
@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect, useCallback, type ReactNode } from 'react';
-import type { Project, Task, Message, Notification, User } from '../types';
-import { projectsAPI, tasksAPI, messagesAPI, notificationsAPI, usersAPI, ApiError } from '../services/api';
+import type { Category, ChecklistItem, CreateProjectForm, CreateTaskForm, DuplicateProjectForm, Project, ProjectRole, Task, TaskChildrenChoice, TaskProgress, Message, Notification, User } from '../types';
+import { useAuth } from './AuthContext';
+import { categoriesAPI, projectsAPI, tasksAPI, messagesAPI, notificationsAPI, usersAPI, ApiError } from '../services/api';
 
 interface AppState {
     projects: Project[];
@@ -10,21 +11,43 @@ interface AppState {
     documents: any[];
     notifications: Notification[];
     users: User[];
+    categories: Category[];
     loading: boolean;
     error: string | null;
 }
 
 interface AppContextType extends AppState {
     // Project actions
-    addProject: (project: Omit<Project, 'id' | 'createdAt' | 'updatedAt' | 'taskCount' | 'memberCount'>) => Promise<void>;
+    addProject: (project: Omit<Project, 'id' | 'createdAt' | 'updatedAt' | 'taskCount' | 'memberCount'> & Pick<CreateProjectForm, 'templateId' | 'startDate'>) => Promise<void>;
     updateProject: (id: string, project: Partial<Project>) => Promise<void>;
-    deleteProject: (id: string) => Promise<void>;
+    archiveProject: (id: string) => Promise<void>;
+    restoreProject: (id: string) => Promise<void>;
+    confirmProjectDeletion: (id: string, confirmationToken: string) => Promise<Project>;
+    duplicateProject: (id: string, options: DuplicateProjectForm) => Promise<Project>;
+    importProject: (file: File, name?: string) => Promise<Project>;
+
+    // Member actions
+    changeMemberRole: (projectId: string, userId: string, role: ProjectRole) => Promise<void>;
+    removeMember: (projectId: string, userId: string) => Promise<void>;
+    transferOwnership: (projectId: string, userId: string, keepOwnership: boolean) => Promise<string>;
+    leaveProject: (projectId: string) => Promise<void>;
+
+    // Category actions
+    getCategory: (slug: string) => Category;
+    refreshCategories: () => Promise<void>;
 
     // Task actions
     addTask: (task: Omit<Task, 'id' | 'createdAt' | 'updatedAt'>) => Promise<void>;
-    updateTask: (id: string, task: Partial<Task>) => Promise<void>;
+    // Rejects with a CHILDREN_PENDING ApiError, without setting the error,
+    // if the status change needs a choice about the task's children
+    updateTask: (id: string, task: Partial<Task>, children?: TaskChildrenChoice) => Promise<void>;
     deleteTask: (id: string) => Promise<void>;
     getProjectTasks: (projectId: string) => Task[];
+    addSubtask: (parentId: string, subtask: CreateTaskForm) => Promise<void>;
+    addChecklistItem: (taskId: string, text: string) => Promise<void>;
+    updateChecklistItem: (taskId: string, itemId: string, updates: Partial<Pick<ChecklistItem, 'text' | 'isDone'>>) => Promise<void>;
+    deleteChecklistItem: (taskId: string, itemId: string) => Promise<void>;
+    getTaskProgress: (task: Task) => TaskProgress;
 
     // Message actions
     addMessage: (message: Omit<Message, 'id' | 'timestamp'>) => Promise<void>;
@@ -53,11 +76,42 @@ interface AppContextType extends AppState {
 
 const AppContext = createContext<AppContextType | undefined>(undefined);
 
+// Keep a project's listing figures in step with its tasks after a change made here
+// (like the server's, they count top-level tasks only)
+function withTaskFigures(project: Project, tasks: Task[]): Project {
+    const projectTasks = tasks.filter(t => t.projectId === project.id && !t.parentId);
+    const taskCounts = { new: 0, in_progress: 0, done: 0 };
+    projectTasks.forEach(t => { taskCounts[t.status]++; });
+    const now = new Date();
+
+    return {
+        ...project,
+        taskCount: projectTasks.length,
+        completedCount: taskCounts.done,
+        taskCounts,
+        overdueCount: projectTasks.filter(t => t.status !== 'done' && t.dueDate && new Date(t.dueDate) < now).length,
+        progress: projectTasks.length ? Math.round((taskCounts.done / projectTasks.length) * 100) : 0,
+        lastActivityAt: now.toISOString()
+    };
+}
+
+// Guests can't list users, so the people in their projects stand in for the directory
+function projectPeople(projects: Project[]): User[] {
+    const people = new Map<string, User>();
+    projects.flatMap(p => p.members || []).forEach(({ user }) => {
+        if (user && !people.has(user.id)) {
+            people.set(user.id, { ...user, role: user.role || 'guest', loginStreak: 0, lastLogin: '', createdAt: '' });
+        }
+    });
+    return [...people.values()];
+}
+
 interface AppProviderProps {
     children: ReactNode;
 }
 
 export function AppProvider({ children }: AppProviderProps) {
+    const { user, isAdmin } = useAuth();
     const [state, setState] = useState<AppState>({
         projects: [],
         tasks: [],
@@ -66,6 +120,7 @@ export function AppProvider({ children }: AppProviderProps) {
         documents: [],
         notifications: [],
         users: [],
+        categories: [],
         loading: true,
         error: null
     });
@@ -94,11 +149,12 @@ export function AppProvider({ children }: AppProviderProps) {
                 return;
             }
 
-            const [projectsRes, tasksRes, notificationsRes, usersRes] = await Promise.all([
+            const [projectsRes, tasksRes, notificationsRes, usersRes, categoriesRes] = await Promise.all([
                 projectsAPI.getAll().catch(() => ({ success: false, count: 0, data: [] })),
                 tasksAPI.getAll().catch(() => ({ success: false, count: 0, data: [] })),
                 notificationsAPI.getAll().catch(() => ({ success: false, count: 0, data: [] })),
-                usersAPI.getAll().catch(() => ({ success: false, count: 0, data: [] }))
+                usersAPI.getAll().catch(() => null),
+                categoriesAPI.getAll().catch(() => ({ success: false, count: 0, data: [] }))
             ]);
 
             setState(prev => ({
@@ -106,7 +162,8 @@ export function AppProvider({ children }: AppProviderProps) {
                 projects: projectsRes.data || [],
                 tasks: tasksRes.data || [],
                 notifications: notificationsRes.data || [],
-                users: usersRes.data || [],
+                users: usersRes ? usersRes.data || [] : projectPeople(projectsRes.data || []),
+                categories: categoriesRes.data || [],
                 loading: false,
                 error: null
             }));
@@ -127,13 +184,19 @@ export function AppProvider({ children }: AppProviderProps) {
     }, [fetchData]);
 
     // ============ PROJECT ACTIONS ============
-    const addProject = async (project: Omit<Project, 'id' | 'createdAt' | 'updatedAt' | 'taskCount' | 'memberCount'>) => {
+    const addProject = async (project: Omit<Project, 'id' | 'createdAt' | 'updatedAt' | 'taskCount' | 'memberCount'> & Pick<CreateProjectForm, 'templateId' | 'startDate'>) => {
         try {
             const response = await projectsAPI.create(project as any);
             if (response.data) {
+                // A template creates tasks along with the project
+                const templateTasks = project.templateId
+                    ? (await tasksAPI.getByProject(response.data.id)).data.all
+                    : [];
+
                 setState(prev => ({
                     ...prev,
                     projects: [...prev.projects, response.data],
+                    tasks: [...prev.tasks, ...templateTasks],
                     error: null
                 }));
             }
@@ -159,15 +222,131 @@ export function AppProvider({ children }: AppProviderProps) {
         }
     };
 
-    const deleteProject = async (id: string) => {
+    // Archive, restore and deletion responses carry the project without its list counts
+    const mergeProject = (project: Project) => {
+        setState(prev => ({
+            ...prev,
+            projects: prev.projects.map(p => p.id === project.id ? { ...p, ...project } : p),
+            error: null
+        }));
+    };
+
+    const archiveProject = async (id: string) => {
+        try {
+            const response = await projectsAPI.archive(id);
+            mergeProject(response.data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const restoreProject = async (id: string) => {
+        try {
+            const response = await projectsAPI.restore(id);
+            mergeProject(response.data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const confirmProjectDeletion = async (id: string, confirmationToken: string) => {
+        try {
+            const response = await projectsAPI.confirmPermanentDelete(id, confirmationToken);
+            mergeProject(response.data);
+            return response.data;
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const importProject = async (file: File, name?: string) => {
+        try {
+            const response = await projectsAPI.importBundle(file, name);
+            // Every task, subtasks included (the by-project list has top-level tasks only)
+            const importedTasks = (await tasksAPI.getAll({ project: response.data.id })).data;
+
+            setState(prev => ({
+                ...prev,
+                projects: [...prev.projects, response.data],
+                tasks: [...prev.tasks, ...importedTasks],
+                error: null
+            }));
+            return response.data;
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const duplicateProject = async (id: string, options: DuplicateProjectForm) => {
+        try {
+            const response = await projectsAPI.duplicate(id, options);
+            const copiedTasks = options.tasks === false
+                ? []
+                : (await tasksAPI.getAll({ project: response.data.id })).data;
+
+            setState(prev => ({
+                ...prev,
+                projects: [...prev.projects, response.data],
+                tasks: [...prev.tasks, ...copiedTasks],
+                error: null
+            }));
+            return response.data;
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    // ============ MEMBER ACTIONS ============
+    // Responses carry the members and the current user's role, which may have changed too
+    const changeMemberRole = async (projectId: string, userId: string, role: ProjectRole) => {
+        try {
+            const response = await projectsAPI.updateMemberRole(projectId, userId, role);
+            mergeProject(response.data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const removeMember = async (projectId: string, userId: string) => {
+        try {
+            const response = await projectsAPI.removeMember(projectId, userId);
+            mergeProject(response.data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const transferOwnership = async (projectId: string, userId: string, keepOwnership: boolean) => {
         try {
-            await projectsAPI.delete(id);
-            // Soft delete: Remove from active projects list in local state
-            // since dashboard only shows active ones.
+            const response = await projectsAPI.transferOwnership(projectId, userId, keepOwnership);
+            mergeProject(response.data);
+            return response.message;
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    // Admins still see a project after leaving it; everyone else loses it and its tasks
+    const leaveProject = async (projectId: string) => {
+        if (!user) return;
+        try {
+            const response = await projectsAPI.removeMember(projectId, user.id);
+            if (isAdmin) {
+                mergeProject(response.data);
+                return;
+            }
             setState(prev => ({
                 ...prev,
-                projects: prev.projects.filter(p => p.id !== id),
-                tasks: prev.tasks.filter(t => t.projectId !== id), // Optional: filter tasks too if view depends on them
+                projects: prev.projects.filter(p => p.id !== projectId),
+                tasks: prev.tasks.filter(t => t.projectId !== projectId),
                 error: null
             }));
         } catch (error) {
@@ -176,19 +355,37 @@ export function AppProvider({ children }: AppProviderProps) {
         }
     };
 
+    // ============ CATEGORY ACTIONS ============
+    // Projects may briefly reference a category this client hasn't loaded yet
+    const getCategory = (slug: string): Category => {
+        return state.categories.find(c => c.slug === slug)
+            || { id: slug, slug, name: slug, color: '#6b7280', icon: 'folder', sortOrder: Number.MAX_SAFE_INTEGER };
+    };
+
+    const refreshCategories = async () => {
+        try {
+            const response = await categoriesAPI.getAll();
+            setState(prev => ({ ...prev, categories: response.data || [], error: null }));
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
     // ============ TASK ACTIONS ============
     const addTask = async (task: Omit<Task, 'id' | 'createdAt' | 'updatedAt'>) => {
         try {
             const response = await tasksAPI.create(task);
             if (response.data) {
-                setState(prev => ({
-                    ...prev,
-                    tasks: [...prev.tasks, response.data],
-                    projects: prev.projects.map(p =>
-                        p.id === task.projectId ? { ...p, taskCount: (p.taskCount || 0) + 1 } : p
-                    ),
-                    error: null
-                }));
+                setState(prev => {
+                    const tasks = [...prev.tasks, response.data];
+                    return {
+                        ...prev,
+                        tasks,
+                        projects: prev.projects.map(p => p.id === task.projectId ? withTaskFigures(p, tasks) : p),
+                        error: null
+                    };
+                });
             }
         } catch (error) {
             setError(error);
@@ -196,18 +393,28 @@ export function AppProvider({ children }: AppProviderProps) {
         }
     };
 
-    const updateTask = async (id: string, updates: Partial<Task>) => {
+    const updateTask = async (id: string, updates: Partial<Task>, children?: TaskChildrenChoice) => {
         try {
-            const response = await tasksAPI.update(id, updates);
+            const response = await tasksAPI.update(id, updates, children);
+            // Subtasks may have changed along with their parent
+            const subtasks: Task[] = children === 'cascade' ? (await tasksAPI.getSubtasks(id)).data : [];
             if (response.data) {
-                setState(prev => ({
-                    ...prev,
-                    tasks: prev.tasks.map(t => t.id === id ? response.data : t),
-                    error: null
-                }));
+                setState(prev => {
+                    const projectId = prev.tasks.find(t => t.id === id)?.projectId;
+                    const tasks = prev.tasks.map(t => t.id === id
+                        ? response.data
+                        : subtasks.find(s => s.id === t.id) || t);
+                    return {
+                        ...prev,
+                        tasks,
+                        projects: prev.projects.map(p => p.id === projectId ? withTaskFigures(p, tasks) : p),
+                        error: null
+                    };
+                });
             }
         } catch (error) {
-            setError(error);
+            // Whoever changed the status asks what to do with the children
+            if (!(error instanceof ApiError && error.code === 'CHILDREN_PENDING')) setError(error);
             throw error;
         }
     };
@@ -218,14 +425,16 @@ export function AppProvider({ children }: AppProviderProps) {
 
         try {
             await tasksAPI.delete(id);
-            setState(prev => ({
-                ...prev,
-                tasks: prev.tasks.filter(t => t.id !== id),
-                projects: prev.projects.map(p =>
-                    p.id === task.projectId ? { ...p, taskCount: Math.max(0, (p.taskCount || 1) - 1) } : p
-                ),
-                error: null
-            }));
+            // Its subtasks are deleted with it
+            setState(prev => {
+                const tasks = prev.tasks.filter(t => t.id !== id && t.parentId !== id);
+                return {
+                    ...prev,
+                    tasks,
+                    projects: prev.projects.map(p => p.id === task.projectId ? withTaskFigures(p, tasks) : p),
+                    error: null
+                };
+            });
         } catch (error) {
             setError(error);
             throw error;
@@ -236,6 +445,72 @@ export function AppProvider({ children }: AppProviderProps) {
         return state.tasks.filter(t => t.projectId === projectId);
     }, [state.tasks]);
 
+    const addSubtask = async (parentId: string, subtask: CreateTaskForm) => {
+        try {
+            const response = await tasksAPI.createSubtask(parentId, subtask);
+            if (response.data) {
+                setState(prev => {
+                    const tasks = [...prev.tasks, response.data];
+                    return {
+                        ...prev,
+                        tasks,
+                        projects: prev.projects.map(p => p.id === response.data.projectId ? withTaskFigures(p, tasks) : p),
+                        error: null
+                    };
+                });
+            }
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    // Checklist changes answer with the whole task, which replaces ours
+    const replaceTask = (task: Task) => {
+        setState(prev => ({
+            ...prev,
+            tasks: prev.tasks.map(t => t.id === task.id ? task : t),
+            error: null
+        }));
+    };
+
+    const addChecklistItem = async (taskId: string, text: string) => {
+        try {
+            replaceTask((await tasksAPI.addChecklistItem(taskId, text)).data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const updateChecklistItem = async (taskId: string, itemId: string, updates: Partial<Pick<ChecklistItem, 'text' | 'isDone'>>) => {
+        try {
+            replaceTask((await tasksAPI.updateChecklistItem(taskId, itemId, updates)).data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    const deleteChecklistItem = async (taskId: string, itemId: string) => {
+        try {
+            replaceTask((await tasksAPI.deleteChecklistItem(taskId, itemId)).data);
+        } catch (error) {
+            setError(error);
+            throw error;
+        }
+    };
+
+    // Worked out from the subtasks we hold, so it follows changes made here
+    const getTaskProgress = useCallback((task: Task): TaskProgress => {
+        const subtasks = state.tasks.filter(t => t.parentId === task.id);
+        const checklist = task.checklist || [];
+        return {
+            done: subtasks.filter(t => t.status === 'done').length + checklist.filter(item => item.isDone).length,
+            total: subtasks.length + checklist.length
+        };
+    }, [state.tasks]);
+
     // ============ MESSAGE ACTIONS ============
     const fetchProjectMessages = async (projectId: string) => {
         try {
@@ -256,7 +531,8 @@ export function AppProvider({ children }: AppProviderProps) {
             const response = await messagesAPI.send({
                 projectId: message.projectId,
                 content: message.content,
-                mentions: message.mentions
+                mentions: message.mentions,
+                isInternal: message.isInternal
             });
             if (response.data) {
                 setState(prev => ({
@@ -351,11 +627,26 @@ export function AppProvider({ children }: AppProviderProps) {
         ...state,
         addProject,
         updateProject,
-        deleteProject,
+        archiveProject,
+        restoreProject,
+        confirmProjectDeletion,
+        duplicateProject,
+        importProject,
+        changeMemberRole,
+        removeMember,
+        transferOwnership,
+        leaveProject,
+        getCategory,
+        refreshCategories,
         addTask,
         updateTask,
         deleteTask,
         getProjectTasks,
+        addSubtask,
+        addChecklistItem,
+        updateChecklistItem,
+        deleteChecklistItem,
+        getTaskProgress,
         addMessage,
         getProjectMessages,
         fetchProjectMessages,
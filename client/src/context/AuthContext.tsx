@@ -1,16 +1,28 @@
 import { createContext, useContext, useState, useCallback, useEffect, type ReactNode } from 'react';
-import type { User, LoginForm } from '../types';
-import { authAPI } from '../services/api';
+import type { User, LoginForm, AuthSession, LoginResult, MfaChallenge } from '../types';
+import { authAPI, SESSION_EXPIRED_EVENT } from '../services/api';
 
 interface AuthContextType {
     user: User | null;
     isAuthenticated: boolean;
     isLoading: boolean;
-    login: (credentials: LoginForm) => Promise<{ success: boolean; error?: string }>;
-    logout: () => void;
+    login: (credentials: LoginForm) => Promise<LoginOutcome>;
+    acceptInvite: (data: { token: string; name: string; password: string }) => Promise<LoginOutcome>;
+    loginWithSso: (ticket: string) => Promise<LoginOutcome>;
+    completeLogin: (session: AuthSession) => void;
+    logout: () => Promise<void>;
+    logoutEverywhere: () => Promise<void>;
+    updateUser: (user: User) => void;
     isAdmin: boolean;
 }
 
+// `mfa` is set when the password was accepted but a second factor is still needed
+interface LoginOutcome {
+    success: boolean;
+    error?: string;
+    mfa?: MfaChallenge;
+}
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 interface AuthProviderProps {
@@ -36,6 +48,7 @@ export function AuthProvider({ children }: AuthProviderProps) {
                 } catch {
                     // Token invalid, clear storage
                     localStorage.removeItem('rentbasket_token');
+                    localStorage.removeItem('rentbasket_refresh_token');
                     localStorage.removeItem('rentbasket_user');
                     setUser(null);
                 }
@@ -44,18 +57,39 @@ export function AuthProvider({ children }: AuthProviderProps) {
         verifyToken();
     }, []);
 
-    const login = useCallback(async (credentials: LoginForm): Promise<{ success: boolean; error?: string }> => {
+    // Session revoked or refresh token expired elsewhere
+    useEffect(() => {
+        const handleSessionExpired = () => setUser(null);
+        window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+        return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    }, []);
+
+    // Persist a freshly issued session
+    const startSession = useCallback((data: AuthSession) => {
+        setUser(data.user);
+        localStorage.setItem('rentbasket_user', JSON.stringify(data.user));
+        localStorage.setItem('rentbasket_token', data.token);
+        localStorage.setItem('rentbasket_refresh_token', data.refreshToken);
+    }, []);
+
+    // Start the session unless the server asked for a second factor first
+    const handleLoginResult = useCallback((data: LoginResult): LoginOutcome => {
+        if ('mfaToken' in data) {
+            return { success: true, mfa: data };
+        }
+        startSession(data);
+        return { success: true };
+    }, [startSession]);
+
+    const login = useCallback(async (credentials: LoginForm): Promise<LoginOutcome> => {
         setIsLoading(true);
 
         try {
             const response = await authAPI.login(credentials.email, credentials.password);
 
             if (response.success) {
-                setUser(response.data.user);
-                localStorage.setItem('rentbasket_user', JSON.stringify(response.data.user));
-                localStorage.setItem('rentbasket_token', response.data.token);
                 setIsLoading(false);
-                return { success: true };
+                return handleLoginResult(response.data);
             }
 
             setIsLoading(false);
@@ -68,12 +102,69 @@ export function AuthProvider({ children }: AuthProviderProps) {
                 error: error.message || 'An unexpected error occurred'
             };
         }
-    }, []);
+    }, [handleLoginResult]);
+
+    const acceptInvite = useCallback(async (data: { token: string; name: string; password: string }): Promise<LoginOutcome> => {
+        setIsLoading(true);
+
+        try {
+            const response = await authAPI.acceptInvite(data);
+            return handleLoginResult(response.data);
+        } catch (error) {
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : 'An unexpected error occurred'
+            };
+        } finally {
+            setIsLoading(false);
+        }
+    }, [handleLoginResult]);
+
+    const loginWithSso = useCallback(async (ticket: string): Promise<LoginOutcome> => {
+        setIsLoading(true);
+
+        try {
+            const response = await authAPI.exchangeSsoTicket(ticket);
+            return handleLoginResult(response.data);
+        } catch (error) {
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : 'An unexpected error occurred'
+            };
+        } finally {
+            setIsLoading(false);
+        }
+    }, [handleLoginResult]);
 
-    const logout = useCallback(() => {
+    const clearSession = useCallback(() => {
         setUser(null);
         localStorage.removeItem('rentbasket_user');
         localStorage.removeItem('rentbasket_token');
+        localStorage.removeItem('rentbasket_refresh_token');
+    }, []);
+
+    const logout = useCallback(async () => {
+        try {
+            await authAPI.logout();
+        } catch (error) {
+            // Session may already be gone server-side; log out locally regardless
+            console.error('Logout error:', error);
+        }
+        clearSession();
+    }, [clearSession]);
+
+    const logoutEverywhere = useCallback(async () => {
+        try {
+            await authAPI.logoutAll();
+        } finally {
+            clearSession();
+        }
+    }, [clearSession]);
+
+    // Keep the signed-in user in sync after they edit their own profile
+    const updateUser = useCallback((updated: User) => {
+        setUser(updated);
+        localStorage.setItem('rentbasket_user', JSON.stringify(updated));
     }, []);
 
     const value: AuthContextType = {
@@ -81,7 +172,12 @@ export function AuthProvider({ children }: AuthProviderProps) {
         isAuthenticated: !!user,
         isLoading,
         login,
+        acceptInvite,
+        loginWithSso,
+        completeLogin: startSession,
         logout,
+        logoutEverywhere,
+        updateUser,
         isAdmin: user?.role === 'admin'
     };
 
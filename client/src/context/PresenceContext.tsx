@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback, type ReactNode } from 'react';
+import type { PresenceStatus, UserPresence } from '../types';
+import { authAPI, usersAPI } from '../services/api';
+import { socketService } from '../services/socket';
+import { useAuth } from './AuthContext';
+import { PresenceContext } from './usePresence';
+
+const offline = (userId: string): UserPresence => ({
+    userId,
+    online: false,
+    status: 'available',
+    statusText: null,
+    statusExpiresAt: null,
+    lastSeenAt: null
+});
+
+// Connects the socket while signed in and keeps everyone's presence current
+export function PresenceProvider({ children }: { children: ReactNode }) {
+    const { user } = useAuth();
+    const userId = user?.id;
+    const [presence, setPresence] = useState<Record<string, UserPresence>>({});
+
+    useEffect(() => {
+        if (!userId) return;
+
+        const applyUpdate = (update: UserPresence) => {
+            setPresence(prev => ({ ...prev, [update.userId]: update }));
+        };
+
+        // Start from a snapshot on every (re)connect; updates missed while disconnected are lost
+        const loadSnapshot = () => {
+            usersAPI.getPresence()
+                .then(response => setPresence(Object.fromEntries(response.data.map(p => [p.userId, p]))))
+                .catch(err => console.error('Failed to load presence:', err));
+        };
+
+        const unsubscribeConnect = socketService.on('connect', loadSnapshot);
+        const unsubscribeUpdate = socketService.on('presence_updated', applyUpdate);
+        socketService.connect();
+
+        return () => {
+            unsubscribeConnect();
+            unsubscribeUpdate();
+            socketService.disconnect();
+            setPresence({});
+        };
+    }, [userId]);
+
+    const getPresence = useCallback((id: string) => presence[id] || offline(id), [presence]);
+
+    const setStatus = useCallback(async (data: { status: PresenceStatus; statusText?: string | null; statusExpiresAt?: string | null }) => {
+        const response = await authAPI.setStatus(data);
+        setPresence(prev => ({ ...prev, [response.data.userId]: response.data }));
+    }, []);
+
+    return (
+        <PresenceContext.Provider value={{ presence, getPresence, setStatus }}>
+            {children}
+        </PresenceContext.Provider>
+    );
+}
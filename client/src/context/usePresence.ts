@@ -0,0 +1,20 @@
+import { createContext, useContext } from 'react';
+import type { PresenceStatus, UserPresence } from '../types';
+
+// Kept apart from PresenceProvider so that module exports components only (for fast refresh)
+export interface PresenceContextType {
+    // Keyed by user id; users missing from it are offline and available
+    presence: Record<string, UserPresence>;
+    getPresence: (userId: string) => UserPresence;
+    setStatus: (data: { status: PresenceStatus; statusText?: string | null; statusExpiresAt?: string | null }) => Promise<void>;
+}
+
+export const PresenceContext = createContext<PresenceContextType | undefined>(undefined);
+
+export function usePresence(): PresenceContextType {
+    const context = useContext(PresenceContext);
+    if (context === undefined) {
+        throw new Error('usePresence must be used within a PresenceProvider');
+    }
+    return context;
+}
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams, Navigate, Link } from 'react-router-dom';
+import { AlertCircle, UserPlus } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { TwoFactorLogin } from '../components/auth';
+import type { MfaChallenge, UserRole } from '../types';
+import { authAPI } from '../services/api';
+import logo from '../assets/RentBasket-Logo.png';
+import './LoginPage.css';
+
+const ROLE_PHRASES: Record<UserRole, string> = {
+    admin: 'an admin',
+    editor: 'an editor',
+    viewer: 'a read-only viewer',
+    guest: 'a guest'
+};
+
+export function AcceptInvitePage() {
+    const { token = '' } = useParams<{ token: string }>();
+    const [invitation, setInvitation] = useState<{ email: string; role: UserRole; invitedBy?: string } | null>(null);
+    const [loadError, setLoadError] = useState('');
+    const [name, setName] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [mfaChallenge, setMfaChallenge] = useState<MfaChallenge | null>(null);
+    const { acceptInvite, completeLogin, isLoading, isAuthenticated } = useAuth();
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        authAPI.getInvitation(token)
+            .then(response => setInvitation(response.data))
+            .catch(err => setLoadError(err.message || 'This invitation is no longer valid'));
+    }, [token]);
+
+    if (isAuthenticated) {
+        return <Navigate to="/" replace />;
+    }
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+
+        if (!name.trim() || !password) {
+            setError('Please enter your name and a password');
+            return;
+        }
+
+        if (password.length < 6) {
+            setError('Password must be at least 6 characters');
+            return;
+        }
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        const result = await acceptInvite({ token, name: name.trim(), password });
+
+        if (result.mfa) {
+            // Admin invitations must set up two-factor before the first session
+            setMfaChallenge(result.mfa);
+        } else if (result.success) {
+            navigate('/');
+        } else {
+            setError(result.error || 'Could not accept invitation');
+        }
+    };
+
+    return (
+        <div className="login-page">
+            <div className="login-container">
+                <div className="login-header">
+                    <div className="login-logo">
+                        <img src={logo} alt="RentBasket" className="logo-img" />
+                        <span className="logo-text">RentBasket</span>
+                    </div>
+                    <h1>Join your team</h1>
+                    <p>
+                        {invitation
+                            ? `${invitation.invitedBy || 'An administrator'} invited ${invitation.email} as ${ROLE_PHRASES[invitation.role]}`
+                            : 'Set up your account'}
+                    </p>
+                </div>
+
+                {mfaChallenge ? (
+                    <TwoFactorLogin
+                        challenge={mfaChallenge}
+                        onComplete={(session) => {
+                            completeLogin(session);
+                            navigate('/');
+                        }}
+                        onCancel={() => navigate('/login')}
+                    />
+                ) : loadError ? (
+                    <div className="login-form">
+                        <div className="error-message">
+                            <AlertCircle size={16} />
+                            <span>{loadError}</span>
+                        </div>
+                        <Link to="/login" className="btn btn-secondary login-btn">
+                            Back to sign in
+                        </Link>
+                    </div>
+                ) : (
+                    <form className="login-form" onSubmit={handleSubmit}>
+                        {error && (
+                            <div className="error-message">
+                                <AlertCircle size={16} />
+                                <span>{error}</span>
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="email">Email</label>
+                            <input
+                                type="email"
+                                id="email"
+                                className="form-input"
+                                value={invitation?.email || ''}
+                                disabled
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="name">Full Name</label>
+                            <input
+                                type="text"
+                                id="name"
+                                className="form-input"
+                                placeholder="Your name"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                autoComplete="name"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="password">Password</label>
+                            <input
+                                type="password"
+                                id="password"
+                                className="form-input"
+                                placeholder="Minimum 6 characters"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                autoComplete="new-password"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="confirmPassword">Confirm Password</label>
+                            <input
+                                type="password"
+                                id="confirmPassword"
+                                className="form-input"
+                                placeholder="••••••••"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                autoComplete="new-password"
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary login-btn" disabled={isLoading || !invitation}>
+                            <UserPlus size={18} />
+                            {isLoading ? 'Creating account...' : 'Create account'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
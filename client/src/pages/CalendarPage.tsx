@@ -1,7 +1,10 @@
-import { useState } from 'react';
-import { ChevronLeft, ChevronRight, Circle } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Circle, Flag } from 'lucide-react';
 import { Header } from '../components/layout';
 import { useApp } from '../context/AppContext';
+import { milestonesAPI } from '../services/api';
+import type { Milestone } from '../types';
 import {
     format,
     startOfMonth,
@@ -21,8 +24,20 @@ import './CalendarPage.css';
 export function CalendarPage() {
     const { tasks, projects } = useApp();
     const [currentMonth, setCurrentMonth] = useState(new Date());
+    const [milestones, setMilestones] = useState<Milestone[]>([]);
 
-    const tasksWithDates = tasks.filter(task => task.dueDate);
+    // Subtasks show up inside their parent task, not on the calendar
+    const tasksWithDates = tasks.filter(task => task.dueDate && !task.parentId);
+
+    // Milestones of every project the user can see, for the weeks on screen
+    useEffect(() => {
+        milestonesAPI.getAll({
+            from: format(startOfWeek(startOfMonth(currentMonth)), 'yyyy-MM-dd'),
+            to: format(endOfWeek(endOfMonth(currentMonth)), 'yyyy-MM-dd')
+        })
+            .then(response => setMilestones(response.data))
+            .catch(err => console.error('Failed to load milestones:', err));
+    }, [currentMonth]);
 
     const prevMonth = () => setCurrentMonth(subMonths(currentMonth, 1));
     const nextMonth = () => setCurrentMonth(addMonths(currentMonth, 1));
@@ -74,6 +89,8 @@ export function CalendarPage() {
                     return isSameDay(taskDate, currentDay);
                 });
 
+                const dayMilestones = milestones.filter(m => isSameDay(parseISO(m.targetDate), currentDay));
+
                 const isCurrentMonth = isSameMonth(day, monthStart);
                 const isCurrentDay = isToday(day);
 
@@ -86,6 +103,17 @@ export function CalendarPage() {
                             {format(day, 'd')}
                         </span>
                         <div className="cell-tasks">
+                            {dayMilestones.map(milestone => (
+                                <Link
+                                    key={milestone.id}
+                                    to={`/projects/${milestone.project.id}`}
+                                    className={`milestone-chip ${milestone.atRisk ? 'at-risk' : ''} ${milestone.status}`}
+                                    title={`${milestone.title} - ${milestone.project.name || 'Unknown'} (${milestone.percentComplete}% complete${milestone.atRisk ? ', at risk' : ''})`}
+                                >
+                                    <Flag size={10} />
+                                    <span>{milestone.title}</span>
+                                </Link>
+                            ))}
                             {dayTasks.slice(0, 3).map(task => {
                                 const project = projects.find(p => p.id === task.projectId);
                                 return (
@@ -183,6 +211,14 @@ export function CalendarPage() {
                                 <Circle size={10} className="legend-icon done" />
                                 <span>Done</span>
                             </div>
+                            <div className="legend-item">
+                                <Flag size={10} className="legend-icon milestone" />
+                                <span>Milestone</span>
+                            </div>
+                            <div className="legend-item">
+                                <Flag size={10} className="legend-icon milestone-at-risk" />
+                                <span>Milestone at risk</span>
+                            </div>
                         </div>
                     </div>
                 </aside>
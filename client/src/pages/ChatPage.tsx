@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Smile, AtSign } from 'lucide-react';
+import { Send, Smile, AtSign, Lock } from 'lucide-react';
 import { Header } from '../components/layout';
+import { Avatar } from '../components/ui';
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import { format, isToday, isYesterday } from 'date-fns';
@@ -13,6 +14,7 @@ export function ChatPage() {
     const [selectedProject, setSelectedProject] = useState(projects[0]?.id || '');
     const [messageText, setMessageText] = useState('');
     const [showMentions, setShowMentions] = useState(false);
+    const [isInternal, setIsInternal] = useState(false);
     const messagesEndRef = useRef<HTMLDivElement>(null);
 
     // Filter projects by status
@@ -25,6 +27,12 @@ export function ChatPage() {
 
     const messages = selectedProject ? getProjectMessages(selectedProject) : [];
     const currentProject = projects.find(p => p.id === selectedProject);
+    // Archived projects are read-only, their chat included
+    const isArchived = currentProject?.status === 'archived';
+    // Guests never see internal messages, so they can't write them either
+    const canPostInternal = !!user && user.role !== 'guest';
+    // An internal message can't mention guests
+    const mentionable = isInternal ? users.filter(u => u.role !== 'guest') : users;
 
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -39,7 +47,7 @@ export function ChatPage() {
         const mentions: string[] = [];
         let match: RegExpExecArray | null;
         while ((match = mentionRegex.exec(messageText)) !== null) {
-            const mentionedUser = users.find(u =>
+            const mentionedUser = mentionable.find(u =>
                 u.name.toLowerCase().includes(match![1].toLowerCase())
             );
             if (mentionedUser) mentions.push(mentionedUser.id);
@@ -50,7 +58,8 @@ export function ChatPage() {
             userId: user.id,
             userName: user.name,
             content: messageText,
-            mentions: mentions.length > 0 ? mentions : undefined
+            mentions: mentions.length > 0 ? mentions : undefined,
+            isInternal: canPostInternal && isInternal
         });
 
         setMessageText('');
@@ -130,9 +139,7 @@ export function ChatPage() {
                         <ul className="team-list">
                             {users.map(u => (
                                 <li key={u.id} className="team-member">
-                                    <div className="avatar avatar-sm">
-                                        {u.name.charAt(0).toUpperCase()}
-                                    </div>
+                                    <Avatar name={u.name} avatar={u.avatar} avatarSizes={u.avatarSizes} className="avatar avatar-sm" />
                                     <span>{u.name}</span>
                                     {u.id === user?.id && <span className="you-badge">you</span>}
                                 </li>
@@ -157,13 +164,21 @@ export function ChatPage() {
                                             key={message.id}
                                             className={`message ${message.userId === user?.id ? 'own' : ''}`}
                                         >
-                                            <div className="avatar">
-                                                {message.userName.charAt(0).toUpperCase()}
-                                            </div>
+                                            <Avatar
+                                                name={message.userName}
+                                                avatar={message.userAvatar}
+                                                avatarSizes={message.userAvatarSizes}
+                                                size="medium"
+                                            />
                                             <div className="message-content">
                                                 <div className="message-header">
                                                     <span className="message-author">{message.userName}</span>
                                                     <span className="message-time">{formatMessageTime(message.timestamp)}</span>
+                                                    {message.isInternal && (
+                                                        <span className="message-internal-badge" title="Not visible to guests">
+                                                            <Lock size={10} /> Internal
+                                                        </span>
+                                                    )}
                                                 </div>
                                                 <p
                                                     className="message-text"
@@ -188,28 +203,42 @@ export function ChatPage() {
 
                                     {showMentions && (
                                         <div className="mentions-dropdown">
-                                            {users.map(u => (
+                                            {mentionable.map(u => (
                                                 <button
                                                     key={u.id}
                                                     type="button"
                                                     className="mention-option"
                                                     onClick={() => insertMention(u.name)}
                                                 >
-                                                    <div className="avatar avatar-sm">
-                                                        {u.name.charAt(0).toUpperCase()}
-                                                    </div>
+                                                    <Avatar name={u.name} avatar={u.avatar} avatarSizes={u.avatarSizes} className="avatar avatar-sm" />
                                                     <span>{u.name}</span>
                                                 </button>
                                             ))}
                                         </div>
                                     )}
 
+                                    {canPostInternal && (
+                                        <button
+                                            type="button"
+                                            className={`input-action-btn ${isInternal ? 'active' : ''}`}
+                                            onClick={() => setIsInternal(!isInternal)}
+                                            title={isInternal ? 'Internal: hidden from guests' : 'Visible to everyone in the project'}
+                                        >
+                                            <Lock size={18} />
+                                        </button>
+                                    )}
+
                                     <input
                                         type="text"
-                                        placeholder={`Message #${currentProject?.name}...`}
+                                        placeholder={isArchived
+                                            ? 'This project is archived and read-only'
+                                            : isInternal
+                                                ? `Internal message to #${currentProject?.name} (hidden from guests)...`
+                                                : `Message #${currentProject?.name}...`}
                                         value={messageText}
                                         onChange={(e) => setMessageText(e.target.value)}
                                         className="message-input"
+                                        disabled={isArchived}
                                     />
 
                                     <button type="button" className="input-action-btn">
@@ -220,7 +249,7 @@ export function ChatPage() {
                                 <button
                                     type="submit"
                                     className="send-btn btn btn-primary"
-                                    disabled={!messageText.trim()}
+                                    disabled={!messageText.trim() || isArchived}
                                 >
                                     <Send size={18} />
                                 </button>
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import {
     FolderKanban,
@@ -6,18 +6,33 @@ import {
     Clock,
     AlertCircle,
     ArrowRight,
-    TrendingUp
+    TrendingUp,
+    Flame
 } from 'lucide-react';
 import { Header } from '../components/layout';
+import { AchievementBadges } from '../components/achievements';
+import { CategoryBadge, categoryStyle } from '../components/ui';
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import type { AchievementSummary, ProjectCategory } from '../types';
 import { formatDistanceToNow } from 'date-fns';
 import './DashboardPage.css';
 
 export function DashboardPage() {
-    const { projects, tasks } = useApp();
+    const { projects, tasks: allTasks, categories, getCategory } = useApp();
     const { user } = useAuth();
-    const [taskCategoryFilter, setTaskCategoryFilter] = useState<'all' | 'tech' | 'marketing' | 'personal' | 'ops'>('all');
+    // Figures and lists here are of top-level tasks; subtasks belong to their parent
+    const tasks = allTasks.filter(t => !t.parentId);
+    // null shows tasks of every category
+    const [taskCategoryFilter, setTaskCategoryFilter] = useState<ProjectCategory | null>(null);
+    const [achievements, setAchievements] = useState<AchievementSummary | null>(null);
+
+    useEffect(() => {
+        authAPI.getAchievements()
+            .then(response => setAchievements(response.data))
+            .catch(err => console.error('Failed to load achievements:', err));
+    }, []);
 
     const activeProjects = projects.filter(p => p.status === 'active' || !p.status); // Handle legacy data without status
 
@@ -38,24 +53,14 @@ export function DashboardPage() {
     // Filter my tasks by selected category
     const getProjectCategory = (projectId: string) => {
         const project = projects.find(p => p.id === projectId);
-        return project?.category || 'tech';
+        return project?.category;
     };
 
     const filteredMyTasks = myTasks.filter(task => {
-        if (taskCategoryFilter === 'all') return true;
+        if (!taskCategoryFilter) return true;
         return getProjectCategory(task.projectId) === taskCategoryFilter;
     });
 
-    const getCategoryBadge = (category: string) => {
-        const classes: Record<string, string> = {
-            tech: 'badge-tech',
-            marketing: 'badge-marketing',
-            ops: 'badge-ops',
-            personal: 'badge-personal'
-        };
-        return classes[category] || 'badge-tech';
-    };
-
     const getStatusBadge = (status: string) => {
         const classes: Record<string, string> = {
             new: 'badge-status-new',
@@ -122,6 +127,20 @@ export function DashboardPage() {
                     </div>
                 </section>
 
+                {/* Achievements */}
+                {achievements && (
+                    <section className="dashboard-section achievements-section">
+                        <div className="section-header">
+                            <h2>Achievements</h2>
+                            <Link to="/settings" className="view-all-link">
+                                <Flame size={16} className="streak-flame" />
+                                {achievements.loginStreak} day streak
+                            </Link>
+                        </div>
+                        <AchievementBadges achievements={achievements.achievements} compact />
+                    </section>
+                )}
+
                 <div className="dashboard-grid">
                     {/* Projects Overview */}
                     <section className="dashboard-section">
@@ -134,11 +153,9 @@ export function DashboardPage() {
 
                         <div className="projects-grid">
                             {activeProjects.map(project => (
-                                <Link to={`/projects/${project.id}`} key={project.id} className={`project-card card category-${project.category}`}>
+                                <Link to={`/projects/${project.id}`} key={project.id} className="project-card card" style={categoryStyle(getCategory(project.category))}>
                                     <div className="project-card-header">
-                                        <span className={`badge ${getCategoryBadge(project.category)}`}>
-                                            {project.category}
-                                        </span>
+                                        <CategoryBadge category={getCategory(project.category)} />
                                     </div>
                                     <h3 className="project-name">{project.name}</h3>
                                     <p className="project-description">{project.description}</p>
@@ -160,13 +177,20 @@ export function DashboardPage() {
 
                         {/* Category Filter Tabs */}
                         <div className="task-category-filters">
-                            {(['all', 'tech', 'marketing', 'personal', 'ops'] as const).map(cat => (
+                            <button
+                                className={`category-filter-btn ${!taskCategoryFilter ? 'active' : ''}`}
+                                onClick={() => setTaskCategoryFilter(null)}
+                            >
+                                All
+                            </button>
+                            {categories.map(category => (
                                 <button
-                                    key={cat}
-                                    className={`category-filter-btn ${taskCategoryFilter === cat ? 'active' : ''} ${cat !== 'all' ? `filter-${cat}` : ''}`}
-                                    onClick={() => setTaskCategoryFilter(cat)}
+                                    key={category.slug}
+                                    className={`category-filter-btn category-filter-colored ${taskCategoryFilter === category.slug ? 'active' : ''}`}
+                                    style={categoryStyle(category)}
+                                    onClick={() => setTaskCategoryFilter(category.slug)}
                                 >
-                                    {cat === 'all' ? 'All' : cat === 'ops' ? 'Operations' : cat.charAt(0).toUpperCase() + cat.slice(1)}
+                                    {category.name}
                                 </button>
                             ))}
                         </div>
@@ -175,7 +199,7 @@ export function DashboardPage() {
                             {filteredMyTasks.length === 0 ? (
                                 <div className="empty-state">
                                     <CheckCircle2 size={32} />
-                                    <p>{taskCategoryFilter === 'all' ? 'All caught up! No pending tasks.' : `No pending ${taskCategoryFilter === 'ops' ? 'operations' : taskCategoryFilter} tasks.`}</p>
+                                    <p>{!taskCategoryFilter ? 'All caught up! No pending tasks.' : `No pending ${getCategory(taskCategoryFilter).name.toLowerCase()} tasks.`}</p>
                                 </div>
                             ) : (
                                 filteredMyTasks.map(task => (
@@ -1,17 +1,34 @@
-import React, { useState } from 'react';
-import { useNavigate, Navigate } from 'react-router-dom';
-import { AlertCircle, LogIn } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams, Navigate, Link } from 'react-router-dom';
+import { AlertCircle, KeyRound, LogIn } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import { TwoFactorLogin } from '../components/auth';
+import type { AuthSession, MfaChallenge } from '../types';
 import logo from '../assets/RentBasket-Logo.png';
 import './LoginPage.css';
 
 export function LoginPage() {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
-    const [error, setError] = useState('');
-    const { login, isLoading, isAuthenticated } = useAuth();
+    const [searchParams] = useSearchParams();
+    // The SSO callback sends failures back here as ?sso_error=
+    const [error, setError] = useState(() => searchParams.get('sso_error') || '');
+    const [mfaChallenge, setMfaChallenge] = useState<MfaChallenge | null>(null);
+    const [ssoProvider, setSsoProvider] = useState<string | null>(null);
+    const { login, completeLogin, isLoading, isAuthenticated } = useAuth();
     const navigate = useNavigate();
 
+    useEffect(() => {
+        authAPI.getSsoConfig()
+            .then(response => {
+                if (response.data.enabled) setSsoProvider(response.data.providerName);
+            })
+            .catch(() => {
+                // SSO is optional; password login still works
+            });
+    }, []);
+
     if (isAuthenticated) {
         return <Navigate to="/" replace />;
     }
@@ -27,13 +44,52 @@ export function LoginPage() {
 
         const result = await login({ email, password });
 
-        if (result.success) {
+        if (result.mfa) {
+            setMfaChallenge(result.mfa);
+        } else if (result.success) {
             navigate('/');
         } else {
             setError(result.error || 'Invalid email or password');
         }
     };
 
+    const handleMfaComplete = (session: AuthSession) => {
+        completeLogin(session);
+        navigate('/');
+    };
+
+    const handleMfaCancel = () => {
+        setMfaChallenge(null);
+        setPassword('');
+    };
+
+    if (mfaChallenge) {
+        return (
+            <div className="login-page">
+                <div className="login-container">
+                    <div className="login-header">
+                        <div className="login-logo">
+                            <img src={logo} alt="RentBasket" className="logo-img" />
+                            <span className="logo-text">RentBasket</span>
+                        </div>
+                        <h1>{mfaChallenge.mfaSetupRequired ? 'Set up two-factor' : 'Two-factor authentication'}</h1>
+                        <p>
+                            {mfaChallenge.mfaSetupRequired
+                                ? 'Protect your admin account with an authenticator app'
+                                : 'Enter the code from your authenticator app'}
+                        </p>
+                    </div>
+
+                    <TwoFactorLogin
+                        challenge={mfaChallenge}
+                        onComplete={handleMfaComplete}
+                        onCancel={handleMfaCancel}
+                    />
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="login-page">
             <div className="login-container">
@@ -68,7 +124,10 @@ export function LoginPage() {
                     </div>
 
                     <div className="form-group">
-                        <label className="form-label" htmlFor="password">Password</label>
+                        <div className="label-row">
+                            <label className="form-label" htmlFor="password">Password</label>
+                            <Link to="/forgot-password" className="forgot-link">Forgot password?</Link>
+                        </div>
                         <input
                             type="password"
                             id="password"
@@ -86,6 +145,20 @@ export function LoginPage() {
                     </button>
                 </form>
 
+                {ssoProvider && (
+                    <>
+                        <div className="login-divider">or</div>
+                        <button
+                            type="button"
+                            className="btn btn-secondary sso-btn"
+                            onClick={() => { window.location.href = authAPI.getSsoLoginUrl(); }}
+                        >
+                            <KeyRound size={18} />
+                            Sign in with {ssoProvider}
+                        </button>
+                    </>
+                )}
+
                 <div className="login-footer">
                     <p className="demo-info">
                         <strong>Demo accounts:</strong>
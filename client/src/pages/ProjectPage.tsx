@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import {
     Plus,
     MoreVertical,
@@ -11,33 +11,104 @@ import {
     X,
     MessageSquare,
     FileText,
-    ArrowLeft
+    ArrowLeft,
+    Copy,
+    Archive,
+    ArchiveRestore,
+    Flag,
+    Users,
+    Crown,
+    Activity,
+    Download,
+    ListChecks
 } from 'lucide-react';
 import { Header } from '../components/layout';
+import { Avatar, CategoryBadge } from '../components/ui';
+import { PresenceDot } from '../components/presence';
+import { MilestoneList, MilestoneFormModal } from '../components/projects/Milestones';
+import { MemberList, TransferOwnershipModal } from '../components/projects/ProjectMembers';
+import { ActivityFeed } from '../components/projects/ActivityFeed';
+import { TaskChildren, TaskChildrenPrompt } from '../components/projects/TaskChildren';
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
-import type { Task, CreateTaskForm, TaskStatus } from '../types';
+import { usePresence } from '../context/usePresence';
+import { milestonesAPI, projectsAPI, templatesAPI, ApiError } from '../services/api';
+import { socketService } from '../services/socket';
+import type { Task, CreateTaskForm, CreateMilestoneForm, Milestone, TaskStatus, TaskChildrenChoice, TaskChildrenPending, TaskProgress, Project, ProjectDeletionRequest, ProjectMember, ProjectRole } from '../types';
 import { format, formatDistanceToNow } from 'date-fns';
 import './ProjectPage.css';
 
+// Member avatars shown in the project header before collapsing into "+N"
+const MAX_MEMBER_AVATARS = 8;
+
 export function ProjectPage() {
     const { projectId } = useParams<{ projectId: string }>();
-    const { projects, tasks, addTask, updateTask, deleteTask, users } = useApp();
+    const {
+        projects, tasks, addTask, updateTask, deleteTask, users, restoreProject, getCategory,
+        changeMemberRole, removeMember, transferOwnership, leaveProject, getTaskProgress
+    } = useApp();
     const { user, isAdmin } = useAuth();
+    const navigate = useNavigate();
+    const { getPresence } = usePresence();
     const [showTaskModal, setShowTaskModal] = useState(false);
     const [editingTask, setEditingTask] = useState<Task | null>(null);
-    const [activeTab, setActiveTab] = useState<'tasks' | 'chat' | 'files'>('tasks');
+    // A status change waiting on what to do with the task's subtasks and checklist
+    const [pendingChildren, setPendingChildren] = useState<{ task: Task; status: TaskStatus; pending: TaskChildrenPending } | null>(null);
+    const [activeTab, setActiveTab] = useState<'tasks' | 'milestones' | 'members' | 'activity' | 'chat' | 'files'>('tasks');
+    const [showTemplateModal, setShowTemplateModal] = useState(false);
+    const [templateForm, setTemplateForm] = useState({ name: '', description: '' });
+    const [templateError, setTemplateError] = useState('');
+    const [templateMessage, setTemplateMessage] = useState('');
+    const [showDeleteModal, setShowDeleteModal] = useState(false);
+    const [lifecycleError, setLifecycleError] = useState('');
+    const [milestones, setMilestones] = useState<Milestone[]>([]);
+    const [editingMilestone, setEditingMilestone] = useState<Milestone | null>(null);
+    const [showMilestoneModal, setShowMilestoneModal] = useState(false);
+    const [milestoneError, setMilestoneError] = useState('');
+    const [showTransferModal, setShowTransferModal] = useState(false);
+    const [membersError, setMembersError] = useState('');
+    const [membersMessage, setMembersMessage] = useState('');
+    const [isExporting, setIsExporting] = useState(false);
+    const [exportError, setExportError] = useState('');
 
     const project = projects.find(p => p.id === projectId);
     const projectTasks = tasks.filter(t => t.projectId === projectId);
+    // Subtasks are shown inside their parent rather than on the board
+    const boardTasks = projectTasks.filter(t => !t.parentId);
 
     const [taskForm, setTaskForm] = useState<CreateTaskForm>({
         title: '',
         description: '',
         assignedTo: '',
-        dueDate: ''
+        dueDate: '',
+        milestoneId: ''
     });
 
+    // Milestone progress comes from the server, so reload it whenever a task changes
+    const taskProgressKey = projectTasks.map(t => `${t.id}:${t.status}:${t.milestoneId || ''}:${t.dueDate || ''}`).join(',');
+
+    const loadMilestones = useCallback(() => {
+        if (!projectId) return;
+        milestonesAPI.getAll({ projectId })
+            .then(response => setMilestones(response.data))
+            .catch(err => setMilestoneError(err instanceof Error ? err.message : 'Failed to load milestones'));
+    }, [projectId]);
+
+    useEffect(() => {
+        loadMilestones();
+    }, [loadMilestones, taskProgressKey]);
+
+    // Live project events arrive through the project's room; rejoin it after a reconnect
+    useEffect(() => {
+        if (!projectId) return;
+        socketService.joinProject(projectId);
+        const unsubscribe = socketService.on('connect', () => socketService.joinProject(projectId));
+        return () => {
+            unsubscribe();
+            socketService.leaveProject(projectId);
+        };
+    }, [projectId]);
+
     if (!project) {
         return (
             <div className="project-page">
@@ -55,16 +126,6 @@ export function ProjectPage() {
         );
     }
 
-    const getCategoryBadge = (category: string) => {
-        const classes: Record<string, string> = {
-            tech: 'badge-tech',
-            marketing: 'badge-marketing',
-            ops: 'badge-ops',
-            personal: 'badge-personal'
-        };
-        return classes[category] || 'badge-tech';
-    };
-
     const handleSubmitTask = (e: React.FormEvent) => {
         e.preventDefault();
         if (!taskForm.title.trim()) return;
@@ -74,6 +135,7 @@ export function ProjectPage() {
         if (editingTask) {
             updateTask(editingTask.id, {
                 ...taskForm,
+                milestoneId: taskForm.milestoneId || null,
                 assigneeName: assignee?.name
             });
         } else {
@@ -85,13 +147,14 @@ export function ProjectPage() {
                 assignedTo: taskForm.assignedTo || undefined,
                 assigneeName: assignee?.name,
                 dueDate: taskForm.dueDate || undefined,
+                milestoneId: taskForm.milestoneId || undefined,
                 createdBy: user?.id || ''
             });
         }
 
         setShowTaskModal(false);
         setEditingTask(null);
-        setTaskForm({ title: '', description: '', assignedTo: '', dueDate: '' });
+        setTaskForm({ title: '', description: '', assignedTo: '', dueDate: '', milestoneId: '' });
     };
 
     const openEditModal = (task: Task) => {
@@ -99,8 +162,10 @@ export function ProjectPage() {
         setTaskForm({
             title: task.title,
             description: task.description,
-            assignedTo: task.assignedTo || '',
-            dueDate: task.dueDate ? format(new Date(task.dueDate), 'yyyy-MM-dd') : ''
+            assignedTo: (typeof task.assignedTo === 'object' ? task.assignedTo?.id : task.assignedTo) || '',
+            dueDate: task.dueDate ? format(new Date(task.dueDate), 'yyyy-MM-dd') : '',
+            // Tasks of a deleted milestone still carry its ID until reloaded
+            milestoneId: milestones.some(m => m.id === task.milestoneId) ? task.milestoneId || '' : ''
         });
         setShowTaskModal(true);
     };
@@ -111,7 +176,19 @@ export function ProjectPage() {
             in_progress: 'done',
             done: 'new'
         };
-        updateTask(task.id, { status: statusFlow[task.status] });
+        const status = statusFlow[task.status];
+        updateTask(task.id, { status }).catch(err => {
+            // Completing or reopening a task with children asks what happens to them
+            if (err instanceof ApiError && err.code === 'CHILDREN_PENDING') {
+                setPendingChildren({ task, status, pending: err.data as TaskChildrenPending });
+            }
+        });
+    };
+
+    const resolvePendingChildren = async (children: TaskChildrenChoice) => {
+        if (!pendingChildren) return;
+        await updateTask(pendingChildren.task.id, { status: pendingChildren.status }, children);
+        setPendingChildren(null);
     };
 
     const getStatusIcon = (status: TaskStatus) => {
@@ -125,10 +202,130 @@ export function ProjectPage() {
         }
     };
 
+    // Archived projects are read-only until an owner or admin restores them
+    const isArchived = project.status === 'archived';
+    const isOwner = isAdmin || !!project.members?.some(m => m.user?.id === user?.id && m.role === 'owner');
+
+    const handleRestore = async () => {
+        setLifecycleError('');
+        try {
+            await restoreProject(project.id);
+        } catch (err) {
+            setLifecycleError(err instanceof Error ? err.message : 'Failed to restore project');
+        }
+    };
+
+    // Owners and members manage milestones; members only delete their own
+    const canManageMilestones = !isArchived && user?.role !== 'viewer'
+        && (isAdmin || project.currentUserRole === 'owner' || project.currentUserRole === 'member');
+    const canDeleteMilestone = (milestone: Milestone) => isOwner || milestone.createdBy === user?.id;
+
+    const handleSaveMilestone = async (data: CreateMilestoneForm) => {
+        if (editingMilestone) {
+            await milestonesAPI.update(editingMilestone.id, data);
+        } else {
+            await milestonesAPI.create(project.id, data);
+        }
+        setShowMilestoneModal(false);
+        setEditingMilestone(null);
+        loadMilestones();
+    };
+
+    const handleDeleteMilestone = async (milestone: Milestone) => {
+        if (!confirm(`Delete the milestone "${milestone.title}"? Its tasks are kept.`)) return;
+        setMilestoneError('');
+        try {
+            await milestonesAPI.delete(milestone.id);
+            loadMilestones();
+        } catch (err) {
+            setMilestoneError(err instanceof Error ? err.message : 'Failed to delete milestone');
+        }
+    };
+
+    // Only owners (and admins) manage members; only an actual owner has ownership to hand over
+    const canManageMembers = !isArchived && user?.role !== 'viewer' && isOwner;
+    const canTransferOwnership = canManageMembers && project.currentUserRole === 'owner';
+
+    const runMemberAction = async (action: () => Promise<unknown>, fallback: string) => {
+        setMembersError('');
+        setMembersMessage('');
+        try {
+            await action();
+        } catch (err) {
+            setMembersError(err instanceof Error ? err.message : fallback);
+        }
+    };
+
+    const handleChangeRole = (member: ProjectMember, role: ProjectRole) => {
+        if (!member.user) return;
+        if (member.user.id === user?.id && member.role === 'owner'
+            && !confirm('Step down as owner? You will no longer be able to manage this project.')) return;
+        const memberId = member.user.id;
+        runMemberAction(() => changeMemberRole(project.id, memberId, role), 'Failed to change role');
+    };
+
+    const handleRemoveMember = (member: ProjectMember) => {
+        if (!member.user || !confirm(`Remove ${member.user.name} from ${project.name}?`)) return;
+        const memberId = member.user.id;
+        runMemberAction(() => removeMember(project.id, memberId), 'Failed to remove member');
+    };
+
+    const handleLeave = () => {
+        if (!confirm(`Leave ${project.name}?`)) return;
+        runMemberAction(async () => {
+            await leaveProject(project.id);
+            if (!isAdmin) navigate('/projects');
+        }, 'Failed to leave project');
+    };
+
+    const handleTransfer = async (userId: string, keepOwnership: boolean) => {
+        const message = await transferOwnership(project.id, userId, keepOwnership);
+        setShowTransferModal(false);
+        setMembersError('');
+        setMembersMessage(message);
+    };
+
     const tasksByStatus = {
-        new: projectTasks.filter(t => t.status === 'new'),
-        in_progress: projectTasks.filter(t => t.status === 'in_progress'),
-        done: projectTasks.filter(t => t.status === 'done')
+        new: boardTasks.filter(t => t.status === 'new'),
+        in_progress: boardTasks.filter(t => t.status === 'in_progress'),
+        done: boardTasks.filter(t => t.status === 'done')
+    };
+
+    // Save the project's bundle (for moving it to another server or keeping an offline copy)
+    const handleExport = async () => {
+        setIsExporting(true);
+        setExportError('');
+        try {
+            const { blob, fileName } = await projectsAPI.exportBundle(project.id);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setExportError(err instanceof Error ? err.message : 'Failed to export project');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const openTemplateModal = () => {
+        setTemplateForm({ name: project.name, description: project.description });
+        setTemplateError('');
+        setShowTemplateModal(true);
+    };
+
+    const handleSaveTemplate = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setTemplateError('');
+        try {
+            const response = await templatesAPI.createFromProject(project.id, templateForm);
+            setShowTemplateModal(false);
+            setTemplateMessage(`Saved as template "${response.data.name}"`);
+        } catch (err) {
+            setTemplateError(err instanceof Error ? err.message : 'Failed to save template');
+        }
     };
 
     return (
@@ -137,23 +334,89 @@ export function ProjectPage() {
                 title={project.name}
                 subtitle={project.description}
                 actions={
-                    <button className="btn btn-primary" onClick={() => setShowTaskModal(true)}>
-                        <Plus size={18} />
-                        New Task
-                    </button>
+                    <>
+                        {isAdmin && (
+                            <button className="btn btn-secondary" onClick={openTemplateModal}>
+                                <Copy size={18} />
+                                Save as Template
+                            </button>
+                        )}
+                        {isOwner && (
+                            <button className="btn btn-secondary" onClick={handleExport} disabled={isExporting}>
+                                <Download size={18} />
+                                {isExporting ? 'Exporting...' : 'Export'}
+                            </button>
+                        )}
+                        {!isArchived && (
+                            <button className="btn btn-primary" onClick={() => setShowTaskModal(true)}>
+                                <Plus size={18} />
+                                New Task
+                            </button>
+                        )}
+                    </>
                 }
             />
 
             <div className="project-content">
+                {templateMessage && <div className="alert alert-success">{templateMessage}</div>}
+                {exportError && <div className="alert alert-error">{exportError}</div>}
+
+                {isArchived && (
+                    <div className="archived-banner">
+                        <Archive size={18} />
+                        <div className="archived-banner-text">
+                            <strong>This project is archived and read-only.</strong>
+                            {project.deletionScheduledAt && (
+                                <span>
+                                    It will be deleted permanently on {format(new Date(project.deletionScheduledAt), 'PPP')} unless it is restored.
+                                </span>
+                            )}
+                            {lifecycleError && <span className="archived-banner-error">{lifecycleError}</span>}
+                        </div>
+                        <div className="archived-banner-actions">
+                            {isOwner && (
+                                <button className="btn btn-secondary" onClick={handleRestore}>
+                                    <ArchiveRestore size={18} />
+                                    Restore
+                                </button>
+                            )}
+                            {isAdmin && !project.deletionScheduledAt && (
+                                <button className="btn btn-danger" onClick={() => setShowDeleteModal(true)}>
+                                    <Trash2 size={18} />
+                                    Delete Permanently
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+
                 {/* Project Header */}
                 <div className="project-header-card card">
                     <div className="project-info">
-                        <span className={`badge ${getCategoryBadge(project.category)}`}>
-                            {project.category}
-                        </span>
+                        <CategoryBadge category={getCategory(project.category)} />
                         <span className="project-meta-text">
                             Created {formatDistanceToNow(new Date(project.createdAt), { addSuffix: true })}
                         </span>
+                        {project.members && project.members.length > 0 && (
+                            <div className="project-members" title={`${project.members.length} members`}>
+                                {project.members.slice(0, MAX_MEMBER_AVATARS).map(member => member.user && (
+                                    <div key={member.user.id} className="presence-avatar" title={`${member.user.name} (${member.role})`}>
+                                        <Avatar
+                                            name={member.user.name}
+                                            avatar={member.user.avatar}
+                                            avatarSizes={member.user.avatarSizes}
+                                            className="avatar avatar-sm"
+                                        />
+                                        <PresenceDot presence={getPresence(member.user.id)} />
+                                    </div>
+                                ))}
+                                {project.members.length > MAX_MEMBER_AVATARS && (
+                                    <span className="project-members-more">
+                                        +{project.members.length - MAX_MEMBER_AVATARS}
+                                    </span>
+                                )}
+                            </div>
+                        )}
                     </div>
 
                     <div className="project-tabs">
@@ -162,7 +425,28 @@ export function ProjectPage() {
                             onClick={() => setActiveTab('tasks')}
                         >
                             <CheckCircle2 size={18} />
-                            Tasks ({projectTasks.length})
+                            Tasks ({boardTasks.length})
+                        </button>
+                        <button
+                            className={`tab-btn ${activeTab === 'milestones' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('milestones')}
+                        >
+                            <Flag size={18} />
+                            Milestones ({milestones.length})
+                        </button>
+                        <button
+                            className={`tab-btn ${activeTab === 'members' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('members')}
+                        >
+                            <Users size={18} />
+                            Members ({project.members?.length || 0})
+                        </button>
+                        <button
+                            className={`tab-btn ${activeTab === 'activity' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('activity')}
+                        >
+                            <Activity size={18} />
+                            Activity
                         </button>
                         <button
                             className={`tab-btn ${activeTab === 'chat' ? 'active' : ''}`}
@@ -201,6 +485,9 @@ export function ProjectPage() {
                                         onDelete={() => deleteTask(task.id)}
                                         getStatusIcon={getStatusIcon}
                                         isAdmin={isAdmin}
+                                        readOnly={isArchived}
+                                        milestoneTitle={milestones.find(m => m.id === task.milestoneId)?.title}
+                                        progress={getTaskProgress(task)}
                                     />
                                 ))}
                             </div>
@@ -223,6 +510,9 @@ export function ProjectPage() {
                                         onDelete={() => deleteTask(task.id)}
                                         getStatusIcon={getStatusIcon}
                                         isAdmin={isAdmin}
+                                        readOnly={isArchived}
+                                        milestoneTitle={milestones.find(m => m.id === task.milestoneId)?.title}
+                                        progress={getTaskProgress(task)}
                                     />
                                 ))}
                             </div>
@@ -245,6 +535,9 @@ export function ProjectPage() {
                                         onDelete={() => deleteTask(task.id)}
                                         getStatusIcon={getStatusIcon}
                                         isAdmin={isAdmin}
+                                        readOnly={isArchived}
+                                        milestoneTitle={milestones.find(m => m.id === task.milestoneId)?.title}
+                                        progress={getTaskProgress(task)}
                                     />
                                 ))}
                             </div>
@@ -252,6 +545,58 @@ export function ProjectPage() {
                     </div>
                 )}
 
+                {/* Milestones Tab */}
+                {activeTab === 'milestones' && (
+                    <div className="milestones-tab">
+                        {milestoneError && <div className="alert alert-error">{milestoneError}</div>}
+                        {canManageMilestones && (
+                            <div className="milestones-toolbar">
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={() => { setEditingMilestone(null); setShowMilestoneModal(true); }}
+                                >
+                                    <Plus size={18} />
+                                    New Milestone
+                                </button>
+                            </div>
+                        )}
+                        <MilestoneList
+                            milestones={milestones}
+                            canManage={canManageMilestones}
+                            canDelete={canDeleteMilestone}
+                            onEdit={(milestone) => { setEditingMilestone(milestone); setShowMilestoneModal(true); }}
+                            onDelete={handleDeleteMilestone}
+                        />
+                    </div>
+                )}
+
+                {/* Members Tab */}
+                {activeTab === 'members' && (
+                    <div className="members-tab">
+                        {membersError && <div className="alert alert-error">{membersError}</div>}
+                        {membersMessage && <div className="alert alert-success">{membersMessage}</div>}
+                        {canTransferOwnership && (
+                            <div className="members-toolbar">
+                                <button className="btn btn-secondary" onClick={() => setShowTransferModal(true)}>
+                                    <Crown size={18} />
+                                    Transfer Ownership
+                                </button>
+                            </div>
+                        )}
+                        <MemberList
+                            members={project.members || []}
+                            currentUserId={user?.id}
+                            canManage={canManageMembers}
+                            onChangeRole={handleChangeRole}
+                            onRemove={handleRemoveMember}
+                            onLeave={handleLeave}
+                        />
+                    </div>
+                )}
+
+                {/* Activity Tab */}
+                {activeTab === 'activity' && <ActivityFeed projectId={project.id} />}
+
                 {/* Chat Tab Placeholder */}
                 {activeTab === 'chat' && (
                     <div className="chat-placeholder card">
@@ -338,6 +683,34 @@ export function ProjectPage() {
                                 </div>
                             </div>
 
+                            {milestones.length > 0 && (
+                                <div className="form-group">
+                                    <label className="form-label">Milestone</label>
+                                    <select
+                                        className="form-input"
+                                        value={taskForm.milestoneId}
+                                        onChange={e => setTaskForm({ ...taskForm, milestoneId: e.target.value })}
+                                    >
+                                        <option value="">None</option>
+                                        {milestones.map(m => (
+                                            <option key={m.id} value={m.id}>{m.title}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            {/* Subtasks are added to a task that exists, and don't have their own */}
+                            {editingTask && !editingTask.parentId && (
+                                <TaskChildren
+                                    task={tasks.find(t => t.id === editingTask.id) || editingTask}
+                                    users={users}
+                                    readOnly={isArchived}
+                                    canDelete={isAdmin}
+                                    onToggleStatus={toggleTaskStatus}
+                                    getStatusIcon={getStatusIcon}
+                                />
+                            )}
+
                             <div className="modal-footer">
                                 <button type="button" className="btn btn-secondary" onClick={() => setShowTaskModal(false)}>
                                     Cancel
@@ -350,6 +723,174 @@ export function ProjectPage() {
                     </div>
                 </div>
             )}
+
+            {pendingChildren && (
+                <TaskChildrenPrompt
+                    task={pendingChildren.task}
+                    pending={pendingChildren.pending}
+                    onChoose={resolvePendingChildren}
+                    onCancel={() => setPendingChildren(null)}
+                />
+            )}
+
+            {showMilestoneModal && (
+                <MilestoneFormModal
+                    milestone={editingMilestone}
+                    onClose={() => { setShowMilestoneModal(false); setEditingMilestone(null); }}
+                    onSave={handleSaveMilestone}
+                />
+            )}
+
+            {showTransferModal && (
+                <TransferOwnershipModal
+                    members={project.members || []}
+                    users={users}
+                    currentUserId={user?.id}
+                    onClose={() => setShowTransferModal(false)}
+                    onTransfer={handleTransfer}
+                />
+            )}
+
+            {showDeleteModal && (
+                <PermanentDeleteModal project={project} onClose={() => setShowDeleteModal(false)} />
+            )}
+
+            {/* Save as Template Modal */}
+            {showTemplateModal && (
+                <div className="modal-overlay" onClick={() => setShowTemplateModal(false)}>
+                    <div className="modal" onClick={e => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2>Save as Template</h2>
+                            <button className="modal-close" onClick={() => setShowTemplateModal(false)}>
+                                <X size={20} />
+                            </button>
+                        </div>
+
+                        <form onSubmit={handleSaveTemplate} className="modal-form">
+                            {templateError && <div className="alert alert-error">{templateError}</div>}
+
+                            <p className="form-hint">
+                                The template keeps this project's category, folders, members and tasks.
+                                Task due dates are saved as days after the project was created.
+                            </p>
+
+                            <div className="form-group">
+                                <label className="form-label">Template Name *</label>
+                                <input
+                                    type="text"
+                                    className="form-input"
+                                    value={templateForm.name}
+                                    onChange={e => setTemplateForm({ ...templateForm, name: e.target.value })}
+                                    required
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Description</label>
+                                <textarea
+                                    className="form-input"
+                                    value={templateForm.description}
+                                    onChange={e => setTemplateForm({ ...templateForm, description: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="modal-footer">
+                                <button type="button" className="btn btn-secondary" onClick={() => setShowTemplateModal(false)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-primary">
+                                    Save Template
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Two steps: the server hands out a short-lived token, which confirming sends back
+function PermanentDeleteModal({ project, onClose }: { project: Project; onClose: () => void }) {
+    const { confirmProjectDeletion } = useApp();
+    const [request, setRequest] = useState<ProjectDeletionRequest | null>(null);
+    const [typedName, setTypedName] = useState('');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        projectsAPI.requestPermanentDelete(project.id)
+            .then(response => setRequest(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to start deletion'));
+    }, [project.id]);
+
+    const handleConfirm = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!request) return;
+
+        setIsSaving(true);
+        setError('');
+        try {
+            await confirmProjectDeletion(project.id, request.confirmationToken);
+            onClose();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to delete project');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Delete Project Permanently</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleConfirm} className="modal-form">
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    {request && (
+                        <>
+                            <p>
+                                <strong>{project.name}</strong> and all of its tasks, messages and files will be
+                                deleted {request.gracePeriodDays} days from now. Restoring the project before then
+                                cancels the deletion. After that it can't be undone.
+                            </p>
+
+                            <div className="form-group">
+                                <label className="form-label">Type the project name to confirm</label>
+                                <input
+                                    type="text"
+                                    className="form-input"
+                                    value={typedName}
+                                    onChange={e => setTypedName(e.target.value)}
+                                    autoFocus
+                                />
+                                <span className="form-hint">
+                                    This confirmation expires at {format(new Date(request.expiresAt), 'p')}.
+                                </span>
+                            </div>
+                        </>
+                    )}
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            className="btn btn-danger"
+                            disabled={!request || typedName !== project.name || isSaving}
+                        >
+                            Delete Permanently
+                        </button>
+                    </div>
+                </form>
+            </div>
         </div>
     );
 }
@@ -362,34 +903,39 @@ interface TaskCardProps {
     onDelete: () => void;
     getStatusIcon: (status: TaskStatus) => React.ReactNode;
     isAdmin: boolean;
+    readOnly: boolean;
+    milestoneTitle?: string;
+    progress: TaskProgress;
 }
 
-function TaskCard({ task, onToggle, onEdit, onDelete, getStatusIcon, isAdmin }: TaskCardProps) {
+function TaskCard({ task, onToggle, onEdit, onDelete, getStatusIcon, isAdmin, readOnly, milestoneTitle, progress }: TaskCardProps) {
     const [showMenu, setShowMenu] = useState(false);
 
     return (
         <div className={`task-card ${task.status === 'done' ? 'completed' : ''}`}>
             <div className="task-card-header">
-                <button className="status-toggle" onClick={onToggle}>
+                <button className="status-toggle" onClick={onToggle} disabled={readOnly}>
                     {getStatusIcon(task.status)}
                 </button>
-                <div className="task-card-actions">
-                    <button className="action-btn" onClick={() => setShowMenu(!showMenu)}>
-                        <MoreVertical size={16} />
-                    </button>
-                    {showMenu && (
-                        <div className="action-menu">
-                            <button onClick={() => { onEdit(); setShowMenu(false); }}>
-                                <Edit2 size={14} /> Edit
-                            </button>
-                            {isAdmin && (
-                                <button className="danger" onClick={() => { onDelete(); setShowMenu(false); }}>
-                                    <Trash2 size={14} /> Delete
+                {!readOnly && (
+                    <div className="task-card-actions">
+                        <button className="action-btn" onClick={() => setShowMenu(!showMenu)}>
+                            <MoreVertical size={16} />
+                        </button>
+                        {showMenu && (
+                            <div className="action-menu">
+                                <button onClick={() => { onEdit(); setShowMenu(false); }}>
+                                    <Edit2 size={14} /> Edit
                                 </button>
-                            )}
-                        </div>
-                    )}
-                </div>
+                                {isAdmin && (
+                                    <button className="danger" onClick={() => { onDelete(); setShowMenu(false); }}>
+                                        <Trash2 size={14} /> Delete
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
             </div>
 
             <h4 className="task-card-title">{task.title}</h4>
@@ -398,6 +944,20 @@ function TaskCard({ task, onToggle, onEdit, onDelete, getStatusIcon, isAdmin }:
                 <p className="task-card-description">{task.description}</p>
             )}
 
+            {milestoneTitle && (
+                <span className="task-milestone">
+                    <Flag size={12} />
+                    {milestoneTitle}
+                </span>
+            )}
+
+            {progress.total > 0 && (
+                <span className="task-progress">
+                    <ListChecks size={12} />
+                    {progress.done}/{progress.total} done
+                </span>
+            )}
+
             <div className="task-card-footer">
                 {task.assigneeName && (
                     <div className="task-assignee">
@@ -1,69 +1,108 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
-import { Plus, FolderKanban, Trash2, X } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Plus, FolderKanban, X, AlertTriangle, Upload } from 'lucide-react';
 import { Header } from '../components/layout';
+import { ProjectCardMenu } from '../components/projects/ProjectCardMenu';
+import { CategoryBadge, categoryStyle } from '../components/ui';
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
-import type { CreateProjectForm, ProjectCategory } from '../types';
+import { projectsAPI, templatesAPI } from '../services/api';
+import type { CreateProjectForm, DuplicateProjectForm, Project, ProjectCategory, ProjectImportConflict, ProjectImportPreview, ProjectSort, ProjectTemplate } from '../types';
 import { formatDistanceToNow } from 'date-fns';
 import './ProjectsPage.css';
 
+const SORT_LABELS: Record<ProjectSort, string> = {
+    updated: 'Recently updated',
+    name: 'Name',
+    progress: 'Progress'
+};
+
+// Same order as the server's listing: names A-Z, the rest newest or highest first
+const compareProjects = (sort: ProjectSort) => (a: Project, b: Project) => {
+    if (sort === 'name') return a.name.localeCompare(b.name);
+    const difference = sort === 'progress'
+        ? (b.progress ?? 0) - (a.progress ?? 0)
+        : new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime();
+    return difference || a.name.localeCompare(b.name);
+};
+
 export function ProjectsPage() {
-    const { projects, addProject, deleteProject } = useApp();
+    const { projects, categories, getCategory, addProject, archiveProject, restoreProject } = useApp();
     const { user, isAdmin } = useAuth();
+    const navigate = useNavigate();
     const [showModal, setShowModal] = useState(false);
-    const [filter, setFilter] = useState<ProjectCategory | 'all' | 'completed'>('all');
+    const [duplicating, setDuplicating] = useState<Project | null>(null);
+    const [showImportModal, setShowImportModal] = useState(false);
+    // Active projects, optionally of one category, or all completed or archived ones
+    const [filter, setFilter] = useState<{ status: 'active' | 'completed' | 'archived'; category?: ProjectCategory }>({ status: 'active' });
+    const [sort, setSort] = useState<ProjectSort>('updated');
 
     const [form, setForm] = useState<CreateProjectForm>({
         name: '',
         description: '',
-        category: 'tech'
+        category: ''
     });
+    const [templates, setTemplates] = useState<ProjectTemplate[]>([]);
+    const [error, setError] = useState('');
+
+    // Templates are offered in the create modal
+    useEffect(() => {
+        if (!showModal) return;
+        templatesAPI.getAll()
+            .then(response => setTemplates(response.data))
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load templates'));
+    }, [showModal]);
+
+    const selectedTemplate = templates.find(t => t.id === form.templateId);
+    // Until one is picked, new projects get the first category
+    const formCategory = form.category || categories[0]?.slug || '';
+
+    // Starting from a template fills in its category and description
+    const handleTemplateChange = (templateId: string) => {
+        const template = templates.find(t => t.id === templateId);
+        setForm(template
+            ? { ...form, templateId, category: template.category, description: template.description }
+            : { ...form, templateId: undefined, startDate: undefined });
+    };
 
     // Calculate active projects for header count
     const activeProjectsCount = projects.filter(p => p.status === 'active' || !p.status).length;
 
     const filteredProjects = projects.filter(p => {
-        // Special case for completed filter
-        if (filter === 'completed') {
-            return p.status === 'completed' || p.status === 'archived';
-        }
+        if (filter.status !== 'active') return p.status === filter.status;
 
         // For other filters, only show active projects
         if (p.status === 'completed' || p.status === 'archived') return false;
 
         // Category filter
-        if (filter === 'all') return true;
-        return p.category === filter;
-    });
+        return !filter.category || p.category === filter.category;
+    }).sort(compareProjects(sort));
 
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         if (!form.name.trim()) return;
 
-        await addProject({
-            name: form.name,
-            description: form.description,
-            category: form.category,
-            status: 'active',
-            createdBy: user?.id || ''
-        });
+        setError('');
+        try {
+            await addProject({
+                name: form.name,
+                description: form.description,
+                category: formCategory,
+                status: 'active',
+                createdBy: user?.id || '',
+                templateId: form.templateId,
+                startDate: form.templateId ? form.startDate || undefined : undefined
+            });
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to create project');
+            return;
+        }
 
         // Switch filter to show the new project
-        setFilter(form.category);
+        setFilter({ status: 'active', category: formCategory });
 
         setShowModal(false);
-        setForm({ name: '', description: '', category: 'tech' });
-    };
-
-    const getCategoryBadge = (category: string) => {
-        const classes: Record<string, string> = {
-            tech: 'badge-tech',
-            marketing: 'badge-marketing',
-            ops: 'badge-ops',
-            personal: 'badge-personal'
-        };
-        return classes[category] || 'badge-tech';
+        setForm({ name: '', description: '', category: '' });
     };
 
     return (
@@ -73,10 +112,16 @@ export function ProjectsPage() {
                 subtitle={`${activeProjectsCount} active projects`}
                 actions={
                     isAdmin && (
-                        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-                            <Plus size={18} />
-                            New Project
-                        </button>
+                        <>
+                            <button className="btn btn-secondary" onClick={() => setShowImportModal(true)}>
+                                <Upload size={18} />
+                                Import
+                            </button>
+                            <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+                                <Plus size={18} />
+                                New Project
+                            </button>
+                        </>
                     )
                 }
             />
@@ -85,42 +130,44 @@ export function ProjectsPage() {
                 {/* Filters */}
                 <div className="projects-filters">
                     <button
-                        className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
-                        onClick={() => setFilter('all')}
+                        className={`filter-btn ${filter.status === 'active' && !filter.category ? 'active' : ''}`}
+                        onClick={() => setFilter({ status: 'active' })}
                     >
                         All
                     </button>
+                    {categories.map(category => (
+                        <button
+                            key={category.slug}
+                            className={`filter-btn filter-btn-category ${filter.category === category.slug ? 'active' : ''}`}
+                            style={categoryStyle(category)}
+                            onClick={() => setFilter({ status: 'active', category: category.slug })}
+                        >
+                            {category.name}
+                        </button>
+                    ))}
+                    <div className="filter-divider"></div>
                     <button
-                        className={`filter-btn ${filter === 'tech' ? 'active' : ''}`}
-                        onClick={() => setFilter('tech')}
-                    >
-                        Tech
-                    </button>
-                    <button
-                        className={`filter-btn ${filter === 'marketing' ? 'active' : ''}`}
-                        onClick={() => setFilter('marketing')}
+                        className={`filter-btn ${filter.status === 'completed' ? 'active' : ''}`}
+                        onClick={() => setFilter({ status: 'completed' })}
                     >
-                        Marketing
+                        Completed
                     </button>
                     <button
-                        className={`filter-btn ${filter === 'ops' ? 'active' : ''}`}
-                        onClick={() => setFilter('ops')}
+                        className={`filter-btn ${filter.status === 'archived' ? 'active' : ''}`}
+                        onClick={() => setFilter({ status: 'archived' })}
                     >
-                        Operations
+                        Archived
                     </button>
-                    <button
-                        className={`filter-btn ${filter === 'personal' ? 'active' : ''}`}
-                        onClick={() => setFilter('personal')}
+                    <select
+                        className="form-input projects-sort"
+                        value={sort}
+                        onChange={e => setSort(e.target.value as ProjectSort)}
+                        aria-label="Sort projects"
                     >
-                        Personal
-                    </button>
-                    <div className="filter-divider"></div>
-                    <button
-                        className={`filter-btn ${filter === 'completed' ? 'active' : ''}`}
-                        onClick={() => setFilter('completed')}
-                    >
-                        Completed
-                    </button>
+                        {(Object.keys(SORT_LABELS) as ProjectSort[]).map(key => (
+                            <option key={key} value={key}>{SORT_LABELS[key]}</option>
+                        ))}
+                    </select>
                 </div>
 
                 {/* Projects Grid */}
@@ -142,30 +189,41 @@ export function ProjectsPage() {
                             <div key={project.id} className="project-card card">
                                 <Link to={`/projects/${project.id}`} className="project-link">
                                     <div className="project-card-header">
-                                        <span className={`badge ${getCategoryBadge(project.category)}`}>
-                                            {project.category}
-                                        </span>
+                                        <CategoryBadge category={getCategory(project.category)} />
                                         {isAdmin && (
-                                            <button
-                                                className="delete-btn"
-                                                onClick={(e) => {
-                                                    e.preventDefault();
-                                                    e.stopPropagation();
-                                                    if (confirm('Are you sure you want to delete this project?')) {
-                                                        deleteProject(project.id);
+                                            <ProjectCardMenu
+                                                project={project}
+                                                onDuplicate={setDuplicating}
+                                                onArchive={project.status !== 'archived' ? () => {
+                                                    if (confirm(`Archive "${project.name}"? It becomes read-only until restored.`)) {
+                                                        archiveProject(project.id).catch(err => alert(err instanceof Error ? err.message : 'Failed to archive project'));
                                                     }
-                                                }}
-                                            >
-                                                <Trash2 size={14} />
-                                            </button>
+                                                } : undefined}
+                                                onRestore={project.status === 'archived' ? () => {
+                                                    restoreProject(project.id).catch(err => alert(err instanceof Error ? err.message : 'Failed to restore project'));
+                                                } : undefined}
+                                            />
                                         )}
                                     </div>
                                     <h3 className="project-name">{project.name}</h3>
                                     <p className="project-description">{project.description}</p>
                                 </Link>
                                 <div className="project-footer">
-                                    <span className="project-task-count">{project.taskCount} tasks</span>
-                                    <span className="project-updated-time">Updated {formatDistanceToNow(new Date(project.updatedAt), { addSuffix: true })}</span>
+                                    <div className="project-progress" title={`${project.progress ?? 0}% of tasks done`}>
+                                        <div className="project-progress-bar" style={{ width: `${project.progress ?? 0}%` }} />
+                                    </div>
+                                    <span className="project-task-count">
+                                        {project.completedCount ?? 0}/{project.taskCount} tasks done
+                                        {!!project.overdueCount && (
+                                            <span className="project-overdue">
+                                                <AlertTriangle size={12} />
+                                                {project.overdueCount} overdue
+                                            </span>
+                                        )}
+                                    </span>
+                                    <span className="project-updated-time">
+                                        Active {formatDistanceToNow(new Date(project.lastActivityAt || project.updatedAt), { addSuffix: true })}
+                                    </span>
                                 </div>
                             </div>
                         ))
@@ -185,6 +243,30 @@ export function ProjectsPage() {
                         </div>
 
                         <form onSubmit={handleSubmit} className="modal-form">
+                            {error && <div className="alert alert-error">{error}</div>}
+
+                            {templates.length > 0 && (
+                                <div className="form-group">
+                                    <label className="form-label">Start From</label>
+                                    <select
+                                        className="form-input"
+                                        value={form.templateId || ''}
+                                        onChange={e => handleTemplateChange(e.target.value)}
+                                    >
+                                        <option value="">Blank project</option>
+                                        {templates.map(template => (
+                                            <option key={template.id} value={template.id}>{template.name}</option>
+                                        ))}
+                                    </select>
+                                    {selectedTemplate && (
+                                        <span className="form-hint">
+                                            {selectedTemplate.tasks.length} tasks, {selectedTemplate.folders.length} folders
+                                            and {selectedTemplate.defaultMembers.length} default members
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+
                             <div className="form-group">
                                 <label className="form-label">Project Name *</label>
                                 <input
@@ -211,16 +293,28 @@ export function ProjectsPage() {
                                 <label className="form-label">Category</label>
                                 <select
                                     className="form-input"
-                                    value={form.category}
-                                    onChange={e => setForm({ ...form, category: e.target.value as ProjectCategory })}
+                                    value={formCategory}
+                                    onChange={e => setForm({ ...form, category: e.target.value })}
                                 >
-                                    <option value="tech">Tech Development</option>
-                                    <option value="marketing">Marketing</option>
-                                    <option value="ops">Operations</option>
-                                    <option value="personal">Personal Project</option>
+                                    {categories.map(category => (
+                                        <option key={category.slug} value={category.slug}>{category.name}</option>
+                                    ))}
                                 </select>
                             </div>
 
+                            {selectedTemplate && (
+                                <div className="form-group">
+                                    <label className="form-label">Start Date</label>
+                                    <input
+                                        type="date"
+                                        className="form-input"
+                                        value={form.startDate || ''}
+                                        onChange={e => setForm({ ...form, startDate: e.target.value })}
+                                    />
+                                    <span className="form-hint">Task due dates count from this day (today if left empty)</span>
+                                </div>
+                            )}
+
                             <div className="modal-footer">
                                 <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)}>
                                     Cancel
@@ -233,6 +327,250 @@ export function ProjectsPage() {
                     </div>
                 </div>
             )}
+
+            {duplicating && (
+                <DuplicateProjectModal
+                    project={duplicating}
+                    onClose={() => setDuplicating(null)}
+                    onDuplicated={(copy) => navigate(`/projects/${copy.id}`)}
+                />
+            )}
+
+            {showImportModal && (
+                <ImportProjectModal
+                    onClose={() => setShowImportModal(false)}
+                    onImported={(project) => navigate(`/projects/${project.id}`)}
+                />
+            )}
+        </div>
+    );
+}
+
+interface DuplicateProjectModalProps {
+    project: Project;
+    onClose: () => void;
+    onDuplicated: (copy: Project) => void;
+}
+
+function DuplicateProjectModal({ project, onClose, onDuplicated }: DuplicateProjectModalProps) {
+    const { duplicateProject } = useApp();
+    const [form, setForm] = useState<Required<DuplicateProjectForm>>({
+        name: `${project.name} (copy)`,
+        members: true,
+        tasks: true,
+        assignees: true,
+        dueDates: true,
+        files: true
+    });
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!form.name.trim()) return;
+
+        setIsSaving(true);
+        setError('');
+        try {
+            const copy = await duplicateProject(project.id, { ...form, name: form.name.trim() });
+            onClose();
+            onDuplicated(copy);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to duplicate project');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const toggle = (key: 'members' | 'tasks' | 'assignees' | 'dueDates' | 'files', label: string, disabled = false) => (
+        <label className="checkbox-row">
+            <input
+                type="checkbox"
+                checked={form[key] && !disabled}
+                disabled={disabled}
+                onChange={e => setForm({ ...form, [key]: e.target.checked })}
+            />
+            {label}
+        </label>
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Duplicate Project</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="modal-form">
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <div className="form-group">
+                        <label className="form-label">New Project Name *</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            value={form.name}
+                            onChange={e => setForm({ ...form, name: e.target.value })}
+                            required
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Copy</label>
+                        <div className="duplicate-options">
+                            {toggle('members', 'Members and their roles')}
+                            {toggle('tasks', 'Tasks')}
+                            <div className="duplicate-suboptions">
+                                {toggle('assignees', 'Keep assignees', !form.tasks)}
+                                {toggle('dueDates', 'Keep due dates', !form.tasks)}
+                            </div>
+                            {toggle('files', 'File references (the copies share the stored files)')}
+                        </div>
+                        {form.assignees && !form.members && form.tasks && (
+                            <span className="form-hint">Without members, only tasks assigned to you keep their assignee.</span>
+                        )}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                            {isSaving ? 'Duplicating...' : 'Duplicate'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+interface ImportProjectModalProps {
+    onClose: () => void;
+    onImported: (project: Project) => void;
+}
+
+// Picking a bundle runs a dry import first, so conflicts are known before anything is created
+function ImportProjectModal({ onClose, onImported }: ImportProjectModalProps) {
+    const { importProject } = useApp();
+    const [file, setFile] = useState<File | null>(null);
+    const [name, setName] = useState('');
+    const [preview, setPreview] = useState<ProjectImportPreview | null>(null);
+    const [conflicts, setConflicts] = useState<ProjectImportConflict[]>([]);
+    const [error, setError] = useState('');
+    const [isChecking, setIsChecking] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleFileChange = async (selected: File | null) => {
+        setFile(selected);
+        setPreview(null);
+        setConflicts([]);
+        setError('');
+        if (!selected) return;
+
+        setIsChecking(true);
+        try {
+            const response = await projectsAPI.previewImport(selected);
+            setPreview(response.data);
+            setConflicts(response.conflicts);
+            setName(response.data.name);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to read the bundle');
+        } finally {
+            setIsChecking(false);
+        }
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!file || !preview || !name.trim()) return;
+
+        setIsSaving(true);
+        setError('');
+        try {
+            const project = await importProject(file, name.trim());
+            onClose();
+            onImported(project);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to import project');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Import Project</h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="modal-form">
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <div className="form-group">
+                        <label className="form-label">Bundle *</label>
+                        <input
+                            type="file"
+                            className="form-input"
+                            accept=".tar.gz,.tgz,application/gzip"
+                            onChange={e => handleFileChange(e.target.files?.[0] || null)}
+                            required
+                        />
+                        <span className="form-hint">A .tar.gz exported from a project's page, here or on another server.</span>
+                    </div>
+
+                    {isChecking && <p className="text-muted">Checking the bundle...</p>}
+
+                    {preview && (
+                        <>
+                            <div className="form-group">
+                                <label className="form-label">Project Name *</label>
+                                <input
+                                    type="text"
+                                    className="form-input"
+                                    value={name}
+                                    onChange={e => setName(e.target.value)}
+                                    maxLength={200}
+                                    required
+                                />
+                                <span className="form-hint">
+                                    {preview.taskCount} tasks, {preview.milestoneCount} milestones, {preview.messageCount} messages,
+                                    {' '}{preview.fileCount} files and {preview.memberCount} members will be imported.
+                                </span>
+                            </div>
+
+                            {conflicts.length > 0 && (
+                                <div className="form-group">
+                                    <label className="form-label">Conflicts</label>
+                                    <ul className="import-conflicts">
+                                        {conflicts.map((conflict, i) => (
+                                            <li key={i}>
+                                                <AlertTriangle size={14} />
+                                                {conflict.message}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={!preview || isSaving}>
+                            {isSaving ? 'Importing...' : 'Import'}
+                        </button>
+                    </div>
+                </form>
+            </div>
         </div>
     );
 }
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useSearchParams } from 'react-router-dom';
+import { AlertCircle, CheckCircle2, KeyRound, Mail } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import logo from '../assets/RentBasket-Logo.png';
+import './LoginPage.css';
+
+// Handles both steps: requesting a reset link (no token) and choosing a new password (?token=...)
+export function ResetPasswordPage() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const { isAuthenticated } = useAuth();
+
+    if (isAuthenticated) {
+        return <Navigate to="/" replace />;
+    }
+
+    return (
+        <div className="login-page">
+            <div className="login-container">
+                <div className="login-header">
+                    <div className="login-logo">
+                        <img src={logo} alt="RentBasket" className="logo-img" />
+                        <span className="logo-text">RentBasket</span>
+                    </div>
+                    <h1>{token ? 'Choose a new password' : 'Forgot your password?'}</h1>
+                    <p>
+                        {token
+                            ? 'You will be signed out of all devices afterwards'
+                            : "Enter your email and we'll send you a reset link"}
+                    </p>
+                </div>
+
+                {token ? <ResetForm token={token} /> : <RequestForm />}
+
+                <div className="login-footer">
+                    <Link to="/login" className="forgot-link">Back to sign in</Link>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function RequestForm() {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+
+        if (!email) {
+            setError('Please enter your email');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await authAPI.forgotPassword(email);
+            setMessage(response.message);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to request a reset link');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    if (message) {
+        return (
+            <div className="login-form">
+                <div className="success-message">
+                    <CheckCircle2 size={16} />
+                    <span>{message}</span>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <form className="login-form" onSubmit={handleSubmit}>
+            {error && (
+                <div className="error-message">
+                    <AlertCircle size={16} />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            <div className="form-group">
+                <label className="form-label" htmlFor="email">Email</label>
+                <input
+                    type="email"
+                    id="email"
+                    className="form-input"
+                    placeholder="you@rentbasket.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    autoComplete="email"
+                />
+            </div>
+
+            <button type="submit" className="btn btn-primary login-btn" disabled={isLoading}>
+                <Mail size={18} />
+                {isLoading ? 'Sending...' : 'Send reset link'}
+            </button>
+        </form>
+    );
+}
+
+function ResetForm({ token }: { token: string }) {
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [done, setDone] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+
+        if (password.length < 6) {
+            setError('Password must be at least 6 characters');
+            return;
+        }
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            await authAPI.resetPassword({ token, password });
+            setDone(true);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to reset password');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    if (done) {
+        return (
+            <div className="login-form">
+                <div className="success-message">
+                    <CheckCircle2 size={16} />
+                    <span>Your password has been reset.</span>
+                </div>
+                <Link to="/login" className="btn btn-primary login-btn">
+                    Sign in
+                </Link>
+            </div>
+        );
+    }
+
+    return (
+        <form className="login-form" onSubmit={handleSubmit}>
+            {error && (
+                <div className="error-message">
+                    <AlertCircle size={16} />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            <div className="form-group">
+                <label className="form-label" htmlFor="password">New Password</label>
+                <input
+                    type="password"
+                    id="password"
+                    className="form-input"
+                    placeholder="Minimum 6 characters"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="new-password"
+                />
+            </div>
+
+            <div className="form-group">
+                <label className="form-label" htmlFor="confirmPassword">Confirm New Password</label>
+                <input
+                    type="password"
+                    id="confirmPassword"
+                    className="form-input"
+                    placeholder="••••••••"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    autoComplete="new-password"
+                />
+            </div>
+
+            <button type="submit" className="btn btn-primary login-btn" disabled={isLoading}>
+                <KeyRound size={18} />
+                {isLoading ? 'Saving...' : 'Reset password'}
+            </button>
+        </form>
+    );
+}
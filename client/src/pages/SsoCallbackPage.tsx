@@ -0,0 +1,89 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { AlertCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { TwoFactorLogin } from '../components/auth';
+import type { AuthSession, MfaChallenge } from '../types';
+import logo from '../assets/RentBasket-Logo.png';
+import './LoginPage.css';
+
+// Landing page after the identity provider: redeems the #ticket the server put in the URL fragment
+export function SsoCallbackPage() {
+    const [error, setError] = useState('');
+    const [mfaChallenge, setMfaChallenge] = useState<MfaChallenge | null>(null);
+    const { loginWithSso, completeLogin } = useAuth();
+    const navigate = useNavigate();
+    const exchanged = useRef(false);
+
+    useEffect(() => {
+        // Tickets are single-purpose; don't redeem twice under StrictMode
+        if (exchanged.current) return;
+        exchanged.current = true;
+
+        const ticket = new URLSearchParams(window.location.hash.slice(1)).get('ticket');
+        window.history.replaceState(null, '', window.location.pathname);
+
+        if (!ticket) {
+            navigate('/login', { replace: true });
+            return;
+        }
+
+        loginWithSso(ticket).then(result => {
+            if (result.mfa) {
+                setMfaChallenge(result.mfa);
+            } else if (result.success) {
+                navigate('/', { replace: true });
+            } else {
+                setError(result.error || 'Single sign-on failed');
+            }
+        });
+    }, [loginWithSso, navigate]);
+
+    const handleMfaComplete = (session: AuthSession) => {
+        completeLogin(session);
+        navigate('/', { replace: true });
+    };
+
+    return (
+        <div className="login-page">
+            <div className="login-container">
+                <div className="login-header">
+                    <div className="login-logo">
+                        <img src={logo} alt="RentBasket" className="logo-img" />
+                        <span className="logo-text">RentBasket</span>
+                    </div>
+                    <h1>
+                        {mfaChallenge
+                            ? (mfaChallenge.mfaSetupRequired ? 'Set up two-factor' : 'Two-factor authentication')
+                            : 'Signing you in'}
+                    </h1>
+                    {mfaChallenge && (
+                        <p>
+                            {mfaChallenge.mfaSetupRequired
+                                ? 'Protect your admin account with an authenticator app'
+                                : 'Enter the code from your authenticator app'}
+                        </p>
+                    )}
+                </div>
+
+                {mfaChallenge ? (
+                    <TwoFactorLogin
+                        challenge={mfaChallenge}
+                        onComplete={handleMfaComplete}
+                        onCancel={() => navigate('/login', { replace: true })}
+                    />
+                ) : error ? (
+                    <div className="login-form">
+                        <div className="error-message">
+                            <AlertCircle size={16} />
+                            <span>{error}</span>
+                        </div>
+                        <Link to="/login" className="forgot-link">Back to sign in</Link>
+                    </div>
+                ) : (
+                    <p className="mfa-intro">Completing single sign-on...</p>
+                )}
+            </div>
+        </div>
+    );
+}
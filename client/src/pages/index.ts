@@ -1,4 +1,7 @@
 export { LoginPage } from './LoginPage';
+export { AcceptInvitePage } from './AcceptInvitePage';
+export { ResetPasswordPage } from './ResetPasswordPage';
+export { SsoCallbackPage } from './SsoCallbackPage';
 export { DashboardPage } from './DashboardPage';
 export { ProjectsPage } from './ProjectsPage';
 export { ProjectPage } from './ProjectPage';
@@ -1,3 +1,5 @@
+import type { AchievementSummary, ActivityType, ApiToken, AuditEntry, AuditFilters, AuthSession, Category, ChecklistItem, CreateMilestoneForm, CreateTaskForm, DuplicateProjectForm, Invitation, LoginAttempt, LoginResult, Milestone, OffboardingPreview, OffboardingResult, PresenceStatus, Project, ProjectActivity, ProjectDeletionRequest, ProjectImportConflict, ProjectImportPreview, ProjectListParams, ProjectRole, ProjectTemplate, SessionInfo, Task, TaskChildrenChoice, TwoFactorSetup, TwoFactorStatus, User, UserPresence, UserRole } from '../types';
+
 // API Configuration
 const API_BASE_URL = (import.meta.env.VITE_API_URL || (import.meta.env.PROD ? '' : 'http://localhost:5001')) + '/api';
 
@@ -10,32 +12,116 @@ if (!import.meta.env.PROD) {
 export class ApiError extends Error {
     status?: number;
     code?: string;
+    // Details some errors carry, such as the children of a CHILDREN_PENDING conflict
+    data?: unknown;
 
-    constructor(message: string, status?: number, code?: string) {
+    constructor(message: string, status?: number, code?: string, data?: unknown) {
         super(message);
         this.name = 'ApiError';
         this.status = status;
         this.code = code;
+        this.data = data;
     }
 }
 
 // Helper function to get auth headers
-const getAuthHeaders = (): HeadersInit => {
-    const token = localStorage.getItem('rentbasket_token');
-    return {
-        'Content-Type': 'application/json',
-        ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    };
+// Fired when the session can no longer be refreshed; AuthContext logs the user out
+export const SESSION_EXPIRED_EVENT = 'rentbasket:session-expired';
+
+const clearStoredSession = () => {
+    localStorage.removeItem('rentbasket_token');
+    localStorage.removeItem('rentbasket_refresh_token');
+    localStorage.removeItem('rentbasket_user');
 };
 
+// New accounts start in the browser's timezone (login streaks count days in it)
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Shared so that concurrent 401s trigger a single refresh
+let refreshPromise: Promise<boolean> | null = null;
+
+// Held while refreshing, so that tabs sharing the stored tokens refresh one at a time
+const REFRESH_LOCK = 'rentbasket-token-refresh';
+
+const withRefreshLock = async (refresh: () => Promise<boolean>): Promise<boolean> =>
+    navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh();
+
+/**
+ * Exchange the stored refresh token for a new access/refresh token pair.
+ * A refresh token works once, so tabs take turns: a tab that waited while
+ * another refreshed finds a different access token stored and uses that
+ * instead of replaying the spent refresh token (which would end the session).
+ * @param rejectedToken - the access token the server turned down
+ */
+export function refreshAccessToken(rejectedToken: string | null = localStorage.getItem('rentbasket_token')): Promise<boolean> {
+    if (!refreshPromise) {
+        refreshPromise = withRefreshLock(async () => {
+            if (localStorage.getItem('rentbasket_token') !== rejectedToken) return true;
+
+            const refreshToken = localStorage.getItem('rentbasket_refresh_token');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                if (!response.ok) return false;
+
+                const { data } = await response.json();
+                localStorage.setItem('rentbasket_token', data.token);
+                localStorage.setItem('rentbasket_refresh_token', data.refreshToken);
+                return true;
+            } catch {
+                return false;
+            }
+        }).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * fetch with the stored access token, for JSON, multipart and file downloads
+ * alike. An expired access token is refreshed and the request replayed once;
+ * a session that can't be refreshed signs the user out. The response is
+ * returned as it is, for the caller to read.
+ */
+async function authorizedFetch(url: string, options: RequestInit = {}, isRetry = false): Promise<Response> {
+    const token = localStorage.getItem('rentbasket_token');
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...options.headers,
+        },
+    });
+    if (response.status !== 401) return response;
+
+    const { code } = await response.clone().json().catch(() => ({}));
+
+    // Access token expired: refresh once and replay the request
+    if (code === 'TOKEN_EXPIRED' && !isRetry && await refreshAccessToken(token)) {
+        return authorizedFetch(url, options, true);
+    }
+
+    if (['TOKEN_EXPIRED', 'SESSION_REVOKED'].includes(code)) {
+        clearStoredSession();
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    }
+    return response;
+}
+
 // Generic API call wrapper with improved error handling
 async function apiCall<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
     const url = `${API_BASE_URL}${endpoint}`;
     try {
-        const response = await fetch(url, {
+        const response = await authorizedFetch(url, {
             ...options,
             headers: {
-                ...getAuthHeaders(),
+                'Content-Type': 'application/json',
                 ...options.headers,
             },
         });
@@ -64,7 +150,8 @@ async function apiCall<T>(endpoint: string, options: RequestInit = {}): Promise<
             throw new ApiError(
                 data.error || `Request failed with status ${response.status}`,
                 response.status,
-                data.code
+                data.code,
+                data.data
             );
         }
 
@@ -84,45 +171,202 @@ async function apiCall<T>(endpoint: string, options: RequestInit = {}): Promise<
     }
 }
 
+// Multipart upload of a project bundle, bypassing apiCall's JSON headers (like filesAPI.upload)
+async function uploadProjectBundle<T>(file: File, options: { name?: string; dryRun?: boolean }): Promise<T> {
+    const formData = new FormData();
+    formData.append('bundle', file);
+    if (options.name) formData.append('name', options.name);
+    if (options.dryRun) formData.append('dryRun', 'true');
+
+    const response = await authorizedFetch(`${API_BASE_URL}/projects/import`, {
+        method: 'POST',
+        body: formData,
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new ApiError(
+            errorData.error || errorData.errors?.[0]?.msg || 'Import failed',
+            response.status,
+            errorData.code
+        );
+    }
+
+    return response.json();
+}
+
 // ============ AUTH API ============
 export const authAPI = {
     login: (email: string, password: string) =>
-        apiCall<{ success: boolean; data: { token: string; user: any } }>('/auth/login', {
+        apiCall<{ success: boolean; data: LoginResult }>('/auth/login', {
             method: 'POST',
             body: JSON.stringify({ email, password }),
         }),
 
     register: (data: { name: string; email: string; password: string }) =>
-        apiCall<{ success: boolean; data: { token: string; user: any } }>('/auth/register', {
+        apiCall<{ success: boolean; data: LoginResult }>('/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ ...data, timezone: browserTimeZone() }),
+        }),
+
+    getInvitation: (token: string) =>
+        apiCall<{ success: boolean; data: { email: string; role: UserRole; invitedBy?: string; expiresAt: string } }>(
+            `/auth/invitations/${encodeURIComponent(token)}`
+        ),
+
+    acceptInvite: (data: { token: string; name: string; password: string }) =>
+        apiCall<{ success: boolean; data: LoginResult }>('/auth/accept-invite', {
+            method: 'POST',
+            body: JSON.stringify({ ...data, timezone: browserTimeZone() }),
+        }),
+
+    verifyLogin2fa: (data: { mfaToken: string; code?: string; recoveryCode?: string }) =>
+        apiCall<{ success: boolean; data: AuthSession }>('/auth/login/2fa', {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    setupLogin2fa: (mfaToken: string) =>
+        apiCall<{ success: boolean; data: TwoFactorSetup }>('/auth/login/2fa/setup', {
+            method: 'POST',
+            body: JSON.stringify({ mfaToken }),
+        }),
+
+    enableLogin2fa: (data: { mfaToken: string; code: string }) =>
+        apiCall<{ success: boolean; data: AuthSession & { recoveryCodes: string[] } }>('/auth/login/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    getSsoConfig: () =>
+        apiCall<{ success: boolean; data: { enabled: boolean; providerName: string } }>('/auth/oidc/config'),
+
+    // Full-page navigation target; the server redirects on to the identity provider
+    getSsoLoginUrl: () => `${API_BASE_URL}/auth/oidc/login`,
+
+    exchangeSsoTicket: (ticket: string) =>
+        apiCall<{ success: boolean; data: LoginResult }>('/auth/oidc/exchange', {
+            method: 'POST',
+            body: JSON.stringify({ ticket }),
+        }),
+
+    forgotPassword: (email: string) =>
+        apiCall<{ success: boolean; message: string }>('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+        }),
+
+    resetPassword: (data: { token: string; password: string }) =>
+        apiCall<{ success: boolean; message: string }>('/auth/reset-password', {
             method: 'POST',
             body: JSON.stringify(data),
         }),
 
+    logout: () =>
+        apiCall<{ success: boolean }>('/auth/logout', { method: 'POST' }),
+
+    logoutAll: () =>
+        apiCall<{ success: boolean; revokedCount: number }>('/auth/logout-all', { method: 'POST' }),
+
+    getSessions: () =>
+        apiCall<{ success: boolean; count: number; data: SessionInfo[] }>('/auth/sessions'),
+
+    setStatus: (data: { status: PresenceStatus; statusText?: string | null; statusExpiresAt?: string | null }) =>
+        apiCall<{ success: boolean; data: UserPresence }>('/auth/status', {
+            method: 'PUT',
+            body: JSON.stringify(data),
+        }),
+
+    revokeSession: (id: string) =>
+        apiCall<{ success: boolean; message: string }>(`/auth/sessions/${id}`, { method: 'DELETE' }),
+
     getMe: () =>
         apiCall<{ success: boolean; data: { user: any } }>('/auth/me'),
 
-    updateProfile: (data: { name?: string; email?: string }) =>
+    updateProfile: (data: { name?: string; email?: string; timezone?: string }) =>
         apiCall<{ success: boolean; data: { user: any } }>('/auth/update-profile', {
             method: 'PUT',
             body: JSON.stringify(data),
         }),
 
+    // Multipart upload, so it bypasses apiCall's JSON headers (like filesAPI.upload)
+    uploadAvatar: async (file: File): Promise<{ success: boolean; data: User }> => {
+        const formData = new FormData();
+        formData.append('avatar', file);
+
+        const response = await authorizedFetch(`${API_BASE_URL}/auth/avatar`, {
+            method: 'PUT',
+            body: formData,
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new ApiError(errorData.error || 'Upload failed', response.status, errorData.code);
+        }
+
+        return response.json();
+    },
+
+    removeAvatar: () =>
+        apiCall<{ success: boolean; data: User }>('/auth/avatar', { method: 'DELETE' }),
+
+    getAchievements: () =>
+        apiCall<{ success: boolean; data: AchievementSummary }>('/auth/achievements'),
+
     changePassword: (data: { currentPassword: string; newPassword: string }) =>
         apiCall<{ success: boolean }>('/auth/change-password', {
             method: 'PUT',
             body: JSON.stringify(data),
         }),
+
+    get2fa: () =>
+        apiCall<{ success: boolean; data: TwoFactorStatus }>('/auth/2fa'),
+
+    setup2fa: () =>
+        apiCall<{ success: boolean; data: TwoFactorSetup }>('/auth/2fa/setup', { method: 'POST' }),
+
+    enable2fa: (code: string) =>
+        apiCall<{ success: boolean; data: { recoveryCodes: string[] } }>('/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code }),
+        }),
+
+    disable2fa: (data: { password: string; code: string }) =>
+        apiCall<{ success: boolean; message: string }>('/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    regenerateRecoveryCodes: (code: string) =>
+        apiCall<{ success: boolean; data: { recoveryCodes: string[] } }>('/auth/2fa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code }),
+        }),
 };
 
 // ============ PROJECTS API ============
 export const projectsAPI = {
-    getAll: () =>
-        apiCall<{ success: boolean; count: number; data: any[] }>('/projects'),
+    // Every project unless a limit is given
+    getAll: (params: ProjectListParams = {}) => {
+        const query = new URLSearchParams(
+            Object.entries(params)
+                .filter(([, value]) => value !== undefined && value !== '')
+                .map(([key, value]) => [key, String(value)])
+        ).toString();
+        return apiCall<{
+            success: boolean;
+            count: number;
+            total: number;
+            page: number;
+            pages: number;
+            data: Project[];
+        }>(`/projects?${query}`);
+    },
 
     getById: (id: string) =>
         apiCall<{ success: boolean; data: any }>(`/projects/${id}`),
 
-    create: (data: { name: string; description: string; category: string }) =>
+    create: (data: { name: string; description: string; category: string; templateId?: string; startDate?: string }) =>
         apiCall<{ success: boolean; data: any }>('/projects', {
             method: 'POST',
             body: JSON.stringify(data),
@@ -134,13 +378,86 @@ export const projectsAPI = {
             body: JSON.stringify(data),
         }),
 
-    delete: (id: string) =>
-        apiCall<{ success: boolean }>(`/projects/${id}`, { method: 'DELETE' }),
+    archive: (id: string) =>
+        apiCall<{ success: boolean; message: string; data: Project }>(`/projects/${id}/archive`, { method: 'POST' }),
+
+    restore: (id: string) =>
+        apiCall<{ success: boolean; message: string; data: Project }>(`/projects/${id}/restore`, { method: 'POST' }),
+
+    requestPermanentDelete: (id: string) =>
+        apiCall<{ success: boolean; data: ProjectDeletionRequest }>(`/projects/${id}/permanent-delete`, { method: 'POST' }),
+
+    confirmPermanentDelete: (id: string, confirmationToken: string) =>
+        apiCall<{ success: boolean; message: string; data: Project }>(`/projects/${id}/permanent-delete/confirm`, {
+            method: 'POST',
+            body: JSON.stringify({ confirmationToken }),
+        }),
+
+    duplicate: (id: string, data: DuplicateProjectForm) =>
+        apiCall<{ success: boolean; data: Project }>(`/projects/${id}/duplicate`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    // The bundle comes back as a file to save, named by the server
+    exportBundle: async (id: string): Promise<{ blob: Blob; fileName: string }> => {
+        const response = await authorizedFetch(`${API_BASE_URL}/projects/${id}/export`);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new ApiError(errorData.error || 'Export failed', response.status, errorData.code);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'project.tar.gz';
+        return { blob: await response.blob(), fileName };
+    },
+
+    // Reports what importing would create and its conflicts, without creating anything
+    previewImport: (file: File, name?: string) =>
+        uploadProjectBundle<{ success: boolean; dryRun: true; data: ProjectImportPreview; conflicts: ProjectImportConflict[] }>(
+            file, { name, dryRun: true }
+        ),
+
+    importBundle: (file: File, name?: string) =>
+        uploadProjectBundle<{
+            success: boolean;
+            data: Project;
+            conflicts: ProjectImportConflict[];
+            ids: Record<'project' | 'milestones' | 'tasks' | 'messages' | 'files', Record<string, string>>;
+        }>(file, { name }),
+
+    // Newest first; pass the previous page's nextCursor as before
+    getActivity: (id: string, options: { types?: ActivityType[]; before?: string; limit?: number } = {}) => {
+        const params = new URLSearchParams();
+        if (options.types?.length) params.set('types', options.types.join(','));
+        if (options.before) params.set('before', options.before);
+        if (options.limit) params.set('limit', String(options.limit));
+        return apiCall<{ success: boolean; count: number; data: ProjectActivity[]; nextCursor: string | null }>(
+            `/projects/${id}/activity?${params}`
+        );
+    },
+
+    updateMemberRole: (id: string, userId: string, role: ProjectRole) =>
+        apiCall<{ success: boolean; data: Project }>(`/projects/${id}/members/${userId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ role }),
+        }),
+
+    // Also used to leave a project, with your own ID
+    removeMember: (id: string, userId: string) =>
+        apiCall<{ success: boolean; data: Project }>(`/projects/${id}/members/${userId}`, { method: 'DELETE' }),
+
+    transferOwnership: (id: string, userId: string, keepOwnership: boolean) =>
+        apiCall<{ success: boolean; message: string; data: Project }>(`/projects/${id}/transfer-ownership`, {
+            method: 'POST',
+            body: JSON.stringify({ userId, keepOwnership }),
+        }),
 };
 
 // ============ TASKS API ============
 export const tasksAPI = {
-    getAll: (filters?: { projectId?: string; status?: string }) => {
+    getAll: (filters?: { project?: string; status?: string }) => {
         const params = new URLSearchParams(filters as Record<string, string>).toString();
         return apiCall<{ success: boolean; count: number; data: any[] }>(`/tasks?${params}`);
     },
@@ -149,7 +466,7 @@ export const tasksAPI = {
         apiCall<{ success: boolean; count: number; data: any[] }>('/tasks/my-tasks'),
 
     getByProject: (projectId: string) =>
-        apiCall<{ success: boolean; count: number; data: any[] }>(`/tasks/project/${projectId}`),
+        apiCall<{ success: boolean; count: number; data: { all: any[]; byStatus: Record<string, unknown[]> } }>(`/tasks/project/${projectId}`),
 
     create: (data: any) =>
         apiCall<{ success: boolean; data: any }>('/tasks', {
@@ -157,14 +474,69 @@ export const tasksAPI = {
             body: JSON.stringify(data),
         }),
 
-    update: (id: string, data: Partial<any>) =>
+    // children says what happens to open (or finished) subtasks and checklist
+    // items when completing (or reopening); without it the server answers
+    // 409 CHILDREN_PENDING if there are any
+    update: (id: string, data: Partial<any>, children?: TaskChildrenChoice) =>
         apiCall<{ success: boolean; data: any }>(`/tasks/${id}`, {
             method: 'PUT',
-            body: JSON.stringify(data),
+            body: JSON.stringify(children ? { ...data, children } : data),
         }),
 
     delete: (id: string) =>
         apiCall<{ success: boolean }>(`/tasks/${id}`, { method: 'DELETE' }),
+
+    getSubtasks: (id: string) =>
+        apiCall<{ success: boolean; count: number; data: Task[] }>(`/tasks/${id}/subtasks`),
+
+    createSubtask: (id: string, data: CreateTaskForm) =>
+        apiCall<{ success: boolean; data: Task }>(`/tasks/${id}/subtasks`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    // Checklist changes answer with the whole task
+    addChecklistItem: (id: string, text: string) =>
+        apiCall<{ success: boolean; data: Task }>(`/tasks/${id}/checklist`, {
+            method: 'POST',
+            body: JSON.stringify({ text }),
+        }),
+
+    updateChecklistItem: (id: string, itemId: string, data: Partial<Pick<ChecklistItem, 'text' | 'isDone' | 'position'>>) =>
+        apiCall<{ success: boolean; data: Task }>(`/tasks/${id}/checklist/${itemId}`, {
+            method: 'PUT',
+            body: JSON.stringify(data),
+        }),
+
+    deleteChecklistItem: (id: string, itemId: string) =>
+        apiCall<{ success: boolean; data: Task }>(`/tasks/${id}/checklist/${itemId}`, { method: 'DELETE' }),
+};
+
+// ============ MILESTONES API ============
+export const milestonesAPI = {
+    // Without a projectId: milestones of every project the user can see
+    getAll: (filters?: { projectId?: string; from?: string; to?: string }) => {
+        const params = new URLSearchParams();
+        if (filters?.projectId) params.set('project', filters.projectId);
+        if (filters?.from) params.set('from', filters.from);
+        if (filters?.to) params.set('to', filters.to);
+        return apiCall<{ success: boolean; count: number; data: Milestone[] }>(`/milestones?${params}`);
+    },
+
+    create: (projectId: string, data: CreateMilestoneForm) =>
+        apiCall<{ success: boolean; data: Milestone }>('/milestones', {
+            method: 'POST',
+            body: JSON.stringify({ projectId, ...data }),
+        }),
+
+    update: (id: string, data: Partial<CreateMilestoneForm>) =>
+        apiCall<{ success: boolean; data: Milestone }>(`/milestones/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data),
+        }),
+
+    delete: (id: string) =>
+        apiCall<{ success: boolean }>(`/milestones/${id}`, { method: 'DELETE' }),
 };
 
 // ============ MESSAGES API ============
@@ -172,7 +544,7 @@ export const messagesAPI = {
     getByProject: (projectId: string) =>
         apiCall<{ success: boolean; count: number; data: any[] }>(`/messages/project/${projectId}`),
 
-    send: (data: { projectId: string; content: string; mentions?: string[] }) =>
+    send: (data: { projectId: string; content: string; mentions?: string[]; isInternal?: boolean }) =>
         apiCall<{ success: boolean; data: any }>('/messages', {
             method: 'POST',
             body: JSON.stringify(data),
@@ -214,12 +586,8 @@ export const filesAPI = {
         formData.append('projectId', projectId);
         if (description) formData.append('description', description);
 
-        const token = localStorage.getItem('rentbasket_token');
-        const response = await fetch(`${API_BASE_URL}/files/upload`, {
+        const response = await authorizedFetch(`${API_BASE_URL}/files/upload`, {
             method: 'POST',
-            headers: {
-                ...(token ? { Authorization: `Bearer ${token}` } : {}),
-            },
             body: formData,
         });
 
@@ -254,4 +622,118 @@ export const usersAPI = {
 
     delete: (id: string) =>
         apiCall<{ success: boolean }>(`/users/${id}`, { method: 'DELETE' }),
+
+    unlock: (id: string) =>
+        apiCall<{ success: boolean; data: User }>(`/users/${id}/unlock`, { method: 'POST' }),
+
+    getPresence: () =>
+        apiCall<{ success: boolean; count: number; data: UserPresence[] }>('/users/presence'),
+
+    getLoginAttempts: (id: string) =>
+        apiCall<{ success: boolean; count: number; data: LoginAttempt[] }>(`/users/${id}/login-attempts`),
+
+    getSessions: (id: string) =>
+        apiCall<{ success: boolean; count: number; data: SessionInfo[] }>(`/users/${id}/sessions`),
+
+    revokeSession: (id: string, sessionId: string) =>
+        apiCall<{ success: boolean; message: string }>(`/users/${id}/sessions/${sessionId}`, { method: 'DELETE' }),
+
+    revokeAllSessions: (id: string) =>
+        apiCall<{ success: boolean; message: string; revokedCount: number }>(`/users/${id}/sessions`, { method: 'DELETE' }),
+
+    getOffboarding: (id: string) =>
+        apiCall<{ success: boolean; data: OffboardingPreview }>(`/users/${id}/offboarding`),
+
+    offboard: (id: string, data: { taskAssigneeId: string | null; projectOwnerId: string | null; fileOwnerId: string | null }) =>
+        apiCall<{ success: boolean; message: string; data: OffboardingResult }>(`/users/${id}/offboard`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+};
+
+// ============ API TOKENS API ============
+export const apiTokensAPI = {
+    getAll: () =>
+        apiCall<{ success: boolean; count: number; data: ApiToken[]; scopes: string[] }>('/tokens'),
+
+    create: (data: { name: string; scopes: string[]; expiresInDays: number | null }) =>
+        apiCall<{ success: boolean; data: ApiToken & { token: string } }>('/tokens', {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    revoke: (id: string) =>
+        apiCall<{ success: boolean }>(`/tokens/${id}`, { method: 'DELETE' }),
+};
+
+// ============ AUDIT LOG API (Admin) ============
+export const auditAPI = {
+    getEntries: (filters: AuditFilters = {}) => {
+        const params = new URLSearchParams(
+            Object.entries(filters)
+                .filter(([, value]) => value !== undefined && value !== '')
+                .map(([key, value]) => [key, String(value)])
+        ).toString();
+        return apiCall<{
+            success: boolean;
+            count: number;
+            total: number;
+            page: number;
+            pages: number;
+            data: AuditEntry[];
+            actions: string[];
+            entityTypes: string[];
+        }>(`/audit?${params}`);
+    },
+};
+
+// ============ PROJECT TEMPLATES API (Admin) ============
+export const templatesAPI = {
+    getAll: () =>
+        apiCall<{ success: boolean; count: number; data: ProjectTemplate[] }>('/templates'),
+
+    createFromProject: (projectId: string, data: { name?: string; description?: string }) =>
+        apiCall<{ success: boolean; data: ProjectTemplate }>(`/templates/from-project/${projectId}`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    delete: (id: string) =>
+        apiCall<{ success: boolean }>(`/templates/${id}`, { method: 'DELETE' }),
+};
+
+// ============ CATEGORIES API ============
+export const categoriesAPI = {
+    getAll: () =>
+        apiCall<{ success: boolean; count: number; data: Category[] }>('/categories'),
+
+    create: (data: { name: string; color?: string; icon?: string }) =>
+        apiCall<{ success: boolean; data: Category }>('/categories', {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    update: (id: string, data: { name?: string; color?: string; icon?: string; sortOrder?: number }) =>
+        apiCall<{ success: boolean; data: Category }>(`/categories/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data),
+        }),
+
+    delete: (id: string) =>
+        apiCall<{ success: boolean }>(`/categories/${id}`, { method: 'DELETE' }),
+};
+
+// ============ INVITATIONS API (Admin) ============
+export const invitationsAPI = {
+    getPending: () =>
+        apiCall<{ success: boolean; count: number; data: Invitation[] }>('/invitations'),
+
+    create: (data: { email: string; role: string; projectIds?: string[] }) =>
+        apiCall<{ success: boolean; data: Invitation & { token: string; inviteUrl: string; emailSent: boolean } }>('/invitations', {
+            method: 'POST',
+            body: JSON.stringify(data),
+        }),
+
+    revoke: (id: string) =>
+        apiCall<{ success: boolean }>(`/invitations/${id}`, { method: 'DELETE' }),
 };
@@ -1,16 +1,23 @@
 import { io, Socket } from 'socket.io-client';
+import { refreshAccessToken } from './api';
 
 const SOCKET_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD ? '' : 'http://localhost:5001');
 
 class SocketService {
     private socket: Socket | null = null;
     private listeners: Map<string, Set<Function>> = new Map();
+    // Access token of the latest handshake, to tell whether it has been refreshed since
+    private handshakeToken: string | null = null;
 
-    connect(token?: string) {
-        if (this.socket?.connected) return;
+    connect() {
+        if (this.socket) return;
 
         this.socket = io(SOCKET_URL, {
-            auth: token ? { token } : undefined,
+            // Read on every (re)connect so a refreshed access token is picked up
+            auth: (cb) => {
+                this.handshakeToken = localStorage.getItem('rentbasket_token');
+                cb({ token: this.handshakeToken });
+            },
             transports: ['websocket', 'polling'],
             reconnection: true,
             reconnectionAttempts: 5,
@@ -19,14 +26,26 @@ class SocketService {
 
         this.socket.on('connect', () => {
             console.log('🔌 Socket connected');
+            this.emit('connect', undefined);
         });
 
         this.socket.on('disconnect', (reason) => {
             console.log('🔌 Socket disconnected:', reason);
+            // The server drops a user's sockets when their role changes, and they aren't
+            // retried on their own; reconnecting picks up the new role (a revoked session
+            // is turned away at the handshake)
+            if (reason === 'io server disconnect') {
+                this.socket?.connect();
+            }
         });
 
-        this.socket.on('connect_error', (error) => {
+        this.socket.on('connect_error', async (error) => {
             console.error('🔌 Socket connection error:', error.message);
+            // A refused handshake isn't retried on its own, so refresh an expired token and try again
+            const { code } = (error as Error & { data?: { code?: string } }).data || {};
+            if (code === 'TOKEN_EXPIRED' && await refreshAccessToken(this.handshakeToken)) {
+                this.socket?.connect();
+            }
         });
 
         // Forward all events to listeners
@@ -40,11 +59,11 @@ class SocketService {
             'message_deleted',
             'user_typing',
             'user_stopped_typing',
-            'user_online',
-            'user_offline',
+            'presence_updated',
             'notification',
             'task_completed',
             'project_updated',
+            'project_activity',
             'task_updated'
         ];
 
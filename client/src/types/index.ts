@@ -1,5 +1,16 @@
 // User Types
-export type UserRole = 'admin' | 'editor';
+// Guests are outside collaborators who only see the projects they are added to
+export type UserRole = 'admin' | 'editor' | 'viewer' | 'guest';
+
+// Role inside a single project
+export type ProjectRole = 'owner' | 'member' | 'guest';
+
+// Public URLs of an uploaded avatar, cropped square: small 64px, medium 128px, large 256px
+export interface AvatarSizes {
+  small: string;
+  medium: string;
+  large: string;
+}
 
 export interface User {
   id: string;
@@ -7,13 +18,204 @@ export interface User {
   name: string;
   role: UserRole;
   avatar?: string;
+  avatarSizes?: AvatarSizes | null;
   loginStreak: number;
   lastLogin: string;
+  timezone?: string;
+  totpEnabled?: boolean;
+  lockedUntil?: string | null;
+  createdAt: string;
+}
+
+// One local calendar day of a user's activity
+export interface ActivityDay {
+  date: string;
+  logins: number;
+  tasksCompleted: number;
+}
+
+export interface AchievementProgress {
+  key: string;
+  title: string;
+  description: string;
+  target: number;
+  progress: number;
+  unlockedAt: string | null;
+}
+
+export interface AchievementSummary {
+  loginStreak: number;
+  tasksCompleted: number;
+  timezone: string;
+  today: string;
+  history: ActivityDay[];
+  achievements: AchievementProgress[];
+}
+
+export interface LoginAttempt {
+  id: string;
+  success: boolean;
+  failureReason: string | null;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+}
+
+export type PresenceStatus = 'available' | 'busy' | 'away' | 'dnd';
+
+// Whether a user is connected, and the status they picked
+export interface UserPresence {
+  userId: string;
+  online: boolean;
+  status: PresenceStatus;
+  statusText: string | null;
+  statusExpiresAt: string | null;
+  lastSeenAt: string | null;
+}
+
+// A signed-in device (refresh token session)
+export interface SessionInfo {
+  id: string;
+  device: string;
+  browser: string;
+  os: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  lastIpAddress: string | null;
+  lastUsedAt: string | null;
+  expiresAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
+// Tokens issued when a login completes
+export interface AuthSession {
+  token: string;
+  refreshToken: string;
+  user: User;
+}
+
+// Returned instead of a session when a second factor is still needed
+export interface MfaChallenge {
+  mfaRequired?: boolean;
+  mfaSetupRequired?: boolean;
+  mfaToken: string;
+}
+
+export type LoginResult = AuthSession | MfaChallenge;
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface ApiToken {
+  id: string;
+  name: string;
+  tokenPrefix: string;
+  scopes: string[];
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  createdAt: string;
+}
+
+// What a user is responsible for, shown before offboarding them
+export interface OffboardingPreview {
+  openTasks: { id: string; title: string; status: string; dueDate?: string; project: { id: string; name: string } }[];
+  ownedProjects: { id: string; name: string; status: string; otherOwners: number }[];
+  files: { id: string; originalName: string; size: number; projectId: string; projectName?: string }[];
+  membershipCount: number;
+  needsNewOwner: boolean;
+}
+
+export interface OffboardingResult {
+  reassignedTasks: number;
+  transferredProjects: number;
+  transferredFiles: number;
+  taskAssignee: string | null;
+  projectOwner: string | null;
+  fileOwner: string | null;
+}
+
+export type AuditAction = 'create' | 'update' | 'delete';
+
+export interface AuditEntry {
+  id: string;
+  actor: { id: string | null; name?: string; email?: string } | null;
+  action: AuditAction;
+  entityType: string;
+  entityId: string | null;
+  projectId: string | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+}
+
+export type ProjectSort = 'name' | 'updated' | 'progress';
+
+export interface ProjectListParams {
+  status?: Project['status'];
+  category?: ProjectCategory;
+  sort?: ProjectSort;
+  // Names sort A-Z by default, the rest newest or highest first
+  order?: 'asc' | 'desc';
+  page?: number;
+  // Leave out to get every project
+  limit?: number;
+}
+
+export interface AuditFilters {
+  actorId?: string;
+  action?: AuditAction | '';
+  entityType?: string;
+  entityId?: string;
+  projectId?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+}
+
+export interface Invitation {
+  id: string;
+  email: string;
+  role: UserRole;
+  projectIds: string[];
+  invitedBy: { id: string; name?: string; email?: string };
+  status: 'pending' | 'accepted' | 'revoked' | 'expired';
+  expiresAt: string;
   createdAt: string;
 }
 
 // Project Types
-export type ProjectCategory = 'tech' | 'marketing' | 'ops' | 'personal';
+// Slug of one of the admin-managed categories, e.g. 'tech'
+export type ProjectCategory = string;
+
+export interface Category {
+  id: string;
+  slug: ProjectCategory;
+  name: string;
+  // Hex color such as '#dc2626'
+  color: string;
+  // Lucide icon name such as 'code' (see CATEGORY_ICONS)
+  icon: string;
+  sortOrder: number;
+}
+
+export interface ProjectMember {
+  user: { id: string; name: string; email: string; role?: UserRole; avatar?: string; avatarSizes?: AvatarSizes | null } | null;
+  role: ProjectRole;
+  addedAt: string;
+}
 
 export interface Project {
   id: string;
@@ -26,6 +228,52 @@ export interface Project {
   updatedAt: string;
   taskCount: number;
   memberCount: number;
+  // Listing figures from GET /api/projects
+  completedCount?: number;
+  taskCounts?: Record<TaskStatus, number>;
+  // Open tasks past their due date
+  overdueCount?: number;
+  // Percentage of tasks done
+  progress?: number;
+  lastActivityAt?: string;
+  members?: ProjectMember[];
+  currentUserRole?: ProjectRole | null;
+  // Folder paths such as 'Assets/Images'
+  folders?: string[];
+  // Archived projects are read-only until restored
+  archivedAt?: string | null;
+  // Set once an admin confirms permanent deletion; restoring cancels it
+  deletionScheduledAt?: string | null;
+}
+
+export interface ProjectDeletionRequest {
+  confirmationToken: string;
+  expiresAt: string;
+  gracePeriodDays: number;
+}
+
+// A task a template creates; its due date is dueOffsetDays after the project's start
+export interface TemplateTask {
+  title: string;
+  description: string;
+  priority: 'low' | 'medium' | 'high';
+  tags: string[];
+  assigneeId: string | null;
+  dueOffsetDays: number | null;
+}
+
+export interface ProjectTemplate {
+  id: string;
+  name: string;
+  description: string;
+  category: ProjectCategory;
+  folders: string[];
+  tasks: TemplateTask[];
+  defaultMembers: { userId: string; role: ProjectRole }[];
+  sourceProject: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
 }
 
 // Task Types
@@ -37,14 +285,96 @@ export interface Task {
   title: string;
   description: string;
   status: TaskStatus;
-  assignedTo?: string;
+  // The API sends the assignee as a user; forms send just the user ID
+  assignedTo?: string | { id: string; name: string } | null;
   assigneeName?: string;
   dueDate?: string;
+  milestoneId?: string | null;
+  // Set on subtasks, which go one level deep
+  parentId?: string | null;
+  checklist?: ChecklistItem[];
+  // Subtasks and checklist items together, as in "3/5 done"
+  progress?: TaskProgress;
   createdBy: string;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface ChecklistItem {
+  id: string;
+  text: string;
+  isDone: boolean;
+  position: number;
+}
+
+export interface TaskProgress {
+  done: number;
+  total: number;
+}
+
+// What happens to a task's subtasks and checklist when it is completed or reopened
+export type TaskChildrenChoice = 'cascade' | 'keep';
+
+// Sent with a CHILDREN_PENDING conflict: the children a status change leaves behind
+export interface TaskChildrenPending {
+  action: 'complete' | 'reopen';
+  subtasks: { id: string; title: string; status: TaskStatus }[];
+  checklistItems: number;
+}
+
+// Milestone Types
+export type MilestoneStatus = 'planned' | 'in_progress' | 'completed';
+
+export interface Milestone {
+  id: string;
+  project: { id: string; name?: string };
+  title: string;
+  description: string;
+  // 'YYYY-MM-DD'
+  targetDate: string;
+  status: MilestoneStatus;
+  completedAt: string | null;
+  taskCount: number;
+  completedCount: number;
+  overdueCount: number;
+  percentComplete: number;
+  // Not completed, with open tasks past their due date
+  atRisk: boolean;
+  createdBy: string | null;
+}
+
+// Project Activity Types
+export type ActivityType =
+  | 'project_created' | 'project_updated' | 'project_archived' | 'project_restored'
+  | 'member_added' | 'member_role_changed' | 'member_removed'
+  | 'task_created' | 'task_assigned' | 'task_completed' | 'task_updated' | 'task_deleted'
+  | 'message_posted'
+  | 'file_uploaded' | 'file_deleted'
+  | 'milestone_created' | 'milestone_updated' | 'milestone_completed' | 'milestone_deleted';
+
+// What an event concerns; which fields are set depends on the kind of record
+export interface ActivitySubject {
+  title?: string;
+  status?: string;
+  assignee?: { id: string; name: string } | null;
+  excerpt?: string;
+  name?: string;
+  userId?: string;
+  role?: ProjectRole;
+  previousRole?: ProjectRole | null;
+}
+
+export interface ProjectActivity {
+  id: string;
+  projectId: string;
+  type: ActivityType;
+  entityType: string;
+  entityId: string | null;
+  actor: { id: string; name: string | null; avatar?: string; avatarSizes?: AvatarSizes | null } | null;
+  subject: ActivitySubject;
+  createdAt: string;
+}
+
 // Message Types
 export interface Message {
   id: string;
@@ -52,8 +382,11 @@ export interface Message {
   userId: string;
   userName: string;
   userAvatar?: string;
+  userAvatarSizes?: AvatarSizes | null;
   content: string;
   mentions?: string[];
+  // Hidden from guests
+  isInternal?: boolean;
   timestamp: string;
 }
 
@@ -78,7 +411,11 @@ export type NotificationType =
   | 'task_due_soon'
   | 'message_mention'
   | 'file_uploaded'
-  | 'project_created';
+  | 'project_created'
+  | 'new_device_login'
+  | 'ownership_transferred'
+  | 'achievement_unlocked'
+  | 'milestone_at_risk';
 
 export interface Notification {
   id: string;
@@ -111,6 +448,48 @@ export interface CreateProjectForm {
   name: string;
   description: string;
   category: ProjectCategory;
+  templateId?: string;
+  // 'YYYY-MM-DD' that template due dates count from (defaults to today)
+  startDate?: string;
+}
+
+// What to copy along with the project (everything by default)
+export interface DuplicateProjectForm {
+  name: string;
+  members?: boolean;
+  tasks?: boolean;
+  assignees?: boolean;
+  dueDates?: boolean;
+  files?: boolean;
+}
+
+// What an import couldn't carry over as it was (people without an account here, missing file content...)
+export type ProjectImportConflictType =
+  | 'unknown_user'
+  | 'inactive_user'
+  | 'role_changed'
+  | 'unknown_category'
+  | 'name_taken'
+  | 'storage_unavailable'
+  | 'missing_file_content';
+
+export interface ProjectImportConflict {
+  type: ProjectImportConflictType;
+  message: string;
+  email?: string;
+  category?: string | null;
+  name?: string;
+  fileId?: string;
+}
+
+// What importing a bundle would create, as reported by a dry run
+export interface ProjectImportPreview {
+  name: string;
+  memberCount: number;
+  milestoneCount: number;
+  taskCount: number;
+  messageCount: number;
+  fileCount: number;
 }
 
 export interface CreateTaskForm {
@@ -118,6 +497,14 @@ export interface CreateTaskForm {
   description: string;
   assignedTo?: string;
   dueDate?: string;
+  milestoneId?: string;
+}
+
+export interface CreateMilestoneForm {
+  title: string;
+  description: string;
+  targetDate: string;
+  status: MilestoneStatus;
 }
 
 export interface LoginForm {
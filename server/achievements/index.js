@@ -0,0 +1,142 @@
+const { User, UserActivity, Achievement, Notification } = require('../models');
+const { localDate, addDays } = require('../utils/calendar');
+const presence = require('../presence');
+
+/**
+ * Streaks and achievements
+ * Logins and completed tasks are counted per local calendar day in
+ * user_activity; achievements unlock once a user's numbers reach a target.
+ */
+
+// `metric` is a key of the stats passed to unlockEarned
+const ACHIEVEMENTS = [
+    { key: 'streak_7', title: 'On a Roll', description: 'Sign in 7 days in a row', metric: 'loginStreak', target: 7 },
+    { key: 'streak_30', title: 'Creature of Habit', description: 'Sign in 30 days in a row', metric: 'loginStreak', target: 30 },
+    { key: 'first_task', title: 'First Step', description: 'Complete your first task', metric: 'tasksCompleted', target: 1 },
+    { key: 'tasks_10', title: 'Getting Things Done', description: 'Complete 10 tasks', metric: 'tasksCompleted', target: 10 },
+    { key: 'tasks_100', title: 'Centurion', description: 'Complete 100 tasks', metric: 'tasksCompleted', target: 100 }
+];
+
+// Days of activity returned with the summary
+const HISTORY_DAYS = 30;
+
+/**
+ * Length of the run of consecutive days ending at the most recent one
+ * @param {string[]} days - 'YYYY-MM-DD', newest first
+ */
+function countStreak(days) {
+    let streak = 0;
+    for (const day of days) {
+        if (day !== addDays(days[0], -streak)) break;
+        streak++;
+    }
+    return streak;
+}
+
+/**
+ * Unlock every achievement the stats qualify for and notify the user about new ones
+ * @param {Object} req - Express request (for the socket server)
+ * @param {Object} user
+ * @param {Object} stats - loginStreak and/or tasksCompleted
+ */
+async function unlockEarned(req, user, stats) {
+    const earned = ACHIEVEMENTS
+        .filter(a => stats[a.metric] !== undefined && stats[a.metric] >= a.target)
+        .map(a => a.key);
+
+    const unlocked = await Achievement.unlock(user.id, earned);
+
+    for (const key of unlocked) {
+        const achievement = ACHIEVEMENTS.find(a => a.key === key);
+        const notification = await Notification.createNotification({
+            user: user.id,
+            type: 'achievement_unlocked',
+            title: 'Achievement Unlocked',
+            message: `${achievement.title}: ${achievement.description.toLowerCase()}`
+        });
+        await presence.pushNotification(req.app.get('io'), user.id, notification);
+    }
+}
+
+/**
+ * Count a login on the user's local calendar day.
+ * Failures are logged, not thrown: they must not block signing in.
+ * @param {Object} req
+ * @param {Object} user
+ * @param {number} loginStreak - streak after this login
+ */
+async function recordLogin(req, user, loginStreak) {
+    try {
+        await UserActivity.record(user.id, localDate(new Date(), user.timezone), { logins: 1 });
+        await unlockEarned(req, user, { loginStreak });
+    } catch (error) {
+        console.error('Failed to record login activity:', error.message);
+    }
+}
+
+/**
+ * Credit the current user with completing a task
+ * @param {Object} req - req.user is the person who completed it
+ */
+async function recordTaskCompleted(req) {
+    try {
+        await UserActivity.record(req.user.id, localDate(new Date(), req.user.timezone), { tasksCompleted: 1 });
+        const tasksCompleted = await UserActivity.countTasksCompleted(req.user.id);
+        await unlockEarned(req, req.user, { tasksCompleted });
+    } catch (error) {
+        console.error('Failed to record completed task:', error.message);
+    }
+}
+
+/**
+ * Recount a user's login streak from their activity days and save it
+ * (e.g. after their timezone changed)
+ * @returns {Promise<number>} the rebuilt streak
+ */
+async function rebuildLoginStreak(user) {
+    const days = await UserActivity.findByUser(user.id, { loginsOnly: true });
+    const loginStreak = countStreak(days.map(d => d.date));
+
+    await User.update(user.id, { loginStreak });
+    return loginStreak;
+}
+
+/**
+ * Streak, recent activity and progress towards every achievement
+ */
+async function getSummary(user) {
+    const today = localDate(new Date(), user.timezone);
+    const since = addDays(today, -(HISTORY_DAYS - 1));
+
+    const [history, tasksCompleted, unlocked] = await Promise.all([
+        UserActivity.findByUser(user.id, { since }),
+        UserActivity.countTasksCompleted(user.id),
+        Achievement.findByUser(user.id)
+    ]);
+
+    const stats = { loginStreak: user.loginStreak || 0, tasksCompleted };
+
+    return {
+        ...stats,
+        timezone: user.timezone,
+        today,
+        history,
+        achievements: ACHIEVEMENTS.map(({ key, title, description, metric, target }) => ({
+            key,
+            title,
+            description,
+            target,
+            progress: Math.min(stats[metric], target),
+            unlockedAt: unlocked.find(a => a.key === key)?.unlockedAt || null
+        }))
+    };
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    countStreak,
+    recordLogin,
+    recordTaskCompleted,
+    rebuildLoginStreak,
+    getSummary
+};
@@ -0,0 +1,69 @@
+const { Activity } = require('../models');
+
+/**
+ * Project activity
+ * What happened in a project, as a stream of typed events. Events are not
+ * stored separately: the project_activity view reads them from the audit log,
+ * and project changes made through the API are pushed to the project's socket
+ * room as a `project_activity` event the moment they are audited.
+ * Events about internal messages are kept from guest accounts.
+ */
+
+// Keep in step with the CASE in the project_activity view
+const TYPES = [
+    'project_created', 'project_updated', 'project_archived', 'project_restored',
+    'member_added', 'member_role_changed', 'member_removed',
+    'task_created', 'task_assigned', 'task_completed', 'task_updated', 'task_deleted',
+    'message_posted',
+    'file_uploaded', 'file_deleted',
+    'milestone_created', 'milestone_updated', 'milestone_completed', 'milestone_deleted'
+];
+
+/**
+ * Opaque cursor pointing just past an event
+ */
+function encodeCursor(event) {
+    return Buffer.from(JSON.stringify({ createdAt: event.createdAt, id: event.id })).toString('base64url');
+}
+
+/**
+ * @returns {{createdAt: string, id: string}|null} null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof createdAt !== 'string' || Number.isNaN(Date.parse(createdAt))) return null;
+        if (typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) return null;
+        return { createdAt, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Send the event for a newly written audit entry to the project's room.
+ * Failures are logged, not thrown: the change itself has already happened.
+ * @param {Object} io
+ * @param {Object} entry - audit entry as returned by AuditLog.create
+ */
+async function publish(io, entry) {
+    if (!io || !entry?.projectId) return;
+
+    try {
+        const event = await Activity.findById(entry.id);
+        if (!event) return;
+
+        // Guests never hear about internal messages
+        const room = io.to(`project:${entry.projectId}`);
+        (event.isInternal ? room.except('guests') : room).emit('project_activity', event);
+    } catch (error) {
+        console.error(`Failed to publish activity for ${entry.id}:`, error.message);
+    }
+}
+
+module.exports = {
+    TYPES,
+    encodeCursor,
+    decodeCursor,
+    publish
+};
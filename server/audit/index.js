@@ -0,0 +1,86 @@
+const { AuditLog } = require('../models');
+const activity = require('../activity');
+
+/**
+ * Audit log
+ * Routes call `record(req, ...)` after every create/update/delete so we can
+ * always answer "who changed this, and what did it look like before?".
+ */
+
+const ACTIONS = ['create', 'update', 'delete'];
+const ENTITY_TYPES = ['project', 'project_member', 'task', 'message', 'file', 'user', 'notification', 'session', 'project_template', 'project_category', 'milestone', 'checklist_item', 'invitation', 'api_token'];
+
+// Never copied into a snapshot, wherever they appear
+const REDACTED_KEYS = ['password', 'totpSecret', 'totpLastCounter', 'tokenHash'];
+
+/**
+ * Plain JSON copy of a record with secrets removed (and model helper methods dropped)
+ */
+function snapshot(value) {
+    if (value === undefined || value === null) return null;
+    return JSON.parse(JSON.stringify(value, (key, v) => (REDACTED_KEYS.includes(key) ? undefined : v)));
+}
+
+/**
+ * Write an audit entry.
+ * Failures are logged, not thrown: the change itself has already happened.
+ * @returns {Promise<Object|null>} the entry, or null if it couldn't be written
+ */
+async function write(source, { action, entityType, entityId, projectId, before, after }) {
+    try {
+        return await AuditLog.create({
+            ...source,
+            action,
+            entityType,
+            entityId,
+            projectId,
+            before: snapshot(before),
+            after: snapshot(after)
+        });
+    } catch (error) {
+        console.error(`Failed to write audit log (${action} ${entityType}):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Write an audit entry for the current request.
+ * @param {Object} req - Express request (actor, IP and user agent come from here)
+ * @param {Object} entry
+ * @param {'create'|'update'|'delete'} entry.action
+ * @param {string} entry.entityType - one of ENTITY_TYPES
+ * @param {string} [entry.entityId]
+ * @param {string} [entry.projectId] - project the entity belongs to, if any
+ * @param {Object} [entry.before] - state before the change (update/delete)
+ * @param {Object} [entry.after] - state after the change (create/update)
+ * @param {Object} [actor] - who made the change, for requests made before
+ *   signing in (registering, resetting a password); defaults to req.user
+ */
+async function record(req, entry, actor = req.user) {
+    const written = await write({
+        actorId: actor?.id,
+        actorEmail: actor?.email,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    }, entry);
+
+    // Project changes also appear live in the project's activity stream
+    await activity.publish(req.app.get('io'), written);
+}
+
+/**
+ * Write an audit entry for a change the server makes on its own (scheduled jobs),
+ * credited to the user who set it in motion
+ * @param {string|null} actorId
+ * @param {Object} entry - as for record()
+ */
+async function recordSystem(actorId, entry) {
+    await write({ actorId, actorEmail: null, ipAddress: null, userAgent: null }, entry);
+}
+
+module.exports = {
+    ACTIONS,
+    ENTITY_TYPES,
+    record,
+    recordSystem
+};
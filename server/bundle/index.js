@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { ProjectBundle, Project, ProjectCategory, User } = require('../models');
+const supabaseStorage = require('../config/supabase');
+const { PROJECT_ROLES } = require('../policy');
+const { pack, unpack } = require('../utils/tar');
+const { normalizeFolder, normalizeFolders } = require('../utils/folders');
+const { slugify, defaultCategory } = require('../utils/categories');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Project bundles
+ * A project exported as a .tar.gz archive: manifest.json holds the project,
+ * its members (by email), milestones, tasks (with their checklists; subtasks
+ * point at their parent), messages and file metadata, and
+ * each file's content is stored once under blobs/<sha256>. Importing creates
+ * a new project with new IDs, maps emails to accounts on this server, and
+ * reports whatever could not be carried over as it was (conflicts).
+ *
+ * FORMAT_VERSION goes up whenever the manifest changes in a way older
+ * servers can't read; a server refuses bundles newer than it knows.
+ * Version 2 added subtasks and checklists; version 1 bundles, which have
+ * neither, still import.
+ */
+
+const FORMAT = 'rentbasket-project';
+const FORMAT_VERSION = 2;
+const MANIFEST_NAME = 'manifest.json';
+
+const MAX_BUNDLE_BYTES = parseInt(process.env.MAX_IMPORT_SIZE) || 100 * 1024 * 1024;
+// Blobs are mostly compressed already, so a bundle that unpacks to far more is refused
+const MAX_UNPACKED_BYTES = MAX_BUNDLE_BYTES * 4;
+
+const PROJECT_STATUSES = ['active', 'archived', 'completed'];
+const MILESTONE_STATUSES = ['planned', 'in_progress', 'completed'];
+const TASK_STATUSES = ['new', 'in_progress', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const blobName = (digest) => `blobs/${digest}`;
+
+// ============ EXPORT ============
+
+/**
+ * Build a project's bundle. Files whose content can't be read are listed
+ * without it (blob: null) rather than failing the export.
+ * @param {string} projectId
+ * @returns {Promise<{archive: Buffer, fileName: string}|null>}
+ *   null if there is no such project
+ */
+async function exportProject(projectId) {
+    const data = await ProjectBundle.read(projectId);
+    if (!data) return null;
+
+    const blobs = new Map();
+    const digests = new Map(); // storage path -> digest, for files sharing an object
+
+    const files = [];
+    for (const { storagePath, storageType, ...file } of data.files) {
+        let digest = digests.get(storagePath) || null;
+
+        if (!digest && storageType === 'supabase' && storagePath && supabaseStorage.isConfigured()) {
+            try {
+                const content = await supabaseStorage.downloadFile(storagePath);
+                digest = sha256(content);
+                blobs.set(digest, content);
+                digests.set(storagePath, digest);
+            } catch (error) {
+                console.error(`Failed to export content of file ${file.id}:`, error.message);
+            }
+        }
+
+        files.push({ ...file, blob: digest ? blobName(digest) : null, sha256: digest });
+    }
+
+    const manifest = {
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...data,
+        files
+    };
+
+    const archive = await gzip(pack([
+        { name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest, null, 2)) },
+        ...[...blobs].map(([digest, content]) => ({ name: blobName(digest), data: content }))
+    ]));
+
+    const date = manifest.exportedAt.slice(0, 10);
+    return {
+        archive,
+        fileName: `${slugify(data.project.name) || 'project'}-${date}.tar.gz`
+    };
+}
+
+// ============ READING ============
+
+const isId = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+const isText = (value, max) => typeof value === 'string' && value.length <= max;
+const isName = (value, max) => isText(value, max) && value.trim().length > 0;
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isOptionalDate = (value) => value == null || isDate(value);
+const isOptionalEmail = (value) => value == null || isText(value, 255);
+
+const isChecklistItem = (item) => !!item && isName(item.text, 500)
+    && typeof item.isDone === 'boolean' && Number.isInteger(item.position);
+
+// What every entry of each list must look like
+const ENTRY_CHECKS = {
+    members: (m) => isName(m.email, 255) && PROJECT_ROLES.includes(m.role) && isOptionalDate(m.addedAt),
+    milestones: (m) => isId(m.id) && isName(m.title, 200) && isDate(m.targetDate)
+        && MILESTONE_STATUSES.includes(m.status) && isOptionalDate(m.completedAt)
+        && isOptionalEmail(m.createdBy),
+    tasks: (t) => isId(t.id) && isName(t.title, 500) && TASK_STATUSES.includes(t.status)
+        && TASK_PRIORITIES.includes(t.priority) && isOptionalEmail(t.assignedTo) && isOptionalEmail(t.createdBy)
+        && isOptionalDate(t.dueDate) && isOptionalDate(t.completedAt)
+        && (t.milestoneId == null || isId(t.milestoneId)) && (t.parentId == null || isId(t.parentId))
+        && (t.checklist == null || (Array.isArray(t.checklist) && t.checklist.every(isChecklistItem)))
+        && (t.tags == null || (Array.isArray(t.tags) && t.tags.every(tag => typeof tag === 'string'))),
+    messages: (m) => isId(m.id) && typeof m.content === 'string' && isOptionalEmail(m.sender)
+        && Array.isArray(m.mentions) && m.mentions.every(e => typeof e === 'string')
+        && (m.attachments == null || Array.isArray(m.attachments))
+        && (m.isInternal == null || typeof m.isInternal === 'boolean'),
+    files: (f) => isId(f.id) && isName(f.originalName, 255) && isName(f.mimeType, 100) && isName(f.type, 50)
+        && Number.isInteger(f.size) && f.size >= 0 && (f.folder == null || !!normalizeFolder(f.folder))
+        && isOptionalEmail(f.uploadedBy) && (f.sha256 == null || SHA256_PATTERN.test(f.sha256))
+};
+
+/**
+ * Check a manifest's structure
+ * @returns {string|null} what is wrong, or null if it is usable
+ */
+function validateManifest(manifest) {
+    const { project } = manifest;
+
+    if (!project || !isId(project.id) || !isName(project.name, 200) || !PROJECT_STATUSES.includes(project.status)
+        || !Array.isArray(project.folders) || project.folders.some(f => !normalizeFolder(f))) {
+        return 'The project in the bundle is missing or invalid';
+    }
+
+    for (const [list, check] of Object.entries(ENTRY_CHECKS)) {
+        if (!Array.isArray(manifest[list])) return `The bundle has no ${list} list`;
+
+        const index = manifest[list].findIndex(entry => !entry || typeof entry !== 'object' || !check(entry));
+        if (index !== -1) return `Entry ${index + 1} of ${list} is invalid`;
+    }
+
+    const ids = [project.id, ...['milestones', 'tasks', 'messages', 'files'].flatMap(list => manifest[list].map(e => e.id))];
+    if (new Set(ids.map(id => id.toLowerCase())).size !== ids.length) {
+        return 'The bundle uses the same ID more than once';
+    }
+
+    const milestoneIds = new Set(manifest.milestones.map(m => m.id));
+    const orphan = manifest.tasks.find(t => t.milestoneId && !milestoneIds.has(t.milestoneId));
+    if (orphan) return `Task "${orphan.title}" belongs to a milestone that is not in the bundle`;
+
+    // Subtasks go one level deep
+    const topLevelIds = new Set(manifest.tasks.filter(t => !t.parentId).map(t => t.id));
+    const stray = manifest.tasks.find(t => t.parentId && !topLevelIds.has(t.parentId));
+    if (stray) return `Subtask "${stray.title}" has a parent that is not a top-level task in the bundle`;
+
+    return null;
+}
+
+/**
+ * Unpack an uploaded bundle and check its manifest
+ * @param {Buffer} buffer - the .tar.gz as uploaded
+ * @returns {Promise<{manifest?: Object, blobs?: Map<string, Buffer>, error?: string, code?: string}>}
+ */
+async function readBundle(buffer) {
+    let entries;
+    try {
+        entries = unpack(await gunzip(buffer, { maxOutputLength: MAX_UNPACKED_BYTES }));
+    } catch (error) {
+        return { error: `Not a readable project bundle: ${error.message}`, code: 'INVALID_BUNDLE' };
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(entries.get(MANIFEST_NAME)?.toString('utf8'));
+    } catch (error) {
+        return { error: `The bundle has no readable ${MANIFEST_NAME}`, code: 'INVALID_BUNDLE' };
+    }
+
+    if (!manifest || manifest.format !== FORMAT || !Number.isInteger(manifest.version) || manifest.version < 1) {
+        return { error: 'Not a project bundle', code: 'INVALID_BUNDLE' };
+    }
+    if (manifest.version > FORMAT_VERSION) {
+        return {
+            error: `Bundle format version ${manifest.version} is newer than this server supports (${FORMAT_VERSION})`,
+            code: 'UNSUPPORTED_BUNDLE_VERSION'
+        };
+    }
+
+    const invalid = validateManifest(manifest);
+    if (invalid) return { error: invalid, code: 'INVALID_BUNDLE' };
+
+    return { manifest, blobs: entries };
+}
+
+// ============ IMPORT ============
+
+/**
+ * Work out the project an import would create: new IDs for everything,
+ * user IDs in place of emails, and a conflict for anything that can't come
+ * across as it was. Nothing is written.
+ * @param {{manifest: Object, blobs: Map<string, Buffer>}} bundle - from readBundle
+ * @param {Object} user - who imports it; they become an owner and stand in for unknown people
+ * @param {Object} [options]
+ * @param {string} [options.name] - name for the new project instead of the bundled one
+ * @returns {Promise<{plan: Object, conflicts: Object[], ids: Object}>} ids maps bundled IDs to new ones
+ */
+async function planImport({ manifest, blobs }, user, { name } = {}) {
+    const conflicts = [];
+    const ids = { project: {}, milestones: {}, tasks: {}, messages: {}, files: {} };
+    const newId = (list, oldId) => (ids[list][oldId] = crypto.randomUUID());
+
+    // People are matched by email; whoever has no account here is reported once
+    const emails = new Set([
+        ...manifest.members.map(m => m.email),
+        ...manifest.milestones.map(m => m.createdBy),
+        ...manifest.tasks.flatMap(t => [t.assignedTo, t.createdBy]),
+        ...manifest.messages.flatMap(m => [m.sender, ...m.mentions]),
+        ...manifest.files.map(f => f.uploadedBy)
+    ].filter(Boolean).map(e => e.toLowerCase()));
+
+    const usersByEmail = new Map((await User.find({ emails: [...emails] })).map(u => [u.email.toLowerCase(), u]));
+    for (const email of emails) {
+        if (!usersByEmail.has(email)) {
+            conflicts.push({
+                type: 'unknown_user',
+                email,
+                message: `No account for ${email}: their tasks are left unassigned and what they created is credited to you`
+            });
+        }
+    }
+
+    const userIdOf = (email) => (email && usersByEmail.get(email.toLowerCase())?.id) || null;
+    const authorOf = (email) => userIdOf(email) || user.id;
+
+    // Members: the importer always owns the project; viewers can't own one
+    // and guest accounts only ever join as guests
+    const members = new Map([[user.id, { userId: user.id, role: 'owner', addedAt: null }]]);
+    for (const member of manifest.members) {
+        const account = usersByEmail.get(member.email.toLowerCase());
+        if (!account || members.has(account.id)) continue;
+
+        if (!account.isActive) {
+            conflicts.push({
+                type: 'inactive_user',
+                email: account.email,
+                message: `${account.email} is deactivated here and was not added to the project`
+            });
+            continue;
+        }
+
+        let role = member.role;
+        if (role === 'owner' && account.role === 'viewer') {
+            role = 'member';
+            conflicts.push({
+                type: 'role_changed',
+                email: account.email,
+                message: `${account.email} is a viewer here, so they were added as a member instead of an owner`
+            });
+        } else if (role !== 'guest' && account.role === 'guest') {
+            conflicts.push({
+                type: 'role_changed',
+                email: account.email,
+                message: `${account.email} has a guest account here, so they were added as a guest instead of ${role === 'owner' ? 'an owner' : 'a member'}`
+            });
+            role = 'guest';
+        }
+        members.set(account.id, { userId: account.id, role, addedAt: member.addedAt || null });
+    }
+
+    // Category slugs are per server
+    let category = manifest.project.category;
+    if (!category || !await ProjectCategory.findBySlug(category)) {
+        const fallback = await defaultCategory();
+        conflicts.push({
+            type: 'unknown_category',
+            category: category || null,
+            message: `There is no category "${category}" here; the project was put in "${fallback}"`
+        });
+        category = fallback;
+    }
+
+    const projectName = (name || manifest.project.name).trim();
+    if ((await Project.find({ name: projectName })).length > 0) {
+        conflicts.push({
+            type: 'name_taken',
+            name: projectName,
+            message: `A project named "${projectName}" already exists; the import is a separate project`
+        });
+    }
+
+    // Files come across only with their content, and only if there is storage for it
+    let files = manifest.files;
+    if (files.length > 0 && !supabaseStorage.isConfigured()) {
+        conflicts.push({
+            type: 'storage_unavailable',
+            message: `File storage is not configured here, so the ${files.length} file(s) were left out`
+        });
+        files = [];
+    }
+    files = files.filter(file => {
+        const content = file.blob && blobs.get(file.blob);
+        if (content && file.sha256 && sha256(content) === file.sha256) return true;
+
+        conflicts.push({
+            type: 'missing_file_content',
+            fileId: file.id,
+            name: file.originalName,
+            message: `The content of "${file.originalName}" is missing from the bundle or damaged, so the file was left out`
+        });
+        return false;
+    });
+
+    const projectId = newId('project', manifest.project.id);
+    for (const m of manifest.milestones) newId('milestones', m.id);
+    for (const t of manifest.tasks) newId('tasks', t.id);
+
+    const plan = {
+        project: {
+            ...manifest.project,
+            id: projectId,
+            name: projectName,
+            category,
+            folders: normalizeFolders([...manifest.project.folders, ...files.map(f => f.folder).filter(Boolean)]),
+            createdBy: user.id
+        },
+        members: [...members.values()],
+        milestones: manifest.milestones.map(m => ({
+            ...m,
+            id: ids.milestones[m.id],
+            createdBy: userIdOf(m.createdBy)
+        })),
+        tasks: manifest.tasks.map(t => ({
+            ...t,
+            id: ids.tasks[t.id],
+            assignedTo: userIdOf(t.assignedTo),
+            createdBy: authorOf(t.createdBy),
+            milestoneId: t.milestoneId ? ids.milestones[t.milestoneId] : null,
+            parentId: t.parentId ? ids.tasks[t.parentId] : null,
+            checklist: t.checklist || []
+        })),
+        messages: manifest.messages.map(m => ({
+            ...m,
+            id: newId('messages', m.id),
+            sender: authorOf(m.sender),
+            mentions: [...new Set(m.mentions.map(userIdOf).filter(Boolean))]
+        })),
+        files: files.map(f => ({
+            ...f,
+            id: newId('files', f.id),
+            folder: f.folder ? normalizeFolder(f.folder) : null,
+            uploadedBy: authorOf(f.uploadedBy)
+        }))
+    };
+
+    return { plan, conflicts, ids };
+}
+
+/**
+ * Create the planned project: store file contents, then write everything in
+ * one transaction. Stored objects are removed again if the write fails.
+ * @param {Object} plan - from planImport
+ * @param {Map<string, Buffer>} blobs - from readBundle
+ * @returns {Promise<string>} the new project's ID
+ */
+async function importProject(plan, blobs) {
+    const stored = new Map(); // blob -> upload result, so identical files share an object
+
+    try {
+        const files = [];
+        for (const file of plan.files) {
+            if (!stored.has(file.blob)) {
+                stored.set(file.blob, await supabaseStorage.uploadFile(
+                    blobs.get(file.blob),
+                    `${Date.now()}-${file.sha256.slice(0, 8)}-${file.originalName}`,
+                    file.mimeType
+                ));
+            }
+
+            const { path: storagePath, url } = stored.get(file.blob);
+            files.push({
+                ...file,
+                name: storagePath.split('/').pop(),
+                url,
+                storagePath,
+                storageType: 'supabase'
+            });
+        }
+
+        return await ProjectBundle.write({ ...plan, files });
+    } catch (error) {
+        for (const { path: storagePath } of stored.values()) {
+            try {
+                await supabaseStorage.deleteFile(storagePath);
+            } catch (cleanupError) {
+                console.error('Failed to remove imported file:', cleanupError.message);
+            }
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    FORMAT,
+    FORMAT_VERSION,
+    MAX_BUNDLE_BYTES,
+    exportProject,
+    readBundle,
+    planImport,
+    importProject
+};
@@ -26,14 +26,15 @@ const BUCKET_NAME = process.env.SUPABASE_BUCKET || 'project-files';
  * @param {Buffer} fileBuffer - The file buffer
  * @param {string} fileName - Unique filename
  * @param {string} mimeType - File MIME type
+ * @param {string} [folder='uploads'] - Folder inside the bucket
  * @returns {Promise<{url: string, path: string}>}
  */
-async function uploadFile(fileBuffer, fileName, mimeType) {
+async function uploadFile(fileBuffer, fileName, mimeType, folder = 'uploads') {
     if (!supabase) {
         throw new Error('Supabase is not configured');
     }
 
-    const filePath = `uploads/${fileName}`;
+    const filePath = `${folder}/${fileName}`;
 
     const { data, error } = await supabase.storage
         .from(BUCKET_NAME)
@@ -80,6 +81,27 @@ async function getSignedUrl(filePath, expiresIn = 3600) {
     return data.signedUrl;
 }
 
+/**
+ * Download a file's contents from Supabase Storage
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Buffer>}
+ */
+async function downloadFile(filePath) {
+    if (!supabase) {
+        throw new Error('Supabase is not configured');
+    }
+
+    const { data, error } = await supabase.storage
+        .from(BUCKET_NAME)
+        .download(filePath);
+
+    if (error) {
+        throw new Error(`Download failed: ${error.message}`);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+}
+
 /**
  * Delete a file from Supabase Storage
  * @param {string} filePath - Path to the file
@@ -111,6 +133,7 @@ module.exports = {
     supabase,
     uploadFile,
     getSignedUrl,
+    downloadFile,
     deleteFile,
     isConfigured,
     BUCKET_NAME
@@ -16,10 +16,20 @@ const taskRoutes = require('./routes/tasks');
 const messageRoutes = require('./routes/messages');
 const fileRoutes = require('./routes/files');
 const notificationRoutes = require('./routes/notifications');
+const invitationRoutes = require('./routes/invitations');
+const apiTokenRoutes = require('./routes/apiTokens');
+const auditRoutes = require('./routes/audit');
+const templateRoutes = require('./routes/templates');
+const categoryRoutes = require('./routes/categories');
+const milestoneRoutes = require('./routes/milestones');
 
 // Import socket handlers
 const setupSocketHandlers = require('./socket');
 
+// Import background jobs
+const lifecycle = require('./lifecycle');
+const milestones = require('./milestones');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -72,6 +82,11 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/accept-invite', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/oidc/callback', authLimiter);
+app.use('/api/auth/oidc/exchange', authLimiter);
 
 // CORS configuration — allows same-origin requests for monorepo deploys
 const buildAllowedOrigins = () => {
@@ -117,7 +132,9 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    // Lets the client read the file name of downloads such as project exports
+    exposedHeaders: ['Content-Disposition']
 };
 app.use(cors(corsOptions));
 
@@ -141,6 +158,12 @@ app.use('/api/tasks', taskRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/tokens', apiTokenRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/milestones', milestoneRoutes);
 
 // ============ PRODUCTION STATIC ASSETS ============
 if (isProduction) {
@@ -236,6 +259,12 @@ const startServer = async () => {
         // Setup socket handlers
         setupSocketHandlers(io);
 
+        // Permanently delete projects whose grace period has run out
+        lifecycle.startPurgeSchedule();
+
+        // Warn members about milestones whose tasks have run past their due dates
+        milestones.startRiskSchedule(io);
+
         server.listen(PORT, () => {
             const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
             const renderUrl = process.env.RENDER_EXTERNAL_URL || 'not set';
@@ -0,0 +1,127 @@
+const { Project, File } = require('../models');
+const supabaseStorage = require('../config/supabase');
+const { generateToken, hashToken, parseDuration } = require('../utils/tokens');
+const audit = require('../audit');
+
+/**
+ * Project lifecycle
+ * Projects are archived (read-only, see policy) and restored; only an
+ * archived project can be deleted for good. Permanent deletion takes two
+ * steps: an admin asks for a confirmation token and sends it back within
+ * DELETION_TOKEN_TTL_MS, which schedules the purge DELETION_GRACE_MS later.
+ * Restoring the project before then cancels it. A timer purges due projects.
+ */
+
+const DELETION_TOKEN_TTL_MS = 10 * 60 * 1000;
+const DELETION_GRACE_MS = parseDuration(process.env.PROJECT_DELETION_GRACE || '7d', 7 * 24 * 60 * 60 * 1000);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Start a permanent deletion
+ * @param {Object} project - archived project
+ * @param {Object} user - the admin asking
+ * @returns {Promise<{confirmationToken: string, expiresAt: string}>}
+ */
+async function requestDeletion(project, user) {
+    const confirmationToken = generateToken(24);
+    const expiresAt = new Date(Date.now() + DELETION_TOKEN_TTL_MS).toISOString();
+
+    await Project.setDeletionToken(project.id, {
+        tokenHash: hashToken(confirmationToken),
+        expiresAt,
+        requestedBy: user.id
+    });
+
+    return { confirmationToken, expiresAt };
+}
+
+/**
+ * Confirm a permanent deletion with the token from requestDeletion
+ * @returns {Promise<Object|null>} the project, now scheduled for deletion, or null
+ *   if the token is wrong, expired or was asked for by someone else
+ */
+async function confirmDeletion(project, user, confirmationToken) {
+    const pending = await Project.getDeletionToken(project.id);
+
+    if (!pending.tokenHash || pending.tokenHash !== hashToken(confirmationToken)
+        || pending.requestedBy !== user.id || new Date(pending.expiresAt) <= new Date()) {
+        return null;
+    }
+
+    return Project.scheduleDeletion(project.id, new Date(Date.now() + DELETION_GRACE_MS).toISOString());
+}
+
+/**
+ * Delete a project for good, with its stored files. Objects still used by a
+ * file in another project (from duplicating it) are kept.
+ */
+async function purgeProject(project) {
+    const files = await File.getProjectFiles(project.id);
+    const storagePaths = [...new Set(files
+        .filter(f => f.storageType === 'supabase' && f.storagePath)
+        .map(f => f.storagePath))];
+
+    for (const storagePath of storagePaths) {
+        if (await File.countByStoragePath(storagePath, project.id) > 0) continue;
+        try {
+            await supabaseStorage.deleteFile(storagePath);
+        } catch (error) {
+            // An orphaned object is better than a project that can never be purged
+            console.error('Failed to delete from Supabase:', error.message);
+        }
+    }
+
+    await Project.purge(project.id);
+
+    await audit.recordSystem(project.deletionRequestedBy, {
+        action: 'delete',
+        entityType: 'project',
+        entityId: project.id,
+        before: project
+    });
+}
+
+/**
+ * Purge every project whose grace period has run out
+ * @returns {Promise<number>} how many were purged
+ */
+async function purgeDueProjects() {
+    let purged = 0;
+
+    for (const id of await Project.findDueForDeletion()) {
+        try {
+            // Re-read: it may have been restored since the list was taken
+            const project = await Project.findById(id);
+            if (!project || project.status !== 'archived' || !project.deletionScheduledAt) continue;
+
+            await purgeProject(project);
+            purged++;
+        } catch (error) {
+            console.error(`Failed to purge project ${id}:`, error.message);
+        }
+    }
+
+    return purged;
+}
+
+/**
+ * Check for due deletions now and then every PURGE_INTERVAL_MS
+ */
+function startPurgeSchedule() {
+    const run = () => purgeDueProjects()
+        .then(count => { if (count) console.log(`Purged ${count} deleted project(s)`); })
+        .catch(error => console.error('Project purge failed:', error.message));
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    DELETION_TOKEN_TTL_MS,
+    DELETION_GRACE_MS,
+    requestDeletion,
+    confirmDeletion,
+    purgeProject,
+    purgeDueProjects,
+    startPurgeSchedule
+};
@@ -0,0 +1,75 @@
+const createSmtpTransport = require('./transports/smtp');
+const createOutboxTransport = require('./transports/outbox');
+const templates = require('./templates');
+
+/**
+ * Mail service
+ * Picks a transport from MAIL_TRANSPORT ('smtp' or 'outbox'). Defaults to the
+ * outbox everywhere except production with SMTP_HOST set.
+ */
+const transports = {
+    smtp: createSmtpTransport,
+    outbox: createOutboxTransport
+};
+
+let transport = null;
+
+/**
+ * Get (and lazily create) the configured transport
+ */
+function getTransport() {
+    if (!transport) {
+        const defaultName = process.env.NODE_ENV === 'production' && process.env.SMTP_HOST ? 'smtp' : 'outbox';
+        const name = process.env.MAIL_TRANSPORT || defaultName;
+        const factory = transports[name];
+
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+
+        transport = factory();
+        console.log(`📧 Mail transport: ${transport.name}`);
+    }
+    return transport;
+}
+
+/**
+ * Replace the transport (tests can inject their own { name, send })
+ * @param {{name: string, send: Function}|null} customTransport
+ */
+function setTransport(customTransport) {
+    transport = customTransport;
+}
+
+/**
+ * Send an email
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<{id: string}>}
+ */
+async function sendMail(message) {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'RentBasket <no-reply@rentbasket.com>',
+        ...message
+    });
+}
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient address
+ * @param {string} templateName - Key of ./templates
+ * @param {Object} data - Template data
+ */
+async function sendTemplate(to, templateName, data) {
+    const template = templates[templateName];
+    if (!template) {
+        throw new Error(`Unknown mail template: ${templateName}`);
+    }
+    return sendMail({ to, ...template(data) });
+}
+
+module.exports = {
+    sendMail,
+    sendTemplate,
+    setTransport,
+    getTransport
+};
@@ -0,0 +1,68 @@
+/**
+ * Mail templates
+ * Each template returns { subject, text, html } for the given data.
+ */
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const layout = (body) => `
+<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 520px; margin: 0 auto; color: #1f2937;">
+    <h2 style="color: #d72f26;">RentBasket</h2>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">RentBasket internal workspace</p>
+</div>`;
+
+const button = (url, label) =>
+    `<p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #d72f26; color: #fff; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Password reset link
+ * @param {{name: string, resetUrl: string, expiresInMinutes: number}} data
+ */
+function passwordReset({ name, resetUrl, expiresInMinutes }) {
+    return {
+        subject: 'Reset your RentBasket password',
+        text: [
+            `Hi ${name},`,
+            '',
+            'Someone asked to reset the password for your RentBasket account.',
+            `Use this link within ${expiresInMinutes} minutes to choose a new one:`,
+            resetUrl,
+            '',
+            "If you didn't ask for this, you can ignore this email."
+        ].join('\n'),
+        html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Someone asked to reset the password for your RentBasket account. Use the button below within ${expiresInMinutes} minutes to choose a new one.</p>
+    ${button(resetUrl, 'Reset password')}
+    <p>If you didn't ask for this, you can ignore this email.</p>`)
+    };
+}
+
+/**
+ * Invitation to join the workspace
+ * @param {{invitedBy: string, role: string, inviteUrl: string}} data
+ */
+function invitation({ invitedBy, role, inviteUrl }) {
+    return {
+        subject: `${invitedBy} invited you to RentBasket`,
+        text: [
+            `${invitedBy} invited you to join RentBasket as ${role === 'admin' ? 'an admin' : 'an editor'}.`,
+            '',
+            'Create your account with this link:',
+            inviteUrl
+        ].join('\n'),
+        html: layout(`
+    <p>${escapeHtml(invitedBy)} invited you to join RentBasket as ${role === 'admin' ? 'an admin' : 'an editor'}.</p>
+    ${button(inviteUrl, 'Accept invitation')}`)
+    };
+}
+
+module.exports = {
+    passwordReset,
+    invitation
+};
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outbox mail transport
+ * Writes each message as a JSON file instead of sending it. Used for local
+ * development and tests; open the files in MAIL_OUTBOX_DIR to follow links.
+ */
+function createOutboxTransport() {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || './outbox');
+
+    return {
+        name: 'outbox',
+        outboxDir,
+
+        /**
+         * Write a message to the outbox
+         * @param {{from: string, to: string, subject: string, text: string, html?: string}} message
+         * @returns {Promise<{id: string, path: string}>}
+         */
+        async send(message) {
+            await fs.mkdir(outboxDir, { recursive: true });
+
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const filePath = path.join(outboxDir, `${id}.json`);
+
+            await fs.writeFile(filePath, JSON.stringify({
+                id,
+                ...message,
+                createdAt: new Date().toISOString()
+            }, null, 2));
+
+            console.log(`📧 Mail written to outbox: ${filePath} (${message.subject} → ${message.to})`);
+            return { id, path: filePath };
+        }
+    };
+}
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport (nodemailer)
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ */
+function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        /**
+         * Send a message
+         * @param {{from: string, to: string, subject: string, text: string, html?: string}} message
+         * @returns {Promise<{id: string}>}
+         */
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        }
+    };
+}
+
+module.exports = createSmtpTransport;
@@ -1,5 +1,96 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session, ApiToken } = require('../models');
+const { hashToken } = require('../utils/tokens');
+
+/**
+ * Verify an access token and load its user and session.
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {string} token - JWT access token
+ * @returns {Promise<{user?: Object, session?: Object, error?: string, code?: string}>}
+ */
+const verifyAccessToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return { error: 'Token expired', code: 'TOKEN_EXPIRED' };
+        }
+        return { error: 'Invalid token', code: 'INVALID_TOKEN' };
+    }
+
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid) {
+        return { error: 'Invalid token', code: 'INVALID_TOKEN' };
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!Session.isActive(session) || session.user !== decoded.id) {
+        return { error: 'Session has been revoked', code: 'SESSION_REVOKED' };
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+        return { error: 'User not found', code: 'INVALID_TOKEN' };
+    }
+
+    if (!user.isActive) {
+        return { error: 'User account is deactivated', code: 'ACCOUNT_DEACTIVATED' };
+    }
+
+    return { user, session };
+};
+
+/**
+ * Verify a personal access token and load its user.
+ * @param {string} token - raw API token (starts with ApiToken.TOKEN_PREFIX)
+ * @returns {Promise<{user?: Object, apiToken?: Object, error?: string, code?: string}>}
+ */
+const verifyApiToken = async (token) => {
+    const apiToken = await ApiToken.findByTokenHash(hashToken(token));
+
+    if (!apiToken || apiToken.revokedAt) {
+        return { error: 'Invalid API token', code: 'INVALID_TOKEN' };
+    }
+
+    if (!ApiToken.isActive(apiToken)) {
+        return { error: 'API token has expired', code: 'API_TOKEN_EXPIRED' };
+    }
+
+    const user = await User.findById(apiToken.user);
+
+    if (!user) {
+        return { error: 'User not found', code: 'INVALID_TOKEN' };
+    }
+
+    if (!user.isActive) {
+        return { error: 'User account is deactivated', code: 'ACCOUNT_DEACTIVATED' };
+    }
+
+    return { user, apiToken };
+};
+
+/**
+ * Check an API token's scopes against the route being called.
+ * The resource is the mount path (/api/tasks -> tasks); routes outside
+ * ApiToken.RESOURCES (auth, invitations, token management) are never reachable.
+ * @returns {string|null} error message, or null if allowed
+ */
+const getScopeError = (req, apiToken) => {
+    const resource = req.baseUrl.replace(/^\/api\//, '').split('/')[0];
+    const level = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+
+    if (!ApiToken.RESOURCES.includes(resource)) {
+        return 'API tokens cannot access this route';
+    }
+
+    if (!ApiToken.hasScope(apiToken, resource, level)) {
+        return `API token is missing the '${resource}:${level}' scope`;
+    }
+
+    return null;
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -18,36 +109,51 @@ const protect = async (req, res, next) => {
             });
         }
 
-        try {
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Get user from token
-            const user = await User.findById(decoded.id);
+        // Personal access tokens carry scopes instead of a session
+        if (token.startsWith(ApiToken.TOKEN_PREFIX)) {
+            const { user, apiToken, error, code } = await verifyApiToken(token);
 
-            if (!user) {
+            if (error) {
                 return res.status(401).json({
                     success: false,
-                    error: 'User not found'
+                    error,
+                    code
                 });
             }
 
-            if (!user.isActive) {
-                return res.status(401).json({
+            const scopeError = getScopeError(req, apiToken);
+            if (scopeError) {
+                return res.status(403).json({
                     success: false,
-                    error: 'User account is deactivated'
+                    error: scopeError,
+                    code: 'INSUFFICIENT_SCOPE'
                 });
             }
 
-            // Attach user to request
+            await ApiToken.touch(apiToken, req.ip);
+
             req.user = user;
-            next();
-        } catch (err) {
+            req.apiToken = apiToken;
+            req.session = null;
+            return next();
+        }
+
+        const { user, session, error, code } = await verifyAccessToken(token);
+
+        if (error) {
             return res.status(401).json({
                 success: false,
-                error: 'Invalid token'
+                error,
+                code
             });
         }
+
+        await Session.touch(session, req.ip);
+
+        // Attach user and session to request
+        req.user = user;
+        req.session = session;
+        next();
     } catch (error) {
         next(error);
     }
@@ -84,14 +190,11 @@ const optionalAuth = async (req, res, next) => {
         }
 
         if (token) {
-            try {
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const user = await User.findById(decoded.id);
-                if (user && user.isActive) {
-                    req.user = user;
-                }
-            } catch (err) {
-                // Token invalid, but that's okay for optional auth
+            // Token invalid or revoked, but that's okay for optional auth
+            const { user, session } = await verifyAccessToken(token);
+            if (user) {
+                req.user = user;
+                req.session = session;
             }
         }
 
@@ -104,5 +207,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     protect,
     authorize,
-    optionalAuth
+    optionalAuth,
+    verifyAccessToken
 };
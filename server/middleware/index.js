@@ -1,7 +1,8 @@
-const { protect, authorize, optionalAuth } = require('./auth');
+const { protect, authorize, optionalAuth, verifyAccessToken } = require('./auth');
 
 module.exports = {
     protect,
     authorize,
-    optionalAuth
+    optionalAuth,
+    verifyAccessToken
 };
@@ -0,0 +1,103 @@
+const { Milestone, Project, Notification } = require('../models');
+const presence = require('../presence');
+
+/**
+ * Milestone risk
+ * A milestone is at risk while it isn't completed and one of its open tasks
+ * is past its due date. Project members are notified when it becomes at risk,
+ * and again only after it has recovered and slipped once more. Task changes
+ * re-check their milestones straight away; a timer catches tasks that simply
+ * run past their due date.
+ */
+
+const RISK_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Record a change in a milestone's risk and notify the project's members
+ * @param {Object} io
+ * @param {Object} milestone - as loaded by Milestone.find/findById
+ * @returns {Promise<boolean>} whether it has just become at risk
+ */
+async function updateRisk(io, milestone) {
+    if (!milestone.atRisk) {
+        if (milestone.atRiskSince) await Milestone.setAtRisk(milestone.id, null);
+        return false;
+    }
+    if (milestone.atRiskSince) return false;
+
+    await Milestone.setAtRisk(milestone.id, new Date().toISOString());
+
+    // Archived projects are read-only, so nobody could act on the warning
+    const project = await Project.findById(milestone.project.id);
+    if (!project || project.status === 'archived') return true;
+
+    const overdue = milestone.overdueCount === 1 ? '1 overdue task' : `${milestone.overdueCount} overdue tasks`;
+
+    for (const member of project.members) {
+        if (!member.user) continue;
+        const notification = await Notification.createNotification({
+            user: member.user.id,
+            type: 'milestone_at_risk',
+            title: 'Milestone at Risk',
+            message: `"${milestone.title}" in ${project.name} has ${overdue}`,
+            project: project.id
+        });
+        await presence.pushNotification(io, member.user.id, notification);
+    }
+
+    return true;
+}
+
+/**
+ * Re-check the given milestones, e.g. after tasks moved between them.
+ * Failures are logged, not thrown: they must not fail the change that caused them.
+ * @param {Object} io
+ * @param {Array<string|null|undefined>} milestoneIds - empty entries are skipped
+ */
+async function checkMilestones(io, milestoneIds) {
+    for (const id of new Set(milestoneIds.filter(Boolean))) {
+        try {
+            const milestone = await Milestone.findById(id);
+            if (milestone) await updateRisk(io, milestone);
+        } catch (error) {
+            console.error(`Failed to check milestone ${id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Check every milestone that isn't completed
+ * @returns {Promise<number>} how many have just become at risk
+ */
+async function checkOpenMilestones(io) {
+    let atRisk = 0;
+
+    for (const milestone of await Milestone.find({ statusNot: 'completed' })) {
+        try {
+            if (await updateRisk(io, milestone)) atRisk++;
+        } catch (error) {
+            console.error(`Failed to check milestone ${milestone.id}:`, error.message);
+        }
+    }
+
+    return atRisk;
+}
+
+/**
+ * Check milestones now and then every RISK_CHECK_INTERVAL_MS
+ */
+function startRiskSchedule(io) {
+    const run = () => checkOpenMilestones(io)
+        .then(count => { if (count) console.log(`${count} milestone(s) now at risk`); })
+        .catch(error => console.error('Milestone check failed:', error.message));
+
+    run();
+    setInterval(run, RISK_CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    updateRisk,
+    checkMilestones,
+    checkOpenMilestones,
+    startRiskSchedule
+};
@@ -13,7 +13,24 @@ const {
     Task,
     Message,
     File,
-    Notification
+    Notification,
+    Session,
+    Invitation,
+    PasswordReset,
+    SsoTicket,
+    RecoveryCode,
+    LoginAttempt,
+    ApiToken,
+    AuditLog,
+    UserActivity,
+    Achievement,
+    Presence,
+    ProjectTemplate,
+    ProjectCategory,
+    Milestone,
+    Activity,
+    ProjectBundle,
+    ChecklistItem
 } = require('./supabase');
 
 module.exports = {
@@ -22,5 +39,22 @@ module.exports = {
     Task,
     Message,
     File,
-    Notification
+    Notification,
+    Session,
+    Invitation,
+    PasswordReset,
+    SsoTicket,
+    RecoveryCode,
+    LoginAttempt,
+    ApiToken,
+    AuditLog,
+    UserActivity,
+    Achievement,
+    Presence,
+    ProjectTemplate,
+    ProjectCategory,
+    Milestone,
+    Activity,
+    ProjectBundle,
+    ChecklistItem
 };
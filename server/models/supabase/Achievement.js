@@ -0,0 +1,56 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Achievement Service - Supabase PostgreSQL implementation
+ * Which achievements each user has unlocked (definitions live in /achievements).
+ */
+const Achievement = {
+    /**
+     * Achievements a user has unlocked
+     */
+    async findByUser(userId) {
+        const { data, error } = await supabase
+            .from('user_achievements')
+            .select('*')
+            .eq('user_id', userId)
+            .order('unlocked_at');
+
+        if (error) handleError(error, 'findByUser');
+        return (data || []).map(a => Achievement._formatAchievement(a));
+    },
+
+    /**
+     * Unlock achievements; ones the user already has are left untouched
+     * @param {string} userId
+     * @param {string[]} keys
+     * @returns {Promise<string[]>} keys that were newly unlocked
+     */
+    async unlock(userId, keys) {
+        if (keys.length === 0) return [];
+
+        const { data, error } = await supabase
+            .from('user_achievements')
+            .upsert(
+                keys.map(achievement => ({ user_id: userId, achievement })),
+                { onConflict: 'user_id,achievement', ignoreDuplicates: true }
+            )
+            .select('achievement');
+
+        if (error) handleError(error, 'unlock');
+        return (data || []).map(a => a.achievement);
+    },
+
+    /**
+     * Format achievement from database to API format
+     */
+    _formatAchievement(data) {
+        if (!data) return null;
+
+        return {
+            key: data.achievement,
+            unlockedAt: data.unlocked_at
+        };
+    }
+};
+
+module.exports = Achievement;
@@ -0,0 +1,135 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+// Longest message excerpt shown in the stream
+const EXCERPT_LENGTH = 140;
+
+/**
+ * Activity Service - Supabase PostgreSQL implementation
+ * Read-only: project events come from the project_activity view over the
+ * audit log, so anything audited with a project shows up here.
+ */
+const Activity = {
+    /**
+     * Events of a project, newest first
+     * @param {string} projectId
+     * @param {Object} options
+     * @param {string[]} [options.types] - only these event types
+     * @param {{createdAt: string, id: string}} [options.before] - continue after this event
+     * @param {number} [options.limit]
+     * @param {boolean} [options.includeInternal] - false leaves out events about internal messages
+     * @returns {Promise<{events: Object[], hasMore: boolean}>}
+     */
+    async find(projectId, { types, before, limit = 30, includeInternal = true } = {}) {
+        let queryBuilder = supabase
+            .from('project_activity')
+            .select('*')
+            .eq('project_id', projectId);
+
+        if (!includeInternal) {
+            queryBuilder = queryBuilder.eq('is_internal', false);
+        }
+
+        if (types && types.length > 0) {
+            queryBuilder = queryBuilder.in('type', types);
+        }
+        if (before) {
+            // Events sharing a timestamp are told apart by ID
+            queryBuilder = queryBuilder.or(
+                `created_at.lt."${before.createdAt}",and(created_at.eq."${before.createdAt}",id.lt.${before.id})`
+            );
+        }
+
+        // One extra row says whether there is another page
+        const { data, error } = await queryBuilder
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit + 1);
+
+        if (error) handleError(error, 'find');
+
+        const rows = data || [];
+        return {
+            events: rows.slice(0, limit).map(a => Activity._formatActivity(a)),
+            hasMore: rows.length > limit
+        };
+    },
+
+    /**
+     * Find an event by the ID of its audit entry (null if the change makes no event)
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('project_activity')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? Activity._formatActivity(data) : null;
+    },
+
+    /**
+     * What an event is about, taken from the snapshot of the changed record
+     */
+    _formatSubject(entityType, before, after) {
+        const record = after || before || {};
+
+        switch (entityType) {
+            case 'task':
+                return {
+                    title: record.title,
+                    status: record.status,
+                    assignee: record.assignedTo ? { id: record.assignedTo.id, name: record.assignedTo.name } : null
+                };
+            case 'message':
+                return {
+                    excerpt: (record.content || '').slice(0, EXCERPT_LENGTH)
+                };
+            case 'file':
+                return {
+                    name: record.originalName || record.name
+                };
+            case 'project_member':
+                return {
+                    userId: record.userId,
+                    role: record.role,
+                    previousRole: after && before ? before.role : null
+                };
+            case 'milestone':
+                return {
+                    title: record.title,
+                    status: record.status
+                };
+            default:
+                return {
+                    name: record.name
+                };
+        }
+    },
+
+    /**
+     * Format event from database to API format
+     */
+    _formatActivity(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            projectId: data.project_id,
+            type: data.type,
+            entityType: data.entity_type,
+            entityId: data.entity_id,
+            actor: data.actor_id ? {
+                id: data.actor_id,
+                name: data.actor_name,
+                avatar: data.actor_avatar,
+                avatarSizes: data.actor_avatar_sizes
+            } : null,
+            subject: Activity._formatSubject(data.entity_type, data.before, data.after),
+            isInternal: !!data.is_internal,
+            createdAt: data.created_at
+        };
+    }
+};
+
+module.exports = Activity;
@@ -0,0 +1,163 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+// Resources a personal access token can be scoped to, each with read or write access
+const RESOURCES = ['projects', 'tasks', 'messages', 'files', 'notifications', 'users'];
+const ACCESS_LEVELS = ['read', 'write'];
+
+// Skip the last-used write if the token was used this recently
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * API Token Service - Supabase PostgreSQL implementation
+ * Personal access tokens for scripts and integrations. Only the token hash is stored.
+ */
+const ApiToken = {
+    // Lets the auth middleware tell API tokens apart from JWTs
+    TOKEN_PREFIX: 'rbpat_',
+    RESOURCES,
+    ACCESS_LEVELS,
+    SCOPES: RESOURCES.flatMap(resource => ACCESS_LEVELS.map(level => `${resource}:${level}`)),
+
+    /**
+     * Find a token by the hash of its value
+     */
+    async findByTokenHash(tokenHash) {
+        const { data, error } = await supabase
+            .from('api_tokens')
+            .select('*')
+            .eq('token_hash', tokenHash)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findByTokenHash');
+        return data ? ApiToken._formatToken(data) : null;
+    },
+
+    /**
+     * Find a user's tokens that have not been revoked
+     */
+    async findByUser(userId) {
+        const { data, error } = await supabase
+            .from('api_tokens')
+            .select('*')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .order('created_at', { ascending: false });
+
+        if (error) handleError(error, 'findByUser');
+        return (data || []).map(t => ApiToken._formatToken(t));
+    },
+
+    /**
+     * Create a new token
+     */
+    async create(tokenData) {
+        const { data, error } = await supabase
+            .from('api_tokens')
+            .insert({
+                user_id: tokenData.userId,
+                name: tokenData.name,
+                token_hash: tokenData.tokenHash,
+                token_prefix: tokenData.tokenPrefix,
+                scopes: tokenData.scopes,
+                expires_at: tokenData.expiresAt || null
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return ApiToken._formatToken(data);
+    },
+
+    /**
+     * Revoke one of a user's tokens
+     * @returns {Promise<Object|null>} the revoked token, or null if there was none to revoke
+     */
+    async revoke(id, userId) {
+        const { data, error } = await supabase
+            .from('api_tokens')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .select();
+
+        if (error) handleError(error, 'revoke');
+        return data && data.length ? ApiToken._formatToken(data[0]) : null;
+    },
+
+    /**
+     * Record that a token was just used (at most once per minute)
+     */
+    async touch(token, ipAddress) {
+        if (token.lastUsedAt && Date.now() - new Date(token.lastUsedAt) < LAST_USED_PRECISION_MS) {
+            return;
+        }
+
+        const { error } = await supabase
+            .from('api_tokens')
+            .update({
+                last_used_at: new Date().toISOString(),
+                last_used_ip: ipAddress || null
+            })
+            .eq('id', token.id);
+
+        if (error) handleError(error, 'touch');
+    },
+
+    /**
+     * Check whether a token can still be used
+     */
+    isActive(token) {
+        return !!token && !token.revokedAt && (!token.expiresAt || new Date(token.expiresAt) > new Date());
+    },
+
+    /**
+     * Check whether a token grants access to a resource.
+     * Write access implies read access.
+     */
+    hasScope(token, resource, level) {
+        return token.scopes.includes(`${resource}:write`) ||
+            (level === 'read' && token.scopes.includes(`${resource}:read`));
+    },
+
+    /**
+     * Format token from database to API format
+     */
+    _formatToken(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            _id: data.id,
+            user: data.user_id,
+            name: data.name,
+            tokenHash: data.token_hash,
+            tokenPrefix: data.token_prefix,
+            scopes: data.scopes || [],
+            expiresAt: data.expires_at,
+            lastUsedAt: data.last_used_at,
+            lastUsedIp: data.last_used_ip,
+            revokedAt: data.revoked_at,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+    },
+
+    /**
+     * Public representation (never exposes the token hash)
+     */
+    toPublicJSON(token) {
+        return {
+            id: token.id,
+            name: token.name,
+            tokenPrefix: token.tokenPrefix,
+            scopes: token.scopes,
+            expiresAt: token.expiresAt,
+            lastUsedAt: token.lastUsedAt,
+            lastUsedIp: token.lastUsedIp,
+            createdAt: token.createdAt
+        };
+    }
+};
+
+module.exports = ApiToken;
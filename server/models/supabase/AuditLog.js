@@ -0,0 +1,95 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Audit Log Service - Supabase PostgreSQL implementation
+ * Append-only record of who changed what through the API.
+ */
+const AuditLog = {
+    /**
+     * Record an entry
+     */
+    async create(entryData) {
+        const { data, error } = await supabase
+            .from('audit_logs')
+            .insert({
+                actor_id: entryData.actorId || null,
+                actor_email: entryData.actorEmail || null,
+                action: entryData.action,
+                entity_type: entryData.entityType,
+                entity_id: entryData.entityId || null,
+                project_id: entryData.projectId || null,
+                before: entryData.before ?? null,
+                after: entryData.after ?? null,
+                ip_address: entryData.ipAddress || null,
+                user_agent: entryData.userAgent || null
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return AuditLog._formatEntry(data);
+    },
+
+    /**
+     * Search entries, newest first
+     * @param {Object} query - actorId, action, entityType, entityId, projectId, from, to
+     */
+    async find(query = {}, page = 1, limit = 50) {
+        const offset = (page - 1) * limit;
+
+        let queryBuilder = supabase
+            .from('audit_logs')
+            .select(`
+                *,
+                actor:users!audit_logs_actor_id_fkey(id, name, email)
+            `, { count: 'exact' });
+
+        if (query.actorId) queryBuilder = queryBuilder.eq('actor_id', query.actorId);
+        if (query.action) queryBuilder = queryBuilder.eq('action', query.action);
+        if (query.entityType) queryBuilder = queryBuilder.eq('entity_type', query.entityType);
+        if (query.entityId) queryBuilder = queryBuilder.eq('entity_id', query.entityId);
+        if (query.projectId) queryBuilder = queryBuilder.eq('project_id', query.projectId);
+        if (query.from) queryBuilder = queryBuilder.gte('created_at', query.from);
+        if (query.to) queryBuilder = queryBuilder.lte('created_at', query.to);
+
+        const { data, error, count } = await queryBuilder
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) handleError(error, 'find');
+
+        return {
+            entries: (data || []).map(e => AuditLog._formatEntry(e)),
+            total: count || 0,
+            page,
+            pages: Math.ceil((count || 0) / limit)
+        };
+    },
+
+    /**
+     * Format entry from database to API format
+     */
+    _formatEntry(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            actor: data.actor ? {
+                id: data.actor.id,
+                name: data.actor.name,
+                email: data.actor.email
+            } : (data.actor_id || data.actor_email ? { id: data.actor_id, email: data.actor_email } : null),
+            action: data.action,
+            entityType: data.entity_type,
+            entityId: data.entity_id,
+            projectId: data.project_id,
+            before: data.before,
+            after: data.after,
+            ipAddress: data.ip_address,
+            userAgent: data.user_agent,
+            createdAt: data.created_at
+        };
+    }
+};
+
+module.exports = AuditLog;
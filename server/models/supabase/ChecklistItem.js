@@ -0,0 +1,130 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Checklist Item Service - Supabase PostgreSQL implementation
+ * A lightweight to-do inside a task: just text and a tick, kept in order by
+ * position. Unlike subtasks, items have no assignee, status or due date.
+ */
+const ChecklistItem = {
+    /**
+     * Items of a task, in order
+     */
+    async findByTask(taskId) {
+        const { data, error } = await supabase
+            .from('task_checklist_items')
+            .select('*')
+            .eq('task_id', taskId)
+            .order('position')
+            .order('created_at');
+
+        if (error) handleError(error, 'findByTask');
+        return (data || []).map(item => ChecklistItem._formatItem(item));
+    },
+
+    /**
+     * Find an item by ID
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('task_checklist_items')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? ChecklistItem._formatItem(data) : null;
+    },
+
+    /**
+     * Add an item to the end of a task's checklist
+     * @param {Object} itemData - task, text, createdBy
+     */
+    async create(itemData) {
+        const items = await ChecklistItem.findByTask(itemData.task);
+        const position = items.length ? Math.max(...items.map(item => item.position)) + 1 : 0;
+
+        const { data, error } = await supabase
+            .from('task_checklist_items')
+            .insert({
+                task_id: itemData.task,
+                text: itemData.text,
+                position,
+                created_by: itemData.createdBy
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return ChecklistItem._formatItem(data);
+    },
+
+    /**
+     * Update an item's text, tick or position
+     */
+    async update(id, updates) {
+        const updateData = {};
+
+        if (updates.text !== undefined) updateData.text = updates.text;
+        if (updates.isDone !== undefined) updateData.is_done = updates.isDone;
+        if (updates.position !== undefined) updateData.position = updates.position;
+
+        const { data, error } = await supabase
+            .from('task_checklist_items')
+            .update(updateData)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) handleError(error, 'update');
+        return ChecklistItem._formatItem(data);
+    },
+
+    /**
+     * Tick or untick every item of a task that isn't already so
+     * @returns {Promise<number>} how many items changed
+     */
+    async setAllDone(taskId, isDone) {
+        const { data, error } = await supabase
+            .from('task_checklist_items')
+            .update({ is_done: isDone })
+            .eq('task_id', taskId)
+            .eq('is_done', !isDone)
+            .select('id');
+
+        if (error) handleError(error, 'setAllDone');
+        return (data || []).length;
+    },
+
+    /**
+     * Delete an item
+     */
+    async delete(id) {
+        const { error } = await supabase
+            .from('task_checklist_items')
+            .delete()
+            .eq('id', id);
+
+        if (error) handleError(error, 'delete');
+        return true;
+    },
+
+    /**
+     * Format item from database to API format
+     */
+    _formatItem(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            task: data.task_id,
+            text: data.text,
+            isDone: data.is_done,
+            position: data.position,
+            createdBy: data.created_by,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+    }
+};
+
+module.exports = ChecklistItem;
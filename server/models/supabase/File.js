@@ -14,7 +14,7 @@ const File = {
             .from('files')
             .select(`
                 *,
-                uploaded_by_user:users!files_uploaded_by_fkey(id, name, email, avatar)
+                uploaded_by_user:users!files_uploaded_by_fkey(id, name, email, avatar, avatar_sizes)
             `)
             .eq('project_id', projectId)
             .eq('is_deleted', false)
@@ -24,6 +24,25 @@ const File = {
         return (data || []).map(f => File._formatFile(f));
     },
 
+    /**
+     * Live files uploaded by a user, with their project name
+     */
+    async findByUploader(userId) {
+        const { data, error } = await supabase
+            .from('files')
+            .select(`
+                *,
+                uploaded_by_user:users!files_uploaded_by_fkey(id, name, email, avatar, avatar_sizes),
+                project:projects(id, name)
+            `)
+            .eq('uploaded_by', userId)
+            .eq('is_deleted', false)
+            .order('created_at', { ascending: false });
+
+        if (error) handleError(error, 'findByUploader');
+        return (data || []).map(f => File._formatFile(f));
+    },
+
     /**
      * Find a file by ID
      */
@@ -32,7 +51,7 @@ const File = {
             .from('files')
             .select(`
                 *,
-                uploaded_by_user:users!files_uploaded_by_fkey(id, name, email, avatar)
+                uploaded_by_user:users!files_uploaded_by_fkey(id, name, email, avatar, avatar_sizes)
             `)
             .eq('id', id)
             .single();
@@ -52,6 +71,7 @@ const File = {
                 name: fileData.name,
                 original_name: fileData.originalName,
                 description: fileData.description || '',
+                folder: fileData.folder || null,
                 url: fileData.url,
                 storage_path: fileData.storagePath || null,
                 storage_type: fileData.storageType || 'local',
@@ -75,6 +95,7 @@ const File = {
 
         if (updates.originalName !== undefined) updateData.original_name = updates.originalName;
         if (updates.description !== undefined) updateData.description = updates.description;
+        if (updates.folder !== undefined) updateData.folder = updates.folder;
         if (updates.isDeleted !== undefined) updateData.is_deleted = updates.isDeleted;
 
         const { data, error } = await supabase
@@ -103,6 +124,28 @@ const File = {
         return true;
     },
 
+    /**
+     * Number of live files stored at a path (duplicated projects share stored objects)
+     * @param {string} storagePath
+     * @param {string} [excludeProjectId] - only count files in other projects
+     */
+    async countByStoragePath(storagePath, excludeProjectId) {
+        let queryBuilder = supabase
+            .from('files')
+            .select('id', { count: 'exact', head: true })
+            .eq('storage_path', storagePath)
+            .eq('is_deleted', false);
+
+        if (excludeProjectId) {
+            queryBuilder = queryBuilder.neq('project_id', excludeProjectId);
+        }
+
+        const { count, error } = await queryBuilder;
+
+        if (error) handleError(error, 'countByStoragePath');
+        return count || 0;
+    },
+
     /**
      * Get formatted file size
      */
@@ -140,9 +183,11 @@ const File = {
             id: data.id,
             _id: data.id,
             project: data.project_id,
+            projectName: data.project?.name,
             name: data.name,
             originalName: data.original_name,
             description: data.description,
+            folder: data.folder,
             url: data.url,
             storagePath: data.storage_path,
             storageType: data.storage_type,
@@ -154,7 +199,8 @@ const File = {
                 id: data.uploaded_by_user.id,
                 name: data.uploaded_by_user.name,
                 email: data.uploaded_by_user.email,
-                avatar: data.uploaded_by_user.avatar
+                avatar: data.uploaded_by_user.avatar,
+                avatarSizes: data.uploaded_by_user.avatar_sizes
             } : { _id: data.uploaded_by, id: data.uploaded_by },
             isDeleted: data.is_deleted,
             createdAt: data.created_at,
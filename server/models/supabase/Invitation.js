@@ -0,0 +1,200 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Invitation Service - Supabase PostgreSQL implementation
+ * Admin-issued, single-use invitations. Only the token hash is stored.
+ */
+const Invitation = {
+    /**
+     * Find pending (not accepted, revoked or expired) invitations
+     */
+    async findPending() {
+        const { data, error } = await supabase
+            .from('invitations')
+            .select(`
+                *,
+                invited_by_user:users!invitations_invited_by_fkey(id, name, email)
+            `)
+            .is('accepted_at', null)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) handleError(error, 'findPending');
+        return (data || []).map(i => Invitation._formatInvitation(i));
+    },
+
+    /**
+     * Find an invitation by ID
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('invitations')
+            .select(`
+                *,
+                invited_by_user:users!invitations_invited_by_fkey(id, name, email)
+            `)
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? Invitation._formatInvitation(data) : null;
+    },
+
+    /**
+     * Find an invitation by the hash of its token
+     */
+    async findByTokenHash(tokenHash) {
+        const { data, error } = await supabase
+            .from('invitations')
+            .select(`
+                *,
+                invited_by_user:users!invitations_invited_by_fkey(id, name, email)
+            `)
+            .eq('token_hash', tokenHash)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findByTokenHash');
+        return data ? Invitation._formatInvitation(data) : null;
+    },
+
+    /**
+     * Find a pending invitation for an email address
+     */
+    async findPendingByEmail(email) {
+        const { data, error } = await supabase
+            .from('invitations')
+            .select('*')
+            .eq('email', email.toLowerCase())
+            .is('accepted_at', null)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .limit(1);
+
+        if (error) handleError(error, 'findPendingByEmail');
+        return data && data.length ? Invitation._formatInvitation(data[0]) : null;
+    },
+
+    /**
+     * Create a new invitation
+     */
+    async create(invitationData) {
+        const { data, error } = await supabase
+            .from('invitations')
+            .insert({
+                email: invitationData.email.toLowerCase(),
+                role: invitationData.role || 'editor',
+                project_ids: invitationData.projectIds || [],
+                token_hash: invitationData.tokenHash,
+                invited_by: invitationData.invitedBy,
+                expires_at: invitationData.expiresAt
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return await Invitation.findById(data.id);
+    },
+
+    /**
+     * Mark an invitation as accepted. Only succeeds once, so it is called
+     * before the account is created; the account is linked with setAcceptedUser.
+     */
+    async markAccepted(id) {
+        const { data, error } = await supabase
+            .from('invitations')
+            .update({ accepted_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('accepted_at', null)
+            .is('revoked_at', null)
+            .select();
+
+        if (error) handleError(error, 'markAccepted');
+        return !!(data && data.length);
+    },
+
+    /**
+     * Record the account created from an accepted invitation
+     */
+    async setAcceptedUser(id, userId) {
+        const { error } = await supabase
+            .from('invitations')
+            .update({ accepted_user_id: userId })
+            .eq('id', id);
+
+        if (error) handleError(error, 'setAcceptedUser');
+    },
+
+    /**
+     * Make an accepted invitation pending again, when creating its account failed
+     */
+    async releaseAcceptance(id) {
+        const { error } = await supabase
+            .from('invitations')
+            .update({ accepted_at: null })
+            .eq('id', id)
+            .is('accepted_user_id', null);
+
+        if (error) handleError(error, 'releaseAcceptance');
+    },
+
+    /**
+     * Revoke a pending invitation
+     */
+    async revoke(id) {
+        const { data, error } = await supabase
+            .from('invitations')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('accepted_at', null)
+            .is('revoked_at', null)
+            .select();
+
+        if (error) handleError(error, 'revoke');
+        return !!(data && data.length);
+    },
+
+    /**
+     * Get the state of an invitation
+     * @returns {'pending'|'accepted'|'revoked'|'expired'}
+     */
+    getStatus(invitation) {
+        if (invitation.acceptedAt) return 'accepted';
+        if (invitation.revokedAt) return 'revoked';
+        if (new Date(invitation.expiresAt) <= new Date()) return 'expired';
+        return 'pending';
+    },
+
+    /**
+     * Format invitation from database to API format
+     */
+    _formatInvitation(data) {
+        if (!data) return null;
+
+        const invitation = {
+            id: data.id,
+            _id: data.id,
+            email: data.email,
+            role: data.role,
+            projectIds: data.project_ids || [],
+            invitedBy: data.invited_by_user ? {
+                _id: data.invited_by_user.id,
+                id: data.invited_by_user.id,
+                name: data.invited_by_user.name,
+                email: data.invited_by_user.email
+            } : { _id: data.invited_by, id: data.invited_by },
+            expiresAt: data.expires_at,
+            acceptedAt: data.accepted_at,
+            acceptedUserId: data.accepted_user_id,
+            revokedAt: data.revoked_at,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+
+        invitation.status = Invitation.getStatus(invitation);
+
+        return invitation;
+    }
+};
+
+module.exports = Invitation;
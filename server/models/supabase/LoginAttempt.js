@@ -0,0 +1,91 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Login Attempt Service - Supabase PostgreSQL implementation
+ * Append-only record of every sign-in attempt, successful or not.
+ */
+const LoginAttempt = {
+    /**
+     * Record an attempt
+     */
+    async create(attemptData) {
+        const { data, error } = await supabase
+            .from('login_attempts')
+            .insert({
+                user_id: attemptData.userId || null,
+                email: attemptData.email.toLowerCase(),
+                success: attemptData.success,
+                failure_reason: attemptData.failureReason || null,
+                ip_address: attemptData.ipAddress || null,
+                user_agent: attemptData.userAgent || null,
+                device_hash: attemptData.deviceHash || null
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return LoginAttempt._formatAttempt(data);
+    },
+
+    /**
+     * Most recent attempts for a user
+     */
+    async findByUser(userId, limit = 50) {
+        const { data, error } = await supabase
+            .from('login_attempts')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) handleError(error, 'findByUser');
+        return (data || []).map(a => LoginAttempt._formatAttempt(a));
+    },
+
+    /**
+     * Whether the user has ever signed in successfully from a device
+     * @returns {{ anySuccess: boolean, knownDevice: boolean }}
+     */
+    async getDeviceHistory(userId, deviceHash) {
+        const successful = () => supabase
+            .from('login_attempts')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('success', true);
+
+        const [all, device] = await Promise.all([
+            successful(),
+            successful().eq('device_hash', deviceHash)
+        ]);
+
+        if (all.error) handleError(all.error, 'getDeviceHistory');
+        if (device.error) handleError(device.error, 'getDeviceHistory');
+
+        return {
+            anySuccess: (all.count || 0) > 0,
+            knownDevice: (device.count || 0) > 0
+        };
+    },
+
+    /**
+     * Format attempt from database to API format
+     */
+    _formatAttempt(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            _id: data.id,
+            user: data.user_id,
+            email: data.email,
+            success: data.success,
+            failureReason: data.failure_reason,
+            ipAddress: data.ip_address,
+            userAgent: data.user_agent,
+            deviceHash: data.device_hash,
+            createdAt: data.created_at
+        };
+    }
+};
+
+module.exports = LoginAttempt;
@@ -6,31 +6,41 @@ const { supabase, handleError } = require('../../config/supabaseDb');
 const Message = {
     /**
      * Get messages for a project with pagination
+     * @param {Object} [options]
+     * @param {boolean} [options.includeInternal] - false leaves out internal messages (for guests)
      */
-    async getProjectMessages(projectId, page = 1, limit = 50) {
+    async getProjectMessages(projectId, page = 1, limit = 50, { includeInternal = true } = {}) {
         const offset = (page - 1) * limit;
 
         // Get messages
-        const { data, error } = await supabase
+        let queryBuilder = supabase
             .from('messages')
             .select(`
                 *,
-                sender:users!messages_sender_id_fkey(id, name, email, avatar)
+                sender:users!messages_sender_id_fkey(id, name, email, avatar, avatar_sizes)
             `)
             .eq('project_id', projectId)
-            .eq('is_deleted', false)
+            .eq('is_deleted', false);
+
+        if (!includeInternal) queryBuilder = queryBuilder.eq('is_internal', false);
+
+        const { data, error } = await queryBuilder
             .order('created_at', { ascending: false })
             .range(offset, offset + limit - 1);
 
         if (error) handleError(error, 'getProjectMessages');
 
         // Get total count
-        const { count, error: countError } = await supabase
+        let countBuilder = supabase
             .from('messages')
             .select('*', { count: 'exact', head: true })
             .eq('project_id', projectId)
             .eq('is_deleted', false);
 
+        if (!includeInternal) countBuilder = countBuilder.eq('is_internal', false);
+
+        const { count, error: countError } = await countBuilder;
+
         if (countError) handleError(countError, 'getProjectMessages count');
 
         // Format and reverse to get chronological order
@@ -52,7 +62,7 @@ const Message = {
             .from('messages')
             .select(`
                 *,
-                sender:users!messages_sender_id_fkey(id, name, email, avatar)
+                sender:users!messages_sender_id_fkey(id, name, email, avatar, avatar_sizes)
             `)
             .eq('id', id)
             .single();
@@ -72,7 +82,8 @@ const Message = {
                 sender_id: messageData.sender || messageData.senderId,
                 content: messageData.content,
                 mentions: messageData.mentions || [],
-                attachments: messageData.attachments || []
+                attachments: messageData.attachments || [],
+                is_internal: !!messageData.isInternal
             })
             .select()
             .single();
@@ -148,7 +159,8 @@ const Message = {
                 id: data.sender.id,
                 name: data.sender.name,
                 email: data.sender.email,
-                avatar: data.sender.avatar
+                avatar: data.sender.avatar,
+                avatarSizes: data.sender.avatar_sizes
             } : { _id: data.sender_id, id: data.sender_id },
             content: data.content,
             mentions: data.mentions || [],
@@ -156,8 +168,16 @@ const Message = {
             isEdited: data.is_edited,
             editedAt: data.edited_at,
             isDeleted: data.is_deleted,
+            isInternal: !!data.is_internal,
             createdAt: data.created_at,
-            updatedAt: data.updated_at
+            updatedAt: data.updated_at,
+            // Flat fields the chat UI reads
+            projectId: data.project_id,
+            userId: data.sender?.id || data.sender_id,
+            userName: data.sender?.name,
+            userAvatar: data.sender?.avatar,
+            userAvatarSizes: data.sender?.avatar_sizes,
+            timestamp: data.created_at
         };
     }
 };
@@ -0,0 +1,171 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+const MILESTONE_SELECT = `
+    *,
+    project:projects(id, name),
+    tasks(id, status, due_date)
+`;
+
+/**
+ * Milestone Service - Supabase PostgreSQL implementation
+ * A deliverable in a project with a target date. Tasks count towards a
+ * milestone through tasks.milestone_id; progress is worked out from them.
+ */
+const Milestone = {
+    /**
+     * Find milestones, soonest target date first
+     * @param {Object} query - project, projectIds, from/to ('YYYY-MM-DD', inclusive), statusNot
+     */
+    async find(query = {}) {
+        let queryBuilder = supabase
+            .from('milestones')
+            .select(MILESTONE_SELECT);
+
+        if (query.project) {
+            queryBuilder = queryBuilder.eq('project_id', query.project);
+        }
+        if (query.projectIds) {
+            if (query.projectIds.length === 0) return [];
+            queryBuilder = queryBuilder.in('project_id', query.projectIds);
+        }
+        if (query.from) {
+            queryBuilder = queryBuilder.gte('target_date', query.from);
+        }
+        if (query.to) {
+            queryBuilder = queryBuilder.lte('target_date', query.to);
+        }
+        if (query.statusNot) {
+            queryBuilder = queryBuilder.neq('status', query.statusNot);
+        }
+
+        const { data, error } = await queryBuilder
+            .order('target_date')
+            .order('created_at');
+
+        if (error) handleError(error, 'find');
+        return (data || []).map(m => Milestone._formatMilestone(m));
+    },
+
+    /**
+     * Find a milestone by ID
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('milestones')
+            .select(MILESTONE_SELECT)
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? Milestone._formatMilestone(data) : null;
+    },
+
+    /**
+     * Create a milestone
+     * @param {Object} milestoneData - project, title, description, targetDate, status, createdBy
+     */
+    async create(milestoneData) {
+        const status = milestoneData.status || 'planned';
+
+        const { data, error } = await supabase
+            .from('milestones')
+            .insert({
+                project_id: milestoneData.project,
+                title: milestoneData.title,
+                description: milestoneData.description || '',
+                target_date: milestoneData.targetDate,
+                status,
+                completed_at: status === 'completed' ? new Date().toISOString() : null,
+                created_by: milestoneData.createdBy
+            })
+            .select('id')
+            .single();
+
+        if (error) handleError(error, 'create');
+        return Milestone.findById(data.id);
+    },
+
+    /**
+     * Update a milestone
+     */
+    async update(id, updates) {
+        const updateData = {};
+
+        if (updates.title !== undefined) updateData.title = updates.title;
+        if (updates.description !== undefined) updateData.description = updates.description;
+        if (updates.targetDate !== undefined) updateData.target_date = updates.targetDate;
+        if (updates.status !== undefined) {
+            updateData.status = updates.status;
+            updateData.completed_at = updates.status === 'completed' ? new Date().toISOString() : null;
+        }
+
+        const { error } = await supabase
+            .from('milestones')
+            .update(updateData)
+            .eq('id', id);
+
+        if (error) handleError(error, 'update');
+        return Milestone.findById(id);
+    },
+
+    /**
+     * Mark a milestone at risk (with the time it became so) or clear it with null
+     */
+    async setAtRisk(id, since) {
+        const { error } = await supabase
+            .from('milestones')
+            .update({ at_risk_since: since })
+            .eq('id', id);
+
+        if (error) handleError(error, 'setAtRisk');
+        return true;
+    },
+
+    /**
+     * Delete a milestone (its tasks stay, without a milestone)
+     */
+    async delete(id) {
+        const { error } = await supabase
+            .from('milestones')
+            .delete()
+            .eq('id', id);
+
+        if (error) handleError(error, 'delete');
+        return true;
+    },
+
+    /**
+     * Format milestone from database to API format, with progress from its tasks
+     */
+    _formatMilestone(data) {
+        if (!data) return null;
+
+        const now = new Date();
+        const tasks = data.tasks || [];
+        const completedCount = tasks.filter(t => t.status === 'done').length;
+        const overdueCount = tasks.filter(t => t.status !== 'done' && t.due_date && new Date(t.due_date) < now).length;
+
+        return {
+            id: data.id,
+            project: data.project
+                ? { id: data.project.id, name: data.project.name }
+                : { id: data.project_id },
+            title: data.title,
+            description: data.description,
+            targetDate: data.target_date,
+            status: data.status,
+            completedAt: data.completed_at,
+            taskCount: tasks.length,
+            completedCount,
+            overdueCount,
+            percentComplete: tasks.length ? Math.round((completedCount / tasks.length) * 100) : 0,
+            atRisk: data.status !== 'completed' && overdueCount > 0,
+            atRiskSince: data.at_risk_since,
+            createdBy: data.created_by,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+    }
+};
+
+module.exports = Milestone;
@@ -17,7 +17,7 @@ const Notification = {
                 *,
                 project:projects(id, name),
                 task:tasks(id, title),
-                triggered_by_user:users!notifications_triggered_by_fkey(id, name, avatar)
+                triggered_by_user:users!notifications_triggered_by_fkey(id, name, avatar, avatar_sizes)
             `)
             .eq('user_id', userId)
             .order('created_at', { ascending: false })
@@ -71,7 +71,7 @@ const Notification = {
                 *,
                 project:projects(id, name),
                 task:tasks(id, title),
-                triggered_by_user:users!notifications_triggered_by_fkey(id, name, avatar)
+                triggered_by_user:users!notifications_triggered_by_fkey(id, name, avatar, avatar_sizes)
             `);
 
         if (query._id || query.id) {
@@ -218,7 +218,8 @@ const Notification = {
                 _id: data.triggered_by_user.id,
                 id: data.triggered_by_user.id,
                 name: data.triggered_by_user.name,
-                avatar: data.triggered_by_user.avatar
+                avatar: data.triggered_by_user.avatar,
+                avatarSizes: data.triggered_by_user.avatar_sizes
             } : null,
             read: data.read,
             readAt: data.read_at,
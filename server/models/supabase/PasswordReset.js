@@ -0,0 +1,98 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Password Reset Service - Supabase PostgreSQL implementation
+ * Single-use, expiring reset tokens. Only the token hash is stored.
+ */
+const PasswordReset = {
+    /**
+     * Find a reset request by the hash of its token
+     */
+    async findByTokenHash(tokenHash) {
+        const { data, error } = await supabase
+            .from('password_resets')
+            .select('*')
+            .eq('token_hash', tokenHash)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findByTokenHash');
+        return data ? PasswordReset._formatReset(data) : null;
+    },
+
+    /**
+     * Create a reset request, invalidating any earlier unused ones for the user
+     */
+    async create(resetData) {
+        await PasswordReset.invalidateForUser(resetData.userId);
+
+        const { data, error } = await supabase
+            .from('password_resets')
+            .insert({
+                user_id: resetData.userId,
+                token_hash: resetData.tokenHash,
+                expires_at: resetData.expiresAt,
+                requested_ip: resetData.requestedIp || null
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return PasswordReset._formatReset(data);
+    },
+
+    /**
+     * Mark a reset request as used. Only succeeds once.
+     */
+    async markUsed(id) {
+        const { data, error } = await supabase
+            .from('password_resets')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select();
+
+        if (error) handleError(error, 'markUsed');
+        return !!(data && data.length);
+    },
+
+    /**
+     * Invalidate all unused reset requests for a user
+     */
+    async invalidateForUser(userId) {
+        const { error } = await supabase
+            .from('password_resets')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('used_at', null);
+
+        if (error) handleError(error, 'invalidateForUser');
+        return true;
+    },
+
+    /**
+     * Check whether a reset request can still be used
+     */
+    isValid(reset) {
+        return !!reset && !reset.usedAt && new Date(reset.expiresAt) > new Date();
+    },
+
+    /**
+     * Format reset request from database to API format
+     */
+    _formatReset(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            _id: data.id,
+            user: data.user_id,
+            expiresAt: data.expires_at,
+            usedAt: data.used_at,
+            requestedIp: data.requested_ip,
+            createdAt: data.created_at
+        };
+    }
+};
+
+module.exports = PasswordReset;
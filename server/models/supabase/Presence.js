@@ -0,0 +1,86 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Presence Service - Supabase PostgreSQL implementation
+ * The status each user has chosen and when they were last connected.
+ * Whether they are online right now comes from their sockets (see /presence).
+ */
+const Presence = {
+    /**
+     * A user's saved presence, or null if they never set a status or connected
+     */
+    async findByUser(userId) {
+        const { data, error } = await supabase
+            .from('user_presence')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) handleError(error, 'findByUser');
+        return Presence._formatPresence(data);
+    },
+
+    /**
+     * Saved presence of every user who has one
+     */
+    async findAll() {
+        const { data, error } = await supabase
+            .from('user_presence')
+            .select('*');
+
+        if (error) handleError(error, 'findAll');
+        return (data || []).map(p => Presence._formatPresence(p));
+    },
+
+    /**
+     * Set a user's status; text and expiry are cleared unless given
+     * @param {string} userId
+     * @param {Object} status - status, statusText, statusExpiresAt
+     */
+    async setStatus(userId, { status, statusText = null, statusExpiresAt = null }) {
+        const { data, error } = await supabase
+            .from('user_presence')
+            .upsert({
+                user_id: userId,
+                status,
+                status_text: statusText,
+                status_expires_at: statusExpiresAt
+            }, { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'setStatus');
+        return Presence._formatPresence(data);
+    },
+
+    /**
+     * Record when a user's last socket disconnected (their status is left alone)
+     */
+    async setLastSeen(userId, lastSeenAt) {
+        const { data, error } = await supabase
+            .from('user_presence')
+            .upsert({ user_id: userId, last_seen_at: lastSeenAt }, { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'setLastSeen');
+        return Presence._formatPresence(data);
+    },
+
+    /**
+     * Format presence from database to API format
+     */
+    _formatPresence(data) {
+        if (!data) return null;
+
+        return {
+            user: data.user_id,
+            status: data.status,
+            statusText: data.status_text,
+            statusExpiresAt: data.status_expires_at,
+            lastSeenAt: data.last_seen_at
+        };
+    }
+};
+
+module.exports = Presence;
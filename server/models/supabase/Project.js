@@ -1,9 +1,18 @@
 const { supabase, handleError } = require('../../config/supabaseDb');
 
+// Sort keys accepted by list(), and the project_listing column behind each
+const LISTING_SORTS = {
+    name: 'name',
+    updated: 'updated_at',
+    progress: 'progress'
+};
+
 /**
  * Project Service - Supabase PostgreSQL implementation
  */
 const Project = {
+    LISTING_SORTS,
+
     /**
      * Find all projects with optional filters
      */
@@ -17,7 +26,7 @@ const Project = {
                     id,
                     role,
                     added_at,
-                    user:users(id, name, email, avatar)
+                    user:users(id, name, email, role, avatar, avatar_sizes)
                 )
             `);
 
@@ -27,15 +36,18 @@ const Project = {
         if (query.category) {
             queryBuilder = queryBuilder.eq('category', query.category);
         }
+        if (query.name) {
+            queryBuilder = queryBuilder.eq('name', query.name);
+        }
+        if (query.ids) {
+            if (query.ids.length === 0) return [];
+            queryBuilder = queryBuilder.in('id', query.ids);
+        }
         if (query.memberId) {
             // Filter by member - need to use a subquery approach
-            const { data: memberProjects } = await supabase
-                .from('project_members')
-                .select('project_id')
-                .eq('user_id', query.memberId);
+            const projectIds = await Project.getMemberProjectIds(query.memberId);
 
-            if (memberProjects && memberProjects.length > 0) {
-                const projectIds = memberProjects.map(mp => mp.project_id);
+            if (projectIds.length > 0) {
                 queryBuilder = queryBuilder.in('id', projectIds);
             } else {
                 return []; // No projects for this member
@@ -48,6 +60,57 @@ const Project = {
         return (data || []).map(p => Project._formatProject(p));
     },
 
+    /**
+     * One page of projects with their task, member and activity figures,
+     * read from the project_listing view rather than counted per project
+     * @param {Object} query - status, category, memberId
+     * @param {Object} options
+     * @param {string} [options.sort] - a key of LISTING_SORTS
+     * @param {string} [options.order] - 'asc' or 'desc'; names sort A-Z, the rest newest/highest first
+     * @param {number} [options.page]
+     * @param {number|null} [options.limit] - null for every matching project
+     * @returns {Promise<{projects: Object[], total: number, page: number, pages: number}>}
+     */
+    async list(query = {}, { sort = 'updated', order, page = 1, limit = null } = {}) {
+        let listing = supabase
+            .from('project_listing')
+            .select('*', { count: 'exact' });
+
+        if (query.status) listing = listing.eq('status', query.status);
+        if (query.category) listing = listing.eq('category', query.category);
+        if (query.memberId) {
+            const projectIds = await Project.getMemberProjectIds(query.memberId);
+            if (projectIds.length === 0) return { projects: [], total: 0, page, pages: 0 };
+            listing = listing.in('id', projectIds);
+        }
+
+        const ascending = order ? order === 'asc' : sort === 'name';
+        listing = listing
+            .order(LISTING_SORTS[sort], { ascending })
+            .order('name')
+            .order('id');
+        if (limit) {
+            const offset = (page - 1) * limit;
+            listing = listing.range(offset, offset + limit - 1);
+        }
+
+        const { data, error, count } = await listing;
+        if (error) handleError(error, 'list');
+
+        const rows = data || [];
+        const projects = await Project.find({ ids: rows.map(r => r.id) });
+        const byId = new Map(projects.map(p => [p.id, p]));
+
+        return {
+            projects: rows
+                .filter(r => byId.has(r.id))
+                .map(r => ({ ...byId.get(r.id), ...Project._formatListing(r) })),
+            total: count || 0,
+            page,
+            pages: limit ? Math.ceil((count || 0) / limit) : 1
+        };
+    },
+
     /**
      * Find a project by ID
      */
@@ -61,7 +124,7 @@ const Project = {
                     id,
                     role,
                     added_at,
-                    user:users(id, name, email, avatar)
+                    user:users(id, name, email, role, avatar, avatar_sizes)
                 )
             `)
             .eq('id', id)
@@ -81,8 +144,9 @@ const Project = {
             .insert({
                 name: projectData.name,
                 description: projectData.description || '',
-                category: projectData.category || 'tech',
+                category: projectData.category,
                 status: projectData.status || 'active',
+                folders: projectData.folders || [],
                 created_by: projectData.createdBy
             })
             .select()
@@ -105,6 +169,48 @@ const Project = {
         return await Project.findById(project.id);
     },
 
+    /**
+     * Create a project with a template's folders, default members and tasks (one transaction)
+     * @param {string} templateId
+     * @param {Object} projectData - name, createdBy, startDate ('YYYY-MM-DD'), and
+     *   description/category to override the template's
+     */
+    async createFromTemplate(templateId, projectData) {
+        const { data: projectId, error } = await supabase.rpc('create_project_from_template', {
+            p_template_id: templateId,
+            p_name: projectData.name,
+            p_description: projectData.description ?? null,
+            p_category: projectData.category ?? null,
+            p_created_by: projectData.createdBy,
+            p_start_date: projectData.startDate
+        });
+
+        if (error) handleError(error, 'createFromTemplate');
+        return await Project.findById(projectId);
+    },
+
+    /**
+     * Copy a project, and whichever of its members, tasks and files are asked for (one transaction)
+     * @param {string} sourceId
+     * @param {Object} options - name, createdBy, and the booleans members, tasks,
+     *   assignees, dueDates, files
+     */
+    async duplicate(sourceId, options) {
+        const { data: projectId, error } = await supabase.rpc('duplicate_project', {
+            p_source_id: sourceId,
+            p_name: options.name,
+            p_created_by: options.createdBy,
+            p_include_members: options.members,
+            p_include_tasks: options.tasks,
+            p_include_assignees: options.assignees,
+            p_include_due_dates: options.dueDates,
+            p_include_files: options.files
+        });
+
+        if (error) handleError(error, 'duplicate');
+        return await Project.findById(projectId);
+    },
+
     /**
      * Update a project
      */
@@ -115,6 +221,7 @@ const Project = {
         if (updates.description !== undefined) updateData.description = updates.description;
         if (updates.category !== undefined) updateData.category = updates.category;
         if (updates.status !== undefined) updateData.status = updates.status;
+        if (updates.folders !== undefined) updateData.folders = updates.folders;
 
         const { data, error } = await supabase
             .from('projects')
@@ -128,20 +235,126 @@ const Project = {
     },
 
     /**
-     * Delete a project (soft delete by changing status)
+     * Archive a project (read-only until restored)
      */
-    async softDelete(id) {
+    async archive(id, userId) {
+        const { error } = await supabase
+            .from('projects')
+            .update({
+                status: 'archived',
+                archived_at: new Date().toISOString(),
+                archived_by: userId
+            })
+            .eq('id', id);
+
+        if (error) handleError(error, 'archive');
+        return await Project.findById(id);
+    },
+
+    /**
+     * Make an archived project active again, cancelling any pending permanent deletion
+     */
+    async restore(id) {
+        const { error } = await supabase
+            .from('projects')
+            .update({
+                status: 'active',
+                archived_at: null,
+                archived_by: null,
+                deletion_token_hash: null,
+                deletion_token_expires_at: null,
+                deletion_requested_by: null,
+                deletion_scheduled_at: null
+            })
+            .eq('id', id);
+
+        if (error) handleError(error, 'restore');
+        return await Project.findById(id);
+    },
+
+    /**
+     * Start a permanent deletion: store the confirmation token's hash
+     * @param {string} id
+     * @param {Object} request - tokenHash, expiresAt, requestedBy
+     */
+    async setDeletionToken(id, { tokenHash, expiresAt, requestedBy }) {
+        const { error } = await supabase
+            .from('projects')
+            .update({
+                deletion_token_hash: tokenHash,
+                deletion_token_expires_at: expiresAt,
+                deletion_requested_by: requestedBy
+            })
+            .eq('id', id);
+
+        if (error) handleError(error, 'setDeletionToken');
+        return true;
+    },
+
+    /**
+     * The pending confirmation token of a permanent deletion (never part of the API format)
+     * @returns {Promise<{tokenHash: string|null, expiresAt: string|null, requestedBy: string|null}>}
+     */
+    async getDeletionToken(id) {
         const { data, error } = await supabase
             .from('projects')
-            .update({ status: 'completed' })
+            .select('deletion_token_hash, deletion_token_expires_at, deletion_requested_by')
             .eq('id', id)
-            .select()
             .single();
 
-        if (error) handleError(error, 'softDelete');
+        if (error) handleError(error, 'getDeletionToken');
+        return {
+            tokenHash: data.deletion_token_hash,
+            expiresAt: data.deletion_token_expires_at,
+            requestedBy: data.deletion_requested_by
+        };
+    },
+
+    /**
+     * Confirm a permanent deletion: the token is used up and the purge is due at scheduledAt
+     */
+    async scheduleDeletion(id, scheduledAt) {
+        const { error } = await supabase
+            .from('projects')
+            .update({
+                deletion_token_hash: null,
+                deletion_token_expires_at: null,
+                deletion_scheduled_at: scheduledAt
+            })
+            .eq('id', id);
+
+        if (error) handleError(error, 'scheduleDeletion');
         return await Project.findById(id);
     },
 
+    /**
+     * Archived projects whose deletion grace period has run out
+     */
+    async findDueForDeletion(now = new Date()) {
+        const { data, error } = await supabase
+            .from('projects')
+            .select('id')
+            .eq('status', 'archived')
+            .lte('deletion_scheduled_at', now.toISOString());
+
+        if (error) handleError(error, 'findDueForDeletion');
+        return (data || []).map(p => p.id);
+    },
+
+    /**
+     * Delete a project for good; its members, tasks, messages, files and
+     * notifications go with it (ON DELETE CASCADE). Stored objects are the caller's job.
+     */
+    async purge(id) {
+        const { error } = await supabase
+            .from('projects')
+            .delete()
+            .eq('id', id);
+
+        if (error) handleError(error, 'purge');
+        return true;
+    },
+
     /**
      * Add a member to project
      */
@@ -174,6 +387,66 @@ const Project = {
         return await Project.findById(projectId);
     },
 
+    /**
+     * Change a member's role (the database refuses to demote the last owner)
+     */
+    async updateMemberRole(projectId, userId, role) {
+        const { error } = await supabase
+            .from('project_members')
+            .update({ role })
+            .eq('project_id', projectId)
+            .eq('user_id', userId);
+
+        if (error) handleError(error, 'updateMemberRole');
+        return await Project.findById(projectId);
+    },
+
+    /**
+     * Make another user an owner, adding them if needed, in one transaction
+     * (see transfer_project_ownership in the schema). The previous owner
+     * becomes a member unless keepOwnership is set.
+     */
+    async transferOwnership(projectId, fromUserId, toUserId, keepOwnership = false) {
+        const { error } = await supabase.rpc('transfer_project_ownership', {
+            p_project_id: projectId,
+            p_from_user: fromUserId,
+            p_to_user: toUserId,
+            p_keep_ownership: keepOwnership
+        });
+
+        if (error) handleError(error, 'transferOwnership');
+        return await Project.findById(projectId);
+    },
+
+    /**
+     * IDs of all projects a user is a member of
+     */
+    async getMemberProjectIds(userId) {
+        const { data, error } = await supabase
+            .from('project_members')
+            .select('project_id')
+            .eq('user_id', userId);
+
+        if (error) handleError(error, 'getMemberProjectIds');
+        return (data || []).map(mp => mp.project_id);
+    },
+
+    /**
+     * IDs of everyone who shares at least one project with a user (the user included)
+     */
+    async getCoMemberIds(userId) {
+        const projectIds = await Project.getMemberProjectIds(userId);
+        if (projectIds.length === 0) return [userId];
+
+        const { data, error } = await supabase
+            .from('project_members')
+            .select('user_id')
+            .in('project_id', projectIds);
+
+        if (error) handleError(error, 'getCoMemberIds');
+        return [...new Set([userId, ...(data || []).map(m => m.user_id)])];
+    },
+
     /**
      * Check if user is a member
      */
@@ -220,6 +493,25 @@ const Project = {
         return data;
     },
 
+    /**
+     * Format the figures of a project_listing row
+     */
+    _formatListing(row) {
+        return {
+            taskCount: row.task_count,
+            completedCount: row.done_count,
+            taskCounts: {
+                new: row.new_count,
+                in_progress: row.in_progress_count,
+                done: row.done_count
+            },
+            overdueCount: row.overdue_count,
+            progress: row.progress,
+            memberCount: row.member_count,
+            lastActivityAt: row.last_activity_at
+        };
+    },
+
     /**
      * Format project from database to API format
      */
@@ -232,7 +524,9 @@ const Project = {
                 id: m.user.id,
                 name: m.user.name,
                 email: m.user.email,
-                avatar: m.user.avatar
+                role: m.user.role,
+                avatar: m.user.avatar,
+                avatarSizes: m.user.avatar_sizes
             } : null,
             role: m.role,
             addedAt: m.added_at
@@ -245,6 +539,11 @@ const Project = {
             description: data.description,
             category: data.category,
             status: data.status,
+            folders: data.folders || [],
+            archivedAt: data.archived_at,
+            archivedBy: data.archived_by,
+            deletionRequestedBy: data.deletion_requested_by,
+            deletionScheduledAt: data.deletion_scheduled_at,
             createdBy: data.created_by_user ? {
                 _id: data.created_by_user.id,
                 id: data.created_by_user.id,
@@ -264,6 +563,9 @@ const Project = {
             },
             getMemberCount() {
                 return members.length;
+            },
+            getOwnerCount() {
+                return members.filter(m => m.role === 'owner').length;
             }
         };
     }
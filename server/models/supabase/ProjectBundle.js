@@ -0,0 +1,259 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+// Rows per request when reading a whole table's worth of a project
+const PAGE_SIZE = 1000;
+
+/**
+ * Every row of a project's table, read a page at a time
+ * (a single request stops at the API's row limit)
+ */
+async function fetchAll(table, columns, projectId, orderBy, operation) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .eq('project_id', projectId)
+            .order(orderBy)
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) handleError(error, operation);
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+const emailOf = (user) => user?.email || null;
+
+/**
+ * Project Bundle Service - Supabase PostgreSQL implementation
+ * A project with everything in it, in the portable form used by export and
+ * import: IDs are kept as they were, people are referred to by email.
+ */
+const ProjectBundle = {
+    /**
+     * Read a project and its members, milestones, tasks (with checklists),
+     * messages and files
+     * @returns {Promise<Object|null>} null if there is no such project
+     */
+    async read(projectId) {
+        const { data: project, error } = await supabase
+            .from('projects')
+            .select(`
+                id, name, description, category, status, folders, created_at, updated_at,
+                created_by_user:users!projects_created_by_fkey(email),
+                project_members(role, added_at, user:users(email, name))
+            `)
+            .eq('id', projectId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'read project');
+        if (!project) return null;
+
+        const [milestones, tasks, messages, files] = await Promise.all([
+            fetchAll('milestones', '*, created_by_user:users!milestones_created_by_fkey(email)',
+                projectId, 'target_date', 'read milestones'),
+            fetchAll('tasks', `
+                *,
+                assigned_to_user:users!tasks_assigned_to_fkey(email),
+                created_by_user:users!tasks_created_by_fkey(email),
+                checklist:task_checklist_items(text, is_done, position)
+            `, projectId, 'order_index', 'read tasks'),
+            fetchAll('messages', '*, sender:users!messages_sender_id_fkey(email)',
+                projectId, 'created_at', 'read messages'),
+            fetchAll('files', '*, uploaded_by_user:users!files_uploaded_by_fkey(email)',
+                projectId, 'created_at', 'read files')
+        ]);
+
+        // Mentions are plain user IDs, so their emails are looked up separately
+        const mentionIds = [...new Set(messages.flatMap(m => m.mentions || []))];
+        const emailsById = new Map();
+        if (mentionIds.length > 0) {
+            const { data: users, error: usersError } = await supabase
+                .from('users')
+                .select('id, email')
+                .in('id', mentionIds);
+
+            if (usersError) handleError(usersError, 'read mentions');
+            (users || []).forEach(u => emailsById.set(u.id, u.email));
+        }
+
+        return {
+            project: {
+                id: project.id,
+                name: project.name,
+                description: project.description,
+                category: project.category,
+                status: project.status,
+                folders: project.folders || [],
+                createdBy: emailOf(project.created_by_user),
+                createdAt: project.created_at,
+                updatedAt: project.updated_at
+            },
+            members: (project.project_members || []).filter(m => m.user).map(m => ({
+                email: m.user.email,
+                name: m.user.name,
+                role: m.role,
+                addedAt: m.added_at
+            })),
+            milestones: milestones.map(m => ({
+                id: m.id,
+                title: m.title,
+                description: m.description,
+                targetDate: m.target_date,
+                status: m.status,
+                completedAt: m.completed_at,
+                createdBy: emailOf(m.created_by_user),
+                createdAt: m.created_at,
+                updatedAt: m.updated_at
+            })),
+            tasks: tasks.map(t => ({
+                id: t.id,
+                title: t.title,
+                description: t.description,
+                status: t.status,
+                priority: t.priority,
+                assignedTo: emailOf(t.assigned_to_user),
+                dueDate: t.due_date,
+                completedAt: t.completed_at,
+                createdBy: emailOf(t.created_by_user),
+                order: t.order_index,
+                tags: t.tags || [],
+                milestoneId: t.milestone_id,
+                parentId: t.parent_id,
+                checklist: (t.checklist || [])
+                    .map(item => ({ text: item.text, isDone: item.is_done, position: item.position }))
+                    .sort((a, b) => a.position - b.position),
+                createdAt: t.created_at,
+                updatedAt: t.updated_at
+            })),
+            messages: messages.map(m => ({
+                id: m.id,
+                sender: emailOf(m.sender),
+                content: m.content,
+                mentions: (m.mentions || []).map(id => emailsById.get(id)).filter(Boolean),
+                attachments: m.attachments || [],
+                isEdited: m.is_edited,
+                editedAt: m.edited_at,
+                isDeleted: m.is_deleted,
+                isInternal: m.is_internal,
+                createdAt: m.created_at,
+                updatedAt: m.updated_at
+            })),
+            // Deleted files stay behind: their stored objects may already be gone
+            files: files.filter(f => !f.is_deleted).map(f => ({
+                id: f.id,
+                name: f.name,
+                originalName: f.original_name,
+                description: f.description,
+                folder: f.folder,
+                type: f.file_type,
+                mimeType: f.mime_type,
+                size: f.size,
+                storagePath: f.storage_path,
+                storageType: f.storage_type,
+                uploadedBy: emailOf(f.uploaded_by_user),
+                createdAt: f.created_at,
+                updatedAt: f.updated_at
+            }))
+        };
+    },
+
+    /**
+     * Create a project from bundle contents in one transaction. Everything
+     * must already carry its new ID and user IDs instead of emails.
+     * @param {Object} bundle - project, members ({userId, role, addedAt}),
+     *   milestones, tasks (each with its checklist), messages and files
+     * @returns {Promise<string>} the project's ID
+     */
+    async write({ project, members, milestones, tasks, messages, files }) {
+        const { data: projectId, error } = await supabase.rpc('import_project', {
+            p_project: {
+                id: project.id,
+                name: project.name,
+                description: project.description || '',
+                category: project.category,
+                status: project.status,
+                folders: project.folders,
+                created_by: project.createdBy,
+                created_at: project.createdAt,
+                updated_at: project.updatedAt
+            },
+            p_members: members.map(m => ({
+                user_id: m.userId,
+                role: m.role,
+                added_at: m.addedAt
+            })),
+            p_milestones: milestones.map(m => ({
+                id: m.id,
+                title: m.title,
+                description: m.description || '',
+                target_date: m.targetDate,
+                status: m.status,
+                completed_at: m.completedAt,
+                created_by: m.createdBy,
+                created_at: m.createdAt,
+                updated_at: m.updatedAt
+            })),
+            p_tasks: tasks.map(t => ({
+                id: t.id,
+                title: t.title,
+                description: t.description || '',
+                status: t.status,
+                priority: t.priority,
+                assigned_to: t.assignedTo,
+                due_date: t.dueDate,
+                completed_at: t.completedAt,
+                created_by: t.createdBy,
+                order_index: t.order || 0,
+                tags: t.tags || [],
+                milestone_id: t.milestoneId,
+                parent_id: t.parentId,
+                created_at: t.createdAt,
+                updated_at: t.updatedAt
+            })),
+            p_checklist_items: tasks.flatMap(t => t.checklist.map(item => ({
+                task_id: t.id,
+                text: item.text,
+                is_done: item.isDone,
+                position: item.position
+            }))),
+            p_messages: messages.map(m => ({
+                id: m.id,
+                sender_id: m.sender,
+                content: m.content,
+                mentions: m.mentions,
+                attachments: m.attachments || [],
+                is_edited: !!m.isEdited,
+                edited_at: m.editedAt,
+                is_deleted: !!m.isDeleted,
+                is_internal: !!m.isInternal,
+                created_at: m.createdAt,
+                updated_at: m.updatedAt
+            })),
+            p_files: files.map(f => ({
+                id: f.id,
+                name: f.name,
+                original_name: f.originalName,
+                description: f.description || '',
+                folder: f.folder,
+                url: f.url,
+                storage_path: f.storagePath,
+                storage_type: f.storageType,
+                file_type: f.type,
+                mime_type: f.mimeType,
+                size: f.size,
+                uploaded_by: f.uploadedBy,
+                created_at: f.createdAt,
+                updated_at: f.updatedAt
+            }))
+        });
+
+        if (error) handleError(error, 'write');
+        return projectId;
+    }
+};
+
+module.exports = ProjectBundle;
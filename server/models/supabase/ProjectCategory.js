@@ -0,0 +1,143 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Project Category Service - Supabase PostgreSQL implementation
+ * Admin-managed list of project categories. Projects and templates store the
+ * slug, which never changes; name, color and icon can be edited freely.
+ */
+const ProjectCategory = {
+    /**
+     * All categories, in display order
+     */
+    async find() {
+        const { data, error } = await supabase
+            .from('project_categories')
+            .select('*')
+            .order('sort_order')
+            .order('name');
+
+        if (error) handleError(error, 'find');
+        return (data || []).map(c => ProjectCategory._formatCategory(c));
+    },
+
+    /**
+     * Find a category by ID
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('project_categories')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? ProjectCategory._formatCategory(data) : null;
+    },
+
+    /**
+     * Find a category by the slug stored on projects
+     */
+    async findBySlug(slug) {
+        const { data, error } = await supabase
+            .from('project_categories')
+            .select('*')
+            .eq('slug', slug)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findBySlug');
+        return data ? ProjectCategory._formatCategory(data) : null;
+    },
+
+    /**
+     * Create a category
+     * @param {Object} categoryData - slug, name, color, icon, sortOrder
+     */
+    async create(categoryData) {
+        const { data, error } = await supabase
+            .from('project_categories')
+            .insert({
+                slug: categoryData.slug,
+                name: categoryData.name,
+                color: categoryData.color || '#6b7280',
+                icon: categoryData.icon || 'folder',
+                sort_order: categoryData.sortOrder ?? 0
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return ProjectCategory._formatCategory(data);
+    },
+
+    /**
+     * Update a category's name, color, icon or position (not its slug)
+     */
+    async update(id, updates) {
+        const updateData = {};
+
+        if (updates.name !== undefined) updateData.name = updates.name;
+        if (updates.color !== undefined) updateData.color = updates.color;
+        if (updates.icon !== undefined) updateData.icon = updates.icon;
+        if (updates.sortOrder !== undefined) updateData.sort_order = updates.sortOrder;
+
+        const { data, error } = await supabase
+            .from('project_categories')
+            .update(updateData)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) handleError(error, 'update');
+        return ProjectCategory._formatCategory(data);
+    },
+
+    /**
+     * Delete a category (fails in the database while projects use it)
+     */
+    async delete(id) {
+        const { error } = await supabase
+            .from('project_categories')
+            .delete()
+            .eq('id', id);
+
+        if (error) handleError(error, 'delete');
+        return true;
+    },
+
+    /**
+     * How many projects and templates use a category
+     * @returns {Promise<{projects: number, templates: number}>}
+     */
+    async countUsage(slug) {
+        const [projects, templates] = await Promise.all(['projects', 'project_templates'].map(table =>
+            supabase
+                .from(table)
+                .select('*', { count: 'exact', head: true })
+                .eq('category', slug)
+        ));
+
+        if (projects.error) handleError(projects.error, 'countUsage');
+        if (templates.error) handleError(templates.error, 'countUsage');
+        return { projects: projects.count || 0, templates: templates.count || 0 };
+    },
+
+    /**
+     * Format category from database to API format
+     */
+    _formatCategory(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            slug: data.slug,
+            name: data.name,
+            color: data.color,
+            icon: data.icon,
+            sortOrder: data.sort_order,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+    }
+};
+
+module.exports = ProjectCategory;
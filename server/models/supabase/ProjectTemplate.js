@@ -0,0 +1,143 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Project Template Service - Supabase PostgreSQL implementation
+ * A reusable project setup: category, description, folders, default members
+ * and a task list whose due dates are days after the new project's start.
+ */
+const ProjectTemplate = {
+    /**
+     * All templates, alphabetically
+     */
+    async find() {
+        const { data, error } = await supabase
+            .from('project_templates')
+            .select('*')
+            .order('name');
+
+        if (error) handleError(error, 'find');
+        return (data || []).map(t => ProjectTemplate._formatTemplate(t));
+    },
+
+    /**
+     * Find a template by ID
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('project_templates')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? ProjectTemplate._formatTemplate(data) : null;
+    },
+
+    /**
+     * Create a template
+     * @param {Object} templateData - name, description, category, folders, tasks,
+     *   defaultMembers, sourceProject, createdBy
+     */
+    async create(templateData) {
+        const { data, error } = await supabase
+            .from('project_templates')
+            .insert({
+                name: templateData.name,
+                description: templateData.description || '',
+                category: templateData.category,
+                folders: templateData.folders || [],
+                tasks: (templateData.tasks || []).map(t => ProjectTemplate._toTaskRow(t)),
+                default_members: (templateData.defaultMembers || []).map(m => ({ user_id: m.userId, role: m.role })),
+                source_project_id: templateData.sourceProject || null,
+                created_by: templateData.createdBy
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return ProjectTemplate._formatTemplate(data);
+    },
+
+    /**
+     * Update a template (tasks and default members are replaced as a whole)
+     */
+    async update(id, updates) {
+        const updateData = {};
+
+        if (updates.name !== undefined) updateData.name = updates.name;
+        if (updates.description !== undefined) updateData.description = updates.description;
+        if (updates.category !== undefined) updateData.category = updates.category;
+        if (updates.folders !== undefined) updateData.folders = updates.folders;
+        if (updates.tasks !== undefined) updateData.tasks = updates.tasks.map(t => ProjectTemplate._toTaskRow(t));
+        if (updates.defaultMembers !== undefined) {
+            updateData.default_members = updates.defaultMembers.map(m => ({ user_id: m.userId, role: m.role }));
+        }
+
+        const { data, error } = await supabase
+            .from('project_templates')
+            .update(updateData)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) handleError(error, 'update');
+        return ProjectTemplate._formatTemplate(data);
+    },
+
+    /**
+     * Delete a template (projects created from it are unaffected)
+     */
+    async delete(id) {
+        const { error } = await supabase
+            .from('project_templates')
+            .delete()
+            .eq('id', id);
+
+        if (error) handleError(error, 'delete');
+        return true;
+    },
+
+    /**
+     * Template task in API format to the shape stored in the tasks column
+     */
+    _toTaskRow(task) {
+        return {
+            title: task.title,
+            description: task.description || '',
+            priority: task.priority || 'medium',
+            tags: task.tags || [],
+            assignee_id: task.assigneeId || null,
+            due_offset_days: task.dueOffsetDays ?? null
+        };
+    },
+
+    /**
+     * Format template from database to API format
+     */
+    _formatTemplate(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            name: data.name,
+            description: data.description,
+            category: data.category,
+            folders: data.folders || [],
+            tasks: (data.tasks || []).map(t => ({
+                title: t.title,
+                description: t.description,
+                priority: t.priority,
+                tags: t.tags || [],
+                assigneeId: t.assignee_id,
+                dueOffsetDays: t.due_offset_days
+            })),
+            defaultMembers: (data.default_members || []).map(m => ({ userId: m.user_id, role: m.role })),
+            sourceProject: data.source_project_id,
+            createdBy: data.created_by,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+    }
+};
+
+module.exports = ProjectTemplate;
@@ -0,0 +1,71 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * Recovery Code Service - Supabase PostgreSQL implementation
+ * One-time 2FA backup codes. Only code hashes are stored.
+ */
+const RecoveryCode = {
+    /**
+     * Replace all recovery codes of a user
+     * @param {string} userId
+     * @param {string[]} codeHashes
+     */
+    async replaceForUser(userId, codeHashes) {
+        await RecoveryCode.deleteForUser(userId);
+
+        const { error } = await supabase
+            .from('recovery_codes')
+            .insert(codeHashes.map(codeHash => ({
+                user_id: userId,
+                code_hash: codeHash
+            })));
+
+        if (error) handleError(error, 'replaceForUser');
+        return true;
+    },
+
+    /**
+     * Use up a recovery code. Only succeeds once per code.
+     */
+    async consume(userId, codeHash) {
+        const { data, error } = await supabase
+            .from('recovery_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('code_hash', codeHash)
+            .is('used_at', null)
+            .select();
+
+        if (error) handleError(error, 'consume');
+        return !!(data && data.length);
+    },
+
+    /**
+     * Count unused recovery codes for a user
+     */
+    async countRemaining(userId) {
+        const { count, error } = await supabase
+            .from('recovery_codes')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('used_at', null);
+
+        if (error) handleError(error, 'countRemaining');
+        return count || 0;
+    },
+
+    /**
+     * Delete all recovery codes of a user
+     */
+    async deleteForUser(userId) {
+        const { error } = await supabase
+            .from('recovery_codes')
+            .delete()
+            .eq('user_id', userId);
+
+        if (error) handleError(error, 'deleteForUser');
+        return true;
+    }
+};
+
+module.exports = RecoveryCode;
@@ -0,0 +1,215 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+const { parseUserAgent } = require('../../utils/userAgent');
+
+// last_used_at is only rewritten once it is this stale, so busy sessions don't write on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * Session Service - Supabase PostgreSQL implementation
+ * One row per login. Holds the hash of the current refresh token so that
+ * sessions can be rotated and revoked server-side.
+ */
+const Session = {
+    /**
+     * Find a session by ID
+     */
+    async findById(id) {
+        const { data, error } = await supabase
+            .from('sessions')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findById');
+        return data ? Session._formatSession(data) : null;
+    },
+
+    /**
+     * Find a session by the hash of its current or previous refresh token
+     */
+    async findByRefreshHash(tokenHash) {
+        const { data, error } = await supabase
+            .from('sessions')
+            .select('*')
+            .or(`refresh_token_hash.eq.${tokenHash},previous_token_hash.eq.${tokenHash}`)
+            .limit(1);
+
+        if (error) handleError(error, 'findByRefreshHash');
+        return data && data.length ? Session._formatSession(data[0]) : null;
+    },
+
+    /**
+     * Find sessions for a user
+     */
+    async findByUser(userId, { activeOnly = true } = {}) {
+        let queryBuilder = supabase
+            .from('sessions')
+            .select('*')
+            .eq('user_id', userId);
+
+        if (activeOnly) {
+            queryBuilder = queryBuilder
+                .is('revoked_at', null)
+                .gt('expires_at', new Date().toISOString());
+        }
+
+        const { data, error } = await queryBuilder.order('created_at', { ascending: false });
+
+        if (error) handleError(error, 'findByUser');
+        return (data || []).map(s => Session._formatSession(s));
+    },
+
+    /**
+     * Create a new session
+     */
+    async create(sessionData) {
+        const { data, error } = await supabase
+            .from('sessions')
+            .insert({
+                user_id: sessionData.userId,
+                refresh_token_hash: sessionData.refreshTokenHash,
+                user_agent: sessionData.userAgent || null,
+                ip_address: sessionData.ipAddress || null,
+                last_ip_address: sessionData.ipAddress || null,
+                expires_at: sessionData.expiresAt,
+                last_used_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return Session._formatSession(data);
+    },
+
+    /**
+     * Replace the refresh token of a session, keeping the old hash for reuse detection
+     */
+    async rotate(id, currentHash, newHash, expiresAt) {
+        const { data, error } = await supabase
+            .from('sessions')
+            .update({
+                refresh_token_hash: newHash,
+                previous_token_hash: currentHash,
+                expires_at: expiresAt,
+                last_used_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('refresh_token_hash', currentHash)
+            .is('revoked_at', null)
+            .select();
+
+        if (error) handleError(error, 'rotate');
+        // No row means another request rotated the token first
+        return data && data.length ? Session._formatSession(data[0]) : null;
+    },
+
+    /**
+     * Record activity on a session from an HTTP request or socket (at most once per minute).
+     * Updates `session.lastUsedAt` in place so callers holding the object stay throttled.
+     */
+    async touch(session, ipAddress) {
+        if (session.lastUsedAt && Date.now() - new Date(session.lastUsedAt) < LAST_USED_PRECISION_MS) {
+            return;
+        }
+
+        const lastUsedAt = new Date().toISOString();
+        session.lastUsedAt = lastUsedAt;
+
+        const { error } = await supabase
+            .from('sessions')
+            .update({
+                last_used_at: lastUsedAt,
+                last_ip_address: ipAddress || null
+            })
+            .eq('id', session.id);
+
+        if (error) handleError(error, 'touch');
+    },
+
+    /**
+     * Revoke a single session
+     */
+    async revoke(id) {
+        const { error } = await supabase
+            .from('sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('revoked_at', null);
+
+        if (error) handleError(error, 'revoke');
+        return true;
+    },
+
+    /**
+     * Revoke every active session of a user, optionally keeping one
+     */
+    async revokeAllForUser(userId, exceptSessionId = null) {
+        let queryBuilder = supabase
+            .from('sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (exceptSessionId) {
+            queryBuilder = queryBuilder.neq('id', exceptSessionId);
+        }
+
+        const { data, error } = await queryBuilder.select('id');
+
+        if (error) handleError(error, 'revokeAllForUser');
+        return { revokedCount: data?.length || 0 };
+    },
+
+    /**
+     * Check whether a session can still be used
+     */
+    isActive(session) {
+        return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+    },
+
+    /**
+     * Format session from database to API format
+     */
+    _formatSession(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            _id: data.id,
+            user: data.user_id,
+            refreshTokenHash: data.refresh_token_hash,
+            previousTokenHash: data.previous_token_hash,
+            userAgent: data.user_agent,
+            ipAddress: data.ip_address,
+            lastIpAddress: data.last_ip_address,
+            expiresAt: data.expires_at,
+            lastUsedAt: data.last_used_at,
+            revokedAt: data.revoked_at,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+    },
+
+    /**
+     * Public representation (never exposes token hashes)
+     */
+    toPublicJSON(session, currentSessionId = null) {
+        const { browser, os, label } = parseUserAgent(session.userAgent);
+
+        return {
+            id: session.id,
+            device: label,
+            browser,
+            os,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            lastIpAddress: session.lastIpAddress || session.ipAddress,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            createdAt: session.createdAt,
+            current: session.id === currentSessionId
+        };
+    }
+};
+
+module.exports = Session;
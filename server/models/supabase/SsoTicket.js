@@ -0,0 +1,61 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * SSO Ticket Service - Supabase PostgreSQL implementation
+ * Single-use, short-lived tickets handing an SSO login from the callback
+ * to the client. Only the ticket hash is stored.
+ */
+const SsoTicket = {
+    /**
+     * Create a ticket
+     */
+    async create(ticketData) {
+        const { data, error } = await supabase
+            .from('sso_tickets')
+            .insert({
+                user_id: ticketData.userId,
+                token_hash: ticketData.tokenHash,
+                expires_at: ticketData.expiresAt
+            })
+            .select()
+            .single();
+
+        if (error) handleError(error, 'create');
+        return SsoTicket._formatTicket(data);
+    },
+
+    /**
+     * Use up an unexpired ticket. Only succeeds once.
+     * @returns {Promise<string|null>} the ID of the user it was issued to, or null
+     */
+    async redeem(tokenHash) {
+        const { data, error } = await supabase
+            .from('sso_tickets')
+            .update({ used_at: new Date().toISOString() })
+            .eq('token_hash', tokenHash)
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select();
+
+        if (error) handleError(error, 'redeem');
+        return data && data.length ? data[0].user_id : null;
+    },
+
+    /**
+     * Format ticket from database to API format
+     */
+    _formatTicket(data) {
+        if (!data) return null;
+
+        return {
+            id: data.id,
+            _id: data.id,
+            user: data.user_id,
+            expiresAt: data.expires_at,
+            usedAt: data.used_at,
+            createdAt: data.created_at
+        };
+    }
+};
+
+module.exports = SsoTicket;
@@ -5,7 +5,8 @@ const { supabase, handleError } = require('../../config/supabaseDb');
  */
 const Task = {
     /**
-     * Find all tasks with optional filters
+     * Find all tasks with optional filters.
+     * `topLevel` leaves out subtasks, for lists and figures that count tasks.
      */
     async find(query = {}) {
         let queryBuilder = supabase
@@ -13,13 +14,18 @@ const Task = {
             .select(`
                 *,
                 project:projects(id, name, category),
-                assigned_to_user:users!tasks_assigned_to_fkey(id, name, email, avatar),
-                created_by_user:users!tasks_created_by_fkey(id, name, email)
+                assigned_to_user:users!tasks_assigned_to_fkey(id, name, email, avatar, avatar_sizes),
+                created_by_user:users!tasks_created_by_fkey(id, name, email),
+                checklist:task_checklist_items(id, text, is_done, position)
             `);
 
         if (query.project) {
             queryBuilder = queryBuilder.eq('project_id', query.project);
         }
+        if (query.projectIds) {
+            if (query.projectIds.length === 0) return [];
+            queryBuilder = queryBuilder.in('project_id', query.projectIds);
+        }
         if (query.status) {
             queryBuilder = queryBuilder.eq('status', query.status);
         }
@@ -32,13 +38,20 @@ const Task = {
         if (query.statusNot) {
             queryBuilder = queryBuilder.neq('status', query.statusNot);
         }
+        if (query.parent) {
+            queryBuilder = queryBuilder.eq('parent_id', query.parent);
+        }
+        if (query.topLevel) {
+            queryBuilder = queryBuilder.is('parent_id', null);
+        }
 
         const { data, error } = await queryBuilder
             .order('order_index')
             .order('created_at', { ascending: false });
 
         if (error) handleError(error, 'find');
-        return (data || []).map(t => Task._formatTask(t));
+        const subtasks = await Task._subtaskStatuses(data || []);
+        return (data || []).map(t => Task._formatTask(t, subtasks.get(t.id)));
     },
 
     /**
@@ -50,21 +63,25 @@ const Task = {
             .select(`
                 *,
                 project:projects(id, name, category),
-                assigned_to_user:users!tasks_assigned_to_fkey(id, name, email, avatar),
-                created_by_user:users!tasks_created_by_fkey(id, name, email)
+                assigned_to_user:users!tasks_assigned_to_fkey(id, name, email, avatar, avatar_sizes),
+                created_by_user:users!tasks_created_by_fkey(id, name, email),
+                checklist:task_checklist_items(id, text, is_done, position)
             `)
             .eq('id', id)
             .single();
 
         if (error && error.code !== 'PGRST116') handleError(error, 'findById');
-        return data ? Task._formatTask(data) : null;
+        if (!data) return null;
+
+        const subtasks = await Task._subtaskStatuses([data]);
+        return Task._formatTask(data, subtasks.get(data.id));
     },
 
     /**
-     * Get tasks grouped by status for a project
+     * Get a project's tasks grouped by status (subtasks stay with their parent)
      */
     async getByStatus(projectId) {
-        const tasks = await Task.find({ project: projectId });
+        const tasks = await Task.find({ project: projectId, topLevel: true });
 
         return {
             new: tasks.filter(t => t.status === 'new'),
@@ -74,7 +91,7 @@ const Task = {
     },
 
     /**
-     * Count tasks
+     * Count tasks (`topLevel` as in find)
      */
     async countDocuments(query = {}) {
         let countQuery = supabase.from('tasks').select('*', { count: 'exact', head: true });
@@ -85,6 +102,9 @@ const Task = {
         if (query.status) {
             countQuery = countQuery.eq('status', query.status);
         }
+        if (query.topLevel) {
+            countQuery = countQuery.is('parent_id', null);
+        }
 
         const { count, error } = await countQuery;
 
@@ -106,7 +126,9 @@ const Task = {
             due_date: taskData.dueDate || null,
             created_by: taskData.createdBy,
             order_index: taskData.order || 0,
-            tags: taskData.tags || []
+            tags: taskData.tags || [],
+            milestone_id: taskData.milestoneId || null,
+            parent_id: taskData.parentId || null
         };
 
         // Set completed_at if status is done
@@ -149,6 +171,7 @@ const Task = {
         if (updates.dueDate !== undefined) updateData.due_date = updates.dueDate || null;
         if (updates.order !== undefined) updateData.order_index = updates.order;
         if (updates.tags !== undefined) updateData.tags = updates.tags;
+        if (updates.milestoneId !== undefined) updateData.milestone_id = updates.milestoneId || null;
 
         const { data, error } = await supabase
             .from('tasks')
@@ -162,7 +185,25 @@ const Task = {
     },
 
     /**
-     * Delete a task
+     * Set the status of several tasks at once, such as a parent's subtasks
+     */
+    async setStatus(ids, status) {
+        if (ids.length === 0) return true;
+
+        const { error } = await supabase
+            .from('tasks')
+            .update({
+                status,
+                completed_at: status === 'done' ? new Date().toISOString() : null
+            })
+            .in('id', ids);
+
+        if (error) handleError(error, 'setStatus');
+        return true;
+    },
+
+    /**
+     * Delete a task (its subtasks and checklist go with it)
      */
     async delete(id) {
         const { error } = await supabase
@@ -174,12 +215,46 @@ const Task = {
         return true;
     },
 
+    /**
+     * Statuses of the subtasks of the given task rows, by parent ID.
+     * Fetched separately: a table's relationship to itself can't be embedded
+     * as one-to-many.
+     * @returns {Promise<Map<string, string[]>>}
+     */
+    async _subtaskStatuses(rows) {
+        const parentIds = rows.filter(t => !t.parent_id).map(t => t.id);
+        const statuses = new Map();
+        if (parentIds.length === 0) return statuses;
+
+        const { data, error } = await supabase
+            .from('tasks')
+            .select('parent_id, status')
+            .in('parent_id', parentIds);
+
+        if (error) handleError(error, 'subtasks');
+        (data || []).forEach(t => {
+            statuses.set(t.parent_id, [...(statuses.get(t.parent_id) || []), t.status]);
+        });
+        return statuses;
+    },
+
     /**
      * Format task from database to API format
+     * @param {Object} data - task row
+     * @param {string[]} [subtaskStatuses] - statuses of its subtasks
      */
-    _formatTask(data) {
+    _formatTask(data, subtaskStatuses = []) {
         if (!data) return null;
 
+        const checklist = (data.checklist || [])
+            .map(item => ({
+                id: item.id,
+                text: item.text,
+                isDone: item.is_done,
+                position: item.position
+            }))
+            .sort((a, b) => a.position - b.position);
+
         return {
             id: data.id,
             _id: data.id,
@@ -198,7 +273,8 @@ const Task = {
                 id: data.assigned_to_user.id,
                 name: data.assigned_to_user.name,
                 email: data.assigned_to_user.email,
-                avatar: data.assigned_to_user.avatar
+                avatar: data.assigned_to_user.avatar,
+                avatarSizes: data.assigned_to_user.avatar_sizes
             } : null,
             dueDate: data.due_date,
             completedAt: data.completed_at,
@@ -210,6 +286,15 @@ const Task = {
             } : { _id: data.created_by, id: data.created_by },
             order: data.order_index,
             tags: data.tags || [],
+            milestoneId: data.milestone_id,
+            parentId: data.parent_id,
+            checklist,
+            // Subtasks and checklist items together, as in "3/5 done"
+            progress: {
+                done: subtaskStatuses.filter(status => status === 'done').length +
+                    checklist.filter(item => item.isDone).length,
+                total: subtaskStatuses.length + checklist.length
+            },
             createdAt: data.created_at,
             updatedAt: data.updated_at,
 
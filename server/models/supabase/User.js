@@ -1,5 +1,14 @@
 const bcrypt = require('bcryptjs');
 const { supabase, handleError } = require('../../config/supabaseDb');
+const { localDate, daysBetween } = require('../../utils/calendar');
+
+// Columns safe to load for any request (no password hash or 2FA secret)
+const PUBLIC_COLUMNS = 'id, email, name, role, avatar, avatar_sizes, avatar_path, login_streak, last_login, timezone, is_active, totp_enabled, failed_login_attempts, locked_until, created_at, updated_at';
+
+// Failed logins allowed before the account locks; each further failure doubles the lock
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
 
 /**
  * User Service - Supabase PostgreSQL implementation
@@ -9,9 +18,7 @@ const User = {
      * Find a user by ID
      */
     async findById(id, includePassword = false) {
-        const columns = includePassword
-            ? '*'
-            : 'id, email, name, role, avatar, login_streak, last_login, is_active, created_at, updated_at';
+        const columns = includePassword ? '*' : PUBLIC_COLUMNS;
 
         const { data, error } = await supabase
             .from('users')
@@ -20,16 +27,14 @@ const User = {
             .single();
 
         if (error && error.code !== 'PGRST116') handleError(error, 'findById');
-        return data ? User._formatUser(data) : null;
+        return data ? User._formatUser(data, includePassword) : null;
     },
 
     /**
      * Find a user by email
      */
     async findOne(query, includePassword = false) {
-        const columns = includePassword
-            ? '*'
-            : 'id, email, name, role, avatar, login_streak, last_login, is_active, created_at, updated_at';
+        const columns = includePassword ? '*' : PUBLIC_COLUMNS;
 
         let queryBuilder = supabase.from('users').select(columns);
 
@@ -43,17 +48,36 @@ const User = {
         return data ? User._formatUser(data, includePassword) : null;
     },
 
+    /**
+     * Find the user linked to an OpenID Connect identity
+     */
+    async findByOidcIdentity(issuer, subject) {
+        const { data, error } = await supabase
+            .from('users')
+            .select(PUBLIC_COLUMNS)
+            .eq('oidc_issuer', issuer)
+            .eq('oidc_subject', subject)
+            .single();
+
+        if (error && error.code !== 'PGRST116') handleError(error, 'findByOidcIdentity');
+        return data ? User._formatUser(data) : null;
+    },
+
     /**
      * Find all users
      */
     async find(query = {}) {
         let queryBuilder = supabase
             .from('users')
-            .select('id, email, name, role, avatar, login_streak, last_login, is_active, created_at, updated_at');
+            .select(PUBLIC_COLUMNS);
 
         if (query.isActive !== undefined) {
             queryBuilder = queryBuilder.eq('is_active', query.isActive);
         }
+        if (query.emails) {
+            if (query.emails.length === 0) return [];
+            queryBuilder = queryBuilder.in('email', query.emails.map(e => e.toLowerCase()));
+        }
 
         const { data, error } = await queryBuilder.order('name');
 
@@ -91,7 +115,10 @@ const User = {
                 avatar: userData.avatar || null,
                 login_streak: userData.loginStreak || 0,
                 last_login: userData.lastLogin || null,
-                is_active: userData.isActive !== undefined ? userData.isActive : true
+                timezone: userData.timezone || 'UTC',
+                is_active: userData.isActive !== undefined ? userData.isActive : true,
+                oidc_issuer: userData.oidcIssuer || null,
+                oidc_subject: userData.oidcSubject || null
             })
             .select()
             .single();
@@ -110,9 +137,22 @@ const User = {
         if (updates.email !== undefined) updateData.email = updates.email.toLowerCase();
         if (updates.role !== undefined) updateData.role = updates.role;
         if (updates.avatar !== undefined) updateData.avatar = updates.avatar;
+        if (updates.avatarSizes !== undefined) updateData.avatar_sizes = updates.avatarSizes;
+        if (updates.avatarPath !== undefined) updateData.avatar_path = updates.avatarPath;
         if (updates.loginStreak !== undefined) updateData.login_streak = updates.loginStreak;
         if (updates.lastLogin !== undefined) updateData.last_login = updates.lastLogin;
+        if (updates.timezone !== undefined) updateData.timezone = updates.timezone;
         if (updates.isActive !== undefined) updateData.is_active = updates.isActive;
+        if (updates.totpSecret !== undefined) updateData.totp_secret = updates.totpSecret;
+        if (updates.totpEnabled !== undefined) {
+            updateData.totp_enabled = updates.totpEnabled;
+            updateData.totp_enabled_at = updates.totpEnabled ? new Date().toISOString() : null;
+        }
+        if (updates.totpLastCounter !== undefined) updateData.totp_last_counter = updates.totpLastCounter;
+        if (updates.failedLoginAttempts !== undefined) updateData.failed_login_attempts = updates.failedLoginAttempts;
+        if (updates.lockedUntil !== undefined) updateData.locked_until = updates.lockedUntil;
+        if (updates.oidcIssuer !== undefined) updateData.oidc_issuer = updates.oidcIssuer;
+        if (updates.oidcSubject !== undefined) updateData.oidc_subject = updates.oidcSubject;
 
         // Handle password update
         if (updates.password) {
@@ -131,6 +171,24 @@ const User = {
         return User._formatUser(data);
     },
 
+    /**
+     * Offboard a user in one transaction (see offboard_user in the schema):
+     * open tasks, solely-owned projects and files move to the given users, then
+     * the account is removed from all projects, deactivated and signed out.
+     * @returns {Promise<{taskIds: string[], projectIds: string[], fileIds: string[]}>}
+     */
+    async offboard(id, { taskAssigneeId = null, projectOwnerId = null, fileOwnerId = null }) {
+        const { data, error } = await supabase.rpc('offboard_user', {
+            p_user_id: id,
+            p_task_assignee: taskAssigneeId,
+            p_project_owner: projectOwnerId,
+            p_file_owner: fileOwnerId
+        });
+
+        if (error) handleError(error, 'offboard');
+        return data;
+    },
+
     /**
      * Compare password
      */
@@ -139,17 +197,38 @@ const User = {
     },
 
     /**
-     * Update login streak for a user
+     * Work out the lock after a failed login: none below the threshold,
+     * then 1 min, 2 min, 4 min... capped at 24 hours
+     * @returns {Date|null} locked until
+     */
+    calculateLockout(failedAttempts) {
+        if (failedAttempts < LOCKOUT_THRESHOLD) return null;
+
+        const exponent = failedAttempts - LOCKOUT_THRESHOLD;
+        const duration = Math.min(LOCKOUT_BASE_MS * Math.pow(2, exponent), LOCKOUT_MAX_MS);
+        return new Date(Date.now() + duration);
+    },
+
+    /**
+     * Check whether a user is currently locked out
+     */
+    isLocked(user) {
+        return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+    },
+
+    /**
+     * Update login streak for a user. Days are calendar days in the user's
+     * timezone: 23:00 then 08:00 the next morning continues the streak,
+     * while skipping a whole day resets it.
      */
-    calculateLoginStreak(currentStreak, lastLogin) {
+    calculateLoginStreak(currentStreak, lastLogin, timeZone = 'UTC') {
         const now = new Date();
 
         if (!lastLogin) {
             return { loginStreak: 1, lastLogin: now };
         }
 
-        const lastLoginDate = new Date(lastLogin);
-        const diffDays = Math.floor((now - lastLoginDate) / (1000 * 60 * 60 * 24));
+        const diffDays = daysBetween(localDate(lastLogin, timeZone), localDate(now, timeZone));
 
         if (diffDays === 1) {
             return { loginStreak: currentStreak + 1, lastLogin: now };
@@ -157,7 +236,7 @@ const User = {
             return { loginStreak: 1, lastLogin: now };
         }
         // Same day - no change to streak
-        return { loginStreak: currentStreak, lastLogin: now };
+        return { loginStreak: Math.max(currentStreak, 1), lastLogin: now };
     },
 
     /**
@@ -173,15 +252,25 @@ const User = {
             name: data.name,
             role: data.role,
             avatar: data.avatar,
+            avatarSizes: data.avatar_sizes || null,
+            avatarPath: data.avatar_path || null,
             loginStreak: data.login_streak,
             lastLogin: data.last_login,
+            timezone: data.timezone || 'UTC',
             isActive: data.is_active,
+            totpEnabled: !!data.totp_enabled,
+            failedLoginAttempts: data.failed_login_attempts || 0,
+            lockedUntil: data.locked_until,
             createdAt: data.created_at,
             updatedAt: data.updated_at
         };
 
         if (includePassword) {
             user.password = data.password;
+            user.totpSecret = data.totp_secret;
+            user.totpLastCounter = data.totp_last_counter;
+            user.oidcIssuer = data.oidc_issuer;
+            user.oidcSubject = data.oidc_subject;
         }
 
         return user;
@@ -197,8 +286,12 @@ const User = {
             name: user.name,
             role: user.role,
             avatar: user.avatar,
+            avatarSizes: user.avatarSizes,
             loginStreak: user.loginStreak,
             lastLogin: user.lastLogin,
+            timezone: user.timezone,
+            totpEnabled: user.totpEnabled,
+            lockedUntil: User.isLocked(user) ? user.lockedUntil : null,
             createdAt: user.createdAt
         };
     }
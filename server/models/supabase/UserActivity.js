@@ -0,0 +1,74 @@
+const { supabase, handleError } = require('../../config/supabaseDb');
+
+/**
+ * User Activity Service - Supabase PostgreSQL implementation
+ * One row per user per local calendar day they were active. Streaks can be
+ * rebuilt from it, and it keeps the running task count for achievements.
+ */
+const UserActivity = {
+    /**
+     * Add to a day's counters, creating the row if needed (atomic, see record_user_activity)
+     * @param {string} userId
+     * @param {string} date - 'YYYY-MM-DD' in the user's timezone
+     * @param {Object} counts - logins, tasksCompleted
+     */
+    async record(userId, date, { logins = 0, tasksCompleted = 0 } = {}) {
+        const { error } = await supabase.rpc('record_user_activity', {
+            p_user_id: userId,
+            p_date: date,
+            p_logins: logins,
+            p_tasks_completed: tasksCompleted
+        });
+
+        if (error) handleError(error, 'record');
+    },
+
+    /**
+     * Days a user was active, newest first
+     * @param {string} userId
+     * @param {Object} [options] - since ('YYYY-MM-DD', inclusive), loginsOnly
+     */
+    async findByUser(userId, { since, loginsOnly = false } = {}) {
+        let queryBuilder = supabase
+            .from('user_activity')
+            .select('*')
+            .eq('user_id', userId);
+
+        if (since) queryBuilder = queryBuilder.gte('activity_date', since);
+        if (loginsOnly) queryBuilder = queryBuilder.gt('logins', 0);
+
+        const { data, error } = await queryBuilder.order('activity_date', { ascending: false });
+
+        if (error) handleError(error, 'findByUser');
+        return (data || []).map(d => UserActivity._formatDay(d));
+    },
+
+    /**
+     * Total tasks a user has completed
+     */
+    async countTasksCompleted(userId) {
+        const { data, error } = await supabase
+            .from('user_activity')
+            .select('tasks_completed')
+            .eq('user_id', userId)
+            .gt('tasks_completed', 0);
+
+        if (error) handleError(error, 'countTasksCompleted');
+        return (data || []).reduce((sum, d) => sum + d.tasks_completed, 0);
+    },
+
+    /**
+     * Format a day from database to API format
+     */
+    _formatDay(data) {
+        if (!data) return null;
+
+        return {
+            date: data.activity_date,
+            logins: data.logins,
+            tasksCompleted: data.tasks_completed
+        };
+    }
+};
+
+module.exports = UserActivity;
@@ -9,6 +9,23 @@ const Task = require('./Task');
 const Message = require('./Message');
 const File = require('./File');
 const Notification = require('./Notification');
+const Session = require('./Session');
+const Invitation = require('./Invitation');
+const PasswordReset = require('./PasswordReset');
+const SsoTicket = require('./SsoTicket');
+const RecoveryCode = require('./RecoveryCode');
+const LoginAttempt = require('./LoginAttempt');
+const ApiToken = require('./ApiToken');
+const AuditLog = require('./AuditLog');
+const UserActivity = require('./UserActivity');
+const Achievement = require('./Achievement');
+const Presence = require('./Presence');
+const ProjectTemplate = require('./ProjectTemplate');
+const ProjectCategory = require('./ProjectCategory');
+const Milestone = require('./Milestone');
+const Activity = require('./Activity');
+const ProjectBundle = require('./ProjectBundle');
+const ChecklistItem = require('./ChecklistItem');
 
 module.exports = {
     User,
@@ -16,5 +33,22 @@ module.exports = {
     Task,
     Message,
     File,
-    Notification
+    Notification,
+    Session,
+    Invitation,
+    PasswordReset,
+    SsoTicket,
+    RecoveryCode,
+    LoginAttempt,
+    ApiToken,
+    AuditLog,
+    UserActivity,
+    Achievement,
+    Presence,
+    ProjectTemplate,
+    ProjectCategory,
+    Milestone,
+    Activity,
+    ProjectBundle,
+    ChecklistItem
 };
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * OpenID Connect client (authorization code flow with PKCE)
+ * Configured from OIDC_* environment variables. Only what we need from the
+ * spec: discovery, the authorization URL, the code exchange and ID token
+ * verification against the provider's JWKS.
+ */
+
+// Discovery documents and key sets are cached for this long
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+let metadataCache = null;
+let jwksCache = null;
+
+/**
+ * Read the OIDC settings from the environment
+ */
+function getConfig() {
+    const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+    return {
+        issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        redirectUri: process.env.OIDC_REDIRECT_URI,
+        scopes: process.env.OIDC_SCOPES || 'openid email profile',
+        providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+        groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+        adminGroups: splitList(process.env.OIDC_ADMIN_GROUPS),
+        editorGroups: splitList(process.env.OIDC_EDITOR_GROUPS)
+    };
+}
+
+/**
+ * Whether SSO has been configured
+ */
+function isConfigured() {
+    const config = getConfig();
+    return !!(config.issuer && config.clientId);
+}
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Create the per-login secrets: state (CSRF), nonce (ID token replay) and
+ * the PKCE verifier/challenge pair
+ */
+function createLoginRequest() {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+
+    return {
+        state: base64url(crypto.randomBytes(16)),
+        nonce: base64url(crypto.randomBytes(16)),
+        codeVerifier,
+        codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+    };
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const reason = body.error_description || body.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed: ${reason}`);
+    }
+    return body;
+}
+
+/**
+ * Load (and cache) the provider's discovery document
+ */
+async function getMetadata() {
+    if (metadataCache && metadataCache.expiresAt > Date.now()) {
+        return metadataCache.value;
+    }
+
+    const { issuer } = getConfig();
+    const value = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (value.issuer.replace(/\/+$/, '') !== issuer) {
+        throw new Error(`OIDC issuer mismatch: expected ${issuer}, got ${value.issuer}`);
+    }
+
+    metadataCache = { value, expiresAt: Date.now() + METADATA_TTL_MS };
+    return value;
+}
+
+/**
+ * Find the signing key for a token, refreshing the key set once if the
+ * key id is unknown (the provider may have rotated keys)
+ */
+async function getSigningKey(kid) {
+    const load = async () => {
+        const metadata = await getMetadata();
+        const { keys } = await fetchJson(metadata.jwks_uri);
+        jwksCache = { keys, expiresAt: Date.now() + METADATA_TTL_MS };
+    };
+
+    if (!jwksCache || jwksCache.expiresAt <= Date.now()) await load();
+
+    let jwk = jwksCache.keys.find(k => k.kid === kid);
+    if (!jwk) {
+        await load();
+        jwk = jwksCache.keys.find(k => k.kid === kid);
+    }
+    if (!jwk) throw new Error(`No OIDC signing key found for kid ${kid}`);
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Build the URL to send the browser to
+ */
+async function getAuthorizationUrl({ state, nonce, codeChallenge }, redirectUri) {
+    const config = getConfig();
+    const metadata = await getMetadata();
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+
+    return `${metadata.authorization_endpoint}?${params}`;
+}
+
+/**
+ * Verify an ID token and return its claims
+ */
+async function verifyIdToken(idToken, nonce) {
+    const config = getConfig();
+    const metadata = await getMetadata();
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+        issuer: metadata.issuer,
+        audience: config.clientId,
+        clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+}
+
+/**
+ * Exchange an authorization code for tokens and return the verified identity
+ * @returns {Promise<{issuer: string, subject: string, email?: string, emailVerified: boolean, name?: string, groups: string[]}>}
+ */
+async function exchangeCode({ code, codeVerifier, nonce }, redirectUri) {
+    const config = getConfig();
+    const metadata = await getMetadata();
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: config.clientId,
+        code_verifier: codeVerifier
+    });
+    if (config.clientSecret) body.set('client_secret', config.clientSecret);
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body
+    });
+
+    if (!tokens.id_token) throw new Error('Token response did not include an ID token');
+
+    let claims = await verifyIdToken(tokens.id_token, nonce);
+
+    // Many providers only put email/groups on the userinfo endpoint
+    if ((!claims.email || !claims[config.groupsClaim]) && metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+            claims = { ...userinfo, ...claims };
+        }
+    }
+
+    const groups = claims[config.groupsClaim];
+
+    return {
+        issuer: claims.iss,
+        subject: claims.sub,
+        email: claims.email,
+        emailVerified: claims.email_verified !== false,
+        name: claims.name || claims.preferred_username,
+        groups: Array.isArray(groups) ? groups : (groups ? [groups] : [])
+    };
+}
+
+/**
+ * Map IdP groups onto an app role.
+ * Without any group mapping configured everyone is an editor. Once
+ * OIDC_EDITOR_GROUPS is set, users in none of the mapped groups are refused.
+ * @returns {'admin'|'editor'|null}
+ */
+function mapGroupsToRole(groups) {
+    const { adminGroups, editorGroups } = getConfig();
+
+    if (adminGroups.some(g => groups.includes(g))) return 'admin';
+    if (editorGroups.length === 0 || editorGroups.some(g => groups.includes(g))) return 'editor';
+    return null;
+}
+
+/**
+ * Whether roles should follow the IdP on every login
+ */
+function hasGroupMapping() {
+    const { adminGroups, editorGroups } = getConfig();
+    return adminGroups.length > 0 || editorGroups.length > 0;
+}
+
+/**
+ * Drop cached metadata and keys (tests point OIDC_ISSUER at a new mock)
+ */
+function resetCache() {
+    metadataCache = null;
+    jwksCache = null;
+}
+
+module.exports = {
+    getConfig,
+    isConfigured,
+    createLoginRequest,
+    getAuthorizationUrl,
+    exchangeCode,
+    mapGroupsToRole,
+    hasGroupMapping,
+    resetCache
+};
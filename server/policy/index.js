@@ -0,0 +1,163 @@
+/**
+ * Permission policy
+ * The single place that decides who may do what. Users have a global role
+ * (admin, editor, viewer) and, inside each project they belong to, a project
+ * role (owner, member, guest). Routes ask `can(user, action, context)` and
+ * answer denials with `forbidden(res, action)`.
+ *
+ * - admin: everything, in every project
+ * - editor: whatever their project role allows
+ * - viewer: read-only, even where their project role would allow more
+ * - guest: an outside collaborator (vendor, landlord...) who only sees the
+ *   projects they were added to, always with the guest project role
+ *
+ * Archived projects are read-only for everyone, admins included, until restored.
+ */
+
+const GLOBAL_ROLES = ['admin', 'editor', 'viewer', 'guest'];
+const PROJECT_ROLES = ['owner', 'member', 'guest'];
+
+const ANY_MEMBER = PROJECT_ROLES;
+// Everyone with a staff account, as opposed to guests
+const STAFF = ['admin', 'editor', 'viewer'];
+
+const idOf = (ref) => (ref && typeof ref === 'object' ? (ref.id || ref._id) : ref) || null;
+
+const isCreator = (user, task) => idOf(task.createdBy) === user.id;
+const isAssignee = (user, task) => idOf(task.assignedTo) === user.id;
+const isSender = (user, message) => idOf(message.sender) === user.id;
+const isUploader = (user, file) => idOf(file.uploadedBy) === user.id;
+
+/**
+ * Rules per action:
+ * - description: finishes the sentence "Not authorized to ..."
+ * - read: allowed for viewers
+ * - global: decided by global role alone (no project involved)
+ * - project: project roles that are always allowed
+ * - own: extra check on the record itself (creator, sender...) for other members
+ * - admin: set to false when even admins must pass the checks (editing someone else's message)
+ * - archived: allowed in archived projects (everything else but reads is refused there)
+ */
+const RULES = {
+    'user:list': { description: 'list users', read: true, global: STAFF },
+
+    'project:list_all': { description: 'list all projects', read: true, global: ['admin'] },
+    'project:create': { description: 'create projects', global: ['admin'] },
+    'project:read': { description: 'access this project', read: true, project: ANY_MEMBER },
+    'project:update': { description: 'update this project', project: ['owner'] },
+    'project:manage_members': { description: 'manage members of this project', project: ['owner'] },
+    'project:leave': { description: 'leave this project', read: true, project: ANY_MEMBER },
+    'project:export': { description: 'export this project', read: true, project: ['owner'] },
+    'project:manage_templates': { description: 'manage project templates', global: ['admin'] },
+    'project:manage_categories': { description: 'manage project categories', global: ['admin'] },
+    'project:archive': { description: 'archive this project', project: ['owner'] },
+    'project:restore': { description: 'restore this project', project: ['owner'], archived: true },
+    'project:purge': { description: 'permanently delete this project', global: ['admin'], archived: true },
+
+    'task:read': { description: 'view tasks in this project', read: true, project: ANY_MEMBER },
+    'task:create': { description: 'create tasks in this project', project: ['owner', 'member'] },
+    'task:update': { description: 'update this task', project: ['owner', 'member'], own: isAssignee },
+    'task:assign': { description: 'assign tasks in this project', project: ['owner', 'member'] },
+    'task:delete': { description: 'delete this task', project: ['owner'], own: isCreator },
+
+    'milestone:read': { description: 'view milestones in this project', read: true, project: ANY_MEMBER },
+    'milestone:create': { description: 'create milestones in this project', project: ['owner', 'member'] },
+    'milestone:update': { description: 'update this milestone', project: ['owner', 'member'] },
+    'milestone:delete': { description: 'delete this milestone', project: ['owner'], own: isCreator },
+
+    'message:read': { description: 'view messages in this project', read: true, project: ANY_MEMBER },
+    'message:read_internal': { description: 'view internal messages', read: true, global: STAFF },
+    'message:create': { description: 'post messages in this project', project: ANY_MEMBER },
+    'message:update': { description: 'edit this message', project: [], own: isSender, admin: false },
+    'message:delete': { description: 'delete this message', project: ['owner'], own: isSender },
+
+    'file:read': { description: 'view files in this project', read: true, project: ANY_MEMBER },
+    'file:upload': { description: 'upload files to this project', project: ['owner', 'member'] },
+    'file:update': { description: 'edit this file', project: ['owner'], own: isUploader },
+    'file:delete': { description: 'delete this file', project: ['owner'], own: isUploader }
+};
+
+/**
+ * The user's role in a project (as loaded by Project.findById), or null
+ */
+function getProjectRole(project, userId) {
+    const member = (project?.members || []).find(m => m.user && m.user.id === userId);
+    return member ? member.role : null;
+}
+
+/**
+ * Whether the project being archived rules the action out
+ */
+function isReadOnly(project, rule) {
+    return project?.status === 'archived' && !rule.read && !rule.archived;
+}
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - req.user
+ * @param {string} action - key of RULES, e.g. 'task:update'
+ * @param {Object} [context]
+ * @param {Object} [context.project] - the project the action happens in
+ * @param {Object} [context.resource] - the task/message/file acted on, for ownership rules
+ */
+function can(user, action, { project = null, resource = null } = {}) {
+    const rule = RULES[action];
+    if (!rule) throw new Error(`Unknown policy action: ${action}`);
+    if (!user) return false;
+
+    if (isReadOnly(project, rule)) return false;
+    if (user.role === 'viewer' && !rule.read) return false;
+    if (user.role === 'admin' && rule.admin !== false) return true;
+
+    if (rule.global) return rule.global.includes(user.role);
+
+    // Admins act as owners in projects they are not a member of
+    let projectRole = getProjectRole(project, user.id) || (user.role === 'admin' ? 'owner' : null);
+    if (!projectRole) return false;
+    // A guest account never gets more than the guest role, whatever the membership says
+    if (user.role === 'guest') projectRole = 'guest';
+
+    if (rule.project.includes(projectRole)) return true;
+    return !!(rule.own && resource && rule.own(user, resource));
+}
+
+/**
+ * Send the standard 403 for a denied action
+ * @param {Object} res
+ * @param {string} action
+ * @param {Object} [project] - pass it so a refusal because of archiving says so
+ */
+function forbidden(res, action, project = null) {
+    if (isReadOnly(project, RULES[action])) {
+        return res.status(403).json({
+            success: false,
+            error: 'This project is archived and read-only',
+            code: 'PROJECT_ARCHIVED'
+        });
+    }
+
+    return res.status(403).json({
+        success: false,
+        error: `Not authorized to ${RULES[action].description}`,
+        code: 'FORBIDDEN'
+    });
+}
+
+/**
+ * Middleware for actions decided by global role alone
+ */
+const permit = (action) => (req, res, next) => {
+    if (!can(req.user, action)) {
+        return forbidden(res, action);
+    }
+    next();
+};
+
+module.exports = {
+    GLOBAL_ROLES,
+    PROJECT_ROLES,
+    can,
+    forbidden,
+    permit,
+    getProjectRole
+};
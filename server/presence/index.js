@@ -0,0 +1,205 @@
+const { Presence, Project } = require('../models');
+
+/**
+ * Presence
+ * A user is online while at least one of their sockets is connected (every
+ * socket joins `user:<id>`, so the room tells us across tabs and devices).
+ * The status they pick is saved in user_presence; an expired status counts
+ * as available again. Guests only hear about people they share a project with.
+ */
+
+const STATUSES = ['available', 'busy', 'away', 'dnd'];
+const STATUS_TEXT_MAX_LENGTH = 100;
+
+// setTimeout can't wait longer than this; later expiries are caught by reads instead
+const MAX_TIMER_MS = 2147483647;
+
+// userId -> timer that announces the user's status expiring
+const expiryTimers = new Map();
+
+/**
+ * The status in effect for a saved presence (available if none or expired)
+ * @param {Object|null} saved - from Presence.findByUser
+ */
+function currentStatus(saved) {
+    if (!saved || (saved.statusExpiresAt && new Date(saved.statusExpiresAt) <= new Date())) {
+        return { status: 'available', statusText: null, statusExpiresAt: null };
+    }
+
+    return {
+        status: saved.status,
+        statusText: saved.statusText,
+        statusExpiresAt: saved.statusExpiresAt
+    };
+}
+
+/**
+ * Presence as sent to clients
+ */
+function toPublicJSON(userId, saved, online) {
+    return {
+        userId,
+        online,
+        ...currentStatus(saved),
+        lastSeenAt: saved?.lastSeenAt || null
+    };
+}
+
+/**
+ * Whether any socket of the user is still connected
+ */
+async function isOnline(io, userId) {
+    const sockets = await io.in(`user:${userId}`).fetchSockets();
+    return sockets.length > 0;
+}
+
+/**
+ * Send a user's presence to every staff client, and to the guests who share
+ * a project with them
+ */
+async function announce(io, userId, presence) {
+    io.except('guests').emit('presence_updated', presence);
+
+    try {
+        const guestSockets = await io.in('guests').fetchSockets();
+        if (guestSockets.length === 0) return;
+
+        const coMemberIds = new Set(await Project.getCoMemberIds(userId));
+        guestSockets
+            .filter(s => coMemberIds.has(s.data.userId))
+            .forEach(s => s.emit('presence_updated', presence));
+    } catch (error) {
+        console.error('Failed to announce presence to guests:', error.message);
+    }
+}
+
+/**
+ * Tell every client who may see the user about their presence
+ */
+async function broadcast(io, userId, saved) {
+    await announce(io, userId, toPublicJSON(userId, saved, await isOnline(io, userId)));
+}
+
+/**
+ * Re-announce the user when their status runs out, so clients drop it without polling
+ */
+function scheduleExpiry(io, userId, statusExpiresAt) {
+    clearTimeout(expiryTimers.get(userId));
+    expiryTimers.delete(userId);
+
+    const delay = statusExpiresAt ? new Date(statusExpiresAt) - Date.now() : null;
+    if (delay === null || delay <= 0 || delay > MAX_TIMER_MS) return;
+
+    const timer = setTimeout(async () => {
+        expiryTimers.delete(userId);
+        try {
+            await broadcast(io, userId, await Presence.findByUser(userId));
+        } catch (error) {
+            console.error('Failed to announce expired status:', error.message);
+        }
+    }, delay);
+    timer.unref();
+    expiryTimers.set(userId, timer);
+}
+
+/**
+ * A socket connected (the caller has already joined it to `user:<id>`)
+ */
+async function handleConnect(io, socket) {
+    try {
+        await broadcast(io, socket.userId, await Presence.findByUser(socket.userId));
+    } catch (error) {
+        console.error('Failed to announce presence:', error.message);
+    }
+}
+
+/**
+ * A socket disconnected: the user goes offline once their last one has gone
+ */
+async function handleDisconnect(io, socket) {
+    try {
+        if (await isOnline(io, socket.userId)) return;
+
+        const saved = await Presence.setLastSeen(socket.userId, new Date().toISOString());
+        await announce(io, socket.userId, toPublicJSON(socket.userId, saved, false));
+    } catch (error) {
+        console.error('Failed to announce presence:', error.message);
+    }
+}
+
+/**
+ * Save the current user's status and announce it
+ * @param {Object} io
+ * @param {string} userId
+ * @param {Object} status - status, statusText, statusExpiresAt
+ */
+async function setStatus(io, userId, { status, statusText, statusExpiresAt }) {
+    const saved = await Presence.setStatus(userId, {
+        status,
+        statusText: statusText || null,
+        statusExpiresAt: statusExpiresAt || null
+    });
+
+    scheduleExpiry(io, userId, saved.statusExpiresAt);
+    const presence = toPublicJSON(userId, saved, await isOnline(io, userId));
+    await announce(io, userId, presence);
+
+    return presence;
+}
+
+/**
+ * Presence of every user who is connected or has saved a status.
+ * Users missing from the list are offline and available.
+ */
+async function getSnapshot(io) {
+    const [saved, sockets] = await Promise.all([
+        Presence.findAll(),
+        io.fetchSockets()
+    ]);
+
+    const online = new Set(sockets.map(s => s.data.userId));
+    const userIds = new Set([...saved.map(p => p.user), ...online]);
+
+    return [...userIds].map(userId => toPublicJSON(
+        userId,
+        saved.find(p => p.user === userId) || null,
+        online.has(userId)
+    ));
+}
+
+/**
+ * Whether a user has do-not-disturb on right now
+ */
+async function isDoNotDisturb(userId) {
+    return currentStatus(await Presence.findByUser(userId)).status === 'dnd';
+}
+
+/**
+ * Push a notification to a user's sockets unless they are on do-not-disturb.
+ * Held-back notifications are still stored, so they show up in the list.
+ * @param {Object} io
+ * @param {string} userId
+ * @param {Object} notification
+ * @returns {Promise<boolean>} whether it was pushed
+ */
+async function pushNotification(io, userId, notification) {
+    try {
+        if (await isDoNotDisturb(userId)) return false;
+    } catch (error) {
+        // Better an unwanted push than a lost one
+        console.error('Failed to check do-not-disturb:', error.message);
+    }
+
+    io.to(`user:${userId}`).emit('notification', notification);
+    return true;
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_TEXT_MAX_LENGTH,
+    handleConnect,
+    handleDisconnect,
+    setStatus,
+    getSnapshot,
+    pushNotification
+};
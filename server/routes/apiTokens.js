@@ -0,0 +1,127 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ApiToken } = require('../models');
+const { protect } = require('../middleware');
+const audit = require('../audit');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365;
+
+// All routes require a signed-in user (API tokens can't manage API tokens)
+router.use(protect);
+
+// @route   GET /api/tokens
+// @desc    List the current user's active API tokens
+// @access  Private
+router.get('/', async (req, res, next) => {
+    try {
+        const tokens = await ApiToken.findByUser(req.user.id);
+
+        res.json({
+            success: true,
+            count: tokens.length,
+            data: tokens.map(t => ApiToken.toPublicJSON(t)),
+            scopes: ApiToken.SCOPES
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/tokens
+// @desc    Create an API token. The token value is only returned once.
+// @access  Private
+router.post('/', [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Name is required')
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters'),
+    body('scopes')
+        .isArray({ min: 1 })
+        .withMessage('Select at least one scope'),
+    body('scopes.*')
+        .isIn(ApiToken.SCOPES)
+        .withMessage('Invalid scope'),
+    body('expiresInDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+        .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, scopes, expiresInDays } = req.body;
+
+        const token = `${ApiToken.TOKEN_PREFIX}${generateToken(32)}`;
+
+        const apiToken = await ApiToken.create({
+            userId: req.user.id,
+            name,
+            tokenHash: hashToken(token),
+            tokenPrefix: token.slice(0, ApiToken.TOKEN_PREFIX.length + 4),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresInDays
+                ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+                : null
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'api_token',
+            entityId: apiToken.id,
+            after: ApiToken.toPublicJSON(apiToken)
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...ApiToken.toPublicJSON(apiToken),
+                token
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/tokens/:id
+// @desc    Revoke an API token
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const revoked = await ApiToken.revoke(req.params.id, req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'API token not found'
+            });
+        }
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'api_token',
+            entityId: revoked.id,
+            before: ApiToken.toPublicJSON(revoked)
+        });
+
+        res.json({
+            success: true,
+            message: 'API token revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
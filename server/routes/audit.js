@@ -0,0 +1,59 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { AuditLog } = require('../models');
+const { protect, authorize } = require('../middleware');
+const audit = require('../audit');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/audit
+// @desc    Search the audit log (filters: actorId, action, entityType, entityId, projectId, from, to)
+// @access  Private/Admin
+router.get('/', [
+    query('actorId').optional().isUUID(),
+    query('action').optional().isIn(audit.ACTIONS),
+    query('entityType').optional().isIn(audit.ENTITY_TYPES),
+    query('entityId').optional().isUUID(),
+    query('projectId').optional().isUUID(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { actorId, action, entityType, entityId, projectId, from, to, page = 1, limit = 50 } = req.query;
+
+        const result = await AuditLog.find(
+            { actorId, action, entityType, entityId, projectId, from, to },
+            parseInt(page),
+            parseInt(limit)
+        );
+
+        res.json({
+            success: true,
+            count: result.entries.length,
+            total: result.total,
+            page: result.page,
+            pages: result.pages,
+            data: result.entries,
+            actions: audit.ACTIONS,
+            entityTypes: audit.ENTITY_TYPES
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
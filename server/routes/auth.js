@@ -1,26 +1,403 @@
+const crypto = require('crypto');
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const QRCode = require('qrcode');
 const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
+const { User, Session, Invitation, Project, PasswordReset, SsoTicket, RecoveryCode, LoginAttempt, Notification } = require('../models');
 const { protect } = require('../middleware');
+const { generateToken: generateRandomToken, hashToken, parseDuration } = require('../utils/tokens');
+const { getClientUrl } = require('../utils/clientUrl');
+const totp = require('../utils/totp');
+const secrets = require('../utils/secrets');
+const { parseUserAgent } = require('../utils/userAgent');
+const { isValidTimeZone, localDate } = require('../utils/calendar');
+const { AVATAR_SIZES, AVATAR_MAX_BYTES, processAvatar } = require('../utils/avatar');
+const supabaseStorage = require('../config/supabase');
+const mail = require('../mail');
+const oidc = require('../oidc');
+const achievements = require('../achievements');
+const audit = require('../audit');
+const presence = require('../presence');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Refresh tokens outlive access tokens; each refresh rotates them
+const REFRESH_TOKEN_TTL = parseDuration(process.env.REFRESH_TOKEN_EXPIRES_IN || '30d', 30 * 24 * 60 * 60 * 1000);
+const PASSWORD_RESET_TTL = parseDuration(process.env.PASSWORD_RESET_EXPIRES_IN || '1h', 60 * 60 * 1000);
+
+const OIDC_COOKIE = 'rb_oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+const SSO_TICKET_TTL_MS = 2 * 60 * 1000;
+
+// Avatar uploads are kept in memory, processed, then stored (see utils/avatar)
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_BYTES }
+}).single('avatar');
+
+const TOTP_ISSUER = 'RentBasket';
+const RECOVERY_CODE_COUNT = 10;
+
+// Generate a short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
     return jwt.sign(
-        { id: userId },
+        { id: userId, sid: sessionId },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
 };
 
+// Start a new session and issue its access/refresh token pair
+const createSession = async (req, userId) => {
+    const refreshToken = generateRandomToken();
+
+    const session = await Session.create({
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL).toISOString()
+    });
+
+    return {
+        token: generateToken(userId, session.id),
+        refreshToken,
+        session
+    };
+};
+
+// End every session of a user and drop their sockets
+const revokeAllSessions = async (req, user) => {
+    const sessions = await Session.findByUser(user.id);
+    const result = await Session.revokeAllForUser(user.id);
+    req.app.get('io').in(`user:${user.id}`).disconnectSockets(true);
+
+    for (const session of sessions) {
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'session',
+            entityId: session.id,
+            before: Session.toPublicJSON(session)
+        }, user);
+    }
+
+    return result;
+};
+
+// Short-lived token for a login that isn't finished yet: 'mfa' / 'mfa_setup' after the password step
+const generateLoginTicket = (userId, purpose, expiresIn = process.env.MFA_TOKEN_EXPIRES_IN || '5m') => {
+    return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Resolve the user behind a login ticket, or null if it is invalid/expired
+const verifyLoginTicket = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+
+    if (decoded.purpose !== purpose) return null;
+
+    const user = await User.findById(decoded.id, true);
+    return user && user.isActive ? user : null;
+};
+
+// Devices are told apart by their user agent
+const getDeviceHash = (req) => hashToken(req.get('user-agent') || 'unknown');
+
+// Record a login attempt; a logging failure must never block the login itself
+const recordLoginAttempt = async (req, { user = null, email, success, failureReason = null }) => {
+    try {
+        await LoginAttempt.create({
+            userId: user ? user.id : null,
+            email: email || user.email,
+            success,
+            failureReason,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            deviceHash: getDeviceHash(req)
+        });
+    } catch (err) {
+        console.error('Failed to record login attempt:', err.message);
+    }
+};
+
+// Count a failed password/code and lock the account once past the threshold
+const registerFailedLogin = async (req, user, failureReason) => {
+    const failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    const lockedUntil = User.calculateLockout(failedLoginAttempts);
+
+    await User.update(user.id, {
+        failedLoginAttempts,
+        lockedUntil: lockedUntil ? lockedUntil.toISOString() : null
+    });
+    await recordLoginAttempt(req, { user, success: false, failureReason });
+
+    return lockedUntil;
+};
+
+const accountLockedResponse = (res, lockedUntil) => {
+    const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+
+    return res.status(423).json({
+        success: false,
+        error: 'Too many failed sign-in attempts. Try again later or ask an admin to unlock your account.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil
+    });
+};
+
+// Tell the account owner about a sign-in from a device they haven't used before
+const notifyIfNewDevice = async (req, user) => {
+    try {
+        const { anySuccess, knownDevice } = await LoginAttempt.getDeviceHistory(user.id, getDeviceHash(req));
+
+        // The very first sign-in has nothing to compare against
+        if (!anySuccess || knownDevice) return;
+
+        const device = parseUserAgent(req.get('user-agent')).label;
+        const message = `New sign-in from ${device} (IP ${req.ip}). If this wasn't you, change your password and log out everywhere.`;
+
+        await Notification.createNotification({
+            user: user.id,
+            type: 'new_device_login',
+            title: 'New sign-in to your account',
+            message
+        });
+
+        await presence.pushNotification(req.app.get('io'), user.id, {
+            type: 'new_device_login',
+            message
+        });
+    } catch (err) {
+        console.error('Failed to send new device notification:', err.message);
+    }
+};
+
+// Update the login streak, start a session and build the login response body
+const completeLogin = async (req, user) => {
+    await notifyIfNewDevice(req, user);
+    await recordLoginAttempt(req, { user, success: true });
+
+    const streakData = User.calculateLoginStreak(user.loginStreak, user.lastLogin, user.timezone);
+    await User.update(user.id, {
+        loginStreak: streakData.loginStreak,
+        lastLogin: streakData.lastLogin,
+        failedLoginAttempts: 0,
+        lockedUntil: null
+    });
+    await achievements.recordLogin(req, user, streakData.loginStreak);
+
+    const { token, refreshToken } = await createSession(req, user.id);
+    const updatedUser = await User.findById(user.id);
+
+    return {
+        user: User.toPublicJSON(updatedUser),
+        token,
+        refreshToken
+    };
+};
+
+// Sessions are kept alive by refreshing for weeks, so the first refresh on a
+// new local day counts towards the login streak just as signing in does.
+// Failures are logged, not thrown: they must not block the refresh.
+const recordActiveDay = async (req, user) => {
+    try {
+        if (user.lastLogin && localDate(user.lastLogin, user.timezone) === localDate(new Date(), user.timezone)) return;
+
+        const streakData = User.calculateLoginStreak(user.loginStreak, user.lastLogin, user.timezone);
+        await User.update(user.id, {
+            loginStreak: streakData.loginStreak,
+            lastLogin: streakData.lastLogin
+        });
+        await achievements.recordLogin(req, user, streakData.loginStreak);
+    } catch (error) {
+        console.error('Failed to record active day:', error.message);
+    }
+};
+
+// Sign in after the password step, unless a second factor is still needed.
+// Admins without 2FA must set it up before they get a session.
+const beginLogin = async (req, user) => {
+    if (user.totpEnabled) {
+        return { mfaRequired: true, mfaToken: generateLoginTicket(user.id, 'mfa') };
+    }
+
+    if (user.role === 'admin') {
+        return { mfaSetupRequired: true, mfaToken: generateLoginTicket(user.id, 'mfa_setup') };
+    }
+
+    return completeLogin(req, user);
+};
+
+// Recovery codes look like "3f9a1-c07de"; compare them without the dash or case
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+// Issue a fresh set of recovery codes, invalidating any previous ones
+const issueRecoveryCodes = async (userId) => {
+    const codes = generateRecoveryCodes();
+    await RecoveryCode.replaceForUser(userId, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+    return codes;
+};
+
+// Create a new (not yet enabled) TOTP secret and its QR code
+const startTotpSetup = async (user) => {
+    const secret = totp.generateSecret();
+    await User.update(user.id, { totpSecret: secrets.encrypt(secret), totpEnabled: false });
+
+    const otpauthUrl = totp.keyUri(user.email, TOTP_ISSUER, secret);
+
+    return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+// Check an authenticator code, rejecting replays of an already used time step
+const verifyTotpCode = async (user, code) => {
+    if (!user.totpSecret || !code) return false;
+
+    const counter = totp.verify(secrets.decrypt(user.totpSecret), code, {
+        lastCounter: user.totpLastCounter
+    });
+
+    if (counter === null) return false;
+
+    await User.update(user.id, { totpLastCounter: counter });
+    return true;
+};
+
+// Accept either an authenticator code or an unused recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        return RecoveryCode.consume(user.id, hashToken(normalizeRecoveryCode(recoveryCode)));
+    }
+    return verifyTotpCode(user, code);
+};
+
+// Turn on 2FA once the user proved their authenticator works
+const enableTotp = async (req, user, code) => {
+    if (!(await verifyTotpCode(user, code))) return null;
+
+    await User.update(user.id, { totpEnabled: true });
+    await audit.record(req, {
+        action: 'update',
+        entityType: 'user',
+        entityId: user.id,
+        before: { totpEnabled: false },
+        after: { totpEnabled: true }
+    }, user);
+
+    return issueRecoveryCodes(user.id);
+};
+
+const invalidCodeResponse = (res) => res.status(401).json({
+    success: false,
+    error: 'Invalid verification code',
+    code: 'INVALID_MFA_CODE'
+});
+
+const invalidMfaTokenResponse = (res) => res.status(401).json({
+    success: false,
+    error: 'Your sign-in attempt has expired. Please sign in again.',
+    code: 'INVALID_MFA_TOKEN'
+});
+
+// Callback URL registered with the identity provider
+const getOidcRedirectUri = (req) => {
+    return oidc.getConfig().redirectUri || `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+};
+
+const readCookie = (req, name) => {
+    const cookies = (req.headers.cookie || '').split(';').map(c => c.trim().split('='));
+    const match = cookies.find(([key]) => key === name);
+    return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+};
+
+// SSO errors are shown on the login page
+const redirectWithSsoError = (res, message) => {
+    res.redirect(`${getClientUrl()}/login?sso_error=${encodeURIComponent(message)}`);
+};
+
+/**
+ * Find, link or provision the local account for an IdP identity.
+ * Accounts are matched by (issuer, subject) first, then linked by verified email.
+ * @returns {Promise<{user?: Object, error?: string}>}
+ */
+const resolveOidcUser = async (identity) => {
+    const role = oidc.mapGroupsToRole(identity.groups);
+    if (!role) {
+        return { error: 'Your account is not in a group that has access to RentBasket' };
+    }
+
+    let user = await User.findByOidcIdentity(identity.issuer, identity.subject);
+
+    if (!user) {
+        if (!identity.email) {
+            return { error: 'Your identity provider did not share an email address' };
+        }
+
+        const existing = await User.findOne({ email: identity.email }, true);
+
+        if (existing) {
+            if (!identity.emailVerified) {
+                return { error: 'Your email address is not verified with your identity provider' };
+            }
+            if (existing.oidcSubject) {
+                return { error: 'This account is already linked to a different SSO identity' };
+            }
+
+            user = await User.update(existing.id, {
+                oidcIssuer: identity.issuer,
+                oidcSubject: identity.subject
+            });
+        } else {
+            // Just-in-time provisioning; the random password is never shown to anyone
+            user = await User.create({
+                email: identity.email,
+                password: generateRandomToken(),
+                name: (identity.name || identity.email.split('@')[0]).slice(0, 100),
+                role,
+                oidcIssuer: identity.issuer,
+                oidcSubject: identity.subject
+            });
+            return { user };
+        }
+    }
+
+    // With a group mapping in place the IdP is the source of truth for roles
+    if (oidc.hasGroupMapping() && user.role !== role) {
+        user = await User.update(user.id, { role });
+    }
+
+    return { user };
+};
+
 // Validation middleware
 const validateLogin = [
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
     body('password').notEmpty().withMessage('Password is required')
 ];
 
+// IANA timezone name, e.g. 'Europe/Berlin'; login streaks count days in it
+const validateTimezone = body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Unknown timezone');
+
 const validateRegister = [
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
     body('password')
@@ -31,12 +408,13 @@ const validateRegister = [
         .notEmpty()
         .withMessage('Name is required')
         .isLength({ max: 100 })
-        .withMessage('Name cannot exceed 100 characters')
+        .withMessage('Name cannot exceed 100 characters'),
+    validateTimezone
 ];
 
 // @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Public (for first user) or Admin only
+// @desc    Register the first (admin) user; everyone else joins by invitation
+// @access  Public (only while no users exist)
 router.post('/register', validateRegister, async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -47,21 +425,18 @@ router.post('/register', validateRegister, async (req, res, next) => {
             });
         }
 
-        const { email, password, name, role } = req.body;
+        const { email, password, name, timezone } = req.body;
 
-        // Check if user already exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({
+        // Open registration only bootstraps the first account
+        const userCount = await User.countDocuments();
+        if (userCount > 0) {
+            return res.status(403).json({
                 success: false,
-                error: 'User with this email already exists'
+                error: 'Registration is by invitation only',
+                code: 'INVITATION_REQUIRED'
             });
         }
 
-        // Check if this is the first user (make them admin)
-        const userCount = await User.countDocuments();
-        const isFirstUser = userCount === 0;
-
         // Calculate login streak
         const streakData = User.calculateLoginStreak(0, null);
 
@@ -70,20 +445,165 @@ router.post('/register', validateRegister, async (req, res, next) => {
             email,
             password,
             name,
-            role: isFirstUser ? 'admin' : (role || 'editor'),
+            role: 'admin',
+            timezone,
             loginStreak: streakData.loginStreak,
             lastLogin: streakData.lastLogin
         });
 
-        // Generate token
-        const token = generateToken(user.id);
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'user',
+            entityId: user.id,
+            after: User.toPublicJSON(user)
+        }, user);
 
         res.status(201).json({
+            success: true,
+            data: await beginLogin(req, user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/auth/invitations/:token
+// @desc    Look up an invitation before accepting it
+// @access  Public (requires invitation token)
+router.get('/invitations/:token', async (req, res, next) => {
+    try {
+        const invitation = await Invitation.findByTokenHash(hashToken(req.params.token));
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invitation not found'
+            });
+        }
+
+        if (invitation.status !== 'pending') {
+            return res.status(410).json({
+                success: false,
+                error: `This invitation has ${invitation.status === 'expired' ? 'expired' : 'already been used or revoked'}`,
+                code: 'INVITATION_UNAVAILABLE'
+            });
+        }
+
+        res.json({
             success: true,
             data: {
-                user: User.toPublicJSON(user),
-                token
+                email: invitation.email,
+                role: invitation.role,
+                invitedBy: invitation.invitedBy?.name,
+                expiresAt: invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Create an account from an invitation and sign in
+// @access  Public (requires invitation token)
+router.post('/accept-invite', [
+    body('token').notEmpty().withMessage('Invitation token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters'),
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Name is required')
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters'),
+    validateTimezone
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { token, password, name, timezone } = req.body;
+
+        const invitation = await Invitation.findByTokenHash(hashToken(token));
+
+        if (!invitation || invitation.status !== 'pending') {
+            return res.status(410).json({
+                success: false,
+                error: 'This invitation is no longer valid',
+                code: 'INVITATION_UNAVAILABLE'
+            });
+        }
+
+        const existingUser = await User.findOne({ email: invitation.email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                error: 'User with this email already exists'
+            });
+        }
+
+        // Claim the invitation before creating the account, so two requests
+        // racing with the same token can't both get one
+        if (!await Invitation.markAccepted(invitation.id)) {
+            return res.status(409).json({
+                success: false,
+                error: 'This invitation has already been used',
+                code: 'INVITATION_UNAVAILABLE'
+            });
+        }
+
+        const streakData = User.calculateLoginStreak(0, null);
+
+        let user;
+        try {
+            user = await User.create({
+                email: invitation.email,
+                password,
+                name,
+                role: invitation.role,
+                timezone,
+                loginStreak: streakData.loginStreak,
+                lastLogin: streakData.lastLogin
+            });
+        } catch (error) {
+            await Invitation.releaseAcceptance(invitation.id);
+            throw error;
+        }
+
+        await Invitation.setAcceptedUser(invitation.id, user.id);
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'user',
+            entityId: user.id,
+            after: { ...User.toPublicJSON(user), invitationId: invitation.id }
+        }, user);
+
+        // Add memberships for projects that still exist (guests join as guests)
+        const memberRole = user.role === 'guest' ? 'guest' : 'member';
+        for (const projectId of invitation.projectIds) {
+            const project = await Project.findById(projectId);
+            if (project && !project.isMember(user.id)) {
+                await Project.addMember(projectId, user.id, memberRole);
+                await audit.record(req, {
+                    action: 'create',
+                    entityType: 'project_member',
+                    entityId: user.id,
+                    projectId,
+                    after: { userId: user.id, role: memberRole, invitationId: invitation.id }
+                }, user);
             }
+        }
+
+        res.status(201).json({
+            success: true,
+            data: await beginLogin(req, user)
         });
     } catch (error) {
         next(error);
@@ -109,6 +629,7 @@ router.post('/login', validateLogin, async (req, res, next) => {
         const user = await User.findOne({ email }, true); // true = include password
 
         if (!user) {
+            await recordLoginAttempt(req, { email, success: false, failureReason: 'unknown_user' });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -116,69 +637,92 @@ router.post('/login', validateLogin, async (req, res, next) => {
         }
 
         if (!user.isActive) {
+            await recordLoginAttempt(req, { user, success: false, failureReason: 'deactivated' });
             return res.status(401).json({
                 success: false,
                 error: 'Account is deactivated'
             });
         }
 
+        // Checked before the password so a locked account can't be probed
+        if (User.isLocked(user)) {
+            await recordLoginAttempt(req, { user, success: false, failureReason: 'locked' });
+            return accountLockedResponse(res, user.lockedUntil);
+        }
+
         // Check password
         const isMatch = await User.comparePassword(password, user.password);
 
         if (!isMatch) {
+            const lockedUntil = await registerFailedLogin(req, user, 'invalid_password');
+            if (lockedUntil) {
+                return accountLockedResponse(res, lockedUntil);
+            }
+
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
-        // Update login streak
-        const streakData = User.calculateLoginStreak(user.loginStreak, user.lastLogin);
-        await User.update(user.id, {
-            loginStreak: streakData.loginStreak,
-            lastLogin: streakData.lastLogin
-        });
-
-        // Generate token
-        const token = generateToken(user.id);
-
-        // Get updated user
-        const updatedUser = await User.findById(user.id);
-
         res.json({
             success: true,
-            data: {
-                user: User.toPublicJSON(updatedUser),
-                token
-            }
+            data: await beginLogin(req, user)
         });
     } catch (error) {
         next(error);
     }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
-// @access  Private
-router.get('/me', protect, async (req, res, next) => {
+// @route   POST /api/auth/login/2fa
+// @desc    Finish signing in with an authenticator or recovery code
+// @access  Public (requires MFA token from /login)
+router.post('/login/2fa', [
+    body('mfaToken').notEmpty().withMessage('MFA token is required'),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString()
+], async (req, res, next) => {
     try {
-        const user = await User.findById(req.user.id);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await verifyLoginTicket(req.body.mfaToken, 'mfa');
+        if (!user || !user.totpEnabled) {
+            return invalidMfaTokenResponse(res);
+        }
+
+        if (User.isLocked(user)) {
+            await recordLoginAttempt(req, { user, success: false, failureReason: 'locked' });
+            return accountLockedResponse(res, user.lockedUntil);
+        }
+
+        if (!(await verifySecondFactor(user, req.body))) {
+            const lockedUntil = await registerFailedLogin(req, user, 'invalid_mfa_code');
+            if (lockedUntil) {
+                return accountLockedResponse(res, lockedUntil);
+            }
+            return invalidCodeResponse(res);
+        }
 
         res.json({
             success: true,
-            data: User.toPublicJSON(user)
+            data: await completeLogin(req, user)
         });
     } catch (error) {
         next(error);
     }
 });
 
-// @route   PUT /api/auth/update-profile
-// @desc    Update user profile
-// @access  Private
-router.put('/update-profile', protect, [
-    body('name').optional().trim().isLength({ max: 100 }),
-    body('email').optional().isEmail().normalizeEmail()
+// @route   POST /api/auth/login/2fa/setup
+// @desc    Start the mandatory 2FA setup during sign-in
+// @access  Public (requires MFA setup token from /login)
+router.post('/login/2fa/setup', [
+    body('mfaToken').notEmpty().withMessage('MFA token is required')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -189,38 +733,26 @@ router.put('/update-profile', protect, [
             });
         }
 
-        const { name, email } = req.body;
-        const updates = {};
-
-        if (name) updates.name = name;
-        if (email && email !== req.user.email) {
-            const existingUser = await User.findOne({ email });
-            if (existingUser) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Email already in use'
-                });
-            }
-            updates.email = email;
+        const user = await verifyLoginTicket(req.body.mfaToken, 'mfa_setup');
+        if (!user || user.totpEnabled) {
+            return invalidMfaTokenResponse(res);
         }
 
-        const user = await User.update(req.user.id, updates);
-
         res.json({
             success: true,
-            data: User.toPublicJSON(user)
+            data: await startTotpSetup(user)
         });
     } catch (error) {
         next(error);
     }
 });
 
-// @route   PUT /api/auth/change-password
-// @desc    Change password
-// @access  Private
-router.put('/change-password', protect, [
-    body('currentPassword').notEmpty().withMessage('Current password is required'),
-    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+// @route   POST /api/auth/login/2fa/enable
+// @desc    Confirm the mandatory 2FA setup and sign in
+// @access  Public (requires MFA setup token from /login)
+router.post('/login/2fa/enable', [
+    body('mfaToken').notEmpty().withMessage('MFA token is required'),
+    body('code').notEmpty().withMessage('Verification code is required')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -231,9 +763,607 @@ router.put('/change-password', protect, [
             });
         }
 
-        const { currentPassword, newPassword } = req.body;
+        const user = await verifyLoginTicket(req.body.mfaToken, 'mfa_setup');
+        if (!user || user.totpEnabled) {
+            return invalidMfaTokenResponse(res);
+        }
 
-        const user = await User.findOne({ email: req.user.email }, true); // true = include password
+        const recoveryCodes = await enableTotp(req, user, req.body.code);
+        if (!recoveryCodes) {
+            return invalidCodeResponse(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...(await completeLogin(req, user)),
+                recoveryCodes
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/auth/oidc/config
+// @desc    Whether SSO is available, and what to call it
+// @access  Public
+router.get('/oidc/config', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            enabled: oidc.isConfigured(),
+            providerName: oidc.getConfig().providerName
+        }
+    });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start an SSO login (redirects to the identity provider)
+// @access  Public
+router.get('/oidc/login', async (req, res, next) => {
+    try {
+        if (!oidc.isConfigured()) {
+            return res.status(404).json({
+                success: false,
+                error: 'SSO is not configured'
+            });
+        }
+
+        const loginRequest = oidc.createLoginRequest();
+        const authorizationUrl = await oidc.getAuthorizationUrl(loginRequest, getOidcRedirectUri(req));
+
+        // state/nonce/verifier travel in a signed, httpOnly cookie bound to this browser
+        const { state, nonce, codeVerifier } = loginRequest;
+        const cookieValue = jwt.sign(
+            { purpose: 'oidc_login', state, nonce, codeVerifier },
+            process.env.JWT_SECRET,
+            { expiresIn: Math.floor(OIDC_LOGIN_TTL_MS / 1000) }
+        );
+
+        res.cookie(OIDC_COOKIE, cookieValue, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'lax',
+            path: OIDC_COOKIE_PATH,
+            maxAge: OIDC_LOGIN_TTL_MS
+        });
+
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Identity provider redirects here with an authorization code
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+    const cookieValue = readCookie(req, OIDC_COOKIE);
+    res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+
+    try {
+        if (req.query.error) {
+            return redirectWithSsoError(res, req.query.error_description || 'Sign-in was cancelled');
+        }
+
+        let loginRequest;
+        try {
+            loginRequest = jwt.verify(cookieValue || '', process.env.JWT_SECRET);
+        } catch (err) {
+            return redirectWithSsoError(res, 'Your sign-in attempt expired. Please try again.');
+        }
+
+        if (loginRequest.purpose !== 'oidc_login' || !req.query.state || req.query.state !== loginRequest.state) {
+            return redirectWithSsoError(res, 'Invalid sign-in state. Please try again.');
+        }
+
+        const identity = await oidc.exchangeCode({
+            code: req.query.code,
+            codeVerifier: loginRequest.codeVerifier,
+            nonce: loginRequest.nonce
+        }, getOidcRedirectUri(req));
+
+        const { user, error } = await resolveOidcUser(identity);
+        if (error) {
+            return redirectWithSsoError(res, error);
+        }
+
+        if (!user.isActive) {
+            return redirectWithSsoError(res, 'Account is deactivated');
+        }
+
+        // Hand the login over to the client, which redeems the ticket at /oidc/exchange
+        const ticket = generateRandomToken();
+        await SsoTicket.create({
+            userId: user.id,
+            tokenHash: hashToken(ticket),
+            expiresAt: new Date(Date.now() + SSO_TICKET_TTL_MS).toISOString()
+        });
+        res.redirect(`${getClientUrl()}/sso/callback#ticket=${encodeURIComponent(ticket)}`);
+    } catch (error) {
+        console.error('SSO callback failed:', error.message);
+        redirectWithSsoError(res, 'Single sign-on failed. Please try again.');
+    }
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Redeem the ticket from the SSO callback for a session
+// @access  Public (requires SSO ticket)
+router.post('/oidc/exchange', [
+    body('ticket').notEmpty().withMessage('SSO ticket is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        // Redeeming uses the ticket up, so a leaked or replayed one is worthless
+        const userId = await SsoTicket.redeem(hashToken(req.body.ticket));
+        const user = userId ? await User.findById(userId, true) : null;
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                error: 'Your sign-in attempt has expired. Please sign in again.',
+                code: 'INVALID_SSO_TICKET'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await beginLogin(req, user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires refresh token)
+router.post('/refresh', [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const tokenHash = hashToken(req.body.refreshToken);
+        const session = await Session.findByRefreshHash(tokenHash);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token',
+                code: 'INVALID_REFRESH_TOKEN'
+            });
+        }
+
+        // A rotated-out token being replayed means it leaked: kill the session
+        if (session.refreshTokenHash !== tokenHash) {
+            await Session.revoke(session.id);
+            req.app.get('io').in(`session:${session.id}`).disconnectSockets(true);
+
+            return res.status(401).json({
+                success: false,
+                error: 'Refresh token has already been used',
+                code: 'SESSION_REVOKED'
+            });
+        }
+
+        if (!Session.isActive(session)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session has expired or been revoked',
+                code: 'SESSION_REVOKED'
+            });
+        }
+
+        const user = await User.findById(session.user);
+
+        if (!user || !user.isActive) {
+            await Session.revoke(session.id);
+            return res.status(401).json({
+                success: false,
+                error: 'Account is deactivated',
+                code: 'ACCOUNT_DEACTIVATED'
+            });
+        }
+
+        const refreshToken = generateRandomToken();
+        const rotated = await Session.rotate(
+            session.id,
+            tokenHash,
+            hashToken(refreshToken),
+            new Date(Date.now() + REFRESH_TOKEN_TTL).toISOString()
+        );
+
+        if (!rotated) {
+            return res.status(401).json({
+                success: false,
+                error: 'Refresh token has already been used',
+                code: 'INVALID_REFRESH_TOKEN'
+            });
+        }
+
+        await recordActiveDay(req, user);
+
+        res.json({
+            success: true,
+            data: {
+                token: generateToken(user.id, session.id),
+                refreshToken
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res, next) => {
+    try {
+        await Session.revoke(req.session.id);
+
+        const io = req.app.get('io');
+        io.in(`session:${req.session.id}`).disconnectSockets(true);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'session',
+            entityId: req.session.id,
+            before: Session.toPublicJSON(req.session)
+        });
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user ("log out everywhere")
+// @access  Private
+router.post('/logout-all', protect, async (req, res, next) => {
+    try {
+        const result = await revokeAllSessions(req, req.user);
+
+        res.json({
+            success: true,
+            message: 'Logged out of all sessions',
+            revokedCount: result.revokedCount
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Devices the current user is signed in on
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+    try {
+        const sessions = await Session.findByUser(req.user.id);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(s => Session.toPublicJSON(s, req.session.id))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's other devices
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session || session.user !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        if (session.id === req.session.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Use log out to end the current session'
+            });
+        }
+
+        await Session.revoke(session.id);
+        req.app.get('io').in(`session:${session.id}`).disconnectSockets(true);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'session',
+            entityId: session.id,
+            before: Session.toPublicJSON(session)
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', protect, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        res.json({
+            success: true,
+            data: User.toPublicJSON(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/auth/achievements
+// @desc    Login streak, recent daily activity and achievement progress
+// @access  Private
+router.get('/achievements', protect, async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: await achievements.getSummary(req.user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/auth/status
+// @desc    Set your status (available, busy, away, dnd) with optional text and expiry
+// @access  Private
+router.put('/status', protect, [
+    body('status').isIn(presence.STATUSES).withMessage(`Status must be one of: ${presence.STATUSES.join(', ')}`),
+    body('statusText').optional({ nullable: true }).isString().trim()
+        .isLength({ max: presence.STATUS_TEXT_MAX_LENGTH }).withMessage(`Status text can be at most ${presence.STATUS_TEXT_MAX_LENGTH} characters`),
+    body('statusExpiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a date')
+        .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { status, statusText, statusExpiresAt } = req.body;
+        const current = await presence.setStatus(req.app.get('io'), req.user.id, {
+            status,
+            statusText,
+            statusExpiresAt
+        });
+
+        res.json({
+            success: true,
+            data: current
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/auth/update-profile
+// @desc    Update user profile
+// @access  Private
+router.put('/update-profile', protect, [
+    body('name').optional().trim().isLength({ max: 100 }),
+    body('email').optional().isEmail().normalizeEmail(),
+    validateTimezone
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, email, timezone } = req.body;
+        const updates = {};
+
+        if (name) updates.name = name;
+        if (timezone) updates.timezone = timezone;
+        if (email && email !== req.user.email) {
+            const existingUser = await User.findOne({ email });
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Email already in use'
+                });
+            }
+            updates.email = email;
+        }
+
+        const user = await User.update(req.user.id, updates);
+
+        if (updates.email) {
+            await audit.record(req, {
+                action: 'update',
+                entityType: 'user',
+                entityId: user.id,
+                before: { email: req.user.email },
+                after: { email: user.email }
+            });
+        }
+
+        // Days begin and end at other times now, so recount the streak by them
+        if (updates.timezone && updates.timezone !== req.user.timezone) {
+            user.loginStreak = await achievements.rebuildLoginStreak(user);
+        }
+
+        res.json({
+            success: true,
+            data: User.toPublicJSON(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Storage paths of every size of a stored avatar
+const avatarFilePaths = (avatarPath) => Object.values(AVATAR_SIZES).map(px => `${avatarPath}/${px}.webp`);
+
+// Remove a previous avatar's files; failures are logged, the new avatar is already saved
+const deleteAvatarFiles = async (avatarPath) => {
+    if (!avatarPath) return;
+
+    for (const filePath of avatarFilePaths(avatarPath)) {
+        try {
+            await supabaseStorage.deleteFile(filePath);
+        } catch (err) {
+            console.error('Failed to delete old avatar file:', err.message);
+        }
+    }
+};
+
+// @route   PUT /api/auth/avatar
+// @desc    Upload a profile picture (multipart field "avatar"); stored square in several sizes
+// @access  Private
+router.put('/avatar', protect, (req, res, next) => {
+    avatarUpload(req, res, (err) => {
+        if (!err) return next();
+
+        res.status(400).json({
+            success: false,
+            error: err.code === 'LIMIT_FILE_SIZE'
+                ? `Avatar must be ${AVATAR_MAX_BYTES / (1024 * 1024)}MB or smaller`
+                : err.message,
+            code: 'INVALID_IMAGE'
+        });
+    });
+}, async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No image uploaded',
+                code: 'INVALID_IMAGE'
+            });
+        }
+
+        if (!supabaseStorage.isConfigured()) {
+            return res.status(500).json({
+                success: false,
+                error: 'File storage is not configured. Please configure Supabase.'
+            });
+        }
+
+        let images;
+        try {
+            images = await processAvatar(req.file.buffer);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                error: err.message,
+                code: 'INVALID_IMAGE'
+            });
+        }
+
+        // A new folder per upload, so cached copies of the old picture never linger
+        const avatarPath = `avatars/${req.user.id}/${Date.now()}`;
+        const avatarSizes = {};
+
+        for (const [name, buffer] of Object.entries(images)) {
+            const uploadResult = await supabaseStorage.uploadFile(
+                buffer,
+                `${AVATAR_SIZES[name]}.webp`,
+                'image/webp',
+                avatarPath
+            );
+            avatarSizes[name] = uploadResult.url;
+        }
+
+        const user = await User.update(req.user.id, {
+            avatar: avatarSizes.large,
+            avatarSizes,
+            avatarPath
+        });
+
+        await deleteAvatarFiles(req.user.avatarPath);
+
+        res.json({
+            success: true,
+            data: User.toPublicJSON(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/auth/avatar
+// @desc    Remove the profile picture
+// @access  Private
+router.delete('/avatar', protect, async (req, res, next) => {
+    try {
+        const user = await User.update(req.user.id, {
+            avatar: null,
+            avatarSizes: null,
+            avatarPath: null
+        });
+
+        await deleteAvatarFiles(req.user.avatarPath);
+
+        res.json({
+            success: true,
+            data: User.toPublicJSON(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password
+// @access  Private
+router.put('/change-password', protect, [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findOne({ email: req.user.email }, true); // true = include password
 
         const isMatch = await User.comparePassword(currentPassword, user.password);
         if (!isMatch) {
@@ -245,6 +1375,13 @@ router.put('/change-password', protect, [
 
         await User.update(user.id, { password: newPassword });
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            after: { passwordChanged: true }
+        });
+
         res.json({
             success: true,
             message: 'Password updated successfully'
@@ -254,4 +1391,294 @@ router.put('/change-password', protect, [
     }
 });
 
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', protect, async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                enabled: req.user.totpEnabled,
+                required: req.user.role === 'admin',
+                recoveryCodesRemaining: req.user.totpEnabled
+                    ? await RecoveryCode.countRemaining(req.user.id)
+                    : 0
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate a new authenticator secret and QR code
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res, next) => {
+    try {
+        if (req.user.totpEnabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await startTotpSetup(req.user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm the authenticator code and turn on 2FA
+// @access  Private
+router.post('/2fa/enable', protect, [
+    body('code').notEmpty().withMessage('Verification code is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id, true);
+
+        if (user.totpEnabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const recoveryCodes = await enableTotp(req, user, req.body.code);
+        if (!recoveryCodes) {
+            return invalidCodeResponse(res);
+        }
+
+        res.json({
+            success: true,
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (not allowed for admins)
+// @access  Private
+router.post('/2fa/disable', protect, [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Verification code is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (req.user.role === 'admin') {
+            return res.status(403).json({
+                success: false,
+                error: 'Two-factor authentication is required for admins'
+            });
+        }
+
+        const user = await User.findById(req.user.id, true);
+
+        if (!user.totpEnabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const isMatch = await User.comparePassword(req.body.password, user.password);
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                error: 'Password is incorrect'
+            });
+        }
+
+        if (!(await verifyTotpCode(user, req.body.code))) {
+            return invalidCodeResponse(res);
+        }
+
+        await User.update(user.id, { totpEnabled: false, totpSecret: null, totpLastCounter: null });
+        await RecoveryCode.deleteForUser(user.id);
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            before: { totpEnabled: true },
+            after: { totpEnabled: false }
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+    body('code').notEmpty().withMessage('Verification code is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id, true);
+
+        if (!user.totpEnabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await verifyTotpCode(user, req.body.code))) {
+            return invalidCodeResponse(res);
+        }
+
+        res.json({
+            success: true,
+            data: { recoveryCodes: await issueRecoveryCodes(user.id) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email });
+
+        // Same response whether or not the account exists
+        if (user && user.isActive) {
+            const token = generateRandomToken();
+
+            await PasswordReset.create({
+                userId: user.id,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL).toISOString(),
+                requestedIp: req.ip
+            });
+
+            try {
+                await mail.sendTemplate(user.email, 'passwordReset', {
+                    name: user.name,
+                    resetUrl: `${getClientUrl()}/reset-password?token=${token}`,
+                    expiresInMinutes: Math.round(PASSWORD_RESET_TTL / 60000)
+                });
+            } catch (err) {
+                console.error('Failed to send password reset email:', err.message);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public (requires reset token)
+router.post('/reset-password', [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        const reset = await PasswordReset.findByTokenHash(hashToken(token));
+
+        if (!PasswordReset.isValid(reset) || !(await PasswordReset.markUsed(reset.id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'This reset link is invalid or has expired',
+                code: 'INVALID_RESET_TOKEN'
+            });
+        }
+
+        const user = await User.findById(reset.user);
+
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'This reset link is invalid or has expired',
+                code: 'INVALID_RESET_TOKEN'
+            });
+        }
+
+        // Whoever proved they own the email is no longer locked out of the account
+        await User.update(user.id, { password, failedLoginAttempts: 0, lockedUntil: null });
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            after: { passwordReset: true }
+        }, user);
+
+        // A reset means the old password may be compromised: end every session
+        await revokeAllSessions(req, user);
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please sign in with your new password.'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ProjectCategory } = require('../models');
+const { protect } = require('../middleware');
+const { SLUG_MAX_LENGTH, SLUG_PATTERN, COLOR_PATTERN, ICON_PATTERN, slugify } = require('../utils/categories');
+const policy = require('../policy');
+const audit = require('../audit');
+
+const router = express.Router();
+
+// Fields shared by creating and updating a category
+const validateCategory = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name').trim().notEmpty().withMessage('Category name is required').isLength({ max: 60 }),
+        body('color').optional().matches(COLOR_PATTERN).withMessage('Color must be a hex color like #22c55e'),
+        body('icon').optional().isLength({ max: 40 }).matches(ICON_PATTERN).withMessage('Invalid icon name'),
+        body('sortOrder').optional().isInt({ min: 0, max: 10000 }).toInt()
+    ];
+};
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/categories
+// @desc    List project categories in display order
+// @access  Private
+router.get('/', async (req, res, next) => {
+    try {
+        const categories = await ProjectCategory.find();
+
+        res.json({
+            success: true,
+            count: categories.length,
+            data: categories
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/categories
+// @desc    Create a project category (the slug is taken from the name unless given)
+// @access  Private/Admin
+router.post('/', policy.permit('project:manage_categories'), [
+    ...validateCategory(false),
+    body('slug').optional().trim().isLength({ max: SLUG_MAX_LENGTH }).matches(SLUG_PATTERN)
+        .withMessage('Slug may only contain lowercase letters, digits and dashes')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, color, icon, sortOrder } = req.body;
+        const slug = req.body.slug || slugify(name);
+
+        if (!slug) {
+            return res.status(400).json({
+                success: false,
+                error: 'Category name needs at least one letter or digit'
+            });
+        }
+
+        if (await ProjectCategory.findBySlug(slug)) {
+            return res.status(409).json({
+                success: false,
+                error: `A category with the slug "${slug}" already exists`,
+                code: 'CATEGORY_EXISTS'
+            });
+        }
+
+        // New categories go last unless placed explicitly
+        const categories = await ProjectCategory.find();
+        const category = await ProjectCategory.create({
+            slug,
+            name,
+            color,
+            icon,
+            sortOrder: sortOrder ?? categories.reduce((max, c) => Math.max(max, c.sortOrder + 1), 0)
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'project_category',
+            entityId: category.id,
+            after: category
+        });
+
+        res.status(201).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category's name, color, icon or position (the slug is fixed)
+// @access  Private/Admin
+router.put('/:id', policy.permit('project:manage_categories'), validateCategory(true), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const category = await ProjectCategory.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: 'Category not found'
+            });
+        }
+
+        const { name, color, icon, sortOrder } = req.body;
+        const updatedCategory = await ProjectCategory.update(category.id, { name, color, icon, sortOrder });
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project_category',
+            entityId: category.id,
+            before: category,
+            after: updatedCategory
+        });
+
+        res.json({
+            success: true,
+            data: updatedCategory
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category no project or template uses
+// @access  Private/Admin
+router.delete('/:id', policy.permit('project:manage_categories'), async (req, res, next) => {
+    try {
+        const category = await ProjectCategory.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: 'Category not found'
+            });
+        }
+
+        const usage = await ProjectCategory.countUsage(category.slug);
+
+        if (usage.projects > 0 || usage.templates > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'This category is still used. Move its projects and templates to another category first.',
+                code: 'CATEGORY_IN_USE',
+                data: usage
+            });
+        }
+
+        await ProjectCategory.delete(category.id);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'project_category',
+            entityId: category.id,
+            before: category
+        });
+
+        res.json({
+            success: true,
+            message: 'Category deleted'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -4,10 +4,27 @@ const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const { File, Project } = require('../models');
 const { protect } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
 const supabaseStorage = require('../config/supabase');
+const { normalizeFolder } = require('../utils/folders');
 
 const router = express.Router();
 
+/**
+ * Resolve a requested folder against the project's folder structure
+ * @returns {{folder?: string|null, error?: string}} folder is null for the project root
+ */
+const resolveFolder = (project, requested) => {
+    if (!requested) return { folder: null };
+
+    const folder = normalizeFolder(requested);
+    if (!folder || !project.folders.includes(folder)) {
+        return { error: `Folder '${requested}' does not exist in this project` };
+    }
+    return { folder };
+};
+
 // Multer config for memory storage (for Supabase upload)
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -33,12 +50,8 @@ router.get('/project/:projectId', async (req, res, next) => {
             });
         }
 
-        // Check membership for non-admin
-        if (req.user.role !== 'admin' && !project.isMember(req.user.id)) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to view files in this project'
-            });
+        if (!policy.can(req.user, 'file:read', { project })) {
+            return policy.forbidden(res, 'file:read');
         }
 
         const files = await File.getProjectFiles(req.params.projectId);
@@ -67,6 +80,11 @@ router.get('/:id', async (req, res, next) => {
             });
         }
 
+        const project = await Project.findById(file.project);
+        if (!policy.can(req.user, 'file:read', { project, resource: file })) {
+            return policy.forbidden(res, 'file:read');
+        }
+
         // If it's a Supabase file, get a signed URL
         if (file.storageType === 'supabase' && file.storagePath) {
             try {
@@ -98,7 +116,7 @@ router.post('/', upload.single('file'), async (req, res, next) => {
             });
         }
 
-        const { projectId, description } = req.body;
+        const { projectId, description, folder: requestedFolder } = req.body;
 
         if (!projectId) {
             return res.status(400).json({
@@ -116,6 +134,18 @@ router.post('/', upload.single('file'), async (req, res, next) => {
             });
         }
 
+        if (!policy.can(req.user, 'file:upload', { project })) {
+            return policy.forbidden(res, 'file:upload', project);
+        }
+
+        const { folder, error: folderError } = resolveFolder(project, requestedFolder);
+        if (folderError) {
+            return res.status(400).json({
+                success: false,
+                error: folderError
+            });
+        }
+
         let fileData;
 
         // Use Supabase storage if configured
@@ -132,6 +162,7 @@ router.post('/', upload.single('file'), async (req, res, next) => {
                 name: uniqueName,
                 originalName: req.file.originalname,
                 description: description || '',
+                folder,
                 url: uploadResult.url,
                 storagePath: uploadResult.path,
                 storageType: 'supabase',
@@ -150,6 +181,14 @@ router.post('/', upload.single('file'), async (req, res, next) => {
 
         const file = await File.create(fileData);
 
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'file',
+            entityId: file.id,
+            projectId,
+            after: file
+        });
+
         // Emit socket event
         const io = req.app.get('io');
         io.to(`project:${projectId}`).emit('file_uploaded', file);
@@ -168,7 +207,8 @@ router.post('/', upload.single('file'), async (req, res, next) => {
 // @access  Private
 router.put('/:id', [
     body('originalName').optional().trim(),
-    body('description').optional().trim()
+    body('description').optional().trim(),
+    body('folder').optional({ nullable: true }).isString()
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -188,23 +228,39 @@ router.put('/:id', [
             });
         }
 
-        // Only uploader or admin can edit
-        const uploaderId = file.uploadedBy?.id || file.uploadedBy?._id;
-        if (uploaderId !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to edit this file'
-            });
+        // Uploader, project owner or admin
+        const project = await Project.findById(file.project);
+        if (!policy.can(req.user, 'file:update', { project, resource: file })) {
+            return policy.forbidden(res, 'file:update', project);
         }
 
-        const { originalName, description } = req.body;
+        const { originalName, description, folder: requestedFolder } = req.body;
         const updates = {};
 
         if (originalName) updates.originalName = originalName;
         if (description !== undefined) updates.description = description;
+        if (requestedFolder !== undefined) {
+            const { folder, error: folderError } = resolveFolder(project, requestedFolder);
+            if (folderError) {
+                return res.status(400).json({
+                    success: false,
+                    error: folderError
+                });
+            }
+            updates.folder = folder;
+        }
 
         const updatedFile = await File.update(req.params.id, updates);
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'file',
+            entityId: file.id,
+            projectId: file.project,
+            before: file,
+            after: updatedFile
+        });
+
         res.json({
             success: true,
             data: updatedFile
@@ -228,17 +284,15 @@ router.delete('/:id', async (req, res, next) => {
             });
         }
 
-        // Only uploader or admin can delete
-        const uploaderId = file.uploadedBy?.id || file.uploadedBy?._id;
-        if (uploaderId !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to delete this file'
-            });
+        // Uploader, project owner or admin
+        const project = await Project.findById(file.project);
+        if (!policy.can(req.user, 'file:delete', { project, resource: file })) {
+            return policy.forbidden(res, 'file:delete', project);
         }
 
-        // Delete from Supabase storage if applicable
-        if (file.storageType === 'supabase' && file.storagePath) {
+        // Delete from Supabase storage if applicable, unless a duplicated project still uses it
+        if (file.storageType === 'supabase' && file.storagePath
+            && await File.countByStoragePath(file.storagePath) <= 1) {
             try {
                 await supabaseStorage.deleteFile(file.storagePath);
             } catch (err) {
@@ -250,6 +304,14 @@ router.delete('/:id', async (req, res, next) => {
         // Soft delete in database
         await File.softDelete(req.params.id);
 
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'file',
+            entityId: file.id,
+            projectId: file.project,
+            before: file
+        });
+
         res.json({
             success: true,
             message: 'File deleted'
@@ -0,0 +1,176 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Invitation, User, Project } = require('../models');
+const { protect, authorize } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
+const { generateToken, hashToken, parseDuration } = require('../utils/tokens');
+const { getClientUrl } = require('../utils/clientUrl');
+const mail = require('../mail');
+
+const router = express.Router();
+
+const INVITATION_TTL = parseDuration(process.env.INVITATION_EXPIRES_IN || '7d', 7 * 24 * 60 * 60 * 1000);
+
+// All routes require an admin
+router.use(protect, authorize('admin'));
+
+// @route   GET /api/invitations
+// @desc    Get pending invitations
+// @access  Private/Admin
+router.get('/', async (req, res, next) => {
+    try {
+        const invitations = await Invitation.findPending();
+
+        res.json({
+            success: true,
+            count: invitations.length,
+            data: invitations
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a user by email with a role and optional project memberships
+// @access  Private/Admin
+router.post('/', [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('role').optional().isIn(policy.GLOBAL_ROLES),
+    body('projectIds').optional().isArray(),
+    body('projectIds.*').isUUID().withMessage('Invalid project ID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { email, role, projectIds = [] } = req.body;
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                error: 'User with this email already exists'
+            });
+        }
+
+        const pendingInvitation = await Invitation.findPendingByEmail(email);
+        if (pendingInvitation) {
+            return res.status(400).json({
+                success: false,
+                error: 'This email already has a pending invitation'
+            });
+        }
+
+        const uniqueProjectIds = [...new Set(projectIds)];
+
+        // Guests only ever see the projects they are invited to
+        if (role === 'guest' && uniqueProjectIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invite a guest to at least one project'
+            });
+        }
+        for (const projectId of uniqueProjectIds) {
+            const project = await Project.findById(projectId);
+            if (!project) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Project not found: ${projectId}`
+                });
+            }
+        }
+
+        const token = generateToken();
+
+        const invitation = await Invitation.create({
+            email,
+            role: role || 'editor',
+            projectIds: uniqueProjectIds,
+            tokenHash: hashToken(token),
+            invitedBy: req.user.id,
+            expiresAt: new Date(Date.now() + INVITATION_TTL).toISOString()
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'invitation',
+            entityId: invitation.id,
+            after: invitation
+        });
+
+        const inviteUrl = `${getClientUrl()}/invite/${token}`;
+
+        let emailSent = true;
+        try {
+            await mail.sendTemplate(invitation.email, 'invitation', {
+                invitedBy: req.user.name,
+                role: invitation.role,
+                inviteUrl
+            });
+        } catch (err) {
+            emailSent = false;
+            console.error('Failed to send invitation email:', err.message);
+        }
+
+        // The token is only ever returned here; the admin can also share the link directly
+        res.status(201).json({
+            success: true,
+            data: {
+                ...invitation,
+                token,
+                inviteUrl,
+                emailSent
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private/Admin
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invitation not found'
+            });
+        }
+
+        const revoked = await Invitation.revoke(req.params.id);
+
+        if (!revoked) {
+            return res.status(400).json({
+                success: false,
+                error: `Invitation is already ${invitation.status}`
+            });
+        }
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'invitation',
+            entityId: invitation.id,
+            before: invitation
+        });
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -2,9 +2,29 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Message, Project, User, Notification } = require('../models');
 const { protect } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
 
 const router = express.Router();
 
+/**
+ * Who a message can mention: guests only reach people in the project, and
+ * internal messages never reach guests
+ */
+async function getMentionCandidates(user, project, isInternal) {
+    const users = await User.find({ isActive: true });
+    return users.filter(u =>
+        (user.role !== 'guest' || project.isMember(u.id)) &&
+        (!isInternal || u.role !== 'guest')
+    );
+}
+
+// Internal messages go to the project's room minus guest accounts' sockets
+const messageRoom = (io, message) => {
+    const room = io.to(`project:${message.project}`);
+    return message.isInternal ? room.except('guests') : room;
+};
+
 // All routes require authentication
 router.use(protect);
 
@@ -24,18 +44,15 @@ router.get('/project/:projectId', async (req, res, next) => {
             });
         }
 
-        // Check membership for non-admin
-        if (req.user.role !== 'admin' && !project.isMember(req.user.id)) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to view messages in this project'
-            });
+        if (!policy.can(req.user, 'message:read', { project })) {
+            return policy.forbidden(res, 'message:read');
         }
 
         const result = await Message.getProjectMessages(
             req.params.projectId,
             parseInt(page),
-            parseInt(limit)
+            parseInt(limit),
+            { includeInternal: policy.can(req.user, 'message:read_internal') }
         );
 
         res.json({
@@ -56,7 +73,8 @@ router.get('/project/:projectId', async (req, res, next) => {
 // @access  Private
 router.post('/', [
     body('projectId').notEmpty().withMessage('Project ID is required'),
-    body('content').trim().notEmpty().withMessage('Message content is required')
+    body('content').trim().notEmpty().withMessage('Message content is required'),
+    body('isInternal').optional().isBoolean().withMessage('isInternal must be true or false')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -68,6 +86,7 @@ router.post('/', [
         }
 
         const { projectId, content, attachments } = req.body;
+        const isInternal = req.body.isInternal === true;
 
         const project = await Project.findById(projectId);
 
@@ -78,8 +97,17 @@ router.post('/', [
             });
         }
 
+        if (!policy.can(req.user, 'message:create', { project })) {
+            return policy.forbidden(res, 'message:create', project);
+        }
+
+        // Only people who can read internal messages can write them
+        if (isInternal && !policy.can(req.user, 'message:read_internal')) {
+            return policy.forbidden(res, 'message:read_internal');
+        }
+
         // Parse mentions
-        const users = await User.find({ isActive: true });
+        const users = await getMentionCandidates(req.user, project, isInternal);
         const mentions = Message.parseMentions(content, users);
 
         const message = await Message.create({
@@ -87,7 +115,16 @@ router.post('/', [
             sender: req.user.id,
             content,
             mentions,
-            attachments: attachments || []
+            attachments: attachments || [],
+            isInternal
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'message',
+            entityId: message.id,
+            projectId,
+            after: message
         });
 
         // Create notifications for mentioned users
@@ -105,8 +142,7 @@ router.post('/', [
         }
 
         // Emit socket event
-        const io = req.app.get('io');
-        io.to(`project:${projectId}`).emit('new_message', message);
+        messageRoom(req.app.get('io'), message).emit('new_message', message);
 
         res.status(201).json({
             success: true,
@@ -134,19 +170,18 @@ router.put('/:id', [
 
         const message = await Message.findById(req.params.id);
 
-        if (!message) {
+        // Internal messages don't exist as far as guests are concerned
+        if (!message || (message.isInternal && !policy.can(req.user, 'message:read_internal'))) {
             return res.status(404).json({
                 success: false,
                 error: 'Message not found'
             });
         }
 
-        // Only sender can edit
-        if (message.sender.id !== req.user.id && message.sender._id !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to edit this message'
-            });
+        // Only the sender can edit, and only while still in the project
+        const project = await Project.findById(message.project);
+        if (!policy.can(req.user, 'message:update', { project, resource: message })) {
+            return policy.forbidden(res, 'message:update', project);
         }
 
         if (message.isDeleted) {
@@ -159,7 +194,7 @@ router.put('/:id', [
         const { content } = req.body;
 
         // Re-parse mentions
-        const users = await User.find({ isActive: true });
+        const users = await getMentionCandidates(req.user, project, message.isInternal);
         const mentions = Message.parseMentions(content, users);
 
         const updatedMessage = await Message.update(req.params.id, {
@@ -167,9 +202,17 @@ router.put('/:id', [
             mentions
         });
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'message',
+            entityId: message.id,
+            projectId: message.project,
+            before: message,
+            after: updatedMessage
+        });
+
         // Emit socket event
-        const io = req.app.get('io');
-        io.to(`project:${message.project}`).emit('message_updated', updatedMessage);
+        messageRoom(req.app.get('io'), updatedMessage).emit('message_updated', updatedMessage);
 
         res.json({
             success: true,
@@ -187,29 +230,34 @@ router.delete('/:id', async (req, res, next) => {
     try {
         const message = await Message.findById(req.params.id);
 
-        if (!message) {
+        if (!message || (message.isInternal && !policy.can(req.user, 'message:read_internal'))) {
             return res.status(404).json({
                 success: false,
                 error: 'Message not found'
             });
         }
 
-        // Only sender or admin can delete
-        const senderId = message.sender.id || message.sender._id;
-        if (senderId !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to delete this message'
-            });
+        // Sender, project owner or admin
+        const project = await Project.findById(message.project);
+        if (!policy.can(req.user, 'message:delete', { project, resource: message })) {
+            return policy.forbidden(res, 'message:delete', project);
         }
 
         const updatedMessage = await Message.update(req.params.id, {
             isDeleted: true
         });
 
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'message',
+            entityId: message.id,
+            projectId: message.project,
+            before: message,
+            after: updatedMessage
+        });
+
         // Emit socket event
-        const io = req.app.get('io');
-        io.to(`project:${message.project}`).emit('message_deleted', {
+        messageRoom(req.app.get('io'), message).emit('message_deleted', {
             id: req.params.id
         });
 
@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Milestone, Project } = require('../models');
+const { protect } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
+const milestones = require('../milestones');
+
+const router = express.Router();
+
+const MILESTONE_STATUSES = ['planned', 'in_progress', 'completed'];
+
+// Fields shared by creating and updating a milestone
+const validateMilestone = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('title').trim().notEmpty().withMessage('Milestone title is required').isLength({ max: 200 }),
+        body('description').optional().trim(),
+        field('targetDate').isISO8601().withMessage('Target date must be a date')
+            .customSanitizer(value => String(value).slice(0, 10)),
+        body('status').optional().isIn(MILESTONE_STATUSES)
+    ];
+};
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/milestones
+// @desc    Get milestones of a project, or of every project the user can see (optional from/to dates)
+// @access  Private
+router.get('/', [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { project, from, to } = req.query;
+
+        const filter = {};
+        if (project) {
+            const projectDoc = await Project.findById(project);
+            if (!projectDoc) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Project not found'
+                });
+            }
+            if (!policy.can(req.user, 'milestone:read', { project: projectDoc })) {
+                return policy.forbidden(res, 'milestone:read');
+            }
+            filter.project = project;
+        } else if (!policy.can(req.user, 'project:list_all')) {
+            filter.projectIds = await Project.getMemberProjectIds(req.user.id);
+        }
+        if (from) filter.from = from.slice(0, 10);
+        if (to) filter.to = to.slice(0, 10);
+
+        const list = await Milestone.find(filter);
+
+        res.json({
+            success: true,
+            count: list.length,
+            data: list
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/milestones/:id
+// @desc    Get a milestone with its progress
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+    try {
+        const milestone = await Milestone.findById(req.params.id);
+
+        if (!milestone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Milestone not found'
+            });
+        }
+
+        const project = await Project.findById(milestone.project.id);
+        if (!policy.can(req.user, 'milestone:read', { project })) {
+            return policy.forbidden(res, 'milestone:read');
+        }
+
+        res.json({
+            success: true,
+            data: milestone
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/milestones
+// @desc    Create a milestone in a project
+// @access  Private
+router.post('/', [
+    body('projectId').notEmpty().withMessage('Project ID is required'),
+    ...validateMilestone(false)
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { projectId, title, description, targetDate, status } = req.body;
+
+        const project = await Project.findById(projectId);
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (!policy.can(req.user, 'milestone:create', { project })) {
+            return policy.forbidden(res, 'milestone:create', project);
+        }
+
+        const milestone = await Milestone.create({
+            project: project.id,
+            title,
+            description,
+            targetDate,
+            status,
+            createdBy: req.user.id
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'milestone',
+            entityId: milestone.id,
+            projectId: project.id,
+            after: milestone
+        });
+
+        res.status(201).json({
+            success: true,
+            data: milestone
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/milestones/:id
+// @desc    Update a milestone
+// @access  Private
+router.put('/:id', validateMilestone(true), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const milestone = await Milestone.findById(req.params.id);
+
+        if (!milestone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Milestone not found'
+            });
+        }
+
+        const project = await Project.findById(milestone.project.id);
+        if (!policy.can(req.user, 'milestone:update', { project, resource: milestone })) {
+            return policy.forbidden(res, 'milestone:update', project);
+        }
+
+        const { title, description, targetDate, status } = req.body;
+        const updatedMilestone = await Milestone.update(milestone.id, { title, description, targetDate, status });
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'milestone',
+            entityId: milestone.id,
+            projectId: project.id,
+            before: milestone,
+            after: updatedMilestone
+        });
+
+        // Completing a milestone clears its risk; reopening one may bring it back
+        await milestones.checkMilestones(req.app.get('io'), [milestone.id]);
+
+        res.json({
+            success: true,
+            data: updatedMilestone
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/milestones/:id
+// @desc    Delete a milestone (its tasks are kept)
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const milestone = await Milestone.findById(req.params.id);
+
+        if (!milestone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Milestone not found'
+            });
+        }
+
+        const project = await Project.findById(milestone.project.id);
+        if (!policy.can(req.user, 'milestone:delete', { project, resource: milestone })) {
+            return policy.forbidden(res, 'milestone:delete', project);
+        }
+
+        await Milestone.delete(milestone.id);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'milestone',
+            entityId: milestone.id,
+            projectId: project.id,
+            before: milestone
+        });
+
+        res.json({
+            success: true,
+            message: 'Milestone deleted'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
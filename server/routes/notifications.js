@@ -1,6 +1,7 @@
 const express = require('express');
 const { Notification } = require('../models');
 const { protect } = require('../middleware');
+const audit = require('../audit');
 
 const router = express.Router();
 
@@ -69,6 +70,14 @@ router.put('/:id/read', async (req, res, next) => {
 
         const updatedNotification = await Notification.markAsRead(req.params.id);
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'notification',
+            entityId: notification.id,
+            before: notification,
+            after: updatedNotification
+        });
+
         res.json({
             success: true,
             data: updatedNotification
@@ -85,6 +94,12 @@ router.put('/read-all', async (req, res, next) => {
     try {
         const result = await Notification.markAllAsRead(req.user.id);
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'notification',
+            after: { read: true, modifiedCount: result.modifiedCount }
+        });
+
         res.json({
             success: true,
             message: 'All notifications marked as read',
@@ -112,6 +127,13 @@ router.delete('/:id', async (req, res, next) => {
             });
         }
 
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'notification',
+            entityId: notification.id,
+            before: notification
+        });
+
         res.json({
             success: true,
             message: 'Notification deleted'
@@ -128,6 +150,12 @@ router.delete('/clear-all', async (req, res, next) => {
     try {
         const result = await Notification.deleteMany({ user: req.user.id });
 
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'notification',
+            before: { deletedCount: result.deletedCount }
+        });
+
         res.json({
             success: true,
             message: 'All notifications cleared',
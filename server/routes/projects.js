@@ -1,54 +1,148 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Project, Task, Notification } = require('../models');
-const { protect, authorize } = require('../middleware');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const { Project, ProjectTemplate, Task, File, Notification, User, Activity } = require('../models');
+const { protect } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
+const { normalizeFolders, isValidFolderList } = require('../utils/folders');
+const { isKnownCategory, defaultCategory } = require('../utils/categories');
+const lifecycle = require('../lifecycle');
+const presence = require('../presence');
+const activity = require('../activity');
+const bundle = require('../bundle');
 
 const router = express.Router();
 
+// Project bundles are uploaded as a single multipart field, "bundle"
+const bundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: bundle.MAX_BUNDLE_BYTES }
+}).single('bundle');
+
 // All routes require authentication
 router.use(protect);
 
+/**
+ * Audit a project created with tasks (and files) already in it, from a
+ * template, a copy or an import, and tell the members who were added along with it
+ */
+async function announceNewProject(req, project, tasks, source, files = []) {
+    await audit.record(req, {
+        action: 'create',
+        entityType: 'project',
+        entityId: project.id,
+        projectId: project.id,
+        after: { ...project, ...source }
+    });
+    for (const task of tasks) {
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'task',
+            entityId: task.id,
+            projectId: project.id,
+            after: task
+        });
+    }
+    for (const file of files) {
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'file',
+            entityId: file.id,
+            projectId: project.id,
+            after: file
+        });
+    }
+
+    for (const member of project.members) {
+        if (!member.user || member.user.id === req.user.id) continue;
+        await Notification.createNotification({
+            user: member.user.id,
+            type: 'project_member_added',
+            title: 'Added to Project',
+            message: `You've been added to project "${project.name}"`,
+            project: project.id,
+            triggeredBy: req.user.id
+        });
+    }
+}
+
+/**
+ * A project as returned after a membership change, with the caller's own role
+ * in it (which the change may have altered)
+ */
+function withMembership(project, userId) {
+    return {
+        ...project,
+        memberCount: project.getMemberCount(),
+        currentUserRole: policy.getProjectRole(project, userId)
+    };
+}
+
+// Viewers are read-only everywhere, so owning a project would mean nothing,
+// and guests only ever take part as guests
+const canOwnProjects = (user) => !!user && user.isActive && !['viewer', 'guest'].includes(user.role);
+
+// Notify a user, live if they are online
+async function notifyMember(req, { user, type, title, message, project }) {
+    const notification = await Notification.createNotification({
+        user,
+        type,
+        title,
+        message,
+        project,
+        triggeredBy: req.user.id
+    });
+
+    await presence.pushNotification(req.app.get('io'), user, notification);
+}
+
 // @route   GET /api/projects
-// @desc    Get all projects for user
+// @desc    Get projects for user with task, member and activity figures
+//          (optional status/category filters, sort, order, page and limit)
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', [
+    query('sort').optional().isIn(Object.keys(Project.LISTING_SORTS)),
+    query('order').optional().isIn(['asc', 'desc']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res, next) => {
     try {
-        const { status, category } = req.query;
-
-        // Build query
-        const query = {};
-        if (status) query.status = status;
-        if (category) query.category = category;
-
-        // For non-admin users, only show projects they're members of
-        if (req.user.role !== 'admin') {
-            query.memberId = req.user.id;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
         }
 
-        const projects = await Project.find(query);
+        const { status, category, sort, order, page = 1, limit } = req.query;
 
-        // Get task counts for each project
-        const projectsWithCounts = await Promise.all(
-            projects.map(async (project) => {
-                const taskCount = await Task.countDocuments({ project: project.id });
-                const completedCount = await Task.countDocuments({
-                    project: project.id,
-                    status: 'done'
-                });
+        // Build filter
+        const filter = {};
+        if (status) filter.status = status;
+        if (category) filter.category = category;
 
-                return {
-                    ...project,
-                    taskCount,
-                    completedCount,
-                    memberCount: project.members?.length || 0
-                };
-            })
-        );
+        // Everyone but admins only sees projects they're members of
+        if (!policy.can(req.user, 'project:list_all')) {
+            filter.memberId = req.user.id;
+        }
+
+        // Without a limit every matching project comes back at once
+        const result = await Project.list(filter, {
+            sort,
+            order,
+            page: parseInt(page),
+            limit: limit ? parseInt(limit) : null
+        });
 
         res.json({
             success: true,
-            count: projectsWithCounts.length,
-            data: projectsWithCounts
+            count: result.projects.length,
+            total: result.total,
+            page: result.page,
+            pages: result.pages,
+            data: result.projects
         });
     } catch (error) {
         next(error);
@@ -69,16 +163,13 @@ router.get('/:id', async (req, res, next) => {
             });
         }
 
-        // Check access for non-admin
-        if (req.user.role !== 'admin' && !project.isMember(req.user.id)) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to access this project'
-            });
+        if (!policy.can(req.user, 'project:read', { project })) {
+            return policy.forbidden(res, 'project:read');
         }
 
         // Get task counts
-        const taskCount = await Task.countDocuments({ project: project.id });
+        const currentUserRole = policy.getProjectRole(project, req.user.id);
+        const taskCount = await Task.countDocuments({ project: project.id, topLevel: true });
         const tasksByStatus = await Task.getByStatus(project.id);
 
         res.json({
@@ -87,7 +178,8 @@ router.get('/:id', async (req, res, next) => {
                 ...project,
                 taskCount,
                 tasksByStatus,
-                memberCount: project.members?.length || 0
+                memberCount: project.members?.length || 0,
+                currentUserRole
             }
         });
     } catch (error) {
@@ -95,13 +187,107 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+// @route   GET /api/projects/:id/activity
+// @desc    What happened in a project, newest first (optional comma-separated
+//          types, and the nextCursor of the previous page as before)
+// @access  Private
+router.get('/:id/activity', [
+    query('types').optional()
+        .custom(value => String(value).split(',').every(type => activity.TYPES.includes(type)))
+        .withMessage(`Types must be among: ${activity.TYPES.join(', ')}`),
+    query('before').optional()
+        .custom(value => activity.decodeCursor(String(value)) !== null)
+        .withMessage('Invalid cursor'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (!policy.can(req.user, 'project:read', { project })) {
+            return policy.forbidden(res, 'project:read');
+        }
+
+        const { types, before, limit = 30 } = req.query;
+
+        const { events, hasMore } = await Activity.find(project.id, {
+            types: types ? String(types).split(',') : null,
+            before: before ? activity.decodeCursor(String(before)) : null,
+            limit: parseInt(limit),
+            includeInternal: policy.can(req.user, 'message:read_internal')
+        });
+
+        res.json({
+            success: true,
+            count: events.length,
+            data: events,
+            nextCursor: hasMore ? activity.encodeCursor(events[events.length - 1]) : null
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/projects/:id/export
+// @desc    Download a project as a bundle (.tar.gz with a JSON manifest and
+//          the content of its files) that POST /api/projects/import reads back
+// @access  Private/Admin or Owner
+router.get('/:id/export', async (req, res, next) => {
+    try {
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (!policy.can(req.user, 'project:export', { project })) {
+            return policy.forbidden(res, 'project:export');
+        }
+
+        // The project can be deleted between the lookup and reading its contents
+        const exported = await bundle.exportProject(project.id);
+        if (!exported) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        res.attachment(exported.fileName);
+        res.type('application/gzip');
+        res.send(exported.archive);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   POST /api/projects
-// @desc    Create a new project
+// @desc    Create a new project, optionally from a template (with its folders, members and tasks)
 // @access  Private/Admin
-router.post('/', authorize('admin'), [
+router.post('/', policy.permit('project:create'), [
     body('name').trim().notEmpty().withMessage('Project name is required'),
     body('description').optional().trim(),
-    body('category').optional().isIn(['tech', 'marketing', 'ops', 'personal'])
+    body('category').optional().custom(isKnownCategory),
+    body('folders').optional().custom(isValidFolderList).customSanitizer(normalizeFolders),
+    body('templateId').optional().isUUID().withMessage('Invalid template ID'),
+    body('startDate').optional().isISO8601().withMessage('Start date must be a date')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -112,15 +298,57 @@ router.post('/', authorize('admin'), [
             });
         }
 
-        const { name, description, category } = req.body;
+        const { name, description, category, folders, templateId, startDate } = req.body;
+
+        if (templateId) {
+            const template = await ProjectTemplate.findById(templateId);
+
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+
+            // Template task due dates count from the start date (today unless given)
+            const project = await Project.createFromTemplate(template.id, {
+                name,
+                description,
+                category,
+                createdBy: req.user.id,
+                startDate: (startDate || new Date().toISOString()).slice(0, 10)
+            });
+            const tasks = await Task.find({ project: project.id });
+
+            await announceNewProject(req, project, tasks, { templateId: template.id });
+
+            return res.status(201).json({
+                success: true,
+                data: {
+                    ...project,
+                    taskCount: tasks.length,
+                    completedCount: 0,
+                    memberCount: project.members?.length || 0
+                }
+            });
+        }
 
         const project = await Project.create({
             name,
             description,
-            category,
+            category: category || await defaultCategory(),
+            folders,
             createdBy: req.user.id
         });
 
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'project',
+            entityId: project.id,
+            projectId: project.id,
+            after: project
+        });
+
         res.status(201).json({
             success: true,
             data: {
@@ -134,14 +362,171 @@ router.post('/', authorize('admin'), [
     }
 });
 
+// @route   POST /api/projects/import
+// @desc    Create a project from an exported bundle (multipart field "bundle",
+//          optional name; dryRun only reports the conflicts)
+// @access  Private/Admin
+router.post('/import', policy.permit('project:create'), (req, res, next) => {
+    bundleUpload(req, res, (err) => {
+        if (!err) return next();
+
+        res.status(400).json({
+            success: false,
+            error: err.code === 'LIMIT_FILE_SIZE'
+                ? `Bundles must be ${bundle.MAX_BUNDLE_BYTES / (1024 * 1024)}MB or smaller`
+                : err.message,
+            code: 'INVALID_BUNDLE'
+        });
+    });
+}, [
+    body('name').optional().trim().notEmpty().withMessage('Project name cannot be empty').isLength({ max: 200 }),
+    body('dryRun').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No bundle uploaded',
+                code: 'INVALID_BUNDLE'
+            });
+        }
+
+        const { manifest, blobs, error, code } = await bundle.readBundle(req.file.buffer);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error,
+                code
+            });
+        }
+
+        const { plan, conflicts, ids } = await bundle.planImport({ manifest, blobs }, req.user, {
+            name: req.body.name
+        });
+
+        if (req.body.dryRun) {
+            return res.json({
+                success: true,
+                dryRun: true,
+                data: {
+                    name: plan.project.name,
+                    memberCount: plan.members.length,
+                    milestoneCount: plan.milestones.length,
+                    taskCount: plan.tasks.length,
+                    messageCount: plan.messages.length,
+                    fileCount: plan.files.length
+                },
+                conflicts
+            });
+        }
+
+        const projectId = await bundle.importProject(plan, blobs);
+        const project = await Project.findById(projectId);
+        const [tasks, files] = await Promise.all([
+            Task.find({ project: project.id }),
+            File.getProjectFiles(project.id)
+        ]);
+
+        await announceNewProject(req, project, tasks, { importedFrom: manifest.project.id }, files);
+
+        // Subtasks are logged above but not counted
+        const topLevelTasks = tasks.filter(t => !t.parentId);
+        res.status(201).json({
+            success: true,
+            data: {
+                ...project,
+                taskCount: topLevelTasks.length,
+                completedCount: topLevelTasks.filter(t => t.status === 'done').length,
+                memberCount: project.members?.length || 0,
+                fileCount: files.length
+            },
+            conflicts,
+            ids
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/projects/:id/duplicate
+// @desc    Copy a project under a new name, with a choice of members, tasks
+//          (with or without assignees and due dates) and file references
+// @access  Private/Admin
+router.post('/:id/duplicate', policy.permit('project:create'), [
+    body('name').trim().notEmpty().withMessage('Project name is required').isLength({ max: 200 }),
+    body(['members', 'tasks', 'assignees', 'dueDates', 'files']).optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const source = await Project.findById(req.params.id);
+
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        // Everything is copied unless switched off
+        const include = { members: true, tasks: true, assignees: true, dueDates: true, files: true };
+        for (const key of Object.keys(include)) {
+            if (req.body[key] !== undefined) include[key] = req.body[key];
+        }
+
+        const project = await Project.duplicate(source.id, {
+            name: req.body.name,
+            createdBy: req.user.id,
+            ...include
+        });
+        const [tasks, files] = await Promise.all([
+            Task.find({ project: project.id }),
+            File.getProjectFiles(project.id)
+        ]);
+
+        await announceNewProject(req, project, tasks, { duplicatedFrom: source.id }, files);
+
+        // Subtasks are logged above but not counted
+        const topLevelTasks = tasks.filter(t => !t.parentId);
+        res.status(201).json({
+            success: true,
+            data: {
+                ...project,
+                taskCount: topLevelTasks.length,
+                completedCount: topLevelTasks.filter(t => t.status === 'done').length,
+                memberCount: project.members?.length || 0,
+                fileCount: files.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   PUT /api/projects/:id
 // @desc    Update project
 // @access  Private/Admin or Owner
 router.put('/:id', [
     body('name').optional().trim().notEmpty(),
     body('description').optional().trim(),
-    body('category').optional().isIn(['tech', 'marketing', 'ops', 'personal']),
-    body('status').optional().isIn(['active', 'archived', 'completed'])
+    body('category').optional().custom(isKnownCategory),
+    body('status').optional().isIn(['active', 'completed'])
+        .withMessage('Status must be active or completed (archive and restore have their own endpoints)'),
+    body('folders').optional().custom(isValidFolderList).customSanitizer(normalizeFolders)
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -161,24 +546,30 @@ router.put('/:id', [
             });
         }
 
-        // Check authorization
-        if (req.user.role !== 'admin' && !project.isOwner(req.user.id)) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to update this project'
-            });
+        if (!policy.can(req.user, 'project:update', { project })) {
+            return policy.forbidden(res, 'project:update', project);
         }
 
-        const { name, description, category, status } = req.body;
+        const { name, description, category, status, folders } = req.body;
         const updates = {};
 
         if (name) updates.name = name;
         if (description !== undefined) updates.description = description;
         if (category) updates.category = category;
         if (status) updates.status = status;
+        if (folders) updates.folders = folders;
 
         const updatedProject = await Project.update(req.params.id, updates);
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project',
+            entityId: project.id,
+            projectId: project.id,
+            before: project,
+            after: updatedProject
+        });
+
         res.json({
             success: true,
             data: updatedProject
@@ -188,10 +579,114 @@ router.put('/:id', [
     }
 });
 
+/**
+ * Archive a project: it stays listed, read-only, until restored
+ */
+async function archiveProject(req, res, next) {
+    try {
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (project.status === 'archived') {
+            return res.status(400).json({
+                success: false,
+                error: 'Project is already archived'
+            });
+        }
+
+        if (!policy.can(req.user, 'project:archive', { project })) {
+            return policy.forbidden(res, 'project:archive', project);
+        }
+
+        const archivedProject = await Project.archive(project.id, req.user.id);
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project',
+            entityId: project.id,
+            projectId: project.id,
+            before: project,
+            after: archivedProject
+        });
+
+        res.json({
+            success: true,
+            message: 'Project archived successfully',
+            data: archivedProject
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// @route   POST /api/projects/:id/archive
+// @desc    Archive project (read-only until restored)
+// @access  Private/Admin or Owner
+router.post('/:id/archive', archiveProject);
+
 // @route   DELETE /api/projects/:id
-// @desc    Soft delete project (mark as completed)
+// @desc    Archive project (kept for older clients; see /:id/permanent-delete to delete for good)
+// @access  Private/Admin or Owner
+router.delete('/:id', archiveProject);
+
+// @route   POST /api/projects/:id/restore
+// @desc    Restore an archived project, cancelling any pending permanent deletion
+// @access  Private/Admin or Owner
+router.post('/:id/restore', async (req, res, next) => {
+    try {
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (project.status !== 'archived') {
+            return res.status(400).json({
+                success: false,
+                error: 'Only archived projects can be restored'
+            });
+        }
+
+        if (!policy.can(req.user, 'project:restore', { project })) {
+            return policy.forbidden(res, 'project:restore', project);
+        }
+
+        const restoredProject = await Project.restore(project.id);
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project',
+            entityId: project.id,
+            projectId: project.id,
+            before: project,
+            after: restoredProject
+        });
+
+        res.json({
+            success: true,
+            message: project.deletionScheduledAt
+                ? 'Project restored and its permanent deletion cancelled'
+                : 'Project restored',
+            data: restoredProject
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/projects/:id/permanent-delete
+// @desc    Start deleting an archived project for good: returns a short-lived confirmation token
 // @access  Private/Admin
-router.delete('/:id', authorize('admin'), async (req, res, next) => {
+router.post('/:id/permanent-delete', policy.permit('project:purge'), async (req, res, next) => {
     try {
         const project = await Project.findById(req.params.id);
 
@@ -202,13 +697,89 @@ router.delete('/:id', authorize('admin'), async (req, res, next) => {
             });
         }
 
-        // Soft delete: Mark as completed instead of deleting
-        const updatedProject = await Project.softDelete(req.params.id);
+        if (project.status !== 'archived') {
+            return res.status(400).json({
+                success: false,
+                error: 'Archive the project before deleting it permanently'
+            });
+        }
+
+        if (project.deletionScheduledAt) {
+            return res.status(400).json({
+                success: false,
+                error: 'Project is already scheduled for deletion'
+            });
+        }
+
+        const { confirmationToken, expiresAt } = await lifecycle.requestDeletion(project, req.user);
 
         res.json({
             success: true,
-            message: 'Project archived successfully',
-            data: updatedProject
+            data: {
+                confirmationToken,
+                expiresAt,
+                gracePeriodDays: Math.round(lifecycle.DELETION_GRACE_MS / (24 * 60 * 60 * 1000))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/projects/:id/permanent-delete/confirm
+// @desc    Confirm with the token: the project, its tasks, messages and files are deleted after the grace period
+// @access  Private/Admin
+router.post('/:id/permanent-delete/confirm', policy.permit('project:purge'), [
+    body('confirmationToken').notEmpty().withMessage('Confirmation token is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (project.status !== 'archived') {
+            return res.status(400).json({
+                success: false,
+                error: 'Archive the project before deleting it permanently'
+            });
+        }
+
+        const scheduledProject = await lifecycle.confirmDeletion(project, req.user, req.body.confirmationToken);
+
+        if (!scheduledProject) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired confirmation token',
+                code: 'INVALID_CONFIRMATION_TOKEN'
+            });
+        }
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project',
+            entityId: project.id,
+            projectId: project.id,
+            before: project,
+            after: scheduledProject
+        });
+
+        res.json({
+            success: true,
+            message: `Project will be deleted permanently on ${new Date(scheduledProject.deletionScheduledAt).toUTCString()}`,
+            data: scheduledProject
         });
     } catch (error) {
         next(error);
@@ -219,7 +790,8 @@ router.delete('/:id', authorize('admin'), async (req, res, next) => {
 // @desc    Add member to project
 // @access  Private/Admin or Owner
 router.post('/:id/members', [
-    body('userId').notEmpty().withMessage('User ID is required')
+    body('userId').notEmpty().withMessage('User ID is required'),
+    body('role').optional().isIn(['member', 'guest'])
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -239,15 +811,11 @@ router.post('/:id/members', [
             });
         }
 
-        // Check authorization
-        if (req.user.role !== 'admin' && !project.isOwner(req.user.id)) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to add members'
-            });
+        if (!policy.can(req.user, 'project:manage_members', { project })) {
+            return policy.forbidden(res, 'project:manage_members', project);
         }
 
-        const { userId } = req.body;
+        const { userId, role } = req.body;
 
         // Check if already a member
         if (project.isMember(userId)) {
@@ -257,7 +825,38 @@ router.post('/:id/members', [
             });
         }
 
-        const updatedProject = await Project.addMember(req.params.id, userId, 'member');
+        const account = await User.findById(userId);
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+        if (!account.isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'Deactivated users cannot be added to a project'
+            });
+        }
+
+        // Guest accounts join as guests, and only as guests
+        const memberRole = role || (account.role === 'guest' ? 'guest' : 'member');
+        if (account.role === 'guest' && memberRole !== 'guest') {
+            return res.status(400).json({
+                success: false,
+                error: 'Guest accounts can only be added to a project as guests'
+            });
+        }
+
+        const updatedProject = await Project.addMember(req.params.id, userId, memberRole);
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'project_member',
+            entityId: userId,
+            projectId: project.id,
+            after: { userId, role: memberRole }
+        });
 
         // Create notification for added user
         await Notification.createNotification({
@@ -278,11 +877,21 @@ router.post('/:id/members', [
     }
 });
 
-// @route   DELETE /api/projects/:id/members/:userId
-// @desc    Remove member from project
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's role (a project can have several owners)
 // @access  Private/Admin or Owner
-router.delete('/:id/members/:userId', async (req, res, next) => {
+router.put('/:id/members/:userId', [
+    body('role').isIn(policy.PROJECT_ROLES).withMessage(`Role must be one of: ${policy.PROJECT_ROLES.join(', ')}`)
+], async (req, res, next) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
         const project = await Project.findById(req.params.id);
 
         if (!project) {
@@ -292,28 +901,225 @@ router.delete('/:id/members/:userId', async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        if (req.user.role !== 'admin' && !project.isOwner(req.user.id)) {
-            return res.status(403).json({
+        if (!policy.can(req.user, 'project:manage_members', { project })) {
+            return policy.forbidden(res, 'project:manage_members', project);
+        }
+
+        const { role } = req.body;
+        const member = await Project.getMember(project.id, req.params.userId);
+        if (!member) {
+            return res.status(404).json({
                 success: false,
-                error: 'Not authorized to remove members'
+                error: 'User is not a member of this project'
             });
         }
 
-        // Can't remove owner
-        const member = await Project.getMember(req.params.id, req.params.userId);
-        if (member && member.role === 'owner') {
+        if (member.role === role) {
+            return res.json({
+                success: true,
+                data: withMembership(project, req.user.id)
+            });
+        }
+
+        if (member.role === 'owner' && project.getOwnerCount() <= 1) {
+            return res.status(409).json({
+                success: false,
+                error: 'A project must keep at least one owner. Make someone else an owner first.',
+                code: 'LAST_OWNER'
+            });
+        }
+
+        const account = await User.findById(member.user_id);
+        if (role === 'owner' && !canOwnProjects(account)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only active admins or editors can own a project'
+            });
+        }
+
+        if (account?.role === 'guest' && role !== 'guest') {
             return res.status(400).json({
                 success: false,
-                error: 'Cannot remove project owner'
+                error: 'Guest accounts can only have the guest role in a project'
+            });
+        }
+
+        const updatedProject = await Project.updateMemberRole(project.id, member.user_id, role);
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project_member',
+            entityId: member.user_id,
+            projectId: project.id,
+            before: { userId: member.user_id, role: member.role },
+            after: { userId: member.user_id, role }
+        });
+
+        if (role === 'owner' && member.user_id !== req.user.id) {
+            await notifyMember(req, {
+                user: member.user_id,
+                type: 'ownership_transferred',
+                title: 'Project Ownership',
+                message: `${req.user.name} made you an owner of "${project.name}"`,
+                project: project.id
+            });
+        }
+
+        res.json({
+            success: true,
+            data: withMembership(updatedProject, req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/projects/:id/transfer-ownership
+// @desc    Hand your ownership of a project to another user (added as a member if needed)
+// @access  Private/Owner
+router.post('/:id/transfer-ownership', [
+    body('userId').notEmpty().withMessage('User ID is required'),
+    body('keepOwnership').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (!policy.can(req.user, 'project:manage_members', { project })) {
+            return policy.forbidden(res, 'project:manage_members', project);
+        }
+
+        // Admins who aren't owners have nothing to hand over; they change roles instead
+        if (!project.isOwner(req.user.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only an owner of this project can transfer its ownership'
+            });
+        }
+
+        const { userId, keepOwnership = false } = req.body;
+
+        if (userId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Choose someone else to transfer ownership to'
+            });
+        }
+
+        const newOwner = await User.findById(userId);
+        if (!canOwnProjects(newOwner)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only active admins or editors can own a project'
+            });
+        }
+
+        const previous = await Project.getMember(project.id, userId);
+        const updatedProject = await Project.transferOwnership(project.id, req.user.id, userId, keepOwnership);
+
+        await audit.record(req, {
+            action: previous ? 'update' : 'create',
+            entityType: 'project_member',
+            entityId: userId,
+            projectId: project.id,
+            before: previous ? { userId, role: previous.role } : null,
+            after: { userId, role: 'owner' }
+        });
+        if (!keepOwnership) {
+            await audit.record(req, {
+                action: 'update',
+                entityType: 'project_member',
+                entityId: req.user.id,
+                projectId: project.id,
+                before: { userId: req.user.id, role: 'owner' },
+                after: { userId: req.user.id, role: 'member' }
+            });
+        }
+
+        await notifyMember(req, {
+            user: userId,
+            type: 'ownership_transferred',
+            title: 'Project Ownership Transferred',
+            message: keepOwnership
+                ? `${req.user.name} made you an owner of "${project.name}"`
+                : `${req.user.name} handed ownership of "${project.name}" to you`,
+            project: project.id
+        });
+
+        res.json({
+            success: true,
+            message: `${newOwner.name} is now an owner of ${project.name}`,
+            data: withMembership(updatedProject, req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove member from project, or leave it when removing yourself
+// @access  Private/Admin or Owner (any member for themselves)
+router.delete('/:id/members/:userId', async (req, res, next) => {
+    try {
+        const project = await Project.findById(req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        const isLeaving = req.params.userId === req.user.id;
+        const action = isLeaving ? 'project:leave' : 'project:manage_members';
+        if (!policy.can(req.user, action, { project })) {
+            return policy.forbidden(res, action, project);
+        }
+
+        // The last owner has to hand over before going
+        const member = await Project.getMember(req.params.id, req.params.userId);
+        if (member && member.role === 'owner' && project.getOwnerCount() <= 1) {
+            return res.status(409).json({
+                success: false,
+                error: isLeaving
+                    ? 'You are the last owner of this project. Transfer ownership before leaving.'
+                    : 'Cannot remove the last owner of this project',
+                code: 'LAST_OWNER'
             });
         }
 
         const updatedProject = await Project.removeMember(req.params.id, req.params.userId);
 
+        if (member) {
+            await audit.record(req, {
+                action: 'delete',
+                entityType: 'project_member',
+                entityId: req.params.userId,
+                projectId: project.id,
+                before: { userId: member.user_id, role: member.role, addedAt: member.added_at }
+            });
+
+            // Stop live project updates reaching them
+            req.app.get('io').in(`user:${member.user_id}`).socketsLeave(`project:${project.id}`);
+        }
+
         res.json({
             success: true,
-            data: updatedProject
+            data: withMembership(updatedProject, req.user.id)
         });
     } catch (error) {
         next(error);
@@ -1,10 +1,83 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { Task, Project, Notification } = require('../models');
+const { Task, Project, Milestone, Notification, ChecklistItem } = require('../models');
 const { protect } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
+const achievements = require('../achievements');
+const presence = require('../presence');
+const milestones = require('../milestones');
 
 const router = express.Router();
 
+// Load the project a task belongs to (with members) for policy checks
+const getTaskProject = (task) => Project.findById(task.project?.id || task.project?._id);
+
+// A task can only count towards a milestone of its own project
+const isProjectMilestone = async (milestoneId, projectId) => {
+    const milestone = await Milestone.findById(milestoneId);
+    return !!milestone && milestone.project.id === projectId;
+};
+
+// Audit a new task or subtask, check its milestone and tell whoever it is assigned to
+const announceNewTask = async (req, project, task) => {
+    await audit.record(req, {
+        action: 'create',
+        entityType: 'task',
+        entityId: task.id,
+        projectId: project.id,
+        after: task
+    });
+
+    // An overdue task can put its milestone at risk
+    await milestones.checkMilestones(req.app.get('io'), [task.milestoneId]);
+
+    // If task is assigned, create notification
+    const assigneeId = task.assignedTo?.id;
+    if (assigneeId && assigneeId !== req.user.id) {
+        await Notification.createNotification({
+            user: assigneeId,
+            type: 'task_assigned',
+            title: 'New Task Assigned',
+            message: `You've been assigned to "${task.title}" in ${project.name}`,
+            project: project.id,
+            task: task.id,
+            triggeredBy: req.user.id
+        });
+
+        // Emit socket event
+        const io = req.app.get('io');
+        await presence.pushNotification(io, assigneeId, {
+            type: 'task_assigned',
+            task: task,
+            message: `New task assigned: ${task.title}`
+        });
+    }
+};
+
+/**
+ * Load the task in req.params.id and its project, if the user may do `action`
+ * to it; otherwise answer with 404 or 403 and return null
+ */
+const loadTask = async (req, res, action) => {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+        res.status(404).json({
+            success: false,
+            error: 'Task not found'
+        });
+        return null;
+    }
+
+    const project = await getTaskProject(task);
+    if (!policy.can(req.user, action, { project, resource: task })) {
+        policy.forbidden(res, action, project);
+        return null;
+    }
+
+    return { task, project };
+};
+
 // All routes require authentication
 router.use(protect);
 
@@ -16,7 +89,22 @@ router.get('/', async (req, res, next) => {
         const { project, status, assignedTo, dueDate } = req.query;
 
         const query = {};
-        if (project) query.project = project;
+        if (project) {
+            const projectDoc = await Project.findById(project);
+            if (!projectDoc) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Project not found'
+                });
+            }
+            if (!policy.can(req.user, 'task:read', { project: projectDoc })) {
+                return policy.forbidden(res, 'task:read');
+            }
+            query.project = project;
+        } else if (!policy.can(req.user, 'project:list_all')) {
+            // Only tasks from the user's own projects
+            query.projectIds = await Project.getMemberProjectIds(req.user.id);
+        }
         if (status) query.status = status;
         if (assignedTo) query.assignedTo = assignedTo;
         if (dueDate) query.dueDate = dueDate;
@@ -42,10 +130,18 @@ router.get('/', async (req, res, next) => {
 // @access  Private
 router.get('/my-tasks', async (req, res, next) => {
     try {
-        const tasks = await Task.find({
+        const query = {
             assignedTo: req.user.id,
-            statusNot: 'done'
-        });
+            statusNot: 'done',
+            topLevel: true
+        };
+
+        // Skip tasks left behind in projects the user has since been removed from
+        if (!policy.can(req.user, 'project:list_all')) {
+            query.projectIds = await Project.getMemberProjectIds(req.user.id);
+        }
+
+        const tasks = await Task.find(query);
 
         res.json({
             success: true,
@@ -74,6 +170,10 @@ router.get('/project/:projectId', async (req, res, next) => {
             });
         }
 
+        if (!policy.can(req.user, 'task:read', { project })) {
+            return policy.forbidden(res, 'task:read');
+        }
+
         const tasksByStatus = await Task.getByStatus(req.params.projectId);
         const allTasks = [...tasksByStatus.new, ...tasksByStatus.in_progress, ...tasksByStatus.done];
 
@@ -112,6 +212,11 @@ router.get('/:id', async (req, res, next) => {
             });
         }
 
+        const project = await getTaskProject(task);
+        if (!policy.can(req.user, 'task:read', { project, resource: task })) {
+            return policy.forbidden(res, 'task:read');
+        }
+
         res.json({
             success: true,
             data: {
@@ -135,7 +240,8 @@ router.post('/', [
     body('status').optional().isIn(['new', 'in_progress', 'done']),
     body('priority').optional().isIn(['low', 'medium', 'high']),
     body('assignedTo').optional(),
-    body('dueDate').optional()
+    body('dueDate').optional(),
+    body('milestoneId').optional({ nullable: true }).isUUID().withMessage('Invalid milestone ID')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -146,7 +252,7 @@ router.post('/', [
             });
         }
 
-        const { projectId, title, description, status, priority, assignedTo, dueDate } = req.body;
+        const { projectId, title, description, status, priority, assignedTo, dueDate, milestoneId } = req.body;
 
         // Verify project exists
         const project = await Project.findById(projectId);
@@ -157,6 +263,17 @@ router.post('/', [
             });
         }
 
+        if (!policy.can(req.user, 'task:create', { project })) {
+            return policy.forbidden(res, 'task:create', project);
+        }
+
+        if (milestoneId && !await isProjectMilestone(milestoneId, project.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Milestone not found in this project'
+            });
+        }
+
         const task = await Task.create({
             project: projectId,
             title,
@@ -165,29 +282,11 @@ router.post('/', [
             priority: priority || 'medium',
             assignedTo: assignedTo || null,
             dueDate: dueDate ? new Date(dueDate) : null,
+            milestoneId: milestoneId || null,
             createdBy: req.user.id
         });
 
-        // If task is assigned, create notification
-        if (assignedTo && assignedTo !== req.user.id) {
-            await Notification.createNotification({
-                user: assignedTo,
-                type: 'task_assigned',
-                title: 'New Task Assigned',
-                message: `You've been assigned to "${title}" in ${project.name}`,
-                project: projectId,
-                task: task.id,
-                triggeredBy: req.user.id
-            });
-
-            // Emit socket event
-            const io = req.app.get('io');
-            io.to(`user:${assignedTo}`).emit('notification', {
-                type: 'task_assigned',
-                task: task,
-                message: `New task assigned: ${title}`
-            });
-        }
+        await announceNewTask(req, project, task);
 
         res.status(201).json({
             success: true,
@@ -211,7 +310,10 @@ router.put('/:id', [
     body('status').optional().isIn(['new', 'in_progress', 'done']),
     body('priority').optional().isIn(['low', 'medium', 'high']),
     body('assignedTo').optional(),
-    body('dueDate').optional()
+    body('dueDate').optional(),
+    body('milestoneId').optional({ nullable: true }).isUUID().withMessage('Invalid milestone ID'),
+    body('children').optional().isIn(['cascade', 'keep'])
+        .withMessage('Children must be cascade or keep')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -231,7 +333,54 @@ router.put('/:id', [
             });
         }
 
-        const { title, description, status, priority, assignedTo, dueDate } = req.body;
+        const project = await getTaskProject(currentTask);
+        if (!policy.can(req.user, 'task:update', { project, resource: currentTask })) {
+            return policy.forbidden(res, 'task:update', project);
+        }
+
+        const { title, description, status, priority, dueDate, milestoneId, children } = req.body;
+        // Guests may work on the tasks given to them but not hand them to someone else
+        const assignedTo = policy.can(req.user, 'task:assign', { project }) ? req.body.assignedTo : undefined;
+
+        if (milestoneId && !await isProjectMilestone(milestoneId, project.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Milestone not found in this project'
+            });
+        }
+
+        // Completing a task with open subtasks or checklist items, or reopening
+        // one with finished ones, needs to say what happens to them
+        const completing = status === 'done' && currentTask.status !== 'done';
+        const reopening = !!status && status !== 'done' && currentTask.status === 'done';
+        let pendingSubtasks = [];
+        let pendingItems = [];
+        if (completing || reopening) {
+            const subtasks = currentTask.parentId ? [] : await Task.find({ parent: currentTask.id });
+            pendingSubtasks = subtasks.filter(t => (t.status === 'done') === reopening);
+            pendingItems = currentTask.checklist.filter(item => item.isDone === reopening);
+        }
+
+        if ((pendingSubtasks.length > 0 || pendingItems.length > 0) && !children) {
+            return res.status(409).json({
+                success: false,
+                error: completing
+                    ? 'This task still has open subtasks or checklist items'
+                    : 'This task has finished subtasks or checklist items',
+                code: 'CHILDREN_PENDING',
+                data: {
+                    action: completing ? 'complete' : 'reopen',
+                    subtasks: pendingSubtasks.map(t => ({ id: t.id, title: t.title, status: t.status })),
+                    checklistItems: pendingItems.length
+                }
+            });
+        }
+
+        const cascading = children === 'cascade';
+        if (cascading && !pendingSubtasks.every(t => policy.can(req.user, 'task:update', { project, resource: t }))) {
+            return policy.forbidden(res, 'task:update', project);
+        }
+
         const previousAssignee = currentTask.assignedTo?.id;
         const previousStatus = currentTask.status;
 
@@ -242,9 +391,47 @@ router.put('/:id', [
         if (priority) updates.priority = priority;
         if (assignedTo !== undefined) updates.assignedTo = assignedTo || null;
         if (dueDate !== undefined) updates.dueDate = dueDate ? new Date(dueDate) : null;
+        if (milestoneId !== undefined) updates.milestoneId = milestoneId || null;
 
+        // The task itself first, so a failure leaves its children as they were
         const task = await Task.update(req.params.id, updates);
 
+        if (cascading) {
+            await Task.setStatus(pendingSubtasks.map(t => t.id), status);
+            if (pendingItems.length > 0) await ChecklistItem.setAllDone(currentTask.id, completing);
+        }
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'task',
+            entityId: task.id,
+            projectId: project?.id,
+            before: currentTask,
+            after: task
+        });
+
+        // Subtasks that changed along with their parent
+        const cascaded = cascading && pendingSubtasks.length > 0
+            ? (await Task.find({ parent: task.id })).filter(t => pendingSubtasks.some(p => p.id === t.id))
+            : [];
+        for (const subtask of cascaded) {
+            await audit.record(req, {
+                action: 'update',
+                entityType: 'task',
+                entityId: subtask.id,
+                projectId: project?.id,
+                before: pendingSubtasks.find(p => p.id === subtask.id),
+                after: subtask
+            });
+        }
+
+        // Both the milestone the task left and the one it now counts towards
+        await milestones.checkMilestones(req.app.get('io'), [
+            currentTask.milestoneId,
+            task.milestoneId,
+            ...cascaded.map(t => t.milestoneId)
+        ]);
+
         // Handle notifications for assignment changes
         if (assignedTo && assignedTo !== previousAssignee && assignedTo !== req.user.id) {
             await Notification.createNotification({
@@ -260,6 +447,8 @@ router.put('/:id', [
 
         // Notify if task completed
         if (status === 'done' && previousStatus !== 'done') {
+            await achievements.recordTaskCompleted(req);
+
             const io = req.app.get('io');
             io.to(`project:${task.project?.id}`).emit('task_completed', {
                 task: task,
@@ -294,16 +483,28 @@ router.delete('/:id', async (req, res, next) => {
             });
         }
 
-        // Only admin or task creator can delete
-        if (req.user.role !== 'admin' && task.createdBy?.id !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                error: 'Not authorized to delete this task'
-            });
+        // Project owners, or members deleting a task they created
+        const project = await getTaskProject(task);
+        if (!policy.can(req.user, 'task:delete', { project, resource: task })) {
+            return policy.forbidden(res, 'task:delete', project);
         }
 
+        const subtasks = task.parentId ? [] : await Task.find({ parent: task.id });
         await Task.delete(req.params.id);
 
+        // Tasks are hard deleted, so these snapshots are the only copies left
+        for (const deleted of [task, ...subtasks]) {
+            await audit.record(req, {
+                action: 'delete',
+                entityType: 'task',
+                entityId: deleted.id,
+                projectId: project?.id,
+                before: deleted
+            });
+        }
+
+        await milestones.checkMilestones(req.app.get('io'), [task.milestoneId, ...subtasks.map(t => t.milestoneId)]);
+
         res.json({
             success: true,
             message: 'Task deleted'
@@ -313,4 +514,248 @@ router.delete('/:id', async (req, res, next) => {
     }
 });
 
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get a task's subtasks
+// @access  Private
+router.get('/:id/subtasks', async (req, res, next) => {
+    try {
+        const loaded = await loadTask(req, res, 'task:read');
+        if (!loaded) return;
+
+        const subtasks = await Task.find({ parent: loaded.task.id });
+
+        res.json({
+            success: true,
+            count: subtasks.length,
+            data: subtasks.map(t => ({
+                ...t,
+                projectId: loaded.project.id,
+                assigneeName: t.assignedTo?.name
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Add a subtask (subtasks can't have subtasks of their own)
+// @access  Private
+router.post('/:id/subtasks', [
+    body('title').trim().notEmpty().withMessage('Subtask title is required'),
+    body('description').optional().trim(),
+    body('status').optional().isIn(['new', 'in_progress', 'done']),
+    body('priority').optional().isIn(['low', 'medium', 'high']),
+    body('assignedTo').optional(),
+    body('dueDate').optional()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const loaded = await loadTask(req, res, 'task:read');
+        if (!loaded) return;
+        const { task: parent, project } = loaded;
+
+        if (!policy.can(req.user, 'task:create', { project })) {
+            return policy.forbidden(res, 'task:create', project);
+        }
+
+        if (parent.parentId) {
+            return res.status(400).json({
+                success: false,
+                error: "Subtasks can't have subtasks"
+            });
+        }
+
+        const { title, description, status, priority, assignedTo, dueDate } = req.body;
+
+        const subtask = await Task.create({
+            project: project.id,
+            parentId: parent.id,
+            title,
+            description,
+            status: status || 'new',
+            priority: priority || parent.priority,
+            assignedTo: assignedTo || null,
+            dueDate: dueDate ? new Date(dueDate) : null,
+            createdBy: req.user.id
+        });
+
+        await announceNewTask(req, project, subtask);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...subtask,
+                projectId: project.id,
+                assigneeName: subtask.assignedTo?.name
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Checklist items are ticked by anyone who may update their task, so an
+// assignee without other rights in the project can still work through them.
+// Each change answers with the whole task, checklist and progress included.
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add a checklist item to the end of a task's checklist
+// @access  Private
+router.post('/:id/checklist', [
+    body('text').trim().notEmpty().withMessage('Checklist item text is required')
+        .isLength({ max: 500 }).withMessage('Checklist items are limited to 500 characters')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const loaded = await loadTask(req, res, 'task:update');
+        if (!loaded) return;
+        const { task, project } = loaded;
+
+        const item = await ChecklistItem.create({
+            task: task.id,
+            text: req.body.text,
+            createdBy: req.user.id
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'checklist_item',
+            entityId: item.id,
+            projectId: project.id,
+            after: item
+        });
+
+        const updated = await Task.findById(task.id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...updated,
+                projectId: project.id,
+                assigneeName: updated.assignedTo?.name
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Edit, tick or move a checklist item
+// @access  Private
+router.put('/:id/checklist/:itemId', [
+    body('text').optional().trim().notEmpty().withMessage('Checklist item text is required')
+        .isLength({ max: 500 }).withMessage('Checklist items are limited to 500 characters'),
+    body('isDone').optional().isBoolean({ strict: true }).withMessage('isDone must be true or false'),
+    body('position').optional().isInt({ min: 0 }).withMessage('Position must be a whole number')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const loaded = await loadTask(req, res, 'task:update');
+        if (!loaded) return;
+        const { task, project } = loaded;
+
+        const item = await ChecklistItem.findById(req.params.itemId);
+        if (!item || item.task !== task.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Checklist item not found'
+            });
+        }
+
+        const { text, isDone, position } = req.body;
+        const updatedItem = await ChecklistItem.update(item.id, {
+            text,
+            isDone,
+            position: position === undefined ? undefined : Number(position)
+        });
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'checklist_item',
+            entityId: item.id,
+            projectId: project.id,
+            before: item,
+            after: updatedItem
+        });
+
+        const updated = await Task.findById(task.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...updated,
+                projectId: project.id,
+                assigneeName: updated.assignedTo?.name
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private
+router.delete('/:id/checklist/:itemId', async (req, res, next) => {
+    try {
+        const loaded = await loadTask(req, res, 'task:update');
+        if (!loaded) return;
+        const { task, project } = loaded;
+
+        const item = await ChecklistItem.findById(req.params.itemId);
+        if (!item || item.task !== task.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Checklist item not found'
+            });
+        }
+
+        await ChecklistItem.delete(item.id);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'checklist_item',
+            entityId: item.id,
+            projectId: project.id,
+            before: item
+        });
+
+        const updated = await Task.findById(task.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...updated,
+                projectId: project.id,
+                assigneeName: updated.assignedTo?.name
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
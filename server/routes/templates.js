@@ -0,0 +1,272 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ProjectTemplate, Project, Task } = require('../models');
+const { protect } = require('../middleware');
+const { daysBetween } = require('../utils/calendar');
+const { normalizeFolders, isValidFolderList } = require('../utils/folders');
+const { isKnownCategory, defaultCategory } = require('../utils/categories');
+const policy = require('../policy');
+const audit = require('../audit');
+
+const router = express.Router();
+
+const MAX_TEMPLATE_TASKS = 200;
+
+// Fields shared by creating and updating a template
+const validateTemplate = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name').trim().notEmpty().withMessage('Template name is required').isLength({ max: 200 }),
+        body('description').optional().trim(),
+        body('category').optional().custom(isKnownCategory),
+        body('folders').optional().custom(isValidFolderList).customSanitizer(normalizeFolders),
+        body('tasks').optional().isArray({ max: MAX_TEMPLATE_TASKS }).withMessage(`At most ${MAX_TEMPLATE_TASKS} tasks`),
+        body('tasks.*.title').trim().notEmpty().withMessage('Every task needs a title').isLength({ max: 500 }),
+        body('tasks.*.description').optional().trim(),
+        body('tasks.*.priority').optional().isIn(['low', 'medium', 'high']),
+        body('tasks.*.tags').optional().isArray(),
+        body('tasks.*.assigneeId').optional({ nullable: true }).isUUID(),
+        body('tasks.*.dueOffsetDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }).toInt()
+            .withMessage('Due offset must be a number of days from 0 to 3650'),
+        body('defaultMembers').optional().isArray(),
+        body('defaultMembers.*.userId').isUUID().withMessage('Default members need a user ID'),
+        body('defaultMembers.*.role').isIn(policy.PROJECT_ROLES)
+    ];
+};
+
+// All routes require an admin (templates are used when creating projects, which only admins do)
+router.use(protect, policy.permit('project:manage_templates'));
+
+// @route   GET /api/templates
+// @desc    List project templates
+// @access  Private/Admin
+router.get('/', async (req, res, next) => {
+    try {
+        const templates = await ProjectTemplate.find();
+
+        res.json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a project template
+// @access  Private/Admin
+router.get('/:id', async (req, res, next) => {
+    try {
+        const template = await ProjectTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/templates
+// @desc    Create a project template
+// @access  Private/Admin
+router.post('/', validateTemplate(false), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, description, category, folders, tasks, defaultMembers } = req.body;
+
+        const template = await ProjectTemplate.create({
+            name,
+            description,
+            category: category || await defaultCategory(),
+            folders,
+            tasks,
+            defaultMembers,
+            createdBy: req.user.id
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'project_template',
+            entityId: template.id,
+            after: template
+        });
+
+        res.status(201).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/templates/from-project/:projectId
+// @desc    Save an existing project (category, description, folders, members, tasks) as a template
+// @access  Private/Admin
+router.post('/from-project/:projectId', [
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }),
+    body('description').optional().trim()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const project = await Project.findById(req.params.projectId);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        // Due dates become days after the day the project started. Template
+        // tasks are a flat list, so subtasks are left out.
+        const startDate = project.createdAt.slice(0, 10);
+        const tasks = await Task.find({ project: project.id, topLevel: true });
+
+        const template = await ProjectTemplate.create({
+            name: req.body.name || project.name,
+            description: req.body.description ?? project.description,
+            category: project.category,
+            folders: project.folders,
+            tasks: tasks.map(task => ({
+                title: task.title,
+                description: task.description,
+                priority: task.priority,
+                tags: task.tags,
+                assigneeId: task.assignedTo?.id || null,
+                dueOffsetDays: task.dueDate
+                    ? Math.max(0, daysBetween(startDate, new Date(task.dueDate).toISOString().slice(0, 10)))
+                    : null
+            })),
+            defaultMembers: project.members
+                .filter(m => m.user)
+                .map(m => ({ userId: m.user.id, role: m.role })),
+            sourceProject: project.id,
+            createdBy: req.user.id
+        });
+
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'project_template',
+            entityId: template.id,
+            projectId: project.id,
+            after: template
+        });
+
+        res.status(201).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Update a project template
+// @access  Private/Admin
+router.put('/:id', validateTemplate(true), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const template = await ProjectTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        const { name, description, category, folders, tasks, defaultMembers } = req.body;
+        const updatedTemplate = await ProjectTemplate.update(template.id, {
+            name,
+            description,
+            category,
+            folders,
+            tasks,
+            defaultMembers
+        });
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'project_template',
+            entityId: template.id,
+            before: template,
+            after: updatedTemplate
+        });
+
+        res.json({
+            success: true,
+            data: updatedTemplate
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a project template
+// @access  Private/Admin
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const template = await ProjectTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        await ProjectTemplate.delete(template.id);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'project_template',
+            entityId: template.id,
+            before: template
+        });
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
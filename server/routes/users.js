@@ -1,17 +1,86 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
+const { User, LoginAttempt, Session, Task, Project, File, Notification } = require('../models');
 const { protect, authorize } = require('../middleware');
+const policy = require('../policy');
+const audit = require('../audit');
+const presence = require('../presence');
 
 const router = express.Router();
 
+// What the audit log keeps of a user (public fields plus account status)
+const auditSnapshot = (user) => ({ ...User.toPublicJSON(user), isActive: user.isActive });
+
+/**
+ * Everything a user is responsible for: open tasks, owned projects and uploaded files
+ */
+async function getOffboardingPreview(userId) {
+    const [openTasks, projects, files] = await Promise.all([
+        Task.find({ assignedTo: userId, statusNot: 'done' }),
+        Project.find({ memberId: userId }),
+        File.findByUploader(userId)
+    ]);
+
+    const ownedProjects = projects
+        .filter(p => p.isOwner(userId))
+        .map(p => ({
+            id: p.id,
+            name: p.name,
+            status: p.status,
+            otherOwners: p.members.filter(m => m.role === 'owner' && m.user?.id !== userId).length
+        }));
+
+    return {
+        openTasks: openTasks.map(t => ({
+            id: t.id,
+            title: t.title,
+            status: t.status,
+            dueDate: t.dueDate,
+            project: { id: t.project?.id, name: t.project?.name }
+        })),
+        ownedProjects,
+        files: files.map(f => ({
+            id: f.id,
+            originalName: f.originalName,
+            size: f.size,
+            projectId: f.project,
+            projectName: f.projectName
+        })),
+        membershipCount: projects.length,
+        // Projects that would be left without an owner
+        needsNewOwner: ownedProjects.some(p => p.otherOwners === 0)
+    };
+}
+
+// Notify someone who has inherited work (stored notification + live push)
+async function notifyInheritor(req, { user, type, title, message, project }) {
+    const notification = await Notification.createNotification({
+        user,
+        type,
+        title,
+        message,
+        project,
+        triggeredBy: req.user.id
+    });
+
+    await presence.pushNotification(req.app.get('io'), user, notification);
+}
+
+/**
+ * IDs of the users someone may look up, or null for everyone: guests only
+ * see the people they share a project with
+ */
+async function getVisibleUserIds(user) {
+    return policy.can(user, 'user:list') ? null : new Set(await Project.getCoMemberIds(user.id));
+}
+
 // All routes require authentication
 router.use(protect);
 
 // @route   GET /api/users
 // @desc    Get all users
-// @access  Private
-router.get('/', async (req, res, next) => {
+// @access  Private (not guests)
+router.get('/', policy.permit('user:list'), async (req, res, next) => {
     try {
         const users = await User.find({ isActive: true });
 
@@ -25,14 +94,36 @@ router.get('/', async (req, res, next) => {
     }
 });
 
+// @route   GET /api/users/presence
+// @desc    Who is online and everyone's current status (users not listed are offline and available)
+// @access  Private
+router.get('/presence', async (req, res, next) => {
+    try {
+        const [snapshot, visibleIds] = await Promise.all([
+            presence.getSnapshot(req.app.get('io')),
+            getVisibleUserIds(req.user)
+        ]);
+        const visible = visibleIds ? snapshot.filter(p => visibleIds.has(p.userId)) : snapshot;
+
+        res.json({
+            success: true,
+            count: visible.length,
+            data: visible
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get single user
 // @access  Private
 router.get('/:id', async (req, res, next) => {
     try {
         const user = await User.findById(req.params.id);
+        const visibleIds = await getVisibleUserIds(req.user);
 
-        if (!user) {
+        if (!user || (visibleIds && !visibleIds.has(user.id))) {
             return res.status(404).json({
                 success: false,
                 error: 'User not found'
@@ -55,7 +146,7 @@ router.post('/', authorize('admin'), [
     body('email').isEmail().normalizeEmail(),
     body('password').isLength({ min: 6 }),
     body('name').trim().notEmpty(),
-    body('role').optional().isIn(['admin', 'editor'])
+    body('role').optional().isIn(policy.GLOBAL_ROLES)
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -83,6 +174,13 @@ router.post('/', authorize('admin'), [
             role: role || 'editor'
         });
 
+        await audit.record(req, {
+            action: 'create',
+            entityType: 'user',
+            entityId: user.id,
+            after: auditSnapshot(user)
+        });
+
         res.status(201).json({
             success: true,
             data: User.toPublicJSON(user)
@@ -98,7 +196,7 @@ router.post('/', authorize('admin'), [
 router.put('/:id', authorize('admin'), [
     body('name').optional().trim().isLength({ max: 100 }),
     body('email').optional().isEmail().normalizeEmail(),
-    body('role').optional().isIn(['admin', 'editor']),
+    body('role').optional().isIn(policy.GLOBAL_ROLES),
     body('isActive').optional().isBoolean()
 ], async (req, res, next) => {
     try {
@@ -122,6 +220,20 @@ router.put('/:id', authorize('admin'), [
         const { name, email, role, isActive } = req.body;
         const updates = {};
 
+        // A guest can't hold more than the guest role in any project, and the
+        // projects they are the only owner of can't spare them as owner
+        const memberships = role === 'guest' && user.role !== 'guest'
+            ? (await Project.find({ memberId: user.id })).filter(p => policy.getProjectRole(p, user.id) !== 'guest')
+            : [];
+        const soleOwned = memberships.filter(p => p.isOwner(user.id) && p.getOwnerCount() <= 1);
+        if (soleOwned.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Make someone else an owner of ${soleOwned.map(p => `"${p.name}"`).join(', ')} first`,
+                code: 'LAST_OWNER'
+            });
+        }
+
         if (name) updates.name = name;
         if (role) updates.role = role;
         if (typeof isActive === 'boolean') updates.isActive = isActive;
@@ -139,6 +251,71 @@ router.put('/:id', authorize('admin'), [
 
         const updatedUser = await User.update(req.params.id, updates);
 
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            before: auditSnapshot(user),
+            after: auditSnapshot(updatedUser)
+        });
+
+        for (const project of memberships) {
+            const previousRole = policy.getProjectRole(project, user.id);
+            await Project.updateMemberRole(project.id, user.id, 'guest');
+            await audit.record(req, {
+                action: 'update',
+                entityType: 'project_member',
+                entityId: user.id,
+                projectId: project.id,
+                before: { userId: user.id, role: previousRole },
+                after: { userId: user.id, role: 'guest' }
+            });
+        }
+
+        // Sockets keep the role they connected with, so drop them; the client
+        // reconnects on a server-side disconnect and comes back with the new role.
+        // A deactivated account is turned away when it reconnects, which takes it
+        // out of the project rooms it was in.
+        if (updatedUser.role !== user.role || (user.isActive && !updatedUser.isActive)) {
+            req.app.get('io').in(`user:${user.id}`).disconnectSockets(true);
+        }
+
+        res.json({
+            success: true,
+            data: User.toPublicJSON(updatedUser)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear a lockout caused by failed sign-in attempts (admin only)
+// @access  Private/Admin
+router.post('/:id/unlock', authorize('admin'), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const updatedUser = await User.update(user.id, {
+            failedLoginAttempts: 0,
+            lockedUntil: null
+        });
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            before: { lockedUntil: user.lockedUntil, failedLoginAttempts: user.failedLoginAttempts },
+            after: { lockedUntil: null, failedLoginAttempts: 0 }
+        });
+
         res.json({
             success: true,
             data: User.toPublicJSON(updatedUser)
@@ -148,6 +325,277 @@ router.put('/:id', authorize('admin'), [
     }
 });
 
+// @route   GET /api/users/:id/login-attempts
+// @desc    Recent sign-in attempts for a user (admin only)
+// @access  Private/Admin
+router.get('/:id/login-attempts', authorize('admin'), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const attempts = await LoginAttempt.findByUser(user.id, limit);
+
+        res.json({
+            success: true,
+            count: attempts.length,
+            data: attempts.map(a => ({
+                id: a.id,
+                success: a.success,
+                failureReason: a.failureReason,
+                ipAddress: a.ipAddress,
+                userAgent: a.userAgent,
+                createdAt: a.createdAt
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/users/:id/sessions
+// @desc    A user's active sessions (admin only)
+// @access  Private/Admin
+router.get('/:id/sessions', authorize('admin'), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const sessions = await Session.findByUser(user.id);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(s => Session.toPublicJSON(s, req.session?.id))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Terminate one of a user's sessions (admin only)
+// @access  Private/Admin
+router.delete('/:id/sessions/:sessionId', authorize('admin'), async (req, res, next) => {
+    try {
+        const session = await Session.findById(req.params.sessionId);
+
+        if (!session || session.user !== req.params.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        await Session.revoke(session.id);
+        req.app.get('io').in(`session:${session.id}`).disconnectSockets(true);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'session',
+            entityId: session.id,
+            before: Session.toPublicJSON(session)
+        });
+
+        res.json({
+            success: true,
+            message: 'Session terminated'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Terminate every session of a user, signing them out everywhere (admin only)
+// @access  Private/Admin
+router.delete('/:id/sessions', authorize('admin'), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const sessions = await Session.findByUser(user.id);
+        const result = await Session.revokeAllForUser(user.id);
+        req.app.get('io').in(`user:${user.id}`).disconnectSockets(true);
+
+        for (const session of sessions) {
+            await audit.record(req, {
+                action: 'delete',
+                entityType: 'session',
+                entityId: session.id,
+                before: Session.toPublicJSON(session)
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'All sessions terminated',
+            revokedCount: result.revokedCount
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/users/:id/offboarding
+// @desc    Preview what a user owns before offboarding them (admin only)
+// @access  Private/Admin
+router.get('/:id/offboarding', authorize('admin'), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const preview = await getOffboardingPreview(user.id);
+
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/users/:id/offboard
+// @desc    Reassign a user's open tasks, owned projects and files, then deactivate them (admin only)
+// @access  Private/Admin
+router.post('/:id/offboard', authorize('admin'), [
+    body('taskAssigneeId').optional({ values: 'null' }).isUUID(),
+    body('projectOwnerId').optional({ values: 'null' }).isUUID(),
+    body('fileOwnerId').optional({ values: 'null' }).isUUID()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot offboard your own account'
+            });
+        }
+
+        const { taskAssigneeId = null, projectOwnerId = null, fileOwnerId = null } = req.body;
+
+        // Whoever inherits work must be able to act on it
+        const targetIds = [...new Set([taskAssigneeId, projectOwnerId, fileOwnerId].filter(Boolean))];
+        const targets = await Promise.all(targetIds.map(id => User.findById(id)));
+        if (targets.some(t => !t || !t.isActive || t.id === user.id || ['viewer', 'guest'].includes(t.role))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Work can only be reassigned to other active admins or editors'
+            });
+        }
+        const targetNames = Object.fromEntries(targets.map(t => [t.id, t.name]));
+
+        const preview = await getOffboardingPreview(user.id);
+        if (preview.needsNewOwner && !projectOwnerId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Choose a new owner for the projects this user owns'
+            });
+        }
+
+        const result = await User.offboard(user.id, { taskAssigneeId, projectOwnerId, fileOwnerId });
+
+        // Sessions were revoked in the same transaction; drop live sockets too
+        req.app.get('io').in(`user:${user.id}`).disconnectSockets(true);
+
+        if (taskAssigneeId && result.taskIds.length > 0) {
+            await notifyInheritor(req, {
+                user: taskAssigneeId,
+                type: 'task_assigned',
+                title: 'Tasks Reassigned to You',
+                message: `You've been assigned ${result.taskIds.length} open task(s) previously assigned to ${user.name}`
+            });
+        }
+
+        for (const project of preview.ownedProjects.filter(p => result.projectIds.includes(p.id))) {
+            await notifyInheritor(req, {
+                user: projectOwnerId,
+                type: 'ownership_transferred',
+                title: 'Project Ownership Transferred',
+                message: `You are now an owner of "${project.name}" (previously owned by ${user.name})`,
+                project: project.id
+            });
+        }
+
+        if (fileOwnerId && result.fileIds.length > 0) {
+            await notifyInheritor(req, {
+                user: fileOwnerId,
+                type: 'ownership_transferred',
+                title: 'Files Transferred to You',
+                message: `${result.fileIds.length} file(s) uploaded by ${user.name} now belong to you`
+            });
+        }
+
+        await audit.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            before: auditSnapshot(user),
+            after: {
+                ...auditSnapshot(user),
+                isActive: false,
+                offboarding: { taskAssigneeId, projectOwnerId, fileOwnerId, ...result }
+            }
+        });
+
+        res.json({
+            success: true,
+            message: `${user.name} has been offboarded`,
+            data: {
+                reassignedTasks: result.taskIds.length,
+                transferredProjects: result.projectIds.length,
+                transferredFiles: result.fileIds.length,
+                taskAssignee: taskAssigneeId ? targetNames[taskAssigneeId] : null,
+                projectOwner: projectOwnerId ? targetNames[projectOwnerId] : null,
+                fileOwner: fileOwnerId ? targetNames[fileOwnerId] : null
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Deactivate user (admin only)
 // @access  Private/Admin
@@ -170,8 +618,28 @@ router.delete('/:id', authorize('admin'), async (req, res, next) => {
             });
         }
 
-        // Soft delete
+        // Don't leave open tasks with a ghost or projects without an owner
+        const preview = await getOffboardingPreview(user.id);
+        if (preview.openTasks.length > 0 || preview.needsNewOwner) {
+            return res.status(409).json({
+                success: false,
+                error: 'This user still has open tasks or owns projects. Offboard them to reassign their work.',
+                code: 'OFFBOARDING_REQUIRED',
+                data: preview
+            });
+        }
+
+        // Soft delete, and stop live updates reaching the account
         await User.update(req.params.id, { isActive: false });
+        req.app.get('io').in(`user:${user.id}`).disconnectSockets(true);
+
+        await audit.record(req, {
+            action: 'delete',
+            entityType: 'user',
+            entityId: user.id,
+            before: auditSnapshot(user),
+            after: { isActive: false }
+        });
 
         res.json({
             success: true,
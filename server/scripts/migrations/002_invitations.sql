@@ -0,0 +1,31 @@
+-- ==========================================
+-- MIGRATION 002: INVITATIONS
+-- Invitation-based onboarding replaces open registration.
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) CHECK (role IN ('admin', 'editor')) DEFAULT 'editor',
+    project_ids UUID[] DEFAULT '{}',
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email);
+CREATE INDEX IF NOT EXISTS idx_invitations_pending ON invitations(expires_at) WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_invitations_updated_at ON invitations;
+CREATE TRIGGER update_invitations_updated_at BEFORE UPDATE ON invitations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE invitations ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - invitations" ON invitations;
+CREATE POLICY "Backend only - invitations" ON invitations
+    FOR ALL USING (false);
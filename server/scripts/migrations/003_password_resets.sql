@@ -0,0 +1,21 @@
+-- ==========================================
+-- MIGRATION 003: PASSWORD RESETS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS password_resets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id, used_at);
+
+ALTER TABLE password_resets ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - password_resets" ON password_resets;
+CREATE POLICY "Backend only - password_resets" ON password_resets
+    FOR ALL USING (false);
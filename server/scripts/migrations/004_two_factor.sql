@@ -0,0 +1,24 @@
+-- ==========================================
+-- MIGRATION 004: TWO-FACTOR AUTHENTICATION (TOTP)
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT;
+
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id, code_hash);
+
+ALTER TABLE recovery_codes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - recovery_codes" ON recovery_codes;
+CREATE POLICY "Backend only - recovery_codes" ON recovery_codes
+    FOR ALL USING (false);
@@ -0,0 +1,35 @@
+-- ==========================================
+-- MIGRATION 005: ACCOUNT LOCKOUT & LOGIN ATTEMPTS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    device_hash VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_device ON login_attempts(user_id, device_hash) WHERE success;
+
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - login_attempts" ON login_attempts;
+CREATE POLICY "Backend only - login_attempts" ON login_attempts
+    FOR ALL USING (false);
+
+-- New notification type for sign-ins from unrecognised devices
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'task_assigned', 'task_completed', 'task_due_soon', 'task_overdue',
+    'message_mention', 'project_created', 'project_member_added',
+    'file_uploaded', 'comment_added', 'new_device_login'
+));
@@ -0,0 +1,29 @@
+-- ==========================================
+-- MIGRATION 006: PERSONAL ACCESS TOKENS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id, revoked_at);
+
+DROP TRIGGER IF EXISTS update_api_tokens_updated_at ON api_tokens;
+CREATE TRIGGER update_api_tokens_updated_at BEFORE UPDATE ON api_tokens FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - api_tokens" ON api_tokens;
+CREATE POLICY "Backend only - api_tokens" ON api_tokens
+    FOR ALL USING (false);
@@ -0,0 +1,9 @@
+-- ==========================================
+-- MIGRATION 007: OPENID CONNECT SSO
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity ON users(oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
@@ -0,0 +1,18 @@
+-- ==========================================
+-- MIGRATION 008: VIEWER ROLE & PROJECT GUESTS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Read-only global role
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('admin', 'editor', 'viewer'));
+
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_check;
+ALTER TABLE invitations ADD CONSTRAINT invitations_role_check
+    CHECK (role IN ('admin', 'editor', 'viewer'));
+
+-- Guests can read a project and chat, but not create tasks or upload files
+ALTER TABLE project_members DROP CONSTRAINT IF EXISTS project_members_role_check;
+ALTER TABLE project_members ADD CONSTRAINT project_members_role_check
+    CHECK (role IN ('owner', 'member', 'guest'));
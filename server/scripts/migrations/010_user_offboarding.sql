@@ -0,0 +1,100 @@
+-- ==========================================
+-- MIGRATION 010: USER OFFBOARDING
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Sent to people who inherit projects or files from an offboarded user
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'task_assigned', 'task_completed', 'task_due_soon', 'task_overdue',
+    'message_mention', 'project_created', 'project_member_added',
+    'file_uploaded', 'comment_added', 'new_device_login',
+    'ownership_transferred'
+));
+
+-- Reassign a departing user's work and deactivate them in one transaction
+CREATE OR REPLACE FUNCTION offboard_user(
+    p_user_id UUID,
+    p_task_assignee UUID,
+    p_project_owner UUID,
+    p_file_owner UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_task_ids UUID[];
+    v_task_project_ids UUID[];
+    v_project_ids UUID[];
+    v_file_ids UUID[];
+BEGIN
+    PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_user_id IN (p_task_assignee, p_project_owner, p_file_owner) THEN
+        RAISE EXCEPTION 'Work cannot be reassigned to the user being offboarded' USING ERRCODE = '22023';
+    END IF;
+
+    -- Open tasks go to the new assignee (or become unassigned)
+    WITH moved AS (
+        UPDATE tasks SET assigned_to = p_task_assignee
+        WHERE assigned_to = p_user_id AND status <> 'done'
+        RETURNING id, project_id
+    )
+    SELECT array_agg(id), array_agg(DISTINCT project_id) INTO v_task_ids, v_task_project_ids FROM moved;
+
+    -- The new assignee has to be able to see those tasks
+    IF p_task_assignee IS NOT NULL AND v_task_project_ids IS NOT NULL THEN
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT unnest(v_task_project_ids), p_task_assignee, 'member'
+        ON CONFLICT (project_id, user_id) DO NOTHING;
+    END IF;
+
+    -- Projects where this user is the only owner need a new one
+    SELECT array_agg(pm.project_id) INTO v_project_ids
+    FROM project_members pm
+    WHERE pm.user_id = p_user_id AND pm.role = 'owner'
+      AND NOT EXISTS (
+          SELECT 1 FROM project_members other
+          WHERE other.project_id = pm.project_id AND other.role = 'owner' AND other.user_id <> p_user_id
+      );
+
+    IF v_project_ids IS NOT NULL THEN
+        IF p_project_owner IS NULL THEN
+            RAISE EXCEPTION 'A new owner is required for % project(s)', array_length(v_project_ids, 1) USING ERRCODE = '22023';
+        END IF;
+
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT unnest(v_project_ids), p_project_owner, 'owner'
+        ON CONFLICT (project_id, user_id) DO UPDATE SET role = 'owner';
+    END IF;
+
+    -- Uploaded files (files cascade-delete with their uploader otherwise)
+    IF p_file_owner IS NOT NULL THEN
+        WITH moved AS (
+            UPDATE files SET uploaded_by = p_file_owner
+            WHERE uploaded_by = p_user_id AND NOT is_deleted
+            RETURNING id
+        )
+        SELECT array_agg(id) INTO v_file_ids FROM moved;
+    END IF;
+
+    -- Remove the user everywhere and cut off access
+    DELETE FROM project_members WHERE user_id = p_user_id;
+    UPDATE users SET is_active = false WHERE id = p_user_id;
+    UPDATE sessions SET revoked_at = NOW() WHERE user_id = p_user_id AND revoked_at IS NULL;
+    UPDATE api_tokens SET revoked_at = NOW() WHERE user_id = p_user_id AND revoked_at IS NULL;
+
+    RETURN jsonb_build_object(
+        'taskIds', COALESCE(to_jsonb(v_task_ids), '[]'::jsonb),
+        'projectIds', COALESCE(to_jsonb(v_project_ids), '[]'::jsonb),
+        'fileIds', COALESCE(to_jsonb(v_file_ids), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- Only the backend (service role) may call it, never the public API
+REVOKE EXECUTE ON FUNCTION offboard_user(UUID, UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,87 @@
+-- ==========================================
+-- MIGRATION 011: TIMEZONE-AWARE STREAKS AND ACHIEVEMENTS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Streaks count calendar days in this timezone
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+CREATE TABLE IF NOT EXISTS user_activity (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    activity_date DATE NOT NULL,
+    logins INTEGER NOT NULL DEFAULT 0,
+    tasks_completed INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, activity_date)
+);
+
+CREATE TABLE IF NOT EXISTS user_achievements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    achievement VARCHAR(50) NOT NULL,
+    unlocked_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, achievement)
+);
+
+DROP TRIGGER IF EXISTS update_user_activity_updated_at ON user_activity;
+CREATE TRIGGER update_user_activity_updated_at BEFORE UPDATE ON user_activity FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE user_activity ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - user_activity" ON user_activity;
+CREATE POLICY "Backend only - user_activity" ON user_activity
+    FOR ALL USING (false);
+
+ALTER TABLE user_achievements ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - user_achievements" ON user_achievements;
+CREATE POLICY "Backend only - user_achievements" ON user_achievements
+    FOR ALL USING (false);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'task_assigned', 'task_completed', 'task_due_soon', 'task_overdue',
+    'message_mention', 'project_created', 'project_member_added',
+    'file_uploaded', 'comment_added', 'new_device_login',
+    'ownership_transferred', 'achievement_unlocked'
+));
+
+CREATE OR REPLACE FUNCTION record_user_activity(
+    p_user_id UUID,
+    p_date DATE,
+    p_logins INTEGER,
+    p_tasks_completed INTEGER
+)
+RETURNS VOID
+LANGUAGE sql
+SET search_path = public
+AS $$
+    INSERT INTO user_activity (user_id, activity_date, logins, tasks_completed)
+    VALUES (p_user_id, p_date, p_logins, p_tasks_completed)
+    ON CONFLICT (user_id, activity_date) DO UPDATE SET
+        logins = user_activity.logins + EXCLUDED.logins,
+        tasks_completed = user_activity.tasks_completed + EXCLUDED.tasks_completed,
+        updated_at = NOW();
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_user_activity(UUID, DATE, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Backfill: one login per day of each current streak, so a rebuild gives the same number
+INSERT INTO user_activity (user_id, activity_date, logins)
+SELECT u.id, d::date, 1
+FROM users u,
+     generate_series(
+         (u.last_login AT TIME ZONE 'UTC')::date - (u.login_streak - 1),
+         (u.last_login AT TIME ZONE 'UTC')::date,
+         INTERVAL '1 day'
+     ) AS d
+WHERE u.last_login IS NOT NULL AND u.login_streak > 0
+ON CONFLICT (user_id, activity_date) DO NOTHING;
+
+-- Backfill: completed tasks, credited to their assignee on the day they were completed
+INSERT INTO user_activity (user_id, activity_date, tasks_completed)
+SELECT assigned_to, (completed_at AT TIME ZONE 'UTC')::date, COUNT(*)
+FROM tasks
+WHERE status = 'done' AND completed_at IS NOT NULL AND assigned_to IS NOT NULL
+GROUP BY assigned_to, (completed_at AT TIME ZONE 'UTC')::date
+ON CONFLICT (user_id, activity_date) DO UPDATE SET
+    tasks_completed = user_activity.tasks_completed + EXCLUDED.tasks_completed;
@@ -0,0 +1,10 @@
+-- ==========================================
+-- MIGRATION 012: AVATAR UPLOADS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Public URL of each generated size: {"small": ..., "medium": ..., "large": ...}
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_sizes JSONB;
+
+-- Storage folder holding the current avatar's files, so they can be removed on replace
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_path VARCHAR(255);
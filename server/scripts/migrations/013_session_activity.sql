@@ -0,0 +1,9 @@
+-- ==========================================
+-- MIGRATION 013: SESSION ACTIVITY
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Address the session was last used from (ip_address stays the sign-in address)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_ip_address VARCHAR(45);
+
+UPDATE sessions SET last_ip_address = ip_address WHERE last_ip_address IS NULL;
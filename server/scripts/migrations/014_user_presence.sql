@@ -0,0 +1,23 @@
+-- ==========================================
+-- MIGRATION 014: USER PRESENCE AND STATUS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Status a user has chosen, and when they were last connected
+CREATE TABLE IF NOT EXISTS user_presence (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'busy', 'away', 'dnd')),
+    status_text VARCHAR(100),
+    status_expires_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_user_presence_updated_at ON user_presence;
+CREATE TRIGGER update_user_presence_updated_at BEFORE UPDATE ON user_presence FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE user_presence ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - user_presence" ON user_presence;
+CREATE POLICY "Backend only - user_presence" ON user_presence
+    FOR ALL USING (false);
@@ -0,0 +1,100 @@
+-- ==========================================
+-- MIGRATION 015: PROJECT TEMPLATES
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Folder structure of a project, and the folder a file was filed under
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS folders TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE files ADD COLUMN IF NOT EXISTS folder VARCHAR(255);
+
+-- Reusable project setup. tasks: [{title, description, priority, tags, assignee_id, due_offset_days}]
+-- (due_offset_days counts from the new project's start date); default_members: [{user_id, role}]
+CREATE TABLE IF NOT EXISTS project_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    description TEXT DEFAULT '',
+    category VARCHAR(20) CHECK (category IN ('tech', 'marketing', 'ops', 'personal')) DEFAULT 'tech',
+    folders TEXT[] NOT NULL DEFAULT '{}',
+    tasks JSONB NOT NULL DEFAULT '[]',
+    default_members JSONB NOT NULL DEFAULT '[]',
+    source_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_project_templates_updated_at ON project_templates;
+CREATE TRIGGER update_project_templates_updated_at BEFORE UPDATE ON project_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE project_templates ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - project_templates" ON project_templates;
+CREATE POLICY "Backend only - project_templates" ON project_templates
+    FOR ALL USING (false);
+
+-- ==========================================
+-- PROJECT FROM TEMPLATE FUNCTION
+-- Creates a project with the template's folders, members and tasks in one
+-- transaction (called from POST /api/projects via supabase.rpc)
+-- ==========================================
+CREATE OR REPLACE FUNCTION create_project_from_template(
+    p_template_id UUID,
+    p_name VARCHAR,
+    p_description TEXT,
+    p_category VARCHAR,
+    p_created_by UUID,
+    p_start_date DATE
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_template project_templates%ROWTYPE;
+    v_project_id UUID;
+BEGIN
+    SELECT * INTO v_template FROM project_templates WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template % not found', p_template_id USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO projects (name, description, category, folders, created_by)
+    VALUES (
+        p_name,
+        COALESCE(p_description, v_template.description, ''),
+        COALESCE(p_category, v_template.category, 'tech'),
+        v_template.folders,
+        p_created_by
+    )
+    RETURNING id INTO v_project_id;
+
+    INSERT INTO project_members (project_id, user_id, role)
+    VALUES (v_project_id, p_created_by, 'owner');
+
+    -- Default members who still have an active account
+    INSERT INTO project_members (project_id, user_id, role)
+    SELECT v_project_id, u.id, m.role
+    FROM jsonb_to_recordset(v_template.default_members) AS m(user_id UUID, role VARCHAR)
+    JOIN users u ON u.id = m.user_id AND u.is_active
+    ON CONFLICT (project_id, user_id) DO NOTHING;
+
+    -- Assignees who didn't make it into the project leave their task unassigned
+    INSERT INTO tasks (project_id, title, description, priority, tags, assigned_to, due_date, order_index, created_by)
+    SELECT
+        v_project_id,
+        t.task->>'title',
+        COALESCE(t.task->>'description', ''),
+        COALESCE(t.task->>'priority', 'medium'),
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(t.task->'tags', '[]'::jsonb))),
+        pm.user_id,
+        p_start_date + (t.task->>'due_offset_days')::INTEGER,
+        t.ord - 1,
+        p_created_by
+    FROM jsonb_array_elements(v_template.tasks) WITH ORDINALITY AS t(task, ord)
+    LEFT JOIN project_members pm
+        ON pm.project_id = v_project_id AND pm.user_id = (t.task->>'assignee_id')::UUID;
+
+    RETURN v_project_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_project_from_template(UUID, VARCHAR, TEXT, VARCHAR, UUID, DATE) FROM PUBLIC, anon, authenticated;
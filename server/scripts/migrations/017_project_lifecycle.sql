@@ -0,0 +1,23 @@
+-- ==========================================
+-- MIGRATION 017: PROJECT ARCHIVE AND PERMANENT DELETION
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Archived projects are read-only until restored
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Permanent deletion: a short-lived confirmation token, then a grace period
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deletion_token_hash VARCHAR(64);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deletion_token_expires_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deletion_requested_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_projects_deletion_scheduled ON projects(deletion_scheduled_at) WHERE deletion_scheduled_at IS NOT NULL;
+
+-- Until now, deleting a project set its status to 'completed', so deleted and
+-- genuinely completed projects can't be told apart. Existing rows are left as
+-- they are; archive the ones that were deleted from the app, or run this once
+-- if none of your projects were ever marked completed on purpose:
+--
+-- UPDATE projects SET status = 'archived', archived_at = updated_at WHERE status = 'completed';
@@ -0,0 +1,64 @@
+-- ==========================================
+-- MIGRATION 018: PROJECT CATEGORIES
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Categories are managed by admins instead of being fixed in a CHECK constraint
+CREATE TABLE IF NOT EXISTS project_categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Stored in projects.category; fixed once created
+    slug VARCHAR(40) NOT NULL UNIQUE,
+    name VARCHAR(60) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#6b7280' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    icon VARCHAR(40) NOT NULL DEFAULT 'folder',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- The four categories the app had until now, with the colors it used for them
+INSERT INTO project_categories (slug, name, color, icon, sort_order) VALUES
+    ('tech', 'Tech', '#dc2626', 'code', 0),
+    ('marketing', 'Marketing', '#f97316', 'megaphone', 1),
+    ('ops', 'Operations', '#22c55e', 'settings', 2),
+    ('personal', 'Personal', '#8b5cf6', 'user', 3)
+ON CONFLICT (slug) DO NOTHING;
+
+DROP TRIGGER IF EXISTS update_project_categories_updated_at ON project_categories;
+CREATE TRIGGER update_project_categories_updated_at BEFORE UPDATE ON project_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE project_categories ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - project_categories" ON project_categories;
+CREATE POLICY "Backend only - project_categories" ON project_categories
+    FOR ALL USING (false);
+
+-- Projects and templates without a category get the old default
+UPDATE projects SET category = 'tech' WHERE category IS NULL;
+UPDATE project_templates SET category = 'tech' WHERE category IS NULL;
+
+-- Any other category already in use keeps working
+INSERT INTO project_categories (slug, name, sort_order)
+SELECT DISTINCT c.category, INITCAP(c.category), 100
+FROM (
+    SELECT category FROM projects
+    UNION
+    SELECT category FROM project_templates
+) c
+ON CONFLICT (slug) DO NOTHING;
+
+-- Replace the fixed lists with references to project_categories
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_category_check;
+ALTER TABLE projects ALTER COLUMN category DROP DEFAULT;
+ALTER TABLE projects ALTER COLUMN category TYPE VARCHAR(40);
+ALTER TABLE projects ALTER COLUMN category SET NOT NULL;
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_category_fkey;
+ALTER TABLE projects ADD CONSTRAINT projects_category_fkey
+    FOREIGN KEY (category) REFERENCES project_categories(slug) ON UPDATE CASCADE;
+
+ALTER TABLE project_templates DROP CONSTRAINT IF EXISTS project_templates_category_check;
+ALTER TABLE project_templates ALTER COLUMN category DROP DEFAULT;
+ALTER TABLE project_templates ALTER COLUMN category TYPE VARCHAR(40);
+ALTER TABLE project_templates ALTER COLUMN category SET NOT NULL;
+ALTER TABLE project_templates DROP CONSTRAINT IF EXISTS project_templates_category_fkey;
+ALTER TABLE project_templates ADD CONSTRAINT project_templates_category_fkey
+    FOREIGN KEY (category) REFERENCES project_categories(slug) ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- ==========================================
+-- MIGRATION 019: PROJECT MILESTONES
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS milestones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT DEFAULT '',
+    target_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'in_progress', 'completed')),
+    completed_at TIMESTAMPTZ,
+    -- Set while any of its open tasks is overdue; members are notified when it is set
+    at_risk_since TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_milestones_project ON milestones(project_id, target_date);
+
+DROP TRIGGER IF EXISTS update_milestones_updated_at ON milestones;
+CREATE TRIGGER update_milestones_updated_at BEFORE UPDATE ON milestones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE milestones ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - milestones" ON milestones;
+CREATE POLICY "Backend only - milestones" ON milestones
+    FOR ALL USING (false);
+
+-- The milestone a task counts towards
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_milestone ON tasks(milestone_id) WHERE milestone_id IS NOT NULL;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'task_assigned', 'task_completed', 'task_due_soon', 'task_overdue',
+    'message_mention', 'project_created', 'project_member_added',
+    'file_uploaded', 'comment_added', 'new_device_login',
+    'ownership_transferred', 'achievement_unlocked', 'milestone_at_risk'
+));
@@ -0,0 +1,80 @@
+-- ==========================================
+-- MIGRATION 020: PROJECT OWNERSHIP
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Projects always keep at least one owner, whichever way members change
+CREATE OR REPLACE FUNCTION ensure_project_keeps_owner()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.role <> 'owner' OR (TG_OP = 'UPDATE' AND NEW.role = 'owner') THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    -- Serialise owner changes per project so two owners can't step down at once.
+    -- The project or user itself being deleted takes its memberships along.
+    PERFORM 1 FROM projects WHERE id = OLD.project_id FOR UPDATE;
+    IF NOT FOUND OR NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM project_members
+        WHERE project_id = OLD.project_id AND role = 'owner' AND user_id <> OLD.user_id
+    ) THEN
+        RAISE EXCEPTION 'A project must keep at least one owner' USING ERRCODE = '23514';
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ensure_project_keeps_owner ON project_members;
+CREATE TRIGGER ensure_project_keeps_owner
+    BEFORE UPDATE OF role OR DELETE ON project_members
+    FOR EACH ROW EXECUTE FUNCTION ensure_project_keeps_owner();
+
+-- Hand ownership to another user, optionally staying an owner too
+CREATE OR REPLACE FUNCTION transfer_project_ownership(
+    p_project_id UUID,
+    p_from_user UUID,
+    p_to_user UUID,
+    p_keep_ownership BOOLEAN
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM 1 FROM projects WHERE id = p_project_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Project % not found', p_project_id USING ERRCODE = 'P0002';
+    END IF;
+
+    PERFORM 1 FROM project_members
+    WHERE project_id = p_project_id AND user_id = p_from_user AND role = 'owner';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Only an owner can transfer ownership' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_from_user = p_to_user THEN
+        RAISE EXCEPTION 'Ownership must go to someone else' USING ERRCODE = '22023';
+    END IF;
+
+    -- The new owner comes first so the guard sees an owner remaining
+    INSERT INTO project_members (project_id, user_id, role)
+    VALUES (p_project_id, p_to_user, 'owner')
+    ON CONFLICT (project_id, user_id) DO UPDATE SET role = 'owner';
+
+    IF NOT p_keep_ownership THEN
+        UPDATE project_members SET role = 'member'
+        WHERE project_id = p_project_id AND user_id = p_from_user;
+    END IF;
+END;
+$$;
+
+-- Only the backend (service role) may call it, never the public API
+REVOKE EXECUTE ON FUNCTION transfer_project_ownership(UUID, UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,49 @@
+-- ==========================================
+-- MIGRATION 021: PROJECT LISTING
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Task, member and activity figures for every project in one query
+CREATE OR REPLACE VIEW project_listing
+WITH (security_invoker = true) AS
+SELECT
+    p.id,
+    p.name,
+    p.status,
+    p.category,
+    p.created_at,
+    p.updated_at,
+    t.task_count,
+    t.new_count,
+    t.in_progress_count,
+    t.done_count,
+    t.overdue_count,
+    CASE WHEN t.task_count = 0 THEN 0
+         ELSE ROUND(100.0 * t.done_count / t.task_count)::INTEGER
+    END AS progress,
+    m.member_count,
+    GREATEST(p.updated_at, t.last_task_at, msg.last_message_at) AS last_activity_at
+FROM projects p
+CROSS JOIN LATERAL (
+    SELECT
+        COUNT(*)::INTEGER AS task_count,
+        COUNT(*) FILTER (WHERE status = 'new')::INTEGER AS new_count,
+        COUNT(*) FILTER (WHERE status = 'in_progress')::INTEGER AS in_progress_count,
+        COUNT(*) FILTER (WHERE status = 'done')::INTEGER AS done_count,
+        COUNT(*) FILTER (WHERE status <> 'done' AND due_date < NOW())::INTEGER AS overdue_count,
+        MAX(updated_at) AS last_task_at
+    FROM tasks
+    WHERE project_id = p.id
+) t
+CROSS JOIN LATERAL (
+    SELECT COUNT(*)::INTEGER AS member_count
+    FROM project_members
+    WHERE project_id = p.id
+) m
+CROSS JOIN LATERAL (
+    SELECT MAX(created_at) AS last_message_at
+    FROM messages
+    WHERE project_id = p.id
+) msg;
+
+REVOKE ALL ON project_listing FROM anon, authenticated;
@@ -0,0 +1,55 @@
+-- ==========================================
+-- MIGRATION 022: PROJECT ACTIVITY
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Each project's audit log as a stream of typed events
+CREATE OR REPLACE VIEW project_activity
+WITH (security_invoker = true) AS
+SELECT * FROM (
+    SELECT
+        a.id,
+        a.project_id,
+        CASE
+            WHEN a.entity_type = 'project' AND a.action = 'create' THEN 'project_created'
+            WHEN a.entity_type = 'project' AND a.action = 'update'
+                 AND a.after->>'status' = 'archived' AND a.before->>'status' IS DISTINCT FROM 'archived' THEN 'project_archived'
+            WHEN a.entity_type = 'project' AND a.action = 'update'
+                 AND a.before->>'status' = 'archived' AND a.after->>'status' IS DISTINCT FROM 'archived' THEN 'project_restored'
+            WHEN a.entity_type = 'project' AND a.action = 'update' THEN 'project_updated'
+            WHEN a.entity_type = 'project_member' AND a.action = 'create' THEN 'member_added'
+            WHEN a.entity_type = 'project_member' AND a.action = 'update' THEN 'member_role_changed'
+            WHEN a.entity_type = 'project_member' AND a.action = 'delete' THEN 'member_removed'
+            WHEN a.entity_type = 'task' AND a.action = 'create' THEN 'task_created'
+            WHEN a.entity_type = 'task' AND a.action = 'update'
+                 AND a.after->>'status' = 'done' AND a.before->>'status' IS DISTINCT FROM 'done' THEN 'task_completed'
+            WHEN a.entity_type = 'task' AND a.action = 'update'
+                 AND a.after->'assignedTo'->>'id' IS NOT NULL
+                 AND a.after->'assignedTo'->>'id' IS DISTINCT FROM a.before->'assignedTo'->>'id' THEN 'task_assigned'
+            WHEN a.entity_type = 'task' AND a.action = 'update' THEN 'task_updated'
+            WHEN a.entity_type = 'task' AND a.action = 'delete' THEN 'task_deleted'
+            WHEN a.entity_type = 'message' AND a.action = 'create' THEN 'message_posted'
+            WHEN a.entity_type = 'file' AND a.action = 'create' THEN 'file_uploaded'
+            WHEN a.entity_type = 'file' AND a.action = 'delete' THEN 'file_deleted'
+            WHEN a.entity_type = 'milestone' AND a.action = 'create' THEN 'milestone_created'
+            WHEN a.entity_type = 'milestone' AND a.action = 'update'
+                 AND a.after->>'status' = 'completed' AND a.before->>'status' IS DISTINCT FROM 'completed' THEN 'milestone_completed'
+            WHEN a.entity_type = 'milestone' AND a.action = 'update' THEN 'milestone_updated'
+            WHEN a.entity_type = 'milestone' AND a.action = 'delete' THEN 'milestone_deleted'
+        END AS type,
+        a.entity_type,
+        a.entity_id,
+        a.before,
+        a.after,
+        a.actor_id,
+        u.name AS actor_name,
+        u.avatar AS actor_avatar,
+        u.avatar_sizes AS actor_avatar_sizes,
+        a.created_at
+    FROM audit_logs a
+    LEFT JOIN users u ON u.id = a.actor_id
+    WHERE a.project_id IS NOT NULL
+) activity
+WHERE type IS NOT NULL;
+
+REVOKE ALL ON project_activity FROM anon, authenticated;
@@ -0,0 +1,78 @@
+-- ==========================================
+-- MIGRATION 023: PROJECT IMPORT
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Creates a project from an imported bundle in one transaction; rows arrive
+-- with their new IDs and user IDs already worked out by the server
+CREATE OR REPLACE FUNCTION import_project(
+    p_project JSONB,
+    p_members JSONB,
+    p_milestones JSONB,
+    p_tasks JSONB,
+    p_messages JSONB,
+    p_files JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_project projects%ROWTYPE := jsonb_populate_record(NULL::projects, p_project);
+BEGIN
+    -- An archived project arrives archived by whoever imports it
+    INSERT INTO projects (id, name, description, category, status, folders, created_by,
+                          archived_at, archived_by, created_at, updated_at)
+    VALUES (
+        v_project.id,
+        v_project.name,
+        COALESCE(v_project.description, ''),
+        v_project.category,
+        COALESCE(v_project.status, 'active'),
+        COALESCE(v_project.folders, '{}'),
+        v_project.created_by,
+        CASE WHEN v_project.status = 'archived' THEN NOW() END,
+        CASE WHEN v_project.status = 'archived' THEN v_project.created_by END,
+        COALESCE(v_project.created_at, NOW()),
+        COALESCE(v_project.updated_at, NOW())
+    );
+
+    INSERT INTO project_members (project_id, user_id, role, added_at)
+    SELECT v_project.id, m.user_id, m.role, COALESCE(m.added_at, NOW())
+    FROM jsonb_populate_recordset(NULL::project_members, p_members) m;
+
+    -- Risk is worked out afresh by the milestone checks
+    INSERT INTO milestones (id, project_id, title, description, target_date, status, completed_at,
+                            created_by, created_at, updated_at)
+    SELECT m.id, v_project.id, m.title, COALESCE(m.description, ''), m.target_date,
+           COALESCE(m.status, 'planned'), m.completed_at, m.created_by,
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::milestones, p_milestones) m;
+
+    INSERT INTO tasks (id, project_id, title, description, status, priority, assigned_to, due_date,
+                       completed_at, created_by, order_index, tags, milestone_id, created_at, updated_at)
+    SELECT t.id, v_project.id, t.title, COALESCE(t.description, ''), COALESCE(t.status, 'new'),
+           COALESCE(t.priority, 'medium'), t.assigned_to, t.due_date, t.completed_at, t.created_by,
+           COALESCE(t.order_index, 0), COALESCE(t.tags, '{}'), t.milestone_id,
+           COALESCE(t.created_at, NOW()), COALESCE(t.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::tasks, p_tasks) t;
+
+    INSERT INTO messages (id, project_id, sender_id, content, mentions, attachments, is_edited,
+                          edited_at, is_deleted, created_at, updated_at)
+    SELECT m.id, v_project.id, m.sender_id, m.content, COALESCE(m.mentions, '{}'),
+           COALESCE(m.attachments, '[]'), COALESCE(m.is_edited, false), m.edited_at,
+           COALESCE(m.is_deleted, false), COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::messages, p_messages) m;
+
+    INSERT INTO files (id, project_id, name, original_name, description, folder, url, storage_path,
+                       storage_type, file_type, mime_type, size, uploaded_by, created_at, updated_at)
+    SELECT f.id, v_project.id, f.name, f.original_name, COALESCE(f.description, ''), f.folder, f.url,
+           f.storage_path, f.storage_type, f.file_type, f.mime_type, f.size, f.uploaded_by,
+           COALESCE(f.created_at, NOW()), COALESCE(f.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::files, p_files) f;
+
+    RETURN v_project.id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION import_project(JSONB, JSONB, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,143 @@
+-- ==========================================
+-- MIGRATION 024: GUEST ACCOUNTS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Guests only see the projects they are invited to
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('admin', 'editor', 'viewer', 'guest'));
+
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_check;
+ALTER TABLE invitations ADD CONSTRAINT invitations_role_check
+    CHECK (role IN ('admin', 'editor', 'viewer', 'guest'));
+
+-- Internal messages are hidden from guest accounts
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_internal BOOLEAN NOT NULL DEFAULT false;
+
+-- Activity events say whether they are about an internal message
+CREATE OR REPLACE VIEW project_activity
+WITH (security_invoker = true) AS
+SELECT * FROM (
+    SELECT
+        a.id,
+        a.project_id,
+        CASE
+            WHEN a.entity_type = 'project' AND a.action = 'create' THEN 'project_created'
+            WHEN a.entity_type = 'project' AND a.action = 'update'
+                 AND a.after->>'status' = 'archived' AND a.before->>'status' IS DISTINCT FROM 'archived' THEN 'project_archived'
+            WHEN a.entity_type = 'project' AND a.action = 'update'
+                 AND a.before->>'status' = 'archived' AND a.after->>'status' IS DISTINCT FROM 'archived' THEN 'project_restored'
+            WHEN a.entity_type = 'project' AND a.action = 'update' THEN 'project_updated'
+            WHEN a.entity_type = 'project_member' AND a.action = 'create' THEN 'member_added'
+            WHEN a.entity_type = 'project_member' AND a.action = 'update' THEN 'member_role_changed'
+            WHEN a.entity_type = 'project_member' AND a.action = 'delete' THEN 'member_removed'
+            WHEN a.entity_type = 'task' AND a.action = 'create' THEN 'task_created'
+            WHEN a.entity_type = 'task' AND a.action = 'update'
+                 AND a.after->>'status' = 'done' AND a.before->>'status' IS DISTINCT FROM 'done' THEN 'task_completed'
+            WHEN a.entity_type = 'task' AND a.action = 'update'
+                 AND a.after->'assignedTo'->>'id' IS NOT NULL
+                 AND a.after->'assignedTo'->>'id' IS DISTINCT FROM a.before->'assignedTo'->>'id' THEN 'task_assigned'
+            WHEN a.entity_type = 'task' AND a.action = 'update' THEN 'task_updated'
+            WHEN a.entity_type = 'task' AND a.action = 'delete' THEN 'task_deleted'
+            WHEN a.entity_type = 'message' AND a.action = 'create' THEN 'message_posted'
+            WHEN a.entity_type = 'file' AND a.action = 'create' THEN 'file_uploaded'
+            WHEN a.entity_type = 'file' AND a.action = 'delete' THEN 'file_deleted'
+            WHEN a.entity_type = 'milestone' AND a.action = 'create' THEN 'milestone_created'
+            WHEN a.entity_type = 'milestone' AND a.action = 'update'
+                 AND a.after->>'status' = 'completed' AND a.before->>'status' IS DISTINCT FROM 'completed' THEN 'milestone_completed'
+            WHEN a.entity_type = 'milestone' AND a.action = 'update' THEN 'milestone_updated'
+            WHEN a.entity_type = 'milestone' AND a.action = 'delete' THEN 'milestone_deleted'
+        END AS type,
+        a.entity_type,
+        a.entity_id,
+        a.before,
+        a.after,
+        a.actor_id,
+        u.name AS actor_name,
+        u.avatar AS actor_avatar,
+        u.avatar_sizes AS actor_avatar_sizes,
+        a.created_at,
+        -- Events about internal messages are hidden from guest accounts
+        COALESCE((COALESCE(a.after, a.before)->>'isInternal')::BOOLEAN, false) AS is_internal
+    FROM audit_logs a
+    LEFT JOIN users u ON u.id = a.actor_id
+    WHERE a.project_id IS NOT NULL
+) activity
+WHERE type IS NOT NULL;
+
+REVOKE ALL ON project_activity FROM anon, authenticated;
+
+-- Imported messages keep their internal flag
+CREATE OR REPLACE FUNCTION import_project(
+    p_project JSONB,
+    p_members JSONB,
+    p_milestones JSONB,
+    p_tasks JSONB,
+    p_messages JSONB,
+    p_files JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_project projects%ROWTYPE := jsonb_populate_record(NULL::projects, p_project);
+BEGIN
+    -- An archived project arrives archived by whoever imports it
+    INSERT INTO projects (id, name, description, category, status, folders, created_by,
+                          archived_at, archived_by, created_at, updated_at)
+    VALUES (
+        v_project.id,
+        v_project.name,
+        COALESCE(v_project.description, ''),
+        v_project.category,
+        COALESCE(v_project.status, 'active'),
+        COALESCE(v_project.folders, '{}'),
+        v_project.created_by,
+        CASE WHEN v_project.status = 'archived' THEN NOW() END,
+        CASE WHEN v_project.status = 'archived' THEN v_project.created_by END,
+        COALESCE(v_project.created_at, NOW()),
+        COALESCE(v_project.updated_at, NOW())
+    );
+
+    INSERT INTO project_members (project_id, user_id, role, added_at)
+    SELECT v_project.id, m.user_id, m.role, COALESCE(m.added_at, NOW())
+    FROM jsonb_populate_recordset(NULL::project_members, p_members) m;
+
+    -- Risk is worked out afresh by the milestone checks
+    INSERT INTO milestones (id, project_id, title, description, target_date, status, completed_at,
+                            created_by, created_at, updated_at)
+    SELECT m.id, v_project.id, m.title, COALESCE(m.description, ''), m.target_date,
+           COALESCE(m.status, 'planned'), m.completed_at, m.created_by,
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::milestones, p_milestones) m;
+
+    INSERT INTO tasks (id, project_id, title, description, status, priority, assigned_to, due_date,
+                       completed_at, created_by, order_index, tags, milestone_id, created_at, updated_at)
+    SELECT t.id, v_project.id, t.title, COALESCE(t.description, ''), COALESCE(t.status, 'new'),
+           COALESCE(t.priority, 'medium'), t.assigned_to, t.due_date, t.completed_at, t.created_by,
+           COALESCE(t.order_index, 0), COALESCE(t.tags, '{}'), t.milestone_id,
+           COALESCE(t.created_at, NOW()), COALESCE(t.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::tasks, p_tasks) t;
+
+    INSERT INTO messages (id, project_id, sender_id, content, mentions, attachments, is_edited,
+                          edited_at, is_deleted, is_internal, created_at, updated_at)
+    SELECT m.id, v_project.id, m.sender_id, m.content, COALESCE(m.mentions, '{}'),
+           COALESCE(m.attachments, '[]'), COALESCE(m.is_edited, false), m.edited_at,
+           COALESCE(m.is_deleted, false), COALESCE(m.is_internal, false),
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::messages, p_messages) m;
+
+    INSERT INTO files (id, project_id, name, original_name, description, folder, url, storage_path,
+                       storage_type, file_type, mime_type, size, uploaded_by, created_at, updated_at)
+    SELECT f.id, v_project.id, f.name, f.original_name, COALESCE(f.description, ''), f.folder, f.url,
+           f.storage_path, f.storage_type, f.file_type, f.mime_type, f.size, f.uploaded_by,
+           COALESCE(f.created_at, NOW()), COALESCE(f.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::files, p_files) f;
+
+    RETURN v_project.id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION import_project(JSONB, JSONB, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
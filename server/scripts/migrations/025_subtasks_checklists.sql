@@ -0,0 +1,115 @@
+-- ==========================================
+-- MIGRATION 025: SUBTASKS AND CHECKLISTS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Subtasks are tasks with a parent (one level deep); they go when their parent is deleted
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_id) WHERE parent_id IS NOT NULL;
+
+-- Lightweight to-dos inside a task
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    text VARCHAR(500) NOT NULL,
+    is_done BOOLEAN NOT NULL DEFAULT false,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task ON task_checklist_items(task_id, position);
+
+DROP TRIGGER IF EXISTS update_task_checklist_items_updated_at ON task_checklist_items;
+CREATE TRIGGER update_task_checklist_items_updated_at BEFORE UPDATE ON task_checklist_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE task_checklist_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - task_checklist_items" ON task_checklist_items;
+CREATE POLICY "Backend only - task_checklist_items" ON task_checklist_items
+    FOR ALL USING (false);
+
+-- Imports carry subtasks and checklist items too; the new parameter changes
+-- the function's signature, so the old one is dropped first
+DROP FUNCTION IF EXISTS import_project(JSONB, JSONB, JSONB, JSONB, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION import_project(
+    p_project JSONB,
+    p_members JSONB,
+    p_milestones JSONB,
+    p_tasks JSONB,
+    p_checklist_items JSONB,
+    p_messages JSONB,
+    p_files JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_project projects%ROWTYPE := jsonb_populate_record(NULL::projects, p_project);
+BEGIN
+    -- An archived project arrives archived by whoever imports it
+    INSERT INTO projects (id, name, description, category, status, folders, created_by,
+                          archived_at, archived_by, created_at, updated_at)
+    VALUES (
+        v_project.id,
+        v_project.name,
+        COALESCE(v_project.description, ''),
+        v_project.category,
+        COALESCE(v_project.status, 'active'),
+        COALESCE(v_project.folders, '{}'),
+        v_project.created_by,
+        CASE WHEN v_project.status = 'archived' THEN NOW() END,
+        CASE WHEN v_project.status = 'archived' THEN v_project.created_by END,
+        COALESCE(v_project.created_at, NOW()),
+        COALESCE(v_project.updated_at, NOW())
+    );
+
+    INSERT INTO project_members (project_id, user_id, role, added_at)
+    SELECT v_project.id, m.user_id, m.role, COALESCE(m.added_at, NOW())
+    FROM jsonb_populate_recordset(NULL::project_members, p_members) m;
+
+    -- Risk is worked out afresh by the milestone checks
+    INSERT INTO milestones (id, project_id, title, description, target_date, status, completed_at,
+                            created_by, created_at, updated_at)
+    SELECT m.id, v_project.id, m.title, COALESCE(m.description, ''), m.target_date,
+           COALESCE(m.status, 'planned'), m.completed_at, m.created_by,
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::milestones, p_milestones) m;
+
+    INSERT INTO tasks (id, project_id, title, description, status, priority, assigned_to, due_date,
+                       completed_at, created_by, order_index, tags, milestone_id, parent_id,
+                       created_at, updated_at)
+    SELECT t.id, v_project.id, t.title, COALESCE(t.description, ''), COALESCE(t.status, 'new'),
+           COALESCE(t.priority, 'medium'), t.assigned_to, t.due_date, t.completed_at, t.created_by,
+           COALESCE(t.order_index, 0), COALESCE(t.tags, '{}'), t.milestone_id, t.parent_id,
+           COALESCE(t.created_at, NOW()), COALESCE(t.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::tasks, p_tasks) t;
+
+    -- Checklist items get fresh IDs; nothing refers to them
+    INSERT INTO task_checklist_items (task_id, text, is_done, position, created_at, updated_at)
+    SELECT c.task_id, c.text, COALESCE(c.is_done, false), COALESCE(c.position, 0),
+           COALESCE(c.created_at, NOW()), COALESCE(c.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::task_checklist_items, p_checklist_items) c;
+
+    INSERT INTO messages (id, project_id, sender_id, content, mentions, attachments, is_edited,
+                          edited_at, is_deleted, is_internal, created_at, updated_at)
+    SELECT m.id, v_project.id, m.sender_id, m.content, COALESCE(m.mentions, '{}'),
+           COALESCE(m.attachments, '[]'), COALESCE(m.is_edited, false), m.edited_at,
+           COALESCE(m.is_deleted, false), COALESCE(m.is_internal, false),
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::messages, p_messages) m;
+
+    INSERT INTO files (id, project_id, name, original_name, description, folder, url, storage_path,
+                       storage_type, file_type, mime_type, size, uploaded_by, created_at, updated_at)
+    SELECT f.id, v_project.id, f.name, f.original_name, COALESCE(f.description, ''), f.folder, f.url,
+           f.storage_path, f.storage_type, f.file_type, f.mime_type, f.size, f.uploaded_by,
+           COALESCE(f.created_at, NOW()), COALESCE(f.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::files, p_files) f;
+
+    RETURN v_project.id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION import_project(JSONB, JSONB, JSONB, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,98 @@
+-- ==========================================
+-- MIGRATION 026: DUPLICATE SUBTASKS AND CHECKLISTS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- Duplicating a project keeps subtasks under their copied parent and copies
+-- checklist items along with their task
+CREATE OR REPLACE FUNCTION duplicate_project(
+    p_source_id UUID,
+    p_name VARCHAR,
+    p_created_by UUID,
+    p_include_members BOOLEAN,
+    p_include_tasks BOOLEAN,
+    p_include_assignees BOOLEAN,
+    p_include_due_dates BOOLEAN,
+    p_include_files BOOLEAN
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_source projects%ROWTYPE;
+    v_project_id UUID;
+    v_task_ids JSONB;
+BEGIN
+    SELECT * INTO v_source FROM projects WHERE id = p_source_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Project % not found', p_source_id USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO projects (name, description, category, folders, created_by)
+    VALUES (p_name, v_source.description, v_source.category, v_source.folders, p_created_by)
+    RETURNING id INTO v_project_id;
+
+    INSERT INTO project_members (project_id, user_id, role)
+    VALUES (v_project_id, p_created_by, 'owner');
+
+    -- Members who still have an active account keep their role
+    IF p_include_members THEN
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT v_project_id, pm.user_id, pm.role
+        FROM project_members pm
+        JOIN users u ON u.id = pm.user_id AND u.is_active
+        WHERE pm.project_id = p_source_id
+        ON CONFLICT (project_id, user_id) DO NOTHING;
+    END IF;
+
+    -- Assignees who aren't members of the copy leave their task unassigned.
+    -- Copies get their IDs up front so subtasks can point at their copied parent.
+    IF p_include_tasks THEN
+        SELECT COALESCE(jsonb_object_agg(id, uuid_generate_v4()), '{}')
+        INTO v_task_ids
+        FROM tasks
+        WHERE project_id = p_source_id;
+
+        INSERT INTO tasks (id, project_id, parent_id, title, description, status, priority, assigned_to,
+                           due_date, completed_at, created_by, order_index, tags)
+        SELECT
+            (v_task_ids->>t.id::TEXT)::UUID,
+            v_project_id,
+            (v_task_ids->>t.parent_id::TEXT)::UUID,
+            t.title,
+            t.description,
+            t.status,
+            t.priority,
+            CASE WHEN p_include_assignees THEN pm.user_id END,
+            CASE WHEN p_include_due_dates THEN t.due_date END,
+            t.completed_at,
+            p_created_by,
+            t.order_index,
+            t.tags
+        FROM tasks t
+        LEFT JOIN project_members pm
+            ON pm.project_id = v_project_id AND pm.user_id = t.assigned_to
+        WHERE t.project_id = p_source_id;
+
+        INSERT INTO task_checklist_items (task_id, text, is_done, position, created_by)
+        SELECT (v_task_ids->>c.task_id::TEXT)::UUID, c.text, c.is_done, c.position, p_created_by
+        FROM task_checklist_items c
+        JOIN tasks t ON t.id = c.task_id
+        WHERE t.project_id = p_source_id;
+    END IF;
+
+    IF p_include_files THEN
+        INSERT INTO files (project_id, name, original_name, description, folder, url, storage_path,
+                           storage_type, file_type, mime_type, size, uploaded_by)
+        SELECT v_project_id, name, original_name, description, folder, url, storage_path,
+               storage_type, file_type, mime_type, size, uploaded_by
+        FROM files
+        WHERE project_id = p_source_id AND NOT is_deleted;
+    END IF;
+
+    RETURN v_project_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION duplicate_project(UUID, VARCHAR, UUID, BOOLEAN, BOOLEAN, BOOLEAN, BOOLEAN, BOOLEAN) FROM PUBLIC, anon, authenticated;
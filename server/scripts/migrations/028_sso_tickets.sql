@@ -0,0 +1,19 @@
+-- ==========================================
+-- MIGRATION 028: SSO TICKETS
+-- Run in Supabase Dashboard → SQL Editor
+-- ==========================================
+
+-- The ticket the SSO callback hands to the client can only be redeemed once
+CREATE TABLE IF NOT EXISTS sso_tickets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE sso_tickets ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Backend only - sso_tickets" ON sso_tickets;
+CREATE POLICY "Backend only - sso_tickets" ON sso_tickets
+    FOR ALL USING (false);
@@ -0,0 +1,168 @@
+/**
+ * RentBasket - Local mock OpenID Connect provider
+ * A throwaway IdP for developing and testing SSO without a real identity provider.
+ * Every authorization request shows a form where you pick the email, name and groups
+ * to sign in as. Keys are generated at startup, so restarting invalidates old tokens.
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then point the server at it (.env):
+ *   OIDC_ISSUER=http://localhost:9400
+ *   OIDC_CLIENT_ID=rentbasket
+ *   OIDC_ADMIN_GROUPS=rentbasket-admins
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes and access tokens only live in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile', 'groups']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form: the "user" decides who they are
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge_method: method } = req.query;
+
+    if (responseType !== 'code' || !clientId || !redirectUri || !req.query.code_challenge || method !== 'S256') {
+        return res.status(400).send('Expected response_type=code with client_id, redirect_uri and an S256 code_challenge');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n');
+
+    res.send(`<!doctype html>
+<html>
+<head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;">
+    <h2>Mock identity provider</h2>
+    <p>Signing in to <strong>${escapeHtml(clientId)}</strong></p>
+    <form method="post" action="/authorize">
+        ${hidden}
+        <p><label>Subject<br><input name="sub" value="mock-user-1" required></label></p>
+        <p><label>Email<br><input name="email" type="email" value="sso.user@rentbasket.com" required></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <p><label>Name<br><input name="name" value="SSO User"></label></p>
+        <p><label>Groups (comma separated)<br><input name="groups" value="rentbasket-editors"></label></p>
+        <p>
+            <button type="submit">Sign in</button>
+            <button type="submit" name="deny" value="1">Deny</button>
+        </p>
+    </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const redirect = new URL(req.body.redirect_uri);
+    if (req.body.state) redirect.searchParams.set('state', req.body.state);
+
+    if (req.body.deny) {
+        redirect.searchParams.set('error', 'access_denied');
+        redirect.searchParams.set('error_description', 'The user denied the request');
+        return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        clientId: req.body.client_id,
+        redirectUri: req.body.redirect_uri,
+        nonce: req.body.nonce,
+        codeChallenge: req.body.code_challenge,
+        expiresAt: Date.now() + CODE_TTL_MS,
+        claims: {
+            sub: req.body.sub,
+            email: req.body.email,
+            email_verified: req.body.email_verified === 'true',
+            name: req.body.name,
+            groups: (req.body.groups || '').split(',').map(g => g.trim()).filter(Boolean)
+        }
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+
+    if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+        { ...grant.claims, nonce: grant.nonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+    );
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+
+    res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+});
+
+app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const claims = accessTokens.get(token);
+
+    if (!claims) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+});
+
+app.listen(PORT, () => {
+    console.log(`🔐 Mock OIDC provider running at ${ISSUER}`);
+});
@@ -0,0 +1,38 @@
+/**
+ * RentBasket Project Management - Rebuild Login Streaks
+ * Recounts every user's login streak from the user_activity table,
+ * e.g. after restoring a backup or fixing bad activity rows.
+ */
+
+require('dotenv').config();
+const { User } = require('../models');
+const { checkConnection } = require('../config/supabaseDb');
+const achievements = require('../achievements');
+
+async function rebuildStreaks() {
+    console.log('🔁 Rebuilding login streaks...\n');
+
+    const isConnected = await checkConnection();
+    if (!isConnected) {
+        console.error('❌ Cannot connect to Supabase. Please check your credentials.');
+        process.exit(1);
+    }
+
+    const users = await User.find();
+
+    for (const user of users) {
+        const loginStreak = await achievements.rebuildLoginStreak(user);
+        if (loginStreak !== user.loginStreak) {
+            console.log(`   ${user.email}: ${user.loginStreak} → ${loginStreak}`);
+        }
+    }
+
+    console.log(`\n✅ Checked ${users.length} user(s)`);
+}
+
+rebuildStreaks()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Rebuild failed:', error);
+        process.exit(1);
+    });
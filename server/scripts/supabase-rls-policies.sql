@@ -12,6 +12,20 @@ ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_resets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_achievements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_presence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE milestones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_checklist_items ENABLE ROW LEVEL SECURITY;
 
 -- ==========================================
 -- RLS POLICIES
@@ -48,6 +62,62 @@ CREATE POLICY "Backend only - files" ON files
 CREATE POLICY "Backend only - notifications" ON notifications
     FOR ALL USING (false);
 
+-- SESSIONS: Block direct access
+CREATE POLICY "Backend only - sessions" ON sessions
+    FOR ALL USING (false);
+
+-- INVITATIONS: Block direct access
+CREATE POLICY "Backend only - invitations" ON invitations
+    FOR ALL USING (false);
+
+-- PASSWORD_RESETS: Block direct access
+CREATE POLICY "Backend only - password_resets" ON password_resets
+    FOR ALL USING (false);
+
+-- RECOVERY_CODES: Block direct access
+CREATE POLICY "Backend only - recovery_codes" ON recovery_codes
+    FOR ALL USING (false);
+
+-- LOGIN_ATTEMPTS: Block direct access
+CREATE POLICY "Backend only - login_attempts" ON login_attempts
+    FOR ALL USING (false);
+
+-- API_TOKENS: Block direct access
+CREATE POLICY "Backend only - api_tokens" ON api_tokens
+    FOR ALL USING (false);
+
+-- AUDIT_LOGS: Block direct access
+CREATE POLICY "Backend only - audit_logs" ON audit_logs
+    FOR ALL USING (false);
+
+-- USER_ACTIVITY: Block direct access
+CREATE POLICY "Backend only - user_activity" ON user_activity
+    FOR ALL USING (false);
+
+-- USER_ACHIEVEMENTS: Block direct access
+CREATE POLICY "Backend only - user_achievements" ON user_achievements
+    FOR ALL USING (false);
+
+-- USER_PRESENCE: Block direct access
+CREATE POLICY "Backend only - user_presence" ON user_presence
+    FOR ALL USING (false);
+
+-- PROJECT_TEMPLATES: Block direct access
+CREATE POLICY "Backend only - project_templates" ON project_templates
+    FOR ALL USING (false);
+
+-- PROJECT_CATEGORIES: Block direct access
+CREATE POLICY "Backend only - project_categories" ON project_categories
+    FOR ALL USING (false);
+
+-- MILESTONES: Block direct access
+CREATE POLICY "Backend only - milestones" ON milestones
+    FOR ALL USING (false);
+
+-- TASK_CHECKLIST_ITEMS: Block direct access
+CREATE POLICY "Backend only - task_checklist_items" ON task_checklist_items
+    FOR ALL USING (false);
+
 -- ==========================================
 -- FIX FUNCTION SEARCH PATH WARNING
 -- ==========================================
@@ -14,17 +14,50 @@ CREATE TABLE users (
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
     name VARCHAR(100) NOT NULL,
-    role VARCHAR(20) CHECK (role IN ('admin', 'editor')) DEFAULT 'editor',
+    role VARCHAR(20) CHECK (role IN ('admin', 'editor', 'viewer', 'guest')) DEFAULT 'editor',
     avatar TEXT,
+    avatar_sizes JSONB,
+    avatar_path VARCHAR(255),
     login_streak INTEGER DEFAULT 0,
     last_login TIMESTAMPTZ,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
     is_active BOOLEAN DEFAULT true,
+    totp_secret TEXT,
+    totp_enabled BOOLEAN DEFAULT false,
+    totp_enabled_at TIMESTAMPTZ,
+    totp_last_counter BIGINT,
+    failed_login_attempts INTEGER DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    oidc_issuer VARCHAR(255),
+    oidc_subject VARCHAR(255),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_active ON users(is_active);
+CREATE UNIQUE INDEX idx_users_oidc_identity ON users(oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
+
+-- ==========================================
+-- PROJECT CATEGORIES TABLE (managed by admins)
+-- ==========================================
+CREATE TABLE project_categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Stored in projects.category; fixed once created
+    slug VARCHAR(40) NOT NULL UNIQUE,
+    name VARCHAR(60) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#6b7280' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    icon VARCHAR(40) NOT NULL DEFAULT 'folder',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO project_categories (slug, name, color, icon, sort_order) VALUES
+    ('tech', 'Tech', '#dc2626', 'code', 0),
+    ('marketing', 'Marketing', '#f97316', 'megaphone', 1),
+    ('ops', 'Operations', '#22c55e', 'settings', 2),
+    ('personal', 'Personal', '#8b5cf6', 'user', 3);
 
 -- ==========================================
 -- PROJECTS TABLE
@@ -33,9 +66,18 @@ CREATE TABLE projects (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(200) NOT NULL,
     description TEXT DEFAULT '',
-    category VARCHAR(20) CHECK (category IN ('tech', 'marketing', 'ops', 'personal')) DEFAULT 'tech',
+    category VARCHAR(40) NOT NULL REFERENCES project_categories(slug) ON UPDATE CASCADE,
     status VARCHAR(20) CHECK (status IN ('active', 'archived', 'completed')) DEFAULT 'active',
+    folders TEXT[] NOT NULL DEFAULT '{}',
     created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Archived projects are read-only until restored
+    archived_at TIMESTAMPTZ,
+    archived_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Permanent deletion: a short-lived confirmation token, then a grace period
+    deletion_token_hash VARCHAR(64),
+    deletion_token_expires_at TIMESTAMPTZ,
+    deletion_requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    deletion_scheduled_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -43,6 +85,7 @@ CREATE TABLE projects (
 CREATE INDEX idx_projects_status ON projects(status);
 CREATE INDEX idx_projects_category ON projects(category);
 CREATE INDEX idx_projects_created_by ON projects(created_by);
+CREATE INDEX idx_projects_deletion_scheduled ON projects(deletion_scheduled_at) WHERE deletion_scheduled_at IS NOT NULL;
 
 -- ==========================================
 -- PROJECT MEMBERS (Junction Table)
@@ -51,7 +94,7 @@ CREATE TABLE project_members (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    role VARCHAR(20) CHECK (role IN ('owner', 'member')) DEFAULT 'member',
+    role VARCHAR(20) CHECK (role IN ('owner', 'member', 'guest')) DEFAULT 'member',
     added_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(project_id, user_id)
 );
@@ -59,6 +102,26 @@ CREATE TABLE project_members (
 CREATE INDEX idx_project_members_project ON project_members(project_id);
 CREATE INDEX idx_project_members_user ON project_members(user_id);
 
+-- ==========================================
+-- MILESTONES TABLE
+-- ==========================================
+CREATE TABLE milestones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT DEFAULT '',
+    target_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'in_progress', 'completed')),
+    completed_at TIMESTAMPTZ,
+    -- Set while any of its open tasks is overdue; members are notified when it is set
+    at_risk_since TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_milestones_project ON milestones(project_id, target_date);
+
 -- ==========================================
 -- TASKS TABLE
 -- ==========================================
@@ -75,6 +138,9 @@ CREATE TABLE tasks (
     created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     order_index INTEGER DEFAULT 0,
     tags TEXT[] DEFAULT '{}',
+    milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL,
+    -- Set on subtasks (one level deep); they go when their parent is deleted
+    parent_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -82,6 +148,25 @@ CREATE TABLE tasks (
 CREATE INDEX idx_tasks_project_status ON tasks(project_id, status);
 CREATE INDEX idx_tasks_assigned_status ON tasks(assigned_to, status);
 CREATE INDEX idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX idx_tasks_milestone ON tasks(milestone_id) WHERE milestone_id IS NOT NULL;
+CREATE INDEX idx_tasks_parent ON tasks(parent_id) WHERE parent_id IS NOT NULL;
+
+-- ==========================================
+-- TASK CHECKLIST ITEMS TABLE
+-- Lightweight to-dos inside a task, without an assignee or due date of their own
+-- ==========================================
+CREATE TABLE task_checklist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    text VARCHAR(500) NOT NULL,
+    is_done BOOLEAN NOT NULL DEFAULT false,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_task_checklist_items_task ON task_checklist_items(task_id, position);
 
 -- ==========================================
 -- MESSAGES TABLE
@@ -96,6 +181,8 @@ CREATE TABLE messages (
     is_edited BOOLEAN DEFAULT false,
     edited_at TIMESTAMPTZ,
     is_deleted BOOLEAN DEFAULT false,
+    -- Internal messages are hidden from guest accounts
+    is_internal BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -112,6 +199,7 @@ CREATE TABLE files (
     name VARCHAR(255) NOT NULL,
     original_name VARCHAR(255) NOT NULL,
     description TEXT DEFAULT '',
+    folder VARCHAR(255),
     url TEXT NOT NULL,
     storage_path TEXT,
     storage_type VARCHAR(20) CHECK (storage_type IN ('local', 'supabase')) DEFAULT 'local',
@@ -127,6 +215,8 @@ CREATE TABLE files (
 CREATE INDEX idx_files_project_created ON files(project_id, created_at DESC);
 CREATE INDEX idx_files_uploaded_by ON files(uploaded_by);
 CREATE INDEX idx_files_type ON files(file_type);
+-- Duplicated projects share stored objects; find every row still using one
+CREATE INDEX idx_files_storage_path ON files(storage_path);
 
 -- ==========================================
 -- NOTIFICATIONS TABLE
@@ -137,7 +227,8 @@ CREATE TABLE notifications (
     type VARCHAR(50) CHECK (type IN (
         'task_assigned', 'task_completed', 'task_due_soon', 'task_overdue',
         'message_mention', 'project_created', 'project_member_added',
-        'file_uploaded', 'comment_added'
+        'file_uploaded', 'comment_added', 'new_device_login',
+        'ownership_transferred', 'achievement_unlocked', 'milestone_at_risk'
     )) NOT NULL,
     title VARCHAR(255) NOT NULL,
     message TEXT NOT NULL,
@@ -152,6 +243,208 @@ CREATE TABLE notifications (
 
 CREATE INDEX idx_notifications_user_read ON notifications(user_id, read, created_at DESC);
 
+-- ==========================================
+-- SESSIONS TABLE (refresh tokens)
+-- ==========================================
+CREATE TABLE sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    previous_token_hash VARCHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    last_ip_address VARCHAR(45),
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_sessions_refresh_token ON sessions(refresh_token_hash);
+CREATE INDEX idx_sessions_previous_token ON sessions(previous_token_hash);
+CREATE INDEX idx_sessions_user ON sessions(user_id, revoked_at);
+
+-- ==========================================
+-- INVITATIONS TABLE
+-- ==========================================
+CREATE TABLE invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) CHECK (role IN ('admin', 'editor', 'viewer', 'guest')) DEFAULT 'editor',
+    project_ids UUID[] DEFAULT '{}',
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_invitations_email ON invitations(email);
+CREATE INDEX idx_invitations_pending ON invitations(expires_at) WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+-- ==========================================
+-- PASSWORD RESETS TABLE
+-- ==========================================
+CREATE TABLE password_resets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_password_resets_user ON password_resets(user_id, used_at);
+
+-- ==========================================
+-- SSO TICKETS TABLE (single-use SSO login hand-off)
+-- ==========================================
+CREATE TABLE sso_tickets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- RECOVERY CODES TABLE (2FA backup codes)
+-- ==========================================
+CREATE TABLE recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id, code_hash);
+
+-- ==========================================
+-- LOGIN ATTEMPTS TABLE
+-- ==========================================
+CREATE TABLE login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    device_hash VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_login_attempts_user ON login_attempts(user_id, created_at DESC);
+CREATE INDEX idx_login_attempts_device ON login_attempts(user_id, device_hash) WHERE success;
+
+-- ==========================================
+-- API TOKENS TABLE (personal access tokens)
+-- ==========================================
+CREATE TABLE api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_tokens_user ON api_tokens(user_id, revoked_at);
+
+-- ==========================================
+-- AUDIT LOGS TABLE
+-- ==========================================
+CREATE TABLE audit_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_email VARCHAR(255),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id UUID,
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    before JSONB,
+    after JSONB,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_logs_created ON audit_logs(created_at DESC);
+CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_id, created_at DESC);
+CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id, created_at DESC);
+CREATE INDEX idx_audit_logs_project ON audit_logs(project_id, created_at DESC);
+
+-- ==========================================
+-- USER ACTIVITY TABLE (daily, for streaks)
+-- ==========================================
+-- One row per user per calendar day (in the user's timezone) they were active
+CREATE TABLE user_activity (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    activity_date DATE NOT NULL,
+    logins INTEGER NOT NULL DEFAULT 0,
+    tasks_completed INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, activity_date)
+);
+
+-- ==========================================
+-- USER ACHIEVEMENTS TABLE
+-- ==========================================
+CREATE TABLE user_achievements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    achievement VARCHAR(50) NOT NULL,
+    unlocked_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, achievement)
+);
+
+-- ==========================================
+-- USER PRESENCE TABLE
+-- ==========================================
+-- Status a user has chosen, and when they were last connected
+CREATE TABLE user_presence (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'busy', 'away', 'dnd')),
+    status_text VARCHAR(100),
+    status_expires_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- PROJECT TEMPLATES TABLE
+-- ==========================================
+-- Reusable project setup. tasks: [{title, description, priority, tags, assignee_id, due_offset_days}]
+-- (due_offset_days counts from the new project's start date); default_members: [{user_id, role}]
+CREATE TABLE project_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    description TEXT DEFAULT '',
+    category VARCHAR(40) NOT NULL REFERENCES project_categories(slug) ON UPDATE CASCADE,
+    folders TEXT[] NOT NULL DEFAULT '{}',
+    tasks JSONB NOT NULL DEFAULT '[]',
+    default_members JSONB NOT NULL DEFAULT '[]',
+    source_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ==========================================
 -- UPDATED_AT TRIGGER FUNCTION
 -- ==========================================
@@ -170,6 +463,574 @@ CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks FOR EACH ROW EXECU
 CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_files_updated_at BEFORE UPDATE ON files FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_sessions_updated_at BEFORE UPDATE ON sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_invitations_updated_at BEFORE UPDATE ON invitations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_api_tokens_updated_at BEFORE UPDATE ON api_tokens FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_user_activity_updated_at BEFORE UPDATE ON user_activity FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_user_presence_updated_at BEFORE UPDATE ON user_presence FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_project_templates_updated_at BEFORE UPDATE ON project_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_project_categories_updated_at BEFORE UPDATE ON project_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_milestones_updated_at BEFORE UPDATE ON milestones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_checklist_items_updated_at BEFORE UPDATE ON task_checklist_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ==========================================
+-- OFFBOARDING FUNCTION
+-- Hands a departing user's work to others and deactivates them in one
+-- transaction (called from POST /api/users/:id/offboard via supabase.rpc)
+-- ==========================================
+CREATE OR REPLACE FUNCTION offboard_user(
+    p_user_id UUID,
+    p_task_assignee UUID,
+    p_project_owner UUID,
+    p_file_owner UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_task_ids UUID[];
+    v_task_project_ids UUID[];
+    v_project_ids UUID[];
+    v_file_ids UUID[];
+BEGIN
+    PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_user_id IN (p_task_assignee, p_project_owner, p_file_owner) THEN
+        RAISE EXCEPTION 'Work cannot be reassigned to the user being offboarded' USING ERRCODE = '22023';
+    END IF;
+
+    -- Open tasks go to the new assignee (or become unassigned)
+    WITH moved AS (
+        UPDATE tasks SET assigned_to = p_task_assignee
+        WHERE assigned_to = p_user_id AND status <> 'done'
+        RETURNING id, project_id
+    )
+    SELECT array_agg(id), array_agg(DISTINCT project_id) INTO v_task_ids, v_task_project_ids FROM moved;
+
+    -- The new assignee has to be able to see those tasks
+    IF p_task_assignee IS NOT NULL AND v_task_project_ids IS NOT NULL THEN
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT unnest(v_task_project_ids), p_task_assignee, 'member'
+        ON CONFLICT (project_id, user_id) DO NOTHING;
+    END IF;
+
+    -- Projects where this user is the only owner need a new one
+    SELECT array_agg(pm.project_id) INTO v_project_ids
+    FROM project_members pm
+    WHERE pm.user_id = p_user_id AND pm.role = 'owner'
+      AND NOT EXISTS (
+          SELECT 1 FROM project_members other
+          WHERE other.project_id = pm.project_id AND other.role = 'owner' AND other.user_id <> p_user_id
+      );
+
+    IF v_project_ids IS NOT NULL THEN
+        IF p_project_owner IS NULL THEN
+            RAISE EXCEPTION 'A new owner is required for % project(s)', array_length(v_project_ids, 1) USING ERRCODE = '22023';
+        END IF;
+
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT unnest(v_project_ids), p_project_owner, 'owner'
+        ON CONFLICT (project_id, user_id) DO UPDATE SET role = 'owner';
+    END IF;
+
+    -- Uploaded files (files cascade-delete with their uploader otherwise)
+    IF p_file_owner IS NOT NULL THEN
+        WITH moved AS (
+            UPDATE files SET uploaded_by = p_file_owner
+            WHERE uploaded_by = p_user_id AND NOT is_deleted
+            RETURNING id
+        )
+        SELECT array_agg(id) INTO v_file_ids FROM moved;
+    END IF;
+
+    -- Remove the user everywhere and cut off access
+    DELETE FROM project_members WHERE user_id = p_user_id;
+    UPDATE users SET is_active = false WHERE id = p_user_id;
+    UPDATE sessions SET revoked_at = NOW() WHERE user_id = p_user_id AND revoked_at IS NULL;
+    UPDATE api_tokens SET revoked_at = NOW() WHERE user_id = p_user_id AND revoked_at IS NULL;
+
+    RETURN jsonb_build_object(
+        'taskIds', COALESCE(to_jsonb(v_task_ids), '[]'::jsonb),
+        'projectIds', COALESCE(to_jsonb(v_project_ids), '[]'::jsonb),
+        'fileIds', COALESCE(to_jsonb(v_file_ids), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- Only the backend (service role) may call it, never the public API
+REVOKE EXECUTE ON FUNCTION offboard_user(UUID, UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- ==========================================
+-- USER ACTIVITY FUNCTION
+-- Adds to a user's activity for one local calendar day, creating the row
+-- on first use (called from UserActivity.record via supabase.rpc)
+-- ==========================================
+CREATE OR REPLACE FUNCTION record_user_activity(
+    p_user_id UUID,
+    p_date DATE,
+    p_logins INTEGER,
+    p_tasks_completed INTEGER
+)
+RETURNS VOID
+LANGUAGE sql
+SET search_path = public
+AS $$
+    INSERT INTO user_activity (user_id, activity_date, logins, tasks_completed)
+    VALUES (p_user_id, p_date, p_logins, p_tasks_completed)
+    ON CONFLICT (user_id, activity_date) DO UPDATE SET
+        logins = user_activity.logins + EXCLUDED.logins,
+        tasks_completed = user_activity.tasks_completed + EXCLUDED.tasks_completed,
+        updated_at = NOW();
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_user_activity(UUID, DATE, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- ==========================================
+-- PROJECT FROM TEMPLATE FUNCTION
+-- Creates a project with the template's folders, members and tasks in one
+-- transaction (called from POST /api/projects via supabase.rpc)
+-- ==========================================
+CREATE OR REPLACE FUNCTION create_project_from_template(
+    p_template_id UUID,
+    p_name VARCHAR,
+    p_description TEXT,
+    p_category VARCHAR,
+    p_created_by UUID,
+    p_start_date DATE
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_template project_templates%ROWTYPE;
+    v_project_id UUID;
+BEGIN
+    SELECT * INTO v_template FROM project_templates WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template % not found', p_template_id USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO projects (name, description, category, folders, created_by)
+    VALUES (
+        p_name,
+        COALESCE(p_description, v_template.description, ''),
+        COALESCE(p_category, v_template.category),
+        v_template.folders,
+        p_created_by
+    )
+    RETURNING id INTO v_project_id;
+
+    INSERT INTO project_members (project_id, user_id, role)
+    VALUES (v_project_id, p_created_by, 'owner');
+
+    -- Default members who still have an active account
+    INSERT INTO project_members (project_id, user_id, role)
+    SELECT v_project_id, u.id, m.role
+    FROM jsonb_to_recordset(v_template.default_members) AS m(user_id UUID, role VARCHAR)
+    JOIN users u ON u.id = m.user_id AND u.is_active
+    ON CONFLICT (project_id, user_id) DO NOTHING;
+
+    -- Assignees who didn't make it into the project leave their task unassigned
+    INSERT INTO tasks (project_id, title, description, priority, tags, assigned_to, due_date, order_index, created_by)
+    SELECT
+        v_project_id,
+        t.task->>'title',
+        COALESCE(t.task->>'description', ''),
+        COALESCE(t.task->>'priority', 'medium'),
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(t.task->'tags', '[]'::jsonb))),
+        pm.user_id,
+        p_start_date + (t.task->>'due_offset_days')::INTEGER,
+        t.ord - 1,
+        p_created_by
+    FROM jsonb_array_elements(v_template.tasks) WITH ORDINALITY AS t(task, ord)
+    LEFT JOIN project_members pm
+        ON pm.project_id = v_project_id AND pm.user_id = (t.task->>'assignee_id')::UUID;
+
+    RETURN v_project_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_project_from_template(UUID, VARCHAR, TEXT, VARCHAR, UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- ==========================================
+-- DUPLICATE PROJECT FUNCTION
+-- Copies a project, and optionally its members, tasks (with their subtasks and
+-- checklists) and file references, in one transaction (called from
+-- POST /api/projects/:id/duplicate via supabase.rpc).
+-- Copied files point at the same stored object as the originals.
+-- ==========================================
+CREATE OR REPLACE FUNCTION duplicate_project(
+    p_source_id UUID,
+    p_name VARCHAR,
+    p_created_by UUID,
+    p_include_members BOOLEAN,
+    p_include_tasks BOOLEAN,
+    p_include_assignees BOOLEAN,
+    p_include_due_dates BOOLEAN,
+    p_include_files BOOLEAN
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_source projects%ROWTYPE;
+    v_project_id UUID;
+    v_task_ids JSONB;
+BEGIN
+    SELECT * INTO v_source FROM projects WHERE id = p_source_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Project % not found', p_source_id USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO projects (name, description, category, folders, created_by)
+    VALUES (p_name, v_source.description, v_source.category, v_source.folders, p_created_by)
+    RETURNING id INTO v_project_id;
+
+    INSERT INTO project_members (project_id, user_id, role)
+    VALUES (v_project_id, p_created_by, 'owner');
+
+    -- Members who still have an active account keep their role
+    IF p_include_members THEN
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT v_project_id, pm.user_id, pm.role
+        FROM project_members pm
+        JOIN users u ON u.id = pm.user_id AND u.is_active
+        WHERE pm.project_id = p_source_id
+        ON CONFLICT (project_id, user_id) DO NOTHING;
+    END IF;
+
+    -- Assignees who aren't members of the copy leave their task unassigned.
+    -- Copies get their IDs up front so subtasks can point at their copied parent.
+    IF p_include_tasks THEN
+        SELECT COALESCE(jsonb_object_agg(id, uuid_generate_v4()), '{}')
+        INTO v_task_ids
+        FROM tasks
+        WHERE project_id = p_source_id;
+
+        INSERT INTO tasks (id, project_id, parent_id, title, description, status, priority, assigned_to,
+                           due_date, completed_at, created_by, order_index, tags)
+        SELECT
+            (v_task_ids->>t.id::TEXT)::UUID,
+            v_project_id,
+            (v_task_ids->>t.parent_id::TEXT)::UUID,
+            t.title,
+            t.description,
+            t.status,
+            t.priority,
+            CASE WHEN p_include_assignees THEN pm.user_id END,
+            CASE WHEN p_include_due_dates THEN t.due_date END,
+            t.completed_at,
+            p_created_by,
+            t.order_index,
+            t.tags
+        FROM tasks t
+        LEFT JOIN project_members pm
+            ON pm.project_id = v_project_id AND pm.user_id = t.assigned_to
+        WHERE t.project_id = p_source_id;
+
+        INSERT INTO task_checklist_items (task_id, text, is_done, position, created_by)
+        SELECT (v_task_ids->>c.task_id::TEXT)::UUID, c.text, c.is_done, c.position, p_created_by
+        FROM task_checklist_items c
+        JOIN tasks t ON t.id = c.task_id
+        WHERE t.project_id = p_source_id;
+    END IF;
+
+    IF p_include_files THEN
+        INSERT INTO files (project_id, name, original_name, description, folder, url, storage_path,
+                           storage_type, file_type, mime_type, size, uploaded_by)
+        SELECT v_project_id, name, original_name, description, folder, url, storage_path,
+               storage_type, file_type, mime_type, size, uploaded_by
+        FROM files
+        WHERE project_id = p_source_id AND NOT is_deleted;
+    END IF;
+
+    RETURN v_project_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION duplicate_project(UUID, VARCHAR, UUID, BOOLEAN, BOOLEAN, BOOLEAN, BOOLEAN, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- ==========================================
+-- PROJECT OWNERSHIP
+-- A project always keeps at least one owner. The guard refuses demoting or
+-- removing the last one, however the change is made; transfer_project_ownership
+-- hands ownership over in one transaction (called from
+-- POST /api/projects/:id/transfer-ownership via supabase.rpc).
+-- ==========================================
+CREATE OR REPLACE FUNCTION ensure_project_keeps_owner()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.role <> 'owner' OR (TG_OP = 'UPDATE' AND NEW.role = 'owner') THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    -- Serialise owner changes per project so two owners can't step down at once.
+    -- The project or user itself being deleted takes its memberships along.
+    PERFORM 1 FROM projects WHERE id = OLD.project_id FOR UPDATE;
+    IF NOT FOUND OR NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM project_members
+        WHERE project_id = OLD.project_id AND role = 'owner' AND user_id <> OLD.user_id
+    ) THEN
+        RAISE EXCEPTION 'A project must keep at least one owner' USING ERRCODE = '23514';
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+CREATE TRIGGER ensure_project_keeps_owner
+    BEFORE UPDATE OF role OR DELETE ON project_members
+    FOR EACH ROW EXECUTE FUNCTION ensure_project_keeps_owner();
+
+CREATE OR REPLACE FUNCTION transfer_project_ownership(
+    p_project_id UUID,
+    p_from_user UUID,
+    p_to_user UUID,
+    p_keep_ownership BOOLEAN
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM 1 FROM projects WHERE id = p_project_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Project % not found', p_project_id USING ERRCODE = 'P0002';
+    END IF;
+
+    PERFORM 1 FROM project_members
+    WHERE project_id = p_project_id AND user_id = p_from_user AND role = 'owner';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Only an owner can transfer ownership' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_from_user = p_to_user THEN
+        RAISE EXCEPTION 'Ownership must go to someone else' USING ERRCODE = '22023';
+    END IF;
+
+    -- The new owner comes first so the guard sees an owner remaining
+    INSERT INTO project_members (project_id, user_id, role)
+    VALUES (p_project_id, p_to_user, 'owner')
+    ON CONFLICT (project_id, user_id) DO UPDATE SET role = 'owner';
+
+    IF NOT p_keep_ownership THEN
+        UPDATE project_members SET role = 'member'
+        WHERE project_id = p_project_id AND user_id = p_from_user;
+    END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION transfer_project_ownership(UUID, UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- ==========================================
+-- PROJECT LISTING VIEW
+-- Every project with its task, member and activity figures, worked out in
+-- one query for GET /api/projects (filtered, sorted and paged on this view).
+-- Task figures count top-level tasks, not subtasks. Overdue means an open
+-- task whose due date has passed; progress is the percentage of tasks done.
+-- ==========================================
+CREATE OR REPLACE VIEW project_listing
+WITH (security_invoker = true) AS
+SELECT
+    p.id,
+    p.name,
+    p.status,
+    p.category,
+    p.created_at,
+    p.updated_at,
+    t.task_count,
+    t.new_count,
+    t.in_progress_count,
+    t.done_count,
+    t.overdue_count,
+    CASE WHEN t.task_count = 0 THEN 0
+         ELSE ROUND(100.0 * t.done_count / t.task_count)::INTEGER
+    END AS progress,
+    m.member_count,
+    GREATEST(p.updated_at, t.last_task_at, msg.last_message_at) AS last_activity_at
+FROM projects p
+CROSS JOIN LATERAL (
+    SELECT
+        COUNT(*) FILTER (WHERE parent_id IS NULL)::INTEGER AS task_count,
+        COUNT(*) FILTER (WHERE parent_id IS NULL AND status = 'new')::INTEGER AS new_count,
+        COUNT(*) FILTER (WHERE parent_id IS NULL AND status = 'in_progress')::INTEGER AS in_progress_count,
+        COUNT(*) FILTER (WHERE parent_id IS NULL AND status = 'done')::INTEGER AS done_count,
+        COUNT(*) FILTER (WHERE parent_id IS NULL AND status <> 'done' AND due_date < NOW())::INTEGER AS overdue_count,
+        MAX(updated_at) AS last_task_at
+    FROM tasks
+    WHERE project_id = p.id
+) t
+CROSS JOIN LATERAL (
+    SELECT COUNT(*)::INTEGER AS member_count
+    FROM project_members
+    WHERE project_id = p.id
+) m
+CROSS JOIN LATERAL (
+    SELECT MAX(created_at) AS last_message_at
+    FROM messages
+    WHERE project_id = p.id
+) msg;
+
+REVOKE ALL ON project_listing FROM anon, authenticated;
+
+-- ==========================================
+-- PROJECT ACTIVITY VIEW
+-- The audit log of each project read as a stream of events (task completed,
+-- member added, message posted...) for GET /api/projects/:id/activity.
+-- Changes without an event type, such as message edits, are left out.
+-- Served newest first by idx_audit_logs_project.
+-- ==========================================
+CREATE OR REPLACE VIEW project_activity
+WITH (security_invoker = true) AS
+SELECT * FROM (
+    SELECT
+        a.id,
+        a.project_id,
+        CASE
+            WHEN a.entity_type = 'project' AND a.action = 'create' THEN 'project_created'
+            WHEN a.entity_type = 'project' AND a.action = 'update'
+                 AND a.after->>'status' = 'archived' AND a.before->>'status' IS DISTINCT FROM 'archived' THEN 'project_archived'
+            WHEN a.entity_type = 'project' AND a.action = 'update'
+                 AND a.before->>'status' = 'archived' AND a.after->>'status' IS DISTINCT FROM 'archived' THEN 'project_restored'
+            WHEN a.entity_type = 'project' AND a.action = 'update' THEN 'project_updated'
+            WHEN a.entity_type = 'project_member' AND a.action = 'create' THEN 'member_added'
+            WHEN a.entity_type = 'project_member' AND a.action = 'update' THEN 'member_role_changed'
+            WHEN a.entity_type = 'project_member' AND a.action = 'delete' THEN 'member_removed'
+            WHEN a.entity_type = 'task' AND a.action = 'create' THEN 'task_created'
+            WHEN a.entity_type = 'task' AND a.action = 'update'
+                 AND a.after->>'status' = 'done' AND a.before->>'status' IS DISTINCT FROM 'done' THEN 'task_completed'
+            WHEN a.entity_type = 'task' AND a.action = 'update'
+                 AND a.after->'assignedTo'->>'id' IS NOT NULL
+                 AND a.after->'assignedTo'->>'id' IS DISTINCT FROM a.before->'assignedTo'->>'id' THEN 'task_assigned'
+            WHEN a.entity_type = 'task' AND a.action = 'update' THEN 'task_updated'
+            WHEN a.entity_type = 'task' AND a.action = 'delete' THEN 'task_deleted'
+            WHEN a.entity_type = 'message' AND a.action = 'create' THEN 'message_posted'
+            WHEN a.entity_type = 'file' AND a.action = 'create' THEN 'file_uploaded'
+            WHEN a.entity_type = 'file' AND a.action = 'delete' THEN 'file_deleted'
+            WHEN a.entity_type = 'milestone' AND a.action = 'create' THEN 'milestone_created'
+            WHEN a.entity_type = 'milestone' AND a.action = 'update'
+                 AND a.after->>'status' = 'completed' AND a.before->>'status' IS DISTINCT FROM 'completed' THEN 'milestone_completed'
+            WHEN a.entity_type = 'milestone' AND a.action = 'update' THEN 'milestone_updated'
+            WHEN a.entity_type = 'milestone' AND a.action = 'delete' THEN 'milestone_deleted'
+        END AS type,
+        a.entity_type,
+        a.entity_id,
+        a.before,
+        a.after,
+        a.actor_id,
+        u.name AS actor_name,
+        u.avatar AS actor_avatar,
+        u.avatar_sizes AS actor_avatar_sizes,
+        a.created_at,
+        -- Events about internal messages are hidden from guest accounts
+        COALESCE((COALESCE(a.after, a.before)->>'isInternal')::BOOLEAN, false) AS is_internal
+    FROM audit_logs a
+    LEFT JOIN users u ON u.id = a.actor_id
+    WHERE a.project_id IS NOT NULL
+) activity
+WHERE type IS NOT NULL;
+
+REVOKE ALL ON project_activity FROM anon, authenticated;
+
+-- ==========================================
+-- PROJECT IMPORT FUNCTION
+-- Creates a project from an imported bundle in one transaction (called from
+-- POST /api/projects/import via supabase.rpc). The server has already given
+-- every row a new ID and mapped people to user IDs; timestamps are kept.
+-- ==========================================
+CREATE OR REPLACE FUNCTION import_project(
+    p_project JSONB,
+    p_members JSONB,
+    p_milestones JSONB,
+    p_tasks JSONB,
+    p_checklist_items JSONB,
+    p_messages JSONB,
+    p_files JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_project projects%ROWTYPE := jsonb_populate_record(NULL::projects, p_project);
+BEGIN
+    -- An archived project arrives archived by whoever imports it
+    INSERT INTO projects (id, name, description, category, status, folders, created_by,
+                          archived_at, archived_by, created_at, updated_at)
+    VALUES (
+        v_project.id,
+        v_project.name,
+        COALESCE(v_project.description, ''),
+        v_project.category,
+        COALESCE(v_project.status, 'active'),
+        COALESCE(v_project.folders, '{}'),
+        v_project.created_by,
+        CASE WHEN v_project.status = 'archived' THEN NOW() END,
+        CASE WHEN v_project.status = 'archived' THEN v_project.created_by END,
+        COALESCE(v_project.created_at, NOW()),
+        COALESCE(v_project.updated_at, NOW())
+    );
+
+    INSERT INTO project_members (project_id, user_id, role, added_at)
+    SELECT v_project.id, m.user_id, m.role, COALESCE(m.added_at, NOW())
+    FROM jsonb_populate_recordset(NULL::project_members, p_members) m;
+
+    -- Risk is worked out afresh by the milestone checks
+    INSERT INTO milestones (id, project_id, title, description, target_date, status, completed_at,
+                            created_by, created_at, updated_at)
+    SELECT m.id, v_project.id, m.title, COALESCE(m.description, ''), m.target_date,
+           COALESCE(m.status, 'planned'), m.completed_at, m.created_by,
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::milestones, p_milestones) m;
+
+    INSERT INTO tasks (id, project_id, title, description, status, priority, assigned_to, due_date,
+                       completed_at, created_by, order_index, tags, milestone_id, parent_id,
+                       created_at, updated_at)
+    SELECT t.id, v_project.id, t.title, COALESCE(t.description, ''), COALESCE(t.status, 'new'),
+           COALESCE(t.priority, 'medium'), t.assigned_to, t.due_date, t.completed_at, t.created_by,
+           COALESCE(t.order_index, 0), COALESCE(t.tags, '{}'), t.milestone_id, t.parent_id,
+           COALESCE(t.created_at, NOW()), COALESCE(t.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::tasks, p_tasks) t;
+
+    -- Checklist items get fresh IDs; nothing refers to them
+    INSERT INTO task_checklist_items (task_id, text, is_done, position, created_at, updated_at)
+    SELECT c.task_id, c.text, COALESCE(c.is_done, false), COALESCE(c.position, 0),
+           COALESCE(c.created_at, NOW()), COALESCE(c.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::task_checklist_items, p_checklist_items) c;
+
+    INSERT INTO messages (id, project_id, sender_id, content, mentions, attachments, is_edited,
+                          edited_at, is_deleted, is_internal, created_at, updated_at)
+    SELECT m.id, v_project.id, m.sender_id, m.content, COALESCE(m.mentions, '{}'),
+           COALESCE(m.attachments, '[]'), COALESCE(m.is_edited, false), m.edited_at,
+           COALESCE(m.is_deleted, false), COALESCE(m.is_internal, false),
+           COALESCE(m.created_at, NOW()), COALESCE(m.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::messages, p_messages) m;
+
+    INSERT INTO files (id, project_id, name, original_name, description, folder, url, storage_path,
+                       storage_type, file_type, mime_type, size, uploaded_by, created_at, updated_at)
+    SELECT f.id, v_project.id, f.name, f.original_name, COALESCE(f.description, ''), f.folder, f.url,
+           f.storage_path, f.storage_type, f.file_type, f.mime_type, f.size, f.uploaded_by,
+           COALESCE(f.created_at, NOW()), COALESCE(f.updated_at, NOW())
+    FROM jsonb_populate_recordset(NULL::files, p_files) f;
+
+    RETURN v_project.id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION import_project(JSONB, JSONB, JSONB, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
 
 -- ==========================================
 -- VERIFICATION QUERY (Run after creation)
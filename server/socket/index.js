@@ -1,5 +1,40 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { verifyAccessToken } = require('../middleware');
+const { Project, Session } = require('../models');
+const policy = require('../policy');
+const presence = require('../presence');
+
+/**
+ * Client address of a socket, honouring the proxy header like Express's `trust proxy 1`
+ */
+function getSocketIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (forwarded) {
+        const hops = forwarded.split(',').map(ip => ip.trim());
+        return hops[hops.length - 1];
+    }
+    return socket.handshake.address;
+}
+
+/**
+ * Record socket activity on the session without holding up the event
+ */
+function touchSession(socket) {
+    Session.touch(socket.session, getSocketIp(socket)).catch(error => {
+        console.error('Failed to update session activity:', error.message);
+    });
+}
+
+/**
+ * Whether a socket's user may message another user directly. Guests, at
+ * either end, can only reach people they share a project with.
+ */
+async function canMessageDirectly(io, socket, toUserId) {
+    const recipientSockets = await io.in(`user:${toUserId}`).fetchSockets();
+    const toGuest = recipientSockets.some(s => s.rooms.has('guests'));
+    if (socket.userRole !== 'guest' && !toGuest) return true;
+
+    return (await Project.getCoMemberIds(socket.userId)).includes(toUserId);
+}
 
 /**
  * Socket.IO event handler setup
@@ -15,15 +50,22 @@ function setupSocketHandlers(io) {
                 return next(new Error('Authentication error: No token provided'));
             }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.id);
+            const { user, session, error, code } = await verifyAccessToken(token);
 
-            if (!user || !user.isActive) {
-                return next(new Error('Authentication error: Invalid user'));
+            if (error) {
+                // The code reaches the client as connect_error's `data`, so it can refresh and retry
+                const authError = new Error(`Authentication error: ${error}`);
+                authError.data = { code };
+                return next(authError);
             }
 
             socket.userId = user.id;
             socket.userName = user.name;
+            socket.userRole = user.role;
+            socket.sessionId = session.id;
+            socket.session = session;
+            // socket.data is also visible through fetchSockets()
+            socket.data.userId = user.id;
             next();
         } catch (error) {
             next(new Error('Authentication error: Invalid token'));
@@ -37,14 +79,38 @@ function setupSocketHandlers(io) {
         // Join user's personal room for direct notifications
         socket.join(`user:${socket.userId}`);
 
-        // Emit online status
-        io.emit('user_online', {
-            userId: socket.userId,
-            userName: socket.userName
+        // Session room so revoking a session can drop its sockets
+        socket.join(`session:${socket.sessionId}`);
+
+        // Guest accounts are left out of broadcasts meant for staff only
+        if (socket.userRole === 'guest') {
+            socket.join('guests');
+        }
+
+        // Keep the session's last activity current while the socket is in use
+        touchSession(socket);
+        socket.use((packet, next) => {
+            touchSession(socket);
+            next();
         });
 
+        // Announce the user (and their status) as online
+        presence.handleConnect(io, socket);
+
+        // Project events only go to and from rooms the socket was allowed to join
+        const inProject = (projectId) => socket.rooms.has(`project:${projectId}`);
+
         // Join project room
-        socket.on('join_project', (projectId) => {
+        socket.on('join_project', async (projectId) => {
+            try {
+                const project = await Project.findById(projectId);
+                if (!project || !policy.can({ id: socket.userId, role: socket.userRole }, 'project:read', { project })) {
+                    return;
+                }
+            } catch (error) {
+                return;
+            }
+
             socket.join(`project:${projectId}`);
             console.log(`${socket.userName} joined project: ${projectId}`);
 
@@ -69,6 +135,7 @@ function setupSocketHandlers(io) {
 
         // Typing indicator
         socket.on('typing_start', (data) => {
+            if (!inProject(data.projectId)) return;
             socket.to(`project:${data.projectId}`).emit('user_typing', {
                 userId: socket.userId,
                 userName: socket.userName,
@@ -77,6 +144,7 @@ function setupSocketHandlers(io) {
         });
 
         socket.on('typing_end', (data) => {
+            if (!inProject(data.projectId)) return;
             socket.to(`project:${data.projectId}`).emit('user_stopped_typing', {
                 userId: socket.userId,
                 userName: socket.userName,
@@ -85,7 +153,13 @@ function setupSocketHandlers(io) {
         });
 
         // Direct message (for private notifications, not stored)
-        socket.on('direct_message', (data) => {
+        socket.on('direct_message', async (data) => {
+            try {
+                if (!await canMessageDirectly(io, socket, data.toUserId)) return;
+            } catch (error) {
+                return;
+            }
+
             io.to(`user:${data.toUserId}`).emit('direct_message', {
                 from: socket.userId,
                 fromName: socket.userName,
@@ -96,6 +170,7 @@ function setupSocketHandlers(io) {
 
         // Task updates broadcast
         socket.on('task_update', (data) => {
+            if (!inProject(data.projectId)) return;
             socket.to(`project:${data.projectId}`).emit('task_updated', {
                 taskId: data.taskId,
                 updates: data.updates,
@@ -107,10 +182,8 @@ function setupSocketHandlers(io) {
         socket.on('disconnect', () => {
             console.log(`User disconnected: ${socket.userName}`);
 
-            io.emit('user_offline', {
-                userId: socket.userId,
-                userName: socket.userName
-            });
+            // Other tabs or devices may still be connected
+            presence.handleDisconnect(io, socket);
         });
     });
 }
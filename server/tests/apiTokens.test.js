@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, postJson, deleteJson, signInAs } = require('./helpers');
+const { ApiToken } = require('../models');
+const audit = require('../audit');
+
+const user = { id: 'user-1', name: 'Editor', email: 'editor@example.com', role: 'editor', isActive: true };
+
+signInAs(() => user);
+const tokenRoutes = require('../routes/apiTokens');
+
+const storedToken = {
+    id: 'token-1',
+    user: user.id,
+    name: 'Deploy script',
+    tokenHash: 'hash',
+    tokenPrefix: 'rbpat_abcd',
+    scopes: ['projects:read'],
+    expiresAt: null
+};
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(ApiToken, 'create', async () => ({ ...storedToken }));
+    t.mock.method(ApiToken, 'revoke', async () => ({ ...storedToken }));
+    t.mock.method(audit, 'record', async () => {});
+
+    server = await serve('/api/tokens', tokenRoutes);
+});
+
+afterEach(() => server.close());
+
+test('creating a token is audited, without its value', async () => {
+    const { status, body } = await postJson(server.url, { name: 'Deploy script', scopes: ['projects:read'] });
+
+    assert.equal(status, 201);
+    assert.equal(audit.record.mock.callCount(), 1);
+
+    const [, entry] = audit.record.mock.calls[0].arguments;
+    assert.equal(entry.action, 'create');
+    assert.equal(entry.entityType, 'api_token');
+    assert.equal(entry.entityId, 'token-1');
+    assert.equal(entry.after.tokenHash, undefined);
+    assert.equal(JSON.stringify(entry).includes(body.data.token), false);
+});
+
+test('revoking a token is audited', async () => {
+    const { status } = await deleteJson(`${server.url}/token-1`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(ApiToken.revoke.mock.calls[0].arguments, ['token-1', user.id]);
+
+    const [, entry] = audit.record.mock.calls[0].arguments;
+    assert.equal(entry.action, 'delete');
+    assert.equal(entry.entityType, 'api_token');
+    assert.equal(entry.before.name, 'Deploy script');
+});
+
+test('revoking a token that is not yours is not audited', async () => {
+    ApiToken.revoke.mock.mockImplementation(async () => null);
+
+    const { status } = await deleteJson(`${server.url}/token-1`);
+
+    assert.equal(status, 404);
+    assert.equal(audit.record.mock.callCount(), 0);
+});
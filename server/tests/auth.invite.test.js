@@ -0,0 +1,70 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, postJson } = require('./helpers');
+const { User, Invitation } = require('../models');
+const authRoutes = require('../routes/auth');
+
+const invitation = {
+    id: 'invitation-1',
+    email: 'new.hire@example.com',
+    role: 'editor',
+    projectIds: [],
+    status: 'pending'
+};
+
+const acceptance = { token: 'invite-token', password: 'secret123', name: 'New Hire' };
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(Invitation, 'findByTokenHash', async () => ({ ...invitation }));
+    t.mock.method(Invitation, 'markAccepted', async () => true);
+    t.mock.method(Invitation, 'setAcceptedUser', async () => {});
+    t.mock.method(Invitation, 'releaseAcceptance', async () => {});
+    t.mock.method(User, 'findOne', async () => null);
+    t.mock.method(User, 'create', async () => {
+        throw new Error('stop after creating the account');
+    });
+
+    server = await serve('/api/auth', authRoutes);
+});
+
+afterEach(() => server.close());
+
+test('an invitation claimed by another request creates no account', async () => {
+    Invitation.markAccepted.mock.mockImplementation(async () => false);
+
+    const { status, body } = await postJson(`${server.url}/accept-invite`, acceptance);
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'INVITATION_UNAVAILABLE');
+    assert.equal(User.create.mock.callCount(), 0);
+});
+
+test('the invitation is claimed before the account is created', async () => {
+    const order = [];
+    Invitation.markAccepted.mock.mockImplementation(async () => {
+        order.push('claim');
+        return true;
+    });
+    User.create.mock.mockImplementation(async (data) => {
+        order.push('create');
+        return { id: 'user-1', ...data };
+    });
+    Invitation.setAcceptedUser.mock.mockImplementation(async () => {
+        order.push('link');
+        throw new Error('stop before signing in');
+    });
+
+    await postJson(`${server.url}/accept-invite`, acceptance);
+
+    assert.deepEqual(order, ['claim', 'create', 'link']);
+    assert.deepEqual(Invitation.setAcceptedUser.mock.calls[0].arguments, ['invitation-1', 'user-1']);
+});
+
+test('the claim is released when the account cannot be created', async () => {
+    const { status } = await postJson(`${server.url}/accept-invite`, acceptance);
+
+    assert.equal(status, 500);
+    assert.deepEqual(Invitation.releaseAcceptance.mock.calls[0].arguments, ['invitation-1']);
+});
@@ -0,0 +1,37 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, putJson, signInAs } = require('./helpers');
+const { User } = require('../models');
+const achievements = require('../achievements');
+
+const user = { id: 'user-1', name: 'Asha', email: 'asha@example.com', role: 'editor', isActive: true, timezone: 'UTC', loginStreak: 3 };
+
+signInAs(() => user);
+const authRoutes = require('../routes/auth');
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(User, 'update', async (id, updates) => ({ ...user, ...updates }));
+    t.mock.method(achievements, 'rebuildLoginStreak', async () => 2);
+
+    server = await serve('/api/auth', authRoutes);
+});
+
+afterEach(() => server.close());
+
+test('changing timezone recounts the login streak', async () => {
+    const { status, body } = await putJson(`${server.url}/update-profile`, { timezone: 'Asia/Kolkata' });
+
+    assert.equal(status, 200);
+    assert.equal(achievements.rebuildLoginStreak.mock.callCount(), 1);
+    assert.equal(body.data.loginStreak, 2);
+});
+
+test('other profile changes leave the streak alone', async () => {
+    const { status, body } = await putJson(`${server.url}/update-profile`, { name: 'Asha R', timezone: 'UTC' });
+
+    assert.equal(status, 200);
+    assert.equal(achievements.rebuildLoginStreak.mock.callCount(), 0);
+    assert.equal(body.data.loginStreak, 3);
+});
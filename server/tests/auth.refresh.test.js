@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeIo, serve, postJson } = require('./helpers');
+const { User, Session } = require('../models');
+const { hashToken } = require('../utils/tokens');
+const achievements = require('../achievements');
+const authRoutes = require('../routes/auth');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const user = {
+    id: 'user-1',
+    name: 'Asha',
+    email: 'asha@example.com',
+    role: 'editor',
+    isActive: true,
+    timezone: 'UTC',
+    loginStreak: 4,
+    lastLogin: new Date().toISOString()
+};
+
+let io;
+let server;
+let session;
+
+// One session, stored the way the sessions table keeps it
+beforeEach(async (t) => {
+    session = {
+        id: 'session-1',
+        user: user.id,
+        refreshTokenHash: hashToken('first-token'),
+        previousTokenHash: null,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+    };
+
+    t.mock.method(User, 'findById', async (id) => (id === user.id ? user : null));
+    t.mock.method(User, 'update', async (id, updates) => ({ ...user, ...updates }));
+    t.mock.method(achievements, 'recordLogin', async () => {});
+    t.mock.method(Session, 'findByRefreshHash', async (hash) =>
+        [session.refreshTokenHash, session.previousTokenHash].includes(hash) ? { ...session } : null);
+    t.mock.method(Session, 'rotate', async (id, currentHash, newHash, expiresAt) => {
+        if (id !== session.id || session.refreshTokenHash !== currentHash || session.revokedAt) return null;
+        Object.assign(session, { refreshTokenHash: newHash, previousTokenHash: currentHash, expiresAt });
+        return { ...session };
+    });
+    t.mock.method(Session, 'revoke', async (id) => {
+        if (id === session.id) session.revokedAt = session.revokedAt || new Date().toISOString();
+        return true;
+    });
+
+    io = fakeIo();
+    server = await serve('/api/auth', authRoutes, { io });
+});
+
+afterEach(() => server.close());
+
+test('refresh exchanges a refresh token for a new pair', async () => {
+    const { status, body } = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+
+    assert.equal(status, 200);
+    assert.ok(body.data.token);
+    assert.notEqual(body.data.refreshToken, 'first-token');
+    assert.equal(session.refreshTokenHash, hashToken(body.data.refreshToken));
+    assert.equal(session.revokedAt, null);
+});
+
+test('replaying a rotated-out refresh token revokes the session', async () => {
+    const first = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+    assert.equal(first.status, 200);
+
+    const replay = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'SESSION_REVOKED');
+    assert.ok(session.revokedAt);
+    assert.deepEqual(io.calls, [{ room: 'session:session-1', disconnectSockets: true }]);
+
+    // The token handed out by the first refresh dies with the session
+    const next = await postJson(`${server.url}/refresh`, { refreshToken: first.body.data.refreshToken });
+    assert.equal(next.status, 401);
+    assert.equal(next.body.code, 'SESSION_REVOKED');
+});
+
+test('an unknown refresh token is refused without touching the session', async () => {
+    const { status, body } = await postJson(`${server.url}/refresh`, { refreshToken: 'made-up' });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+    assert.equal(session.revokedAt, null);
+    assert.equal(io.calls.length, 0);
+});
+
+test('losing a rotation race is refused without revoking the session', async (t) => {
+    // Another request rotates the token between the lookup and the update
+    t.mock.method(Session, 'rotate', async () => null);
+
+    const { status, body } = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+    assert.equal(session.revokedAt, null);
+});
+
+test('a deactivated account cannot refresh', async () => {
+    User.findById.mock.mockImplementation(async () => ({ ...user, isActive: false }));
+
+    const { status, body } = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'ACCOUNT_DEACTIVATED');
+    assert.ok(session.revokedAt);
+});
+
+test('the first refresh of a new day counts towards the login streak', async () => {
+    User.findById.mock.mockImplementation(async () => ({ ...user, lastLogin: new Date(Date.now() - DAY).toISOString() }));
+
+    const { status } = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+
+    assert.equal(status, 200);
+    const [id, updates] = User.update.mock.calls[0].arguments;
+    assert.equal(id, user.id);
+    assert.equal(updates.loginStreak, 5);
+    assert.equal(achievements.recordLogin.mock.calls[0].arguments[2], 5);
+});
+
+test('later refreshes on the same day leave the streak alone', async () => {
+    const { status } = await postJson(`${server.url}/refresh`, { refreshToken: 'first-token' });
+
+    assert.equal(status, 200);
+    assert.equal(User.update.mock.callCount(), 0);
+    assert.equal(achievements.recordLogin.mock.callCount(), 0);
+});
@@ -0,0 +1,56 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, postJson } = require('./helpers');
+const { User, Session, PasswordReset } = require('../models');
+const audit = require('../audit');
+const authRoutes = require('../routes/auth');
+
+const lockedUser = {
+    id: 'user-1',
+    email: 'editor@example.com',
+    isActive: true,
+    failedLoginAttempts: 7,
+    lockedUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+};
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(PasswordReset, 'findByTokenHash', async () => ({
+        id: 'reset-1',
+        user: lockedUser.id,
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+    }));
+    t.mock.method(PasswordReset, 'markUsed', async () => true);
+    t.mock.method(User, 'findById', async () => ({ ...lockedUser }));
+    t.mock.method(User, 'update', async (id, updates) => ({ ...lockedUser, ...updates }));
+    t.mock.method(Session, 'findByUser', async () => []);
+    t.mock.method(Session, 'revokeAllForUser', async () => ({ revokedCount: 0 }));
+    t.mock.method(audit, 'record', async () => {});
+
+    server = await serve('/api/auth', authRoutes);
+});
+
+afterEach(() => server.close());
+
+test('resetting the password lifts a lockout in the same update', async () => {
+    const { status } = await postJson(`${server.url}/reset-password`, { token: 'reset-token', password: 'new-secret' });
+
+    assert.equal(status, 200);
+    assert.equal(User.update.mock.callCount(), 1);
+    assert.deepEqual(User.update.mock.calls[0].arguments, [
+        'user-1',
+        { password: 'new-secret', failedLoginAttempts: 0, lockedUntil: null }
+    ]);
+});
+
+test('a used reset link leaves the lockout alone', async () => {
+    PasswordReset.markUsed.mock.mockImplementation(async () => false);
+
+    const { status, body } = await postJson(`${server.url}/reset-password`, { token: 'reset-token', password: 'new-secret' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_RESET_TOKEN');
+    assert.equal(User.update.mock.callCount(), 0);
+});
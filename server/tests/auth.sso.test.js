@@ -0,0 +1,50 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, postJson } = require('./helpers');
+const { User, SsoTicket } = require('../models');
+const authRoutes = require('../routes/auth');
+
+// Admins without 2FA stop at the setup step, so no session is needed here
+const user = { id: 'user-1', email: 'admin@example.com', role: 'admin', isActive: true, totpEnabled: false };
+
+let server;
+
+beforeEach(async (t) => {
+    const redeemed = new Set();
+    t.mock.method(SsoTicket, 'redeem', async (tokenHash) => {
+        if (redeemed.has(tokenHash)) return null;
+        redeemed.add(tokenHash);
+        return user.id;
+    });
+    t.mock.method(User, 'findById', async () => ({ ...user }));
+
+    server = await serve('/api/auth', authRoutes);
+});
+
+afterEach(() => server.close());
+
+test('an SSO ticket signs in once', async () => {
+    const first = await postJson(`${server.url}/oidc/exchange`, { ticket: 'sso-ticket' });
+    const second = await postJson(`${server.url}/oidc/exchange`, { ticket: 'sso-ticket' });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.mfaSetupRequired, true);
+    assert.equal(second.status, 401);
+    assert.equal(second.body.code, 'INVALID_SSO_TICKET');
+});
+
+test('the ticket is looked up by its hash', async () => {
+    await postJson(`${server.url}/oidc/exchange`, { ticket: 'sso-ticket' });
+
+    const [tokenHash] = SsoTicket.redeem.mock.calls[0].arguments;
+    assert.notEqual(tokenHash, 'sso-ticket');
+    assert.match(tokenHash, /^[0-9a-f]{64}$/);
+});
+
+test('a ticket for a deactivated account does not sign in', async () => {
+    User.findById.mock.mockImplementation(async () => ({ ...user, isActive: false }));
+
+    const { status } = await postJson(`${server.url}/oidc/exchange`, { ticket: 'sso-ticket' });
+
+    assert.equal(status, 401);
+});
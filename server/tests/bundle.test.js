@@ -0,0 +1,153 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+require('./helpers');
+const { ProjectBundle, Project, ProjectCategory, User } = require('../models');
+const { pack } = require('../utils/tar');
+const bundle = require('../bundle');
+
+const owner = { id: 'aaaaaaaa-0000-4000-8000-000000000001', email: 'owner@example.com', role: 'editor', isActive: true };
+const worker = { id: 'aaaaaaaa-0000-4000-8000-000000000002', email: 'worker@example.com', role: 'editor', isActive: true };
+
+const PARENT_ID = '11111111-0000-4000-8000-000000000001';
+const SUBTASK_ID = '11111111-0000-4000-8000-000000000002';
+const OTHER_ID = '11111111-0000-4000-8000-000000000003';
+
+const task = (fields) => ({
+    description: '',
+    status: 'new',
+    priority: 'medium',
+    assignedTo: null,
+    dueDate: null,
+    completedAt: null,
+    createdBy: owner.email,
+    order: 0,
+    tags: [],
+    milestoneId: null,
+    parentId: null,
+    checklist: [],
+    createdAt: '2026-01-05T10:00:00.000Z',
+    updatedAt: '2026-01-05T10:00:00.000Z',
+    ...fields
+});
+
+// What ProjectBundle.read gives for a project with a subtask and a checklist
+const projectData = () => ({
+    project: {
+        id: '22222222-0000-4000-8000-000000000001',
+        name: 'Flat handover',
+        description: 'Keys and inventory',
+        category: 'operations',
+        status: 'active',
+        folders: [],
+        createdBy: owner.email,
+        createdAt: '2026-01-05T09:00:00.000Z',
+        updatedAt: '2026-01-05T09:00:00.000Z'
+    },
+    members: [
+        { email: owner.email, name: 'Owner', role: 'owner', addedAt: '2026-01-05T09:00:00.000Z' },
+        { email: worker.email, name: 'Worker', role: 'member', addedAt: '2026-01-05T09:00:00.000Z' }
+    ],
+    milestones: [],
+    tasks: [
+        task({
+            id: PARENT_ID,
+            title: 'Inspect the flat',
+            status: 'in_progress',
+            checklist: [
+                { text: 'Kitchen', isDone: true, position: 0 },
+                { text: 'Bathroom', isDone: false, position: 1 }
+            ]
+        }),
+        task({ id: SUBTASK_ID, title: 'Photograph meter readings', assignedTo: worker.email, parentId: PARENT_ID }),
+        task({ id: OTHER_ID, title: 'Hand over keys', order: 1 })
+    ],
+    messages: [],
+    files: []
+});
+
+const archiveOf = (manifest) => zlib.gzipSync(pack([
+    { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest)) }
+]));
+
+beforeEach((t) => {
+    t.mock.method(ProjectBundle, 'read', async () => projectData());
+    t.mock.method(User, 'find', async ({ emails }) => [owner, worker].filter(u => emails.includes(u.email)));
+    t.mock.method(ProjectCategory, 'findBySlug', async (slug) => (slug === 'operations' ? { slug } : null));
+    t.mock.method(Project, 'find', async () => []);
+});
+
+test('a project with subtasks and checklists survives export and import', async (t) => {
+    const { archive } = await bundle.exportProject('22222222-0000-4000-8000-000000000001');
+
+    const read = await bundle.readBundle(archive);
+    assert.equal(read.error, undefined);
+    assert.equal(read.manifest.version, bundle.FORMAT_VERSION);
+
+    const { plan, conflicts, ids } = await bundle.planImport(read, owner);
+    assert.deepEqual(conflicts, []);
+
+    const byTitle = new Map(plan.tasks.map(t => [t.title, t]));
+    const parent = byTitle.get('Inspect the flat');
+    const subtask = byTitle.get('Photograph meter readings');
+
+    // Everything gets a new ID, and the subtask follows its parent to it
+    assert.equal(parent.id, ids.tasks[PARENT_ID]);
+    assert.notEqual(parent.id, PARENT_ID);
+    assert.equal(parent.parentId, null);
+    assert.equal(subtask.parentId, parent.id);
+    assert.equal(subtask.assignedTo, worker.id);
+    assert.equal(byTitle.get('Hand over keys').parentId, null);
+
+    assert.deepEqual(parent.checklist, [
+        { text: 'Kitchen', isDone: true, position: 0 },
+        { text: 'Bathroom', isDone: false, position: 1 }
+    ]);
+    assert.deepEqual(subtask.checklist, []);
+
+    const write = t.mock.method(ProjectBundle, 'write', async (written) => written.project.id);
+    const projectId = await bundle.importProject(plan, read.blobs);
+
+    assert.equal(projectId, plan.project.id);
+    assert.deepEqual(write.mock.calls[0].arguments[0].tasks, plan.tasks);
+});
+
+test('version 1 bundles, from before subtasks and checklists, still import', async () => {
+    const data = projectData();
+    const manifest = {
+        format: bundle.FORMAT,
+        version: 1,
+        exportedAt: '2026-01-06T00:00:00.000Z',
+        ...data,
+        tasks: data.tasks
+            .filter(t => !t.parentId)
+            .map(({ parentId, checklist, ...rest }) => rest)
+    };
+
+    const read = await bundle.readBundle(archiveOf(manifest));
+    assert.equal(read.error, undefined);
+
+    const { plan } = await bundle.planImport(read, owner);
+    assert.equal(plan.tasks.length, 2);
+    assert.ok(plan.tasks.every(t => t.parentId === null && t.checklist.length === 0));
+});
+
+test('bundles newer than this server are refused', async () => {
+    const read = await bundle.readBundle(archiveOf({
+        format: bundle.FORMAT,
+        version: bundle.FORMAT_VERSION + 1,
+        ...projectData()
+    }));
+
+    assert.equal(read.code, 'UNSUPPORTED_BUNDLE_VERSION');
+});
+
+test('subtasks must hang off a top-level task in the bundle', async () => {
+    const data = projectData();
+    data.tasks.push(task({ id: '11111111-0000-4000-8000-000000000004', title: 'Too deep', parentId: SUBTASK_ID }));
+
+    const read = await bundle.readBundle(archiveOf({ format: bundle.FORMAT, version: bundle.FORMAT_VERSION, ...data }));
+
+    assert.equal(read.code, 'INVALID_BUNDLE');
+    assert.match(read.error, /Too deep/);
+});
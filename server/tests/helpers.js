@@ -0,0 +1,79 @@
+/**
+ * Test helpers
+ * Tests run against the real routes and modules with the models' database
+ * calls swapped for in-memory stand-ins (t.mock.method), so no database is
+ * needed; the Supabase client only has to be configurable.
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const express = require('express');
+
+/**
+ * A Socket.IO server stand-in that records what was done to which room
+ */
+function fakeIo() {
+    const calls = [];
+    const room = (name) => ({
+        emit: (event, data) => calls.push({ room: name, emit: event, data }),
+        disconnectSockets: () => calls.push({ room: name, disconnectSockets: true }),
+        socketsLeave: (left) => calls.push({ room: name, socketsLeave: left })
+    });
+    return { calls, in: room, to: room };
+}
+
+/**
+ * Serve a router on a free port
+ * @param {string} path - where to mount it, e.g. '/api/auth'
+ * @param {express.Router} router
+ * @param {Object} [options]
+ * @param {Object} [options.io] - stands in for the Socket.IO server
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+function serve(path, router, { io = fakeIo() } = {}) {
+    const app = express();
+    app.use(express.json());
+    app.set('io', io);
+    app.use(path, router);
+    app.use((err, req, res, next) => res.status(500).json({ success: false, error: err.message }));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}${path}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Send JSON and return the status with the parsed body
+ */
+async function sendJson(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const postJson = (url, body) => sendJson('POST', url, body);
+const putJson = (url, body) => sendJson('PUT', url, body);
+const deleteJson = (url) => sendJson('DELETE', url);
+
+/**
+ * Have `protect` take whoever `getUser()` returns as the signed-in user.
+ * Call it before requiring the routes, which pick `protect` up on load.
+ */
+function signInAs(getUser) {
+    require('../middleware').protect = (req, res, next) => {
+        req.user = getUser();
+        next();
+    };
+}
+
+module.exports = { fakeIo, serve, postJson, putJson, deleteJson, signInAs };
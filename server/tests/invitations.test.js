@@ -0,0 +1,69 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, postJson, deleteJson, signInAs } = require('./helpers');
+const { User, Invitation } = require('../models');
+const audit = require('../audit');
+const mail = require('../mail');
+
+const admin = { id: 'admin-1', name: 'Admin', email: 'admin@example.com', role: 'admin', isActive: true };
+
+signInAs(() => admin);
+const invitationRoutes = require('../routes/invitations');
+
+const invitation = {
+    id: 'invitation-1',
+    email: 'new.hire@example.com',
+    role: 'editor',
+    projectIds: [],
+    status: 'pending'
+};
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(User, 'findOne', async () => null);
+    t.mock.method(Invitation, 'findPendingByEmail', async () => null);
+    t.mock.method(Invitation, 'create', async () => ({ ...invitation }));
+    t.mock.method(Invitation, 'findById', async () => ({ ...invitation }));
+    t.mock.method(Invitation, 'revoke', async () => true);
+    t.mock.method(mail, 'sendTemplate', async () => {});
+    t.mock.method(audit, 'record', async () => {});
+
+    server = await serve('/api/invitations', invitationRoutes);
+});
+
+afterEach(() => server.close());
+
+test('sending an invitation is audited, without its token', async () => {
+    const { status, body } = await postJson(server.url, { email: invitation.email });
+
+    assert.equal(status, 201);
+    assert.equal(audit.record.mock.callCount(), 1);
+
+    const [, entry] = audit.record.mock.calls[0].arguments;
+    assert.equal(entry.action, 'create');
+    assert.equal(entry.entityType, 'invitation');
+    assert.equal(entry.entityId, 'invitation-1');
+    assert.equal(JSON.stringify(entry).includes(body.data.token), false);
+});
+
+test('revoking an invitation is audited', async () => {
+    const { status } = await deleteJson(`${server.url}/invitation-1`);
+
+    assert.equal(status, 200);
+    assert.equal(audit.record.mock.callCount(), 1);
+
+    const [, entry] = audit.record.mock.calls[0].arguments;
+    assert.equal(entry.action, 'delete');
+    assert.equal(entry.entityType, 'invitation');
+    assert.equal(entry.before.email, invitation.email);
+});
+
+test('an invitation that was already used is not audited as revoked', async () => {
+    Invitation.revoke.mock.mockImplementation(async () => false);
+
+    const { status } = await deleteJson(`${server.url}/invitation-1`);
+
+    assert.equal(status, 400);
+    assert.equal(audit.record.mock.callCount(), 0);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const policy = require('../policy');
+
+const guest = { id: 'guest-1', role: 'guest' };
+const editor = { id: 'editor-1', role: 'editor' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+// Shaped like Project.findById's result
+const projectWith = (members, status = 'active') => ({
+    id: 'project-1',
+    status,
+    members: members.map(([user, role]) => ({ user: { id: user.id }, role }))
+});
+
+const project = projectWith([[editor, 'owner'], [guest, 'guest']]);
+const otherProject = projectWith([[editor, 'owner']]);
+
+test('guests see only the projects they were added to', () => {
+    assert.equal(policy.can(guest, 'project:read', { project }), true);
+    assert.equal(policy.can(guest, 'task:read', { project }), true);
+    assert.equal(policy.can(guest, 'project:read', { project: otherProject }), false);
+    assert.equal(policy.can(guest, 'project:list_all'), false);
+});
+
+test('guests cannot list users or read internal messages', () => {
+    assert.equal(policy.can(guest, 'user:list'), false);
+    assert.equal(policy.can(guest, 'message:read_internal'), false);
+    assert.equal(policy.can(editor, 'user:list'), true);
+    assert.equal(policy.can(editor, 'message:read_internal'), true);
+});
+
+test('a guest account gets no more than the guest role, whatever the membership says', () => {
+    const promoted = projectWith([[editor, 'owner'], [guest, 'owner']]);
+
+    assert.equal(policy.getProjectRole(promoted, guest.id), 'owner');
+    assert.equal(policy.can(guest, 'project:update', { project: promoted }), false);
+    assert.equal(policy.can(guest, 'project:manage_members', { project: promoted }), false);
+    assert.equal(policy.can(guest, 'task:create', { project: promoted }), false);
+});
+
+test('guests work on the tasks given to them, without reassigning them', () => {
+    const theirs = { id: 'task-1', assignedTo: { id: guest.id }, createdBy: editor.id };
+    const someoneElses = { id: 'task-2', assignedTo: { id: editor.id }, createdBy: editor.id };
+
+    assert.equal(policy.can(guest, 'task:update', { project, resource: theirs }), true);
+    assert.equal(policy.can(guest, 'task:update', { project, resource: someoneElses }), false);
+    assert.equal(policy.can(guest, 'task:assign', { project }), false);
+    assert.equal(policy.can(guest, 'task:delete', { project, resource: theirs }), false);
+    assert.equal(policy.can(editor, 'task:assign', { project }), true);
+});
+
+test('guests can post messages in their projects, but not upload files', () => {
+    assert.equal(policy.can(guest, 'message:create', { project }), true);
+    assert.equal(policy.can(guest, 'message:create', { project: otherProject }), false);
+    assert.equal(policy.can(guest, 'file:read', { project }), true);
+    assert.equal(policy.can(guest, 'file:upload', { project }), false);
+});
+
+test('archived projects are read-only for guests as for everyone', () => {
+    const archived = projectWith([[editor, 'owner'], [guest, 'guest']], 'archived');
+
+    assert.equal(policy.can(guest, 'project:read', { project: archived }), true);
+    assert.equal(policy.can(guest, 'message:create', { project: archived }), false);
+    assert.equal(policy.can(admin, 'message:create', { project: archived }), false);
+});
@@ -0,0 +1,35 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, signInAs } = require('./helpers');
+const { Project, ProjectBundle } = require('../models');
+
+const admin = { id: 'admin-1', name: 'Admin', role: 'admin', isActive: true };
+
+signInAs(() => admin);
+const projectRoutes = require('../routes/projects');
+
+const project = {
+    id: 'project-1',
+    name: 'Flat handover',
+    status: 'active',
+    members: [],
+    isMember: () => false
+};
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(Project, 'findById', async () => project);
+    t.mock.method(ProjectBundle, 'read', async () => null);
+
+    server = await serve('/api/projects', projectRoutes);
+});
+
+afterEach(() => server.close());
+
+test('a project deleted while it is being exported is not found', async () => {
+    const response = await fetch(`${server.url}/project-1/export`);
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { success: false, error: 'Project not found' });
+});
@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, postJson, signInAs } = require('./helpers');
+const { User, Project, Notification } = require('../models');
+const audit = require('../audit');
+
+const owner = { id: 'owner-1', name: 'Owner', role: 'editor', isActive: true };
+
+signInAs(() => owner);
+const projectRoutes = require('../routes/projects');
+
+const accounts = {
+    'editor-2': { id: 'editor-2', role: 'editor', isActive: true },
+    'guest-1': { id: 'guest-1', role: 'guest', isActive: true },
+    'former-1': { id: 'former-1', role: 'editor', isActive: false }
+};
+
+const project = {
+    id: 'project-1',
+    name: 'Flat handover',
+    status: 'active',
+    members: [{ user: { id: owner.id }, role: 'owner' }],
+    isMember: (userId) => userId === owner.id
+};
+
+let server;
+
+beforeEach(async (t) => {
+    t.mock.method(Project, 'findById', async () => project);
+    t.mock.method(Project, 'addMember', async () => project);
+    t.mock.method(User, 'findById', async (id) => accounts[id] || null);
+    t.mock.method(Notification, 'createNotification', async () => ({}));
+    t.mock.method(audit, 'record', async () => {});
+
+    server = await serve('/api/projects', projectRoutes);
+});
+
+afterEach(() => server.close());
+
+test('adds an active user as a member', async () => {
+    const { status } = await postJson(`${server.url}/project-1/members`, { userId: 'editor-2' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(Project.addMember.mock.calls[0].arguments, ['project-1', 'editor-2', 'member']);
+});
+
+test('guest accounts join as guests', async () => {
+    const { status } = await postJson(`${server.url}/project-1/members`, { userId: 'guest-1' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(Project.addMember.mock.calls[0].arguments, ['project-1', 'guest-1', 'guest']);
+});
+
+test('a user who does not exist is not added', async () => {
+    const { status } = await postJson(`${server.url}/project-1/members`, { userId: 'nobody' });
+
+    assert.equal(status, 404);
+    assert.equal(Project.addMember.mock.callCount(), 0);
+});
+
+test('a deactivated user is not added', async () => {
+    const { status } = await postJson(`${server.url}/project-1/members`, { userId: 'former-1' });
+
+    assert.equal(status, 400);
+    assert.equal(Project.addMember.mock.callCount(), 0);
+    assert.equal(Notification.createNotification.mock.callCount(), 0);
+});
@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, putJson, signInAs } = require('./helpers');
+const { Task, Project, ChecklistItem, Notification } = require('../models');
+const audit = require('../audit');
+const achievements = require('../achievements');
+const milestones = require('../milestones');
+
+const editor = { id: 'editor-1', name: 'Editor', role: 'editor', isActive: true };
+const guest = { id: 'guest-1', name: 'Guest', role: 'guest', isActive: true };
+
+let currentUser;
+signInAs(() => currentUser);
+const taskRoutes = require('../routes/tasks');
+
+const project = {
+    id: 'project-1',
+    name: 'Flat handover',
+    status: 'active',
+    members: [
+        { user: { id: editor.id }, role: 'owner' },
+        { user: { id: guest.id }, role: 'guest' }
+    ]
+};
+
+const parentTask = () => ({
+    id: 'task-1',
+    title: 'Inspect the flat',
+    status: 'in_progress',
+    project: { id: project.id },
+    assignedTo: { id: guest.id },
+    createdBy: { id: editor.id },
+    parentId: null,
+    milestoneId: null,
+    checklist: [{ id: 'item-1', text: 'Kitchen', isDone: false, position: 0 }]
+});
+
+const subtask = () => ({
+    id: 'task-2',
+    title: 'Photograph meter readings',
+    status: 'new',
+    project: { id: project.id },
+    assignedTo: { id: editor.id },
+    createdBy: { id: editor.id },
+    parentId: 'task-1',
+    milestoneId: null,
+    checklist: []
+});
+
+let server;
+let writes;
+
+beforeEach(async (t) => {
+    currentUser = editor;
+    writes = [];
+
+    t.mock.method(Task, 'findById', async (id) => (id === 'task-1' ? parentTask() : null));
+    t.mock.method(Task, 'find', async ({ parent }) => (parent === 'task-1' ? [subtask()] : []));
+    t.mock.method(Task, 'update', async (id, updates) => {
+        writes.push(['update', id, updates]);
+        return { ...parentTask(), ...updates };
+    });
+    t.mock.method(Task, 'setStatus', async (ids, status) => writes.push(['setStatus', ids, status]));
+    t.mock.method(ChecklistItem, 'setAllDone', async (taskId, isDone) => writes.push(['setAllDone', taskId, isDone]));
+    t.mock.method(Project, 'findById', async () => project);
+    t.mock.method(Notification, 'createNotification', async () => ({}));
+    t.mock.method(audit, 'record', async () => {});
+    t.mock.method(achievements, 'recordTaskCompleted', async () => {});
+    t.mock.method(milestones, 'checkMilestones', async () => {});
+
+    server = await serve('/api/tasks', taskRoutes);
+});
+
+afterEach(() => server.close());
+
+test('completing a task with open children asks what to do with them', async () => {
+    const { status, body } = await putJson(`${server.url}/task-1`, { status: 'done' });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'CHILDREN_PENDING');
+    assert.deepEqual(body.data.subtasks.map(t => t.id), ['task-2']);
+    assert.equal(body.data.checklistItems, 1);
+    assert.deepEqual(writes, []);
+});
+
+test('cascading updates the task before its children', async () => {
+    const { status } = await putJson(`${server.url}/task-1`, { status: 'done', children: 'cascade' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(writes.map(([write]) => write), ['update', 'setStatus', 'setAllDone']);
+    assert.deepEqual(writes[1], ['setStatus', ['task-2'], 'done']);
+    assert.deepEqual(writes[2], ['setAllDone', 'task-1', true]);
+});
+
+test('children are left alone when the task update fails', async () => {
+    Task.update.mock.mockImplementation(async () => {
+        throw new Error('Database update failed');
+    });
+
+    const { status } = await putJson(`${server.url}/task-1`, { status: 'done', children: 'cascade' });
+
+    assert.equal(status, 500);
+    assert.deepEqual(writes, []);
+});
+
+test('a guest can update their task but not reassign it', async () => {
+    currentUser = guest;
+
+    const { status } = await putJson(`${server.url}/task-1`, { title: 'Inspect the flat again', assignedTo: editor.id });
+
+    assert.equal(status, 200);
+    const [[, id, updates]] = writes;
+    assert.equal(id, 'task-1');
+    assert.equal(updates.title, 'Inspect the flat again');
+    assert.equal('assignedTo' in updates, false);
+    assert.equal(Notification.createNotification.mock.callCount(), 0);
+});
+
+test('members can reassign tasks', async () => {
+    const { status } = await putJson(`${server.url}/task-1`, { assignedTo: editor.id });
+
+    assert.equal(status, 200);
+    assert.equal(writes[0][2].assignedTo, editor.id);
+});
@@ -0,0 +1,58 @@
+const sharp = require('sharp');
+
+/**
+ * Avatar image processing
+ * Uploads are decoded (so the real format is checked, not the client's MIME
+ * type), turned upright from EXIF, cropped to a square around the most
+ * interesting region and written out as WebP in each display size.
+ */
+
+// Pixel sizes stored per avatar; the client picks one per place it is shown
+const AVATAR_SIZES = { small: 64, medium: 128, large: 256 };
+
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+const AVATAR_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const AVATAR_MIN_DIMENSION = 32;
+
+// Refuse decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Validate an uploaded image and render every avatar size
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object<string, Buffer>>} WebP image per AVATAR_SIZES key
+ * @throws {Error} with a message fit to show the user if the image is unusable
+ */
+async function processAvatar(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch {
+        throw new Error('File is not a readable image');
+    }
+
+    if (!AVATAR_FORMATS.includes(metadata.format)) {
+        throw new Error('Avatar must be a JPG, PNG, WebP or GIF image');
+    }
+
+    if (metadata.width < AVATAR_MIN_DIMENSION || metadata.height < AVATAR_MIN_DIMENSION) {
+        throw new Error(`Avatar must be at least ${AVATAR_MIN_DIMENSION}×${AVATAR_MIN_DIMENSION} pixels`);
+    }
+
+    const images = {};
+    for (const [name, px] of Object.entries(AVATAR_SIZES)) {
+        images[name] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize(px, px, { fit: 'cover', position: sharp.strategy.attention })
+            .webp({ quality: 85 })
+            .toBuffer();
+    }
+
+    return images;
+}
+
+module.exports = {
+    AVATAR_SIZES,
+    AVATAR_MAX_BYTES,
+    processAvatar
+};
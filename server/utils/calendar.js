@@ -0,0 +1,65 @@
+/**
+ * Calendar-day helpers for per-user timezones.
+ * Days are plain 'YYYY-MM-DD' strings (Postgres DATE), so comparing two days
+ * never depends on the server's own timezone or on DST.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether `timeZone` is an IANA name the runtime knows, e.g. 'Europe/Berlin'
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The calendar day an instant falls on in a timezone
+ * @param {Date|string} date
+ * @param {string} [timeZone='UTC'] - falls back to UTC if unknown
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function localDate(date, timeZone = 'UTC') {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(date));
+}
+
+/**
+ * Whole calendar days from one day to another (positive if `to` is later)
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Shift a day by a number of days
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(day, days) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+    isValidTimeZone,
+    localDate,
+    daysBetween,
+    addDays
+};
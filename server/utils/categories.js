@@ -0,0 +1,56 @@
+const { ProjectCategory } = require('../models');
+
+/**
+ * Project categories are rows in project_categories; projects and templates
+ * store the category's slug.
+ */
+
+const SLUG_MAX_LENGTH = 40;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// Icon names as the client knows them, e.g. 'code' or 'bar-chart'
+const ICON_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Slug for a new category from its name ('R&D Projects' -> 'r-d-projects')
+ * @param {string} name
+ * @returns {string} empty if the name has no letters or digits
+ */
+function slugify(name) {
+    return String(name)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, SLUG_MAX_LENGTH)
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * express-validator custom validator: the slug names an existing category
+ */
+async function isKnownCategory(slug) {
+    if (typeof slug !== 'string' || !await ProjectCategory.findBySlug(slug)) {
+        throw new Error('Unknown category');
+    }
+    return true;
+}
+
+/**
+ * Category for projects and templates created without one: the first in display order
+ * @returns {Promise<string|null>} slug
+ */
+async function defaultCategory() {
+    const [first] = await ProjectCategory.find();
+    return first ? first.slug : null;
+}
+
+module.exports = {
+    SLUG_MAX_LENGTH,
+    SLUG_PATTERN,
+    COLOR_PATTERN,
+    ICON_PATTERN,
+    slugify,
+    isKnownCategory,
+    defaultCategory
+};
@@ -0,0 +1,13 @@
+/**
+ * Base URL of the web client, used to build links sent to users
+ * (CLIENT_URL may list several origins; the first one is canonical)
+ * @returns {string}
+ */
+function getClientUrl() {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    return clientUrl.split(',')[0].trim().replace(/\/+$/, '');
+}
+
+module.exports = {
+    getClientUrl
+};
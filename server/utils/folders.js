@@ -0,0 +1,57 @@
+/**
+ * Project folder paths, e.g. 'Assets/Images'.
+ * Stored without leading/trailing slashes; a folder's parents are always listed too.
+ */
+
+const FOLDER_MAX_LENGTH = 255;
+const MAX_FOLDERS = 100;
+
+/**
+ * Clean up a folder path ('/Assets//Images/ ' -> 'Assets/Images')
+ * @param {string} path
+ * @returns {string|null} null if it isn't a usable path
+ */
+function normalizeFolder(path) {
+    if (typeof path !== 'string') return null;
+
+    const segments = path.split('/').map(s => s.trim()).filter(Boolean);
+    const normalized = segments.join('/');
+
+    if (!normalized || normalized.length > FOLDER_MAX_LENGTH) return null;
+    return normalized;
+}
+
+/**
+ * Normalize a list of folders, adding missing parents and dropping duplicates
+ * @param {string[]} folders - every entry must pass normalizeFolder
+ * @returns {string[]} sorted
+ */
+function normalizeFolders(folders) {
+    const result = new Set();
+
+    for (const folder of folders) {
+        const segments = normalizeFolder(folder).split('/');
+        segments.forEach((_, i) => result.add(segments.slice(0, i + 1).join('/')));
+    }
+
+    return [...result].sort();
+}
+
+/**
+ * express-validator check for a folders array
+ */
+function isValidFolderList(folders) {
+    if (!Array.isArray(folders) || folders.length > MAX_FOLDERS) {
+        throw new Error(`Folders must be a list of at most ${MAX_FOLDERS} paths`);
+    }
+    if (!folders.every(f => normalizeFolder(f))) {
+        throw new Error(`Folder paths must be non-empty and at most ${FOLDER_MAX_LENGTH} characters`);
+    }
+    return true;
+}
+
+module.exports = {
+    normalizeFolder,
+    normalizeFolders,
+    isValidFolderList
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * Symmetric encryption for secrets stored in the database (e.g. TOTP seeds)
+ * AES-256-GCM with a key derived from SECRETS_ENCRYPTION_KEY (falls back to JWT_SECRET).
+ */
+
+const getKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+/**
+ * Encrypt a string
+ * @param {string} plainText
+ * @returns {string} iv:authTag:cipherText, base64 encoded parts
+ */
+function encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload
+ * @returns {string}
+ */
+function decrypt(payload) {
+    const [iv, authTag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    encrypt,
+    decrypt
+};
@@ -0,0 +1,113 @@
+/**
+ * Minimal tar (ustar) reading and writing, for archives the server makes
+ * itself: regular files only, names under 100 bytes, everything in memory.
+ */
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+
+/**
+ * Write a number as a NUL-terminated octal field
+ */
+function writeOctal(header, value, offset, length) {
+    header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function readString(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(header, offset, length) {
+    const text = readString(header, offset, length).trim();
+    return /^[0-7]+$/.test(text) ? parseInt(text, 8) : NaN;
+}
+
+/**
+ * Sum of the header bytes, counting the checksum field itself as spaces
+ */
+function checksumOf(header) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return sum;
+}
+
+const paddingFor = (size) => (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+/**
+ * Build a tar archive
+ * @param {{name: string, data: Buffer, mtime?: Date}[]} entries
+ * @returns {Buffer}
+ */
+function pack(entries) {
+    const parts = [];
+
+    for (const { name, data, mtime = new Date() } of entries) {
+        if (!name || Buffer.byteLength(name) >= NAME_LENGTH) {
+            throw new Error(`Unsupported tar entry name: ${name}`);
+        }
+
+        const header = Buffer.alloc(BLOCK_SIZE);
+        header.write(name, 0, NAME_LENGTH, 'utf8');
+        writeOctal(header, 0o644, 100, 8);
+        writeOctal(header, 0, 108, 8);
+        writeOctal(header, 0, 116, 8);
+        writeOctal(header, data.length, 124, 12);
+        writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+        header.write('0', 156, 1, 'ascii');
+        header.write('ustar\0', 257, 6, 'ascii');
+        header.write('00', 263, 2, 'ascii');
+        header.write(checksumOf(header).toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+        parts.push(header, data, Buffer.alloc(paddingFor(data.length)));
+    }
+
+    // Two empty blocks end the archive
+    parts.push(Buffer.alloc(BLOCK_SIZE * 2));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Read the regular files out of a tar archive; other entry types are skipped
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} contents by entry name
+ * @throws {Error} if the archive is malformed
+ */
+function unpack(buffer) {
+    const entries = new Map();
+    let offset = 0;
+
+    while (offset + BLOCK_SIZE <= buffer.length) {
+        const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break;
+
+        if (readOctal(header, 148, 8) !== checksumOf(header)) {
+            throw new Error('Corrupt tar header');
+        }
+
+        const size = readOctal(header, 124, 12);
+        const start = offset + BLOCK_SIZE;
+        if (Number.isNaN(size) || start + size > buffer.length) {
+            throw new Error('Truncated tar archive');
+        }
+
+        const type = String.fromCharCode(header[156]);
+        if (type === '0' || type === '\0') {
+            const prefix = readString(header, 345, 155);
+            const name = readString(header, 0, NAME_LENGTH);
+            entries.set(prefix ? `${prefix}/${name}` : name, buffer.subarray(start, start + size));
+        }
+
+        offset = start + size + paddingFor(size);
+    }
+
+    return entries;
+}
+
+module.exports = {
+    pack,
+    unpack
+};
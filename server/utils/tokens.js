@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+/**
+ * Opaque token helpers
+ * Random tokens are handed to the client once; only their SHA-256 hash is stored.
+ */
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default 48)
+ * @returns {string}
+ */
+function generateToken(bytes = 48) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Parse a duration such as '15m', '30d' or '3600' (seconds) into milliseconds
+ * @param {string|number} value - Duration
+ * @param {number} fallbackMs - Used when the value cannot be parsed
+ * @returns {number}
+ */
+function parseDuration(value, fallbackMs) {
+    if (typeof value === 'number') return value * 1000;
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value || '').trim());
+    if (!match) return fallbackMs;
+
+    const units = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * units[match[2]];
+}
+
+module.exports = {
+    generateToken,
+    hashToken,
+    parseDuration
+};
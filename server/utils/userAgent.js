@@ -0,0 +1,49 @@
+/**
+ * Rough browser / OS detection from a User-Agent header, good enough to
+ * label devices for humans ("Chrome on macOS"). Order matters: Edge and
+ * Opera also claim to be Chrome, and Chrome also claims to be Safari.
+ */
+
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\/[\d.]+/],
+    ['Opera', /OPR\/[\d.]+|Opera/],
+    ['Firefox', /Firefox\/[\d.]+|FxiOS/],
+    ['Chrome', /Chrome\/[\d.]+|CriOS/],
+    ['Safari', /Version\/[\d.]+.*Safari/],
+    ['Node.js', /node|undici|axios/i],
+    ['curl', /^curl\//]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Macintosh|Mac OS X/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+    const found = list.find(([, pattern]) => pattern.test(userAgent));
+    return found ? found[0] : null;
+};
+
+/**
+ * @param {string} [userAgent]
+ * @returns {{ browser: string|null, os: string|null, label: string }}
+ */
+function parseUserAgent(userAgent) {
+    const ua = userAgent || '';
+    const browser = match(BROWSERS, ua);
+    const os = match(OPERATING_SYSTEMS, ua);
+
+    let label = 'Unknown device';
+    if (browser && os) label = `${browser} on ${os}`;
+    else if (browser || os) label = browser || os;
+
+    return { browser, os, label };
+}
+
+module.exports = {
+    parseUserAgent
+};